@@ -0,0 +1,38 @@
+const redis = require('redis');
+
+let client;
+let clientPromise;
+
+/**
+ * Get a shared, connected Redis client (lazily created on first use)
+ * @returns {Promise<Object>} Connected node-redis client
+ */
+async function getClient() {
+  if (client && client.isOpen) {
+    return client;
+  }
+  
+  if (!clientPromise) {
+    clientPromise = (async () => {
+      const newClient = redis.createClient({ 
+        url: process.env.REDIS_URL || 'redis://localhost:6379' 
+      });
+      
+      newClient.on('error', err => console.error('Redis Client Error:', err));
+      
+      await newClient.connect();
+      client = newClient;
+      return client;
+    })().catch(error => {
+      // Allow the next call to retry the connection
+      clientPromise = null;
+      throw error;
+    });
+  }
+  
+  return clientPromise;
+}
+
+module.exports = {
+  getClient
+};
@@ -0,0 +1,76 @@
+/**
+ * Roles & Permissions
+ * Every UserDetail has a `role` (Hygraph enum UserRole). Routes check
+ * permissions (what the caller may do) rather than role names, so a role can
+ * be widened or narrowed here without touching the routes.
+ */
+
+const ROLES = {
+  CUSTOMER: 'customer',
+  SUPPORT: 'support',
+  OPS: 'ops',
+  ADMIN: 'admin'
+};
+
+// Role given to users whose UserDetail has no role set
+const DEFAULT_ROLE = ROLES.CUSTOMER;
+
+const PERMISSIONS = {
+  SHIPMENTS_TRACK: 'shipments:track',       // Look up any shipment by Shiprocket order ID / AWB
+  SHIPMENTS_CREATE: 'shipments:create',     // Create shipments in Shiprocket
+  SHIPROCKET_MANAGE: 'shiprocket:manage',   // Shiprocket credentials / auth state
+  ORDERS_RECOVER: 'orders:recover',         // Inspect and resume unfinished order placements
+  ORDERS_REFUND: 'orders:refund',           // Refund orders (full or by line item)
+  ORDERS_MANAGE: 'orders:manage',           // Move orders through their lifecycle (e.g. processing)
+  RETURNS_MANAGE: 'returns:manage',         // Approve/reject returns and confirm they were received
+  INVENTORY_VIEW: 'inventory:view',         // Look up stock levels and reservations
+  INVENTORY_MANAGE: 'inventory:manage',     // Set/adjust stock levels
+  JOBS_RUN: 'jobs:run'                      // Run scheduled jobs by hand (routes/jobs.js)
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.CUSTOMER]: [],
+  [ROLES.SUPPORT]: [
+    PERMISSIONS.SHIPMENTS_TRACK,
+    PERMISSIONS.INVENTORY_VIEW
+  ],
+  [ROLES.OPS]: [
+    PERMISSIONS.SHIPMENTS_TRACK,
+    PERMISSIONS.SHIPMENTS_CREATE,
+    PERMISSIONS.ORDERS_RECOVER,
+    PERMISSIONS.ORDERS_REFUND,
+    PERMISSIONS.ORDERS_MANAGE,
+    PERMISSIONS.INVENTORY_VIEW,
+    PERMISSIONS.INVENTORY_MANAGE,
+    PERMISSIONS.JOBS_RUN
+  ],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
+/**
+ * Resolve a stored role (unknown/missing roles fall back to customer)
+ * @param {string} role - Role from UserDetail
+ * @returns {string} Known role
+ */
+function normalizeRole(role) {
+  return Object.values(ROLES).includes(role) ? role : DEFAULT_ROLE;
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if granted
+ */
+function hasPermission(role, permission) {
+  return ROLE_PERMISSIONS[normalizeRole(role)].includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  normalizeRole,
+  hasPermission
+};
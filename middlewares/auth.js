@@ -1,5 +1,6 @@
 const hygraphUserService = require('../services/hygraphUserService');
-const tokenBlacklistService = require('../services/tokenBlacklistService');
+const sessionService = require('../services/sessionService');
+const { normalizeRole } = require('../config/roles');
 
 /**
  * JWT Authentication Middleware
@@ -38,8 +39,8 @@ const authMiddleware = async (req, res, next) => {
     try {
       const { payload } = await jwtVerify(token, secret);
       
-      // Check if token is blacklisted
-      if (await tokenBlacklistService.isBlacklisted(token)) {
+      // Check if token's session (jti) was revoked - legacy tokens use the blacklist
+      if (await sessionService.isTokenRevoked(token, payload)) {
         return res.status(401).json({ 
           success: false, 
           message: 'Token has been revoked' 
@@ -82,6 +83,13 @@ const authMiddleware = async (req, res, next) => {
       // Attach user to request object
       req.user = user;
       req.userId = user.id;
+      req.principal = { type: 'user', id: user.id, role: normalizeRole(user.role) };
+      req.sessionId = payload.jti || null;
+      req.tokenPayload = payload;
+
+      if (req.sessionId) {
+        await sessionService.touch(req.sessionId, sessionService.getClientIp(req));
+      }
       
       next();
     } catch (jwtError) {
@@ -0,0 +1,82 @@
+const { hasPermission } = require('../config/roles');
+
+/**
+ * Role / Permission Authorization Middleware
+ * Runs after authMiddleware, which sets req.principal = { type: 'user', id, role }.
+ * Service principals (middlewares/internalAuth.js) never pass user checks.
+ *
+ * Usage:
+ *   router.post('/create-shipment', authMiddleware, requirePermission(PERMISSIONS.SHIPMENTS_CREATE), handler)
+ *   router.post('/reset-auth', authMiddleware, requireRole(ROLES.ADMIN), handler)
+ */
+
+function getUserPrincipal(req, res) {
+  const principal = req.principal;
+
+  if (!principal) {
+    res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+    return null;
+  }
+
+  if (principal.type !== 'user') {
+    res.status(403).json({
+      success: false,
+      message: 'This endpoint is not available to service credentials'
+    });
+    return null;
+  }
+
+  return principal;
+}
+
+/**
+ * Allow only users with one of the given roles
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  const principal = getUserPrincipal(req, res);
+  if (!principal) {
+    return;
+  }
+
+  if (!roles.includes(principal.role)) {
+    console.warn(`🚫 Role ${principal.role} denied on ${req.method} ${req.originalUrl} (user ${principal.id})`);
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Allow only users whose role grants the permission
+ * @param {string} permission - Permission from config/roles.js
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  const principal = getUserPrincipal(req, res);
+  if (!principal) {
+    return;
+  }
+
+  if (!hasPermission(principal.role, permission)) {
+    console.warn(`🚫 Permission ${permission} denied on ${req.method} ${req.originalUrl} (user ${principal.id}, role ${principal.role})`);
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireRole,
+  requirePermission
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const authMiddleware = require('./auth');
+const { requirePermission } = require('./authorize');
+
+/**
+ * Scheduled Job Authentication Middleware
+ * Job endpoints (routes/jobs.js) are called by Vercel Cron, which sends
+ * `Authorization: Bearer ${CRON_SECRET}`. Those requests get a service
+ * principal (req.principal = { type: 'service', service: 'cron', keyId: null }).
+ * Any other caller must be a logged-in user whose role grants the permission,
+ * so ops can run a job by hand.
+ */
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function isCronRequest(req) {
+  const cronSecret = process.env.CRON_SECRET;
+  const authHeader = req.headers.authorization || '';
+
+  return !!cronSecret && authHeader.startsWith('Bearer ') && safeEqual(authHeader.slice(7), cronSecret);
+}
+
+/**
+ * @param {string} permission - Permission a user needs to run the job (config/roles.js)
+ * @returns {Function} Express middleware
+ */
+const cronAuth = (permission) => (req, res, next) => {
+  if (isCronRequest(req)) {
+    req.principal = { type: 'service', service: 'cron', keyId: null };
+    return next();
+  }
+
+  return authMiddleware(req, res, () => requirePermission(permission)(req, res, next));
+};
+
+module.exports = cronAuth;
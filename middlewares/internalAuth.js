@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const internalAuthService = require('../services/internalAuthService');
+
+/**
+ * Internal Service Authentication Middleware
+ * For backend-to-backend calls (e.g. Fantasy → Shop wallet top-ups). These
+ * callers are not users: they get a service principal
+ * (req.principal = { type: 'service', service, keyId }) and never pass user role checks.
+ *
+ * Requests must be HMAC-signed (see services/internalAuthService.js).
+ * While the Fantasy backend migrates (INTERNAL_API_KEYS unset or
+ * INTERNAL_AUTH_ALLOW_LEGACY=true) the old static `x-internal-secret` header
+ * is also accepted.
+ */
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function isLegacySecretValid(req) {
+  if (!internalAuthService.isLegacyEnabled()) {
+    return false;
+  }
+
+  const internalSecret = req.headers['x-internal-secret'];
+  const expectedSecret = process.env.INTERNAL_SECRET || process.env.FANTASY_INTERNAL_SECRET || process.env.INTERNAL_API_SECRET;
+
+  return !!internalSecret && !!expectedSecret && safeEqual(internalSecret, expectedSecret);
+}
+
+/**
+ * @param {string} service - Name of the calling service (e.g. 'fantasy')
+ * @returns {Function} Express middleware
+ */
+const internalAuth = (service) => async (req, res, next) => {
+  try {
+    if (!req.headers[internalAuthService.HEADERS.SIGNATURE] && isLegacySecretValid(req)) {
+      console.warn(`⚠️  Legacy x-internal-secret used for ${req.originalUrl} - switch ${service} to signed requests`);
+      req.principal = { type: 'service', service, keyId: null };
+      return next();
+    }
+
+    const result = await internalAuthService.verify({
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody || '',
+      headers: req.headers
+    });
+
+    if (!result.valid) {
+      console.warn(`❌ Unauthorized internal request to ${req.originalUrl}: ${result.error}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: result.error
+      });
+    }
+
+    req.principal = { type: 'service', service, keyId: result.keyId };
+    next();
+  } catch (error) {
+    // Replay protection needs Redis - fail closed
+    console.error('Internal auth error:', error);
+    return res.status(503).json({
+      success: false,
+      error: 'Service Unavailable',
+      message: 'Internal authentication is temporarily unavailable'
+    });
+  }
+};
+
+module.exports = internalAuth;
@@ -0,0 +1,16 @@
+const authMiddleware = require('./auth');
+
+/**
+ * Optional Authentication Middleware
+ * Authenticates like authMiddleware when an Authorization header is sent
+ * (an invalid token is still rejected); otherwise continues as a guest
+ * with req.user unset.
+ */
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return authMiddleware(req, res, next);
+};
+
+module.exports = optionalAuth;
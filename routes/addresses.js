@@ -0,0 +1,174 @@
+const express = require('express');
+const addressService = require('../services/addressService');
+const authMiddleware = require('../middlewares/auth');
+const router = express.Router();
+
+/**
+ * Address fields:
+ * {
+ *   "fullName": "Asha Rao",
+ *   "mobileNumber": "9876543210",     // 10 digit Indian mobile (+91 allowed)
+ *   "addressLine1": "12 MG Road",
+ *   "addressLine2": "Flat 4B",        // Optional
+ *   "landmark": "Near metro station", // Optional
+ *   "city": "Bengaluru",
+ *   "state": "Karnataka",             // Indian state or union territory
+ *   "pincode": "560001",              // 6 digits
+ *   "isDefault": true                 // Optional
+ * }
+ */
+
+/**
+ * Map address errors to responses
+ */
+function handleAddressError(res, error, fallbackMessage) {
+  if (error.message.includes('Address not found')) {
+    return res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Invalid address')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: error.message
+    });
+  }
+
+  if (error.code === 'LOCK_NOT_ACQUIRED') {
+    return res.status(409).json({
+      success: false,
+      error: 'Conflict',
+      message: 'Another address change is in progress - try again'
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error.message);
+  return res.status(500).json({
+    success: false,
+    error: 'Internal Server Error',
+    message: error.message || fallbackMessage
+  });
+}
+
+/**
+ * GET /api/addresses
+ * Get the user's addresses (default first)
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const addresses = await addressService.listAddresses(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        addresses,
+        count: addresses.length
+      }
+    });
+  } catch (error) {
+    handleAddressError(res, error, 'Failed to fetch addresses');
+  }
+});
+
+/**
+ * GET /api/addresses/:addressId
+ * Get one of the user's addresses
+ */
+router.get('/:addressId', authMiddleware, async (req, res) => {
+  try {
+    const address = await addressService.getAddress(req.params.addressId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    handleAddressError(res, error, 'Failed to fetch address');
+  }
+});
+
+/**
+ * POST /api/addresses
+ * Add an address (the first one becomes the default)
+ */
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const address = await addressService.createAddress(req.user.id, req.body || {});
+
+    res.status(201).json({
+      success: true,
+      message: 'Address added',
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    handleAddressError(res, error, 'Failed to add address');
+  }
+});
+
+/**
+ * PUT /api/addresses/:addressId
+ * Update an address (only the fields sent are changed)
+ * Orders already placed keep the address they were placed with.
+ */
+router.put('/:addressId', authMiddleware, async (req, res) => {
+  try {
+    const address = await addressService.updateAddress(req.params.addressId, req.user.id, req.body || {});
+
+    res.status(200).json({
+      success: true,
+      message: 'Address updated',
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    handleAddressError(res, error, 'Failed to update address');
+  }
+});
+
+/**
+ * POST /api/addresses/:addressId/default
+ * Make an address the default (used at checkout when no address is sent)
+ */
+router.post('/:addressId/default', authMiddleware, async (req, res) => {
+  try {
+    const address = await addressService.setDefault(req.params.addressId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Default address updated',
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    handleAddressError(res, error, 'Failed to set default address');
+  }
+});
+
+/**
+ * DELETE /api/addresses/:addressId
+ * Delete an address (the newest remaining address becomes the default)
+ */
+router.delete('/:addressId', authMiddleware, async (req, res) => {
+  try {
+    await addressService.deleteAddress(req.params.addressId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted'
+    });
+  } catch (error) {
+    handleAddressError(res, error, 'Failed to delete address');
+  }
+});
+
+module.exports = router;
@@ -4,19 +4,13 @@ const msg91Service = require('../services/msg91Service');
 const otpService = require('../services/otpService');
 const hygraphUserService = require('../services/hygraphUserService');
 const tokenBlacklistService = require('../services/tokenBlacklistService');
-const axios = require('axios');
+const authTokenService = require('../services/authTokenService');
+const sessionService = require('../services/sessionService');
+const cartService = require('../services/cartService');
+const authMiddleware = require('../middlewares/auth');
+const internalAuthService = require('../services/internalAuthService');
 const crypto = require('crypto');
 
-// Helper function to initialize crypto and get JWT tools
-async function getJWTTools() {
-  const crypto = await import('node:crypto');
-  if (!globalThis.crypto) {
-    globalThis.crypto = crypto.webcrypto;
-  }
-  const { SignJWT } = await import('jose');
-  return { SignJWT };
-}
-
 // Helper function to initialize crypto and get JWT verify tools
 async function getJWTVerifyTools() {
   const crypto = await import('node:crypto');
@@ -213,29 +207,21 @@ router.post('/verify-otp', async (req, res) => {
     
     // Fantasy backend URL - use env variable or default to production IP
     const FANTASY_BACKEND_URL = process.env.FANTASY_API_URL || 'http://134.209.158.211:4000';
-    const INTERNAL_API_SECRET = process.env.INTERNAL_API_SECRET || 'shop-fantasy-internal-secret';
     
     try {
+      // Requests to Fantasy internal endpoints are HMAC-signed
+      const fantasyClient = internalAuthService.createClient(FANTASY_BACKEND_URL, { timeout: 15000 });
+
       console.log(`🔄 Syncing user ${user.id} to Fantasy backend at: ${FANTASY_BACKEND_URL}/internal/create-or-get-user`);
       
       // Call Fantasy internal endpoint to create or get user
-      const fantasyResponse = await axios.post(
-        `${FANTASY_BACKEND_URL}/internal/create-or-get-user`,
-        {
-          mobile_number: cleanNumber,
-          hygraph_user_id: user.id,
-          name: `${user.firstName || req.body.firstName || 'User'} ${user.lastName || req.body.lastName || ''}`.trim(),
-          first_name: user.firstName || req.body.firstName || 'User',
-          last_name: user.lastName || req.body.lastName || ''
-        },
-        {
-          headers: { 
-            'Content-Type': 'application/json',
-            'X-Internal-Key': INTERNAL_API_SECRET
-          },
-          timeout: 15000
-        }
-      );
+      const fantasyResponse = await fantasyClient.post('/internal/create-or-get-user', {
+        mobile_number: cleanNumber,
+        hygraph_user_id: user.id,
+        name: `${user.firstName || req.body.firstName || 'User'} ${user.lastName || req.body.lastName || ''}`.trim(),
+        first_name: user.firstName || req.body.firstName || 'User',
+        last_name: user.lastName || req.body.lastName || ''
+      });
       
       console.log('Fantasy create-or-get-user response:', JSON.stringify(fantasyResponse.data, null, 2));
       
@@ -282,23 +268,20 @@ router.post('/verify-otp', async (req, res) => {
       // Continue even if fantasy sync fails - user can still use shop
     }
 
-    // Generate unified JWT token with module information
-    const { SignJWT } = await getJWTTools();
-    const secret = Buffer.from(process.env.SECRET_TOKEN || 'your-secret-key-here');
-    
-    // Generate long-lived access token (30 days)
-    const accessToken = await new SignJWT({
-      userId: user.id,
-      _id: fantasyUserId || user.id, // For compatibility with fantasy backend
-      mobile: cleanNumber,
-      modules: ['shop', 'fantasy'],
-      shop_enabled: true,
-      fantasy_enabled: true
-    })
-      .setProtectedHeader({ alg: 'HS256' })
-      .setExpirationTime('30d')  // Long-lived token
-      .setIssuedAt()
-      .sign(secret);
+    // Start a session for this device
+    const session = await sessionService.createSession(user.id, {
+      deviceId: deviceId || null,
+      deviceName: req.body.deviceName || null,
+      ip: sessionService.getClientIp(req),
+      userAgent: req.get('user-agent') || null
+    });
+
+    // Generate unified access token (short-lived) + rotating refresh token
+    const tokens = await authTokenService.issueTokenPair(
+      authTokenService.buildClaims({ ...user, mobileNumber: cleanNumber }, fantasyUserId),
+      session.sessionId
+    );
+    const accessToken = tokens.accessToken;
     
     // Update user with fantasy_user_id
     user = await hygraphUserService.updateUser(cleanNumber, {
@@ -318,6 +301,16 @@ router.post('/verify-otp', async (req, res) => {
       await otpService.deleteOtp(sessionId);
     }
 
+    // Move the guest cart (if any) into the user's cart - login must not fail on this
+    let cartMerged = false;
+    if (req.body.guestCartId) {
+      try {
+        cartMerged = (await cartService.mergeGuestCart(req.body.guestCartId, user.id)) > 0;
+      } catch (cartError) {
+        console.error('❌ Guest cart merge failed:', cartError.message);
+      }
+    }
+
     res.json({
       success: true,
       verified: true,
@@ -325,6 +318,10 @@ router.post('/verify-otp', async (req, res) => {
       userId: user.id,
       authToken: user.authKey,
       token: user.authKey, // Shop token (alias for authToken)
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn, // Access token lifetime in seconds
+      sessionId: session.sessionId,
+      cartMerged,
       // Fantasy token for Fantasy app authentication
       fantasy_token: fantasyAuthKey,
       fantasy_auth_key: fantasyAuthKey, // Legacy alias
@@ -360,7 +357,7 @@ router.post('/verify-otp', async (req, res) => {
  * GET /api/auth/me
  * Get current user profile (protected route)
  */
-router.get('/me', require('../middlewares/auth'), async (req, res) => {
+router.get('/me', authMiddleware, async (req, res) => {
   try {
     res.json({
       success: true,
@@ -388,7 +385,7 @@ router.get('/me', require('../middlewares/auth'), async (req, res) => {
  * PUT /api/auth/profile
  * Update user profile (protected route)
  */
-router.put('/profile', require('../middlewares/auth'), async (req, res) => {
+router.put('/profile', authMiddleware, async (req, res) => {
   try {
     const { fullname, email } = req.body;
     
@@ -430,14 +427,19 @@ router.put('/profile', require('../middlewares/auth'), async (req, res) => {
  * POST /api/auth/logout
  * Unified logout - invalidates token across both Shop and Fantasy backends
  */
-router.post('/logout', require('../middlewares/auth'), async (req, res) => {
+router.post('/logout', authMiddleware, async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
     const token = authHeader.split(' ')[1];
     const user = req.user;
     
-    // 1. Blacklist access token in shop backend
-    await tokenBlacklistService.addToBlacklist(token);
+    // 1. Revoke this device's session (access + refresh tokens) in shop backend
+    //    Legacy tokens without a session id are blacklisted instead
+    if (req.sessionId) {
+      await sessionService.revokeSession(user.id, req.sessionId);
+    } else {
+      await tokenBlacklistService.addToBlacklist(token);
+    }
     
     // 2. Clear auth token in Hygraph
     await hygraphUserService.updateUser(user.mobile, {
@@ -446,19 +448,13 @@ router.post('/logout', require('../middlewares/auth'), async (req, res) => {
     
     // 3. Invalidate in fantasy backend
     const fantasyUserId = user.fantasyUserId || null;
-    if (fantasyUserId && process.env.FANTASY_API_URL && process.env.INTERNAL_API_SECRET) {
+    if (fantasyUserId && process.env.FANTASY_API_URL) {
       try {
-        await axios.post(
-          `${process.env.FANTASY_API_URL}/user/internal/logout`,
-          { 
-            user_id: fantasyUserId, 
-            token: token 
-          },
-          { 
-            headers: { 'X-Internal-Secret': process.env.INTERNAL_API_SECRET },
-            timeout: 5000
-          }
-        );
+        const fantasyClient = internalAuthService.createClient(process.env.FANTASY_API_URL, { timeout: 5000 });
+        await fantasyClient.post('/user/internal/logout', {
+          user_id: fantasyUserId,
+          token: token
+        });
       } catch (error) {
         console.error('Fantasy logout failed:', error.message);
         // Continue even if fantasy logout fails
@@ -478,6 +474,167 @@ router.post('/logout', require('../middlewares/auth'), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/sessions
+ * List the user's active device sessions (protected route)
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session.sessionId,
+        deviceId: session.deviceId,
+        deviceName: session.deviceName,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session.sessionId === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Log out a single device (protected route)
+ */
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      current: req.params.id === req.sessionId
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout-others
+ * Log out all other devices, keeping the current session (protected route)
+ */
+router.post('/logout-others', authMiddleware, async (req, res) => {
+  try {
+    const revokedCount = await sessionService.revokeOtherSessions(req.user.id, req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all other devices',
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Error in logout-others:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out other devices'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access/refresh token pair
+ * The presented refresh token is consumed; reusing it revokes the whole session.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    let refreshed;
+    try {
+      refreshed = await authTokenService.consumeRefreshToken(refreshToken);
+    } catch (refreshError) {
+      return res.status(401).json({
+        success: false,
+        message: refreshError.message
+      });
+    }
+
+    const user = await hygraphUserService.findUserById(refreshed.userId);
+
+    if (!user) {
+      await sessionService.revokeSession(refreshed.userId, refreshed.sessionId);
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.status === 'blocked') {
+      await sessionService.revokeSession(refreshed.userId, refreshed.sessionId);
+      return res.status(403).json({
+        success: false,
+        message: 'Account is blocked. Please contact support.'
+      });
+    }
+
+    const tokens = await authTokenService.issueTokenPair(
+      authTokenService.buildClaims(user),
+      refreshed.sessionId
+    );
+    await sessionService.touch(refreshed.sessionId, sessionService.getClientIp(req));
+
+    const shopTokens = user.shopTokens || 0;
+    console.log(`💰 Token refreshed for user: ${user.id}, shopTokens: ${shopTokens}`);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      authToken: tokens.accessToken,
+      token: tokens.accessToken, // Alias for authToken
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      sessionId: refreshed.sessionId,
+      user: {
+        id: user.id,
+        fantasy_user_id: user.fantasyUserId || null,
+        mobile: user.mobileNumber,
+        modules: user.modules || ['shop', 'fantasy'],
+        shop_enabled: true,
+        fantasy_enabled: true,
+        shopTokens: shopTokens
+      }
+    });
+  } catch (error) {
+    console.error('Error in refresh:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * POST /api/auth/validate-token
  * Validate JWT token and return token status
@@ -500,8 +657,8 @@ router.post('/validate-token', async (req, res) => {
     try {
       const { payload } = await jwtVerify(token, secret);
       
-      // Check if token is blacklisted
-      if (await tokenBlacklistService.isBlacklisted(token)) {
+      // Check if token's session (jti) was revoked - legacy tokens use the blacklist
+      if (await sessionService.isTokenRevoked(token, payload)) {
         return res.json({
           success: true,
           valid: false,
@@ -0,0 +1,291 @@
+const express = require('express');
+const cartService = require('../services/cartService');
+const authMiddleware = require('../middlewares/auth');
+const optionalAuth = require('../middlewares/optionalAuth');
+const router = express.Router();
+
+/**
+ * Cart routes work for logged-in users (Authorization header) and guests
+ * (x-guest-cart-id header with an app-generated ID, 16-64 chars [A-Za-z0-9_-]).
+ * Send the guest cart ID as `guestCartId` to /api/auth/verify-otp to merge it on login.
+ */
+
+/**
+ * Resolve the cart owner or send 400
+ */
+function resolveOwner(req, res) {
+  const owner = cartService.getOwner(req);
+  if (!owner) {
+    res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Login or provide a valid x-guest-cart-id header'
+    });
+    return null;
+  }
+  return owner;
+}
+
+/**
+ * Map cart errors to responses
+ */
+function handleCartError(res, error, fallbackMessage) {
+  if (error.message.includes('Out of stock')) {
+    return res.status(409).json({
+      success: false,
+      error: 'Out of Stock',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Price mismatch')) {
+    return res.status(409).json({
+      success: false,
+      error: 'Price Mismatch',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Insufficient shop tokens')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Insufficient Balance',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('already in progress')) {
+    return res.status(409).json({
+      success: false,
+      error: 'Conflict',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Item not in cart')) {
+    return res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Product not found') || error.message.includes('not available') ||
+      error.message.includes('per order') || error.message.includes('Cart is empty') ||
+      error.message.includes('must have') || error.message.includes('must contain') ||
+      error.message.includes('Invalid payment') || error.message.includes('Address not found') ||
+      error.message.includes('Shipping address is required') || error.message.includes('Delivery not available')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: error.message
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error.message);
+  return res.status(500).json({
+    success: false,
+    error: 'Internal Server Error',
+    message: error.message || fallbackMessage
+  });
+}
+
+/**
+ * GET /api/cart
+ * Get cart with current prices, stock status and totals
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const owner = resolveOwner(req, res);
+    if (!owner) return;
+
+    const cart = await cartService.getCart(owner);
+
+    res.status(200).json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    handleCartError(res, error, 'Failed to fetch cart');
+  }
+});
+
+/**
+ * POST /api/cart/items
+ * Add a product to the cart
+ *
+ * Request Body:
+ * {
+ *   "productId": "product_hygraph_id",
+ *   "variantId": "variant-id",  // Optional
+ *   "quantity": 1               // Added to the quantity already in the cart (default: 1)
+ * }
+ */
+router.post('/items', optionalAuth, async (req, res) => {
+  try {
+    const owner = resolveOwner(req, res);
+    if (!owner) return;
+
+    const { productId, variantId = null, quantity = 1 } = req.body;
+
+    if (!productId || !Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'productId and a valid quantity (minimum 1) are required'
+      });
+    }
+
+    const cart = await cartService.addItem(owner, { productId, variantId, quantity });
+
+    res.status(200).json({
+      success: true,
+      message: 'Item added to cart',
+      data: cart
+    });
+  } catch (error) {
+    handleCartError(res, error, 'Failed to add item to cart');
+  }
+});
+
+/**
+ * PUT /api/cart/items/:productId
+ * Set the quantity of a cart item (0 removes it)
+ *
+ * Request Body:
+ * {
+ *   "variantId": "variant-id",  // Optional
+ *   "quantity": 3
+ * }
+ */
+router.put('/items/:productId', optionalAuth, async (req, res) => {
+  try {
+    const owner = resolveOwner(req, res);
+    if (!owner) return;
+
+    const { variantId = null, quantity } = req.body;
+
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'A valid quantity (0 or more) is required'
+      });
+    }
+
+    const cart = await cartService.updateQuantity(owner, {
+      productId: req.params.productId,
+      variantId,
+      quantity
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart updated',
+      data: cart
+    });
+  } catch (error) {
+    handleCartError(res, error, 'Failed to update cart');
+  }
+});
+
+/**
+ * DELETE /api/cart/items/:productId
+ * Remove a product from the cart (?variantId= for a variant)
+ */
+router.delete('/items/:productId', optionalAuth, async (req, res) => {
+  try {
+    const owner = resolveOwner(req, res);
+    if (!owner) return;
+
+    const cart = await cartService.removeItem(owner, {
+      productId: req.params.productId,
+      variantId: req.query.variantId || null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removed from cart',
+      data: cart
+    });
+  } catch (error) {
+    handleCartError(res, error, 'Failed to remove item from cart');
+  }
+});
+
+/**
+ * DELETE /api/cart
+ * Empty the cart
+ */
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    const owner = resolveOwner(req, res);
+    if (!owner) return;
+
+    await cartService.clear(owner);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart cleared'
+    });
+  } catch (error) {
+    handleCartError(res, error, 'Failed to clear cart');
+  }
+});
+
+/**
+ * POST /api/cart/checkout
+ * Place an order for everything in the cart (login required)
+ *
+ * Request Body:
+ * {
+ *   "shippingAddressId": "address_hygraph_id",  // Optional - default address if omitted
+ *   "notes": "Special delivery instructions",    // Optional
+ *   "totalAmount": 1000,                         // Optional - totals the app showed, checked
+ *   "totalShopTokens": 200,                      // Optional
+ *   "paymentMethod": "mixed",                    // Optional - 'shop_tokens' (default), 'rupees', 'mixed' or 'cod'
+ *   "shopTokensToUse": 120,                      // Required for 'mixed'
+ *   "rupeesAmount": 400                          // Optional - rupee part the app showed, checked
+ * }
+ *
+ * Orders with a rupee part are returned with `payment` (Razorpay order) to pay;
+ * cash on delivery orders with `amountToCollect`.
+ */
+router.post('/checkout', authMiddleware, async (req, res) => {
+  try {
+    const {
+      shippingAddressId,
+      notes,
+      totalAmount,
+      totalShopTokens,
+      paymentMethod,
+      shopTokensToUse,
+      rupeesAmount
+    } = req.body;
+
+    const result = await cartService.checkout(req.user.id, {
+      shippingAddressId,
+      notes,
+      paymentMethod,
+      shopTokensToUse,
+      rupeesAmount,
+      expectedTotals: { totalAmount, totalShopTokens }
+    });
+
+    console.log(`✅ Cart checked out: ${result.order.orderNumber}`);
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: {
+        order: result.order,
+        shopTokens: result.shopTokens,
+        payment: result.payment
+      }
+    });
+  } catch (error) {
+    handleCartError(res, error, 'Failed to check out cart');
+  }
+});
+
+module.exports = router;
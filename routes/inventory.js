@@ -0,0 +1,114 @@
+const express = require('express');
+const inventoryService = require('../services/inventoryService');
+const authMiddleware = require('../middlewares/auth');
+const { requirePermission } = require('../middlewares/authorize');
+const { PERMISSIONS } = require('../config/roles');
+const router = express.Router();
+
+/**
+ * GET /api/inventory/reservations/:orderNumber
+ * Get the stock reservation of an order
+ * Access: support, ops, admin
+ */
+router.get('/reservations/:orderNumber', authMiddleware, requirePermission(PERMISSIONS.INVENTORY_VIEW), async (req, res) => {
+  try {
+    const reservation = await inventoryService.getReservation(req.params.orderNumber);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Reservation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: reservation
+    });
+  } catch (error) {
+    console.error('❌ Error fetching reservation:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to fetch reservation'
+    });
+  }
+});
+
+/**
+ * GET /api/inventory/:productId
+ * Get stock for a product (or variant with ?variantId=)
+ * Access: support, ops, admin
+ */
+router.get('/:productId', authMiddleware, requirePermission(PERMISSIONS.INVENTORY_VIEW), async (req, res) => {
+  try {
+    const sku = inventoryService.skuFor(req.params.productId, req.query.variantId);
+    const stock = await inventoryService.getStock(sku);
+
+    res.status(200).json({
+      success: true,
+      data: stock
+    });
+  } catch (error) {
+    console.error('❌ Error fetching stock:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to fetch stock'
+    });
+  }
+});
+
+/**
+ * PUT /api/inventory/:productId
+ * Set stock for a product or variant
+ * Access: ops, admin
+ *
+ * Request Body:
+ * {
+ *   "variantId": "variant-id",  // Optional
+ *   "available": 100            // On-hand quantity (set), or
+ *   "adjustBy": -2              // Change on-hand quantity (e.g. damaged stock), or
+ *   "tracked": false            // Stop tracking (unlimited stock)
+ * }
+ */
+router.put('/:productId', authMiddleware, requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
+  try {
+    const { variantId, available, adjustBy, tracked } = req.body;
+    const sku = inventoryService.skuFor(req.params.productId, variantId);
+
+    let stock;
+    if (tracked === false) {
+      await inventoryService.untrack(sku);
+      stock = await inventoryService.getStock(sku);
+    } else if (Number.isInteger(available) && available >= 0) {
+      stock = await inventoryService.setStock(sku, available);
+    } else if (Number.isInteger(adjustBy) && adjustBy !== 0) {
+      stock = await inventoryService.adjustStock(sku, adjustBy);
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Provide available (integer >= 0), adjustBy (non-zero integer) or tracked: false'
+      });
+    }
+
+    console.log(`📦 Stock updated for ${sku} by ${req.user.id}:`, stock);
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock updated successfully',
+      data: stock
+    });
+  } catch (error) {
+    console.error('❌ Error updating stock:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to update stock'
+    });
+  }
+});
+
+module.exports = router;
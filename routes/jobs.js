@@ -0,0 +1,99 @@
+const express = require('express');
+const orderSagaService = require('../services/orderSagaService');
+const inventoryService = require('../services/inventoryService');
+const fulfilmentService = require('../services/fulfilmentService');
+const webhookInboxService = require('../services/webhookInboxService');
+const cronAuth = require('../middlewares/cronAuth');
+const { PERMISSIONS } = require('../config/roles');
+const router = express.Router();
+
+/**
+ * Scheduled Jobs
+ * The same work the in-process timers do, as endpoints. On Vercel the server
+ * runs as a serverless function where those timers don't run reliably, so
+ * vercel.json schedules these endpoints with Vercel Cron (GET requests
+ * authorized by CRON_SECRET). Every job is safe to run at any time and
+ * concurrently with the timers.
+ */
+
+/**
+ * Run a job and report its results
+ * @param {string} name - Job name (for logs)
+ * @param {Function} run - async () => data
+ * @returns {Function} Express handler
+ */
+function runJob(name, run) {
+  return async (req, res) => {
+    try {
+      const runBy = req.principal.type === 'service' ? req.principal.service : `user ${req.principal.id}`;
+      console.log(`⏰ Running job ${name} (${runBy})`);
+
+      const data = await run();
+
+      res.status(200).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      console.error(`❌ Job ${name} failed:`, error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: error.message || `Job ${name} failed`
+      });
+    }
+  };
+}
+
+/**
+ * GET /api/jobs/recover-orders
+ * Resume order placements that have been running or compensating for too long
+ * Access: cron (CRON_SECRET), ops, admin
+ */
+router.get('/recover-orders', cronAuth(PERMISSIONS.JOBS_RUN), runJob('recover-orders', async () => {
+  const results = await orderSagaService.recoverStale();
+  return { results, count: results.length };
+}));
+
+/**
+ * GET /api/jobs/expire-payments
+ * Cancel checkout orders whose payment deadline has passed
+ * Access: cron (CRON_SECRET), ops, admin
+ */
+router.get('/expire-payments', cronAuth(PERMISSIONS.JOBS_RUN), runJob('expire-payments', async () => {
+  const results = await orderSagaService.expirePayments();
+  return { results, count: results.length };
+}));
+
+/**
+ * GET /api/jobs/release-stock
+ * Release stock reservations past their hold time (abandoned checkouts)
+ * Access: cron (CRON_SECRET), ops, admin
+ */
+router.get('/release-stock', cronAuth(PERMISSIONS.JOBS_RUN), runJob('release-stock', async () => {
+  const released = await inventoryService.releaseExpired();
+  return { count: released };
+}));
+
+/**
+ * GET /api/jobs/create-shipments
+ * Create Shiprocket shipments for queued orders that are due
+ * Access: cron (CRON_SECRET), ops, admin
+ */
+router.get('/create-shipments', cronAuth(PERMISSIONS.JOBS_RUN), runJob('create-shipments', async () => {
+  const jobs = await fulfilmentService.processDue();
+  return { jobs, count: jobs.length };
+}));
+
+/**
+ * GET /api/jobs/retry-webhooks
+ * Retry failed webhook events whose next attempt is due
+ * Handlers are registered by routes/payments.js and routes/shiprocket.js (loaded by server.js).
+ * Access: cron (CRON_SECRET), ops, admin
+ */
+router.get('/retry-webhooks', cronAuth(PERMISSIONS.JOBS_RUN), runJob('retry-webhooks', async () => {
+  const retried = await webhookInboxService.retryAllDue();
+  return { retried };
+}));
+
+module.exports = router;
@@ -1,31 +1,62 @@
 const express = require('express');
 const orderService = require('../services/orderService');
+const orderSagaService = require('../services/orderSagaService');
+const refundService = require('../services/refundService');
+const orderLifecycleService = require('../services/orderLifecycleService');
+const inventoryService = require('../services/inventoryService');
+const fulfilmentService = require('../services/fulfilmentService');
+const shipmentTrackingService = require('../services/shipmentTrackingService');
+const addressService = require('../services/addressService');
+const serviceabilityService = require('../services/serviceabilityService');
+const returnService = require('../services/returnService');
+const invoiceService = require('../services/invoiceService');
 const authMiddleware = require('../middlewares/auth');
+const { requirePermission } = require('../middlewares/authorize');
+const { PERMISSIONS } = require('../config/roles');
 const router = express.Router();
 
 /**
  * POST /api/orders/place
- * Place a new order with shop tokens deduction
+ * Place a new order paid with shop tokens, rupees (Razorpay) or both
  * 
  * Request Body:
  * {
  *   "items": [
  *     {
  *       "productId": "product_hygraph_id",
- *       "productName": "Product Name",
  *       "quantity": 2,
- *       "price": 500,           // Price in rupees per item
- *       "shopTokensPrice": 100  // Shop tokens per item (optional)
+ *       "price": 500,           // Optional - price the client showed, checked against the catalog
+ *       "shopTokensPrice": 100  // Optional - token price the client showed, checked against the catalog
  *     }
  *   ],
- *   "shippingAddressId": "address_hygraph_id",  // Optional
- *   "notes": "Special delivery instructions"     // Optional
+ *   "totalAmount": 1000,          // Optional - client total, checked against the catalog
+ *   "totalShopTokens": 200,       // Optional - client token total, checked against the catalog
+ *   "shippingAddressId": "address_hygraph_id",  // Optional - default address if omitted
+ *   "notes": "Special delivery instructions",    // Optional
+ *   "paymentMethod": "mixed",     // Optional - 'shop_tokens' (default), 'rupees', 'mixed' or 'cod'
+ *   "shopTokensToUse": 120,       // Required for 'mixed' - tokens to apply, the rest is paid in rupees
+ *   "rupeesAmount": 400           // Optional - rupee part the client showed, checked
  * }
+ *
+ * Prices always come from the Hygraph Product catalog.
+ * Orders with a rupee part are returned with `payment` (Razorpay order) and stay
+ * pending until the payment is captured; they are cancelled (tokens and stock
+ * released) if it fails or isn't completed in time. Cash on delivery ('cod') orders
+ * are confirmed right away; the amount to collect is returned as `amountToCollect`.
  */
 router.post('/place', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { items, shippingAddressId, notes } = req.body;
+    const {
+      items,
+      shippingAddressId,
+      notes,
+      totalAmount,
+      totalShopTokens,
+      paymentMethod,
+      shopTokensToUse,
+      rupeesAmount
+    } = req.body;
 
     // Validate required fields
     if (!items || !Array.isArray(items) || items.length === 0) {
@@ -37,14 +68,18 @@ router.post('/place', authMiddleware, async (req, res) => {
     }
 
     console.log(`🛒 Order placement request from user: ${userId} (${req.user.firstName} ${req.user.lastName})`);
-    console.log(`   Items: ${items.length}, Address: ${shippingAddressId || 'Not provided'}`);
+    console.log(`   Items: ${items.length}, Address: ${shippingAddressId || 'default'}`);
 
-    // Place the order
+    // Place the order (persisted saga - compensated automatically on failure)
     const result = await orderService.placeOrder({
       userId,
       items,
       shippingAddressId,
-      notes
+      notes,
+      paymentMethod,
+      shopTokensToUse,
+      rupeesAmount,
+      expectedTotals: { totalAmount, totalShopTokens }
     });
 
     console.log(`✅ Order placed: ${result.order.orderNumber}`);
@@ -54,7 +89,8 @@ router.post('/place', authMiddleware, async (req, res) => {
       message: result.message,
       data: {
         order: result.order,
-        shopTokens: result.shopTokens
+        shopTokens: result.shopTokens,
+        payment: result.payment
       }
     });
 
@@ -70,7 +106,27 @@ router.post('/place', authMiddleware, async (req, res) => {
       });
     }
 
-    if (error.message.includes('must have') || error.message.includes('must contain')) {
+    if (error.message.includes('Price mismatch')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Price Mismatch',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Out of stock')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Out of Stock',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('must have') || error.message.includes('must contain') ||
+        error.message.includes('Product not found') || error.message.includes('not available') ||
+        error.message.includes('per order') || error.message.includes('Invalid payment') ||
+        error.message.includes('Address not found') || error.message.includes('Shipping address is required') ||
+        error.message.includes('Delivery not available')) {
       return res.status(400).json({
         success: false,
         error: 'Validation Error',
@@ -86,6 +142,211 @@ router.post('/place', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/orders/admin/sagas
+ * List unfinished order placements (ops)
+ * Access: ops, admin
+ *
+ * Query Parameters:
+ * - status: 'active' (running/compensating, default), 'failed' (needs manual attention)
+ *   or 'awaiting_payment' (waiting for the rupee payment)
+ * - limit: Number of sagas to fetch (default: 50)
+ */
+router.get('/admin/sagas', authMiddleware, requirePermission(PERMISSIONS.ORDERS_RECOVER), async (req, res) => {
+  try {
+    const status = ['failed', 'awaiting_payment'].includes(req.query.status) ? req.query.status : 'active';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const sagas = await orderSagaService.listSagas(status, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status,
+        sagas,
+        count: sagas.length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error listing order sagas:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to list order sagas'
+    });
+  }
+});
+
+/**
+ * POST /api/orders/admin/sagas/recover
+ * Run order placement recovery now (same as the background job)
+ * Access: ops, admin
+ */
+router.post('/admin/sagas/recover', authMiddleware, requirePermission(PERMISSIONS.ORDERS_RECOVER), async (req, res) => {
+  try {
+    const results = await orderSagaService.recoverStale();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        results,
+        count: results.length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error recovering order sagas:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to recover order sagas'
+    });
+  }
+});
+
+/**
+ * POST /api/orders/admin/sagas/:sagaId/resume
+ * Resume a single unfinished (or failed) order placement
+ * Access: ops, admin
+ */
+router.post('/admin/sagas/:sagaId/resume', authMiddleware, requirePermission(PERMISSIONS.ORDERS_RECOVER), async (req, res) => {
+  try {
+    const result = await orderSagaService.resume(req.params.sagaId);
+
+    if (result.status === 'missing') {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Order saga not found'
+      });
+    }
+
+    if (result.status === 'busy') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Order saga is being processed right now'
+      });
+    }
+
+    res.status(200).json({
+      success: !result.error,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error resuming order saga:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to resume order saga'
+    });
+  }
+});
+
+/**
+ * GET /api/orders/admin/fulfilment
+ * List Shiprocket shipment creation jobs
+ * Access: ops, admin
+ *
+ * Query Parameters:
+ * - status: 'queued' (waiting for an attempt, default) or 'failed' (gave up - needs manual attention)
+ * - limit: Number of jobs to fetch (default: 50)
+ */
+router.get('/admin/fulfilment', authMiddleware, requirePermission(PERMISSIONS.SHIPMENTS_CREATE), async (req, res) => {
+  try {
+    const status = req.query.status === 'failed' ? 'failed' : 'queued';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const jobs = await fulfilmentService.listJobs(status, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status,
+        jobs,
+        count: jobs.length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error listing fulfilment jobs:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to list fulfilment jobs'
+    });
+  }
+});
+
+/**
+ * GET /api/orders/admin/returns
+ * List return requests to review or follow up
+ * Access: admin
+ *
+ * Query Parameters:
+ * - status: 'requested' (default), 'approved', 'received', 'refunded' or 'rejected'
+ * - limit: Number of returns to fetch (default: 50)
+ */
+router.get('/admin/returns', authMiddleware, requirePermission(PERMISSIONS.RETURNS_MANAGE), async (req, res) => {
+  try {
+    const status = Object.values(returnService.RETURN_STATUS).includes(req.query.status)
+      ? req.query.status
+      : returnService.RETURN_STATUS.REQUESTED;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const returns = await returnService.listByStatus(status, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status,
+        returns,
+        count: returns.length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error listing returns:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to list returns'
+    });
+  }
+});
+
+/**
+ * GET /api/orders/admin/refunds-due
+ * List orders owed a refund nobody has made yet (prepaid shipments returned to
+ * origin, COD cash to pay back)
+ * Access: ops, admin
+ *
+ * Query Parameters:
+ * - limit: Number of orders to fetch (default: 50)
+ *
+ * Refund them with POST /api/orders/:orderId/refunds; a full refund clears the flag.
+ * Manual (COD cash) refunds keep it until POST /api/orders/:orderId/refunds/:refundId/mark-paid.
+ */
+router.get('/admin/refunds-due', authMiddleware, requirePermission(PERMISSIONS.ORDERS_REFUND), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const orders = await refundService.listRefundsDue(limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orders,
+        count: orders.length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error listing refunds due:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to list refunds due'
+    });
+  }
+});
+
 /**
  * GET /api/orders
  * Get user's orders with optional filters
@@ -132,7 +393,7 @@ router.get('/', authMiddleware, async (req, res) => {
 
 /**
  * GET /api/orders/:orderId
- * Get single order details by ID
+ * Get single order details by ID (with statusHistory: who changed the status, when and why)
  */
 router.get('/:orderId', authMiddleware, async (req, res) => {
   try {
@@ -185,9 +446,128 @@ router.get('/:orderId', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/orders/:orderId/tracking
+ * Get the shipment tracking timeline of an order
+ *
+ * Response `data.tracking`:
+ * {
+ *   "awbCode", "courierName",
+ *   "etd": "2026-10-21T12:30:00.000Z",  // Estimated delivery
+ *   "source": "events",                 // 'events' (Shiprocket webhooks), 'live' (Shiprocket, cached) or null (not shipped yet)
+ *   "timeline": [{ "status", "statusId", "activity", "location", "timestamp" }]  // Oldest first
+ * }
+ */
+router.get('/:orderId/tracking', authMiddleware, async (req, res) => {
+  try {
+    // Checks that the order belongs to the caller
+    const order = await orderService.getOrderById(req.params.orderId, req.user.id);
+    const tracking = await shipmentTrackingService.getTracking(order);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tracking
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching order tracking:', error.message);
+
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to fetch order tracking'
+    });
+  }
+});
+
+/**
+ * GET /api/orders/:orderId/invoice
+ * Download the GST tax invoice of an order (PDF)
+ * Generated and numbered the first time it's requested (once the order is confirmed);
+ * later requests return the same invoice.
+ */
+router.get('/:orderId/invoice', authMiddleware, async (req, res) => {
+  try {
+    // Checks that the order belongs to the caller
+    await orderService.getOrderById(req.params.orderId, req.user.id);
+
+    const invoice = await invoiceService.getOrCreateInvoice(req.params.orderId);
+    const pdf = await invoiceService.renderPdf(invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`);
+    res.status(200).send(pdf);
+  } catch (error) {
+    console.error('❌ Error generating invoice:', error.message);
+
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invoice not available')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invoicing is not configured')) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service Unavailable',
+        message: error.message
+      });
+    }
+
+    if (error.code === 'LOCK_NOT_ACQUIRED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'The invoice is being generated - try again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to generate invoice'
+    });
+  }
+});
+
 /**
  * POST /api/orders/:orderId/cancel
- * Cancel an order and refund shop tokens
+ * Cancel an order and refund shop tokens and any Razorpay payment
  * 
  * Request Body:
  * {
@@ -210,6 +590,7 @@ router.post('/:orderId/cancel', authMiddleware, async (req, res) => {
 
     console.log(`❌ Order cancellation request: ${orderId} by user: ${userId}`);
 
+    // Orders waiting for their rupee payment are cancelled through the placement saga
     const result = await orderService.cancelOrder(orderId, userId, reason);
 
     console.log(`✅ Order cancelled: ${result.order.orderNumber}`);
@@ -219,7 +600,8 @@ router.post('/:orderId/cancel', authMiddleware, async (req, res) => {
       message: result.message,
       data: {
         order: result.order,
-        shopTokensRefund: result.shopTokensRefund
+        shopTokensRefund: result.shopTokensRefund,
+        refund: result.refund
       }
     });
 
@@ -250,6 +632,14 @@ router.post('/:orderId/cancel', authMiddleware, async (req, res) => {
       });
     }
 
+    if (error.message.includes('Illegal order status transition')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
@@ -259,59 +649,571 @@ router.post('/:orderId/cancel', authMiddleware, async (req, res) => {
 });
 
 /**
- * GET /api/orders/check-balance/:tokensRequired
- * Check if user has sufficient shop tokens for an order
- * 
- * Useful for frontend validation before placing order
+ * POST /api/orders/:orderId/status
+ * Move an order to a new status (only allowed transitions)
+ * Access: ops, admin
+ *
+ * Request Body:
+ * {
+ *   "status": "processing",
+ *   "reason": "Packed at warehouse"  // Optional
+ * }
  */
-router.get('/check-balance/:tokensRequired', authMiddleware, async (req, res) => {
+router.post('/:orderId/status', authMiddleware, requirePermission(PERMISSIONS.ORDERS_MANAGE), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const tokensRequired = parseInt(req.params.tokensRequired);
+    const { status, reason } = req.body;
 
-    if (isNaN(tokensRequired) || tokensRequired < 0) {
+    if (!status) {
       return res.status(400).json({
         success: false,
         error: 'Bad Request',
-        message: 'Valid token amount is required'
+        message: 'status is required'
       });
     }
 
-    const balanceCheck = await orderService.checkShopTokenBalance(userId, tokensRequired);
+    const result = await orderLifecycleService.transition(req.params.orderId, status, {
+      actor: `user:${req.user.id}`,
+      source: 'admin',
+      reason: reason || null
+    });
 
     res.status(200).json({
       success: true,
-      data: {
-        sufficient: balanceCheck.sufficient,
-        currentBalance: balanceCheck.currentBalance,
-        requiredTokens: balanceCheck.requiredTokens,
-        shortfall: balanceCheck.shortfall || 0
-      }
+      message: result.changed ? 'Order status updated' : 'Order already has this status',
+      data: result
     });
-
   } catch (error) {
-    console.error('❌ Error checking balance:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Internal Server Error',
-      message: error.message || 'Failed to check balance'
-    });
-  }
-});
-
-/**
- * POST /api/orders/validate
- * Validate order items before placing
- * 
- * Request Body:
- * {
- *   "items": [...]
- * }
- */
-router.post('/validate', authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { items } = req.body;
+    console.error('❌ Error updating order status:', error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid order status')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Illegal order status transition')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to update order status'
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:orderId/fulfilment
+ * Create the Shiprocket shipment for a confirmed order now
+ * (queues the order, or retries a failed one)
+ * Access: ops, admin
+ */
+router.post('/:orderId/fulfilment', authMiddleware, requirePermission(PERMISSIONS.SHIPMENTS_CREATE), async (req, res) => {
+  try {
+    await fulfilmentService.requeue(req.params.orderId);
+    const job = await fulfilmentService.fulfil(req.params.orderId);
+
+    res.status(200).json({
+      success: job.status === 'created',
+      message: job.status === 'created'
+        ? 'Shipment created'
+        : `Shipment not created (${job.status}): ${job.lastError}`,
+      data: job
+    });
+  } catch (error) {
+    if (error.code === 'LOCK_NOT_ACQUIRED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Shipment creation for this order is already in progress'
+      });
+    }
+
+    console.error('❌ Error creating shipment:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to create shipment'
+    });
+  }
+});
+
+/**
+ * GET /api/orders/:orderId/refunds
+ * Get refunds of an order (status follows Razorpay refund webhooks)
+ */
+router.get('/:orderId/refunds', authMiddleware, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    // Ownership check
+    await orderService.getOrderById(orderId, req.user.id);
+
+    const refunds = await refundService.listRefunds(orderId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        refunds,
+        count: refunds.length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching refunds:', error.message);
+
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to fetch refunds'
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:orderId/refunds
+ * Refund an order in full or by line item
+ * Access: ops, admin
+ *
+ * Request Body:
+ * {
+ *   "items": [                                   // Optional - omit to refund everything not yet refunded
+ *     { "orderItemId": "order_item_id", "quantity": 1 }
+ *   ],
+ *   "reason": "Damaged in transit"               // Optional
+ * }
+ *
+ * Rupees go back via Razorpay and tokens via the ledger, in the proportion the order was paid.
+ */
+router.post('/:orderId/refunds', authMiddleware, requirePermission(PERMISSIONS.ORDERS_REFUND), async (req, res) => {
+  try {
+    const { items, reason } = req.body;
+
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'items must be a non-empty array of { orderItemId, quantity }'
+      });
+    }
+
+    const result = await refundService.refundOrder(req.params.orderId, {
+      items: items || null,
+      reason: reason || `Refund by ${req.user.id}`
+    });
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Nothing to refund for this order'
+      });
+    }
+
+    console.log(`💸 Refund ${result.refund.id} issued by ${req.user.id}: ₹${result.rupees}, ${result.shopTokens} tokens`);
+
+    res.status(201).json({
+      success: true,
+      message: result.refund.refundStatus === 'failed'
+        ? 'Refund recorded but the Razorpay refund failed - retry it'
+        : 'Refund issued',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error refunding order:', error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Cannot refund') || error.message.includes('Nothing to refund')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to refund order'
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:orderId/refunds/:refundId/retry
+ * Request a failed Razorpay refund again
+ * Access: ops, admin
+ */
+router.post('/:orderId/refunds/:refundId/retry', authMiddleware, requirePermission(PERMISSIONS.ORDERS_REFUND), async (req, res) => {
+  try {
+    const refund = await refundService.retryRefund(req.params.orderId, req.params.refundId);
+
+    res.status(200).json({
+      success: refund.refundStatus !== 'failed',
+      message: refund.refundStatus === 'failed' ? 'Razorpay refund failed again' : 'Refund requested',
+      data: refund
+    });
+  } catch (error) {
+    console.error('❌ Error retrying refund:', error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('cannot be retried')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to retry refund'
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:orderId/refunds/:refundId/mark-paid
+ * Record a manual refund (cash collected for a COD order) as paid back to the customer
+ * Access: ops, admin
+ */
+router.post('/:orderId/refunds/:refundId/mark-paid', authMiddleware, requirePermission(PERMISSIONS.ORDERS_REFUND), async (req, res) => {
+  try {
+    const refund = await refundService.markManualRefundPaid(req.params.orderId, req.params.refundId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund marked paid',
+      data: refund
+    });
+  } catch (error) {
+    console.error('❌ Error marking refund paid:', error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('cannot be marked paid')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to mark refund paid'
+    });
+  }
+});
+
+/**
+ * Map return errors to responses
+ */
+function handleReturnError(res, error, fallbackMessage) {
+  console.error(`❌ ${fallbackMessage}:`, error.message);
+
+  if (error.message.includes('Unauthorized')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: error.message
+    });
+  }
+
+  // Checked before 'not found' ("Invalid return: order item not found")
+  if (error.message.includes('Invalid return') || error.message.includes('cannot be returned') ||
+      error.message.includes('Return window closed')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Return cannot be') || error.code === 'LOCK_NOT_ACQUIRED') {
+    return res.status(409).json({
+      success: false,
+      error: 'Conflict',
+      message: error.code === 'LOCK_NOT_ACQUIRED' ? 'This return is being updated - try again' : error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal Server Error',
+    message: error.message || fallbackMessage
+  });
+}
+
+/**
+ * GET /api/orders/:orderId/returns
+ * Get return and exchange requests of an order
+ */
+router.get('/:orderId/returns', authMiddleware, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    // Ownership check
+    await orderService.getOrderById(orderId, req.user.id);
+
+    const returns = await returnService.listReturns(orderId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        returns,
+        count: returns.length
+      }
+    });
+  } catch (error) {
+    handleReturnError(res, error, 'Failed to fetch returns');
+  }
+});
+
+/**
+ * POST /api/orders/:orderId/returns
+ * Ask to return or exchange items of a delivered order
+ *
+ * Request Body:
+ * {
+ *   "type": "return",                // Optional - 'return' (refund, default) or 'exchange'
+ *   "items": [
+ *     {
+ *       "orderItemId": "order_item_id",
+ *       "quantity": 1,
+ *       "reason": "damaged",         // damaged, defective, wrong_item, size_issue, not_as_described, changed_mind, other
+ *       "comment": "Box was crushed", // Optional
+ *       "photos": ["https://..."]    // Up to 5 - required for damaged, defective and wrong_item
+ *     }
+ *   ]
+ * }
+ *
+ * Accepted within RETURN_WINDOW_DAYS (default 7) of delivery. An admin reviews the request.
+ */
+router.post('/:orderId/returns', authMiddleware, async (req, res) => {
+  try {
+    const { type, items } = req.body;
+
+    const returnRequest = await returnService.createReturn(req.params.orderId, req.user.id, { type, items });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested - we will review it shortly',
+      data: {
+        return: returnRequest
+      }
+    });
+  } catch (error) {
+    handleReturnError(res, error, 'Failed to request return');
+  }
+});
+
+/**
+ * POST /api/orders/:orderId/returns/:returnId/approve
+ * Approve a return and schedule the Shiprocket reverse pickup
+ * (approving again retries a pickup that failed - see pickupError)
+ * Access: admin
+ *
+ * Request Body:
+ * {
+ *   "note": "Approved - pickup in 2 days"  // Optional
+ * }
+ */
+router.post('/:orderId/returns/:returnId/approve', authMiddleware, requirePermission(PERMISSIONS.RETURNS_MANAGE), async (req, res) => {
+  try {
+    const returnRequest = await returnService.approve(req.params.orderId, req.params.returnId, {
+      reviewerId: req.user.id,
+      note: req.body.note || null
+    });
+
+    res.status(200).json({
+      success: !returnRequest.pickupError,
+      message: returnRequest.pickupError
+        ? `Return approved but the reverse pickup failed: ${returnRequest.pickupError} - approve again to retry`
+        : 'Return approved - reverse pickup scheduled',
+      data: {
+        return: returnRequest
+      }
+    });
+  } catch (error) {
+    handleReturnError(res, error, 'Failed to approve return');
+  }
+});
+
+/**
+ * POST /api/orders/:orderId/returns/:returnId/reject
+ * Reject a return request
+ * Access: admin
+ *
+ * Request Body:
+ * {
+ *   "note": "Item shows signs of use"  // Required - shown to the customer
+ * }
+ */
+router.post('/:orderId/returns/:returnId/reject', authMiddleware, requirePermission(PERMISSIONS.RETURNS_MANAGE), async (req, res) => {
+  try {
+    const returnRequest = await returnService.reject(req.params.orderId, req.params.returnId, {
+      reviewerId: req.user.id,
+      note: req.body.note
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Return rejected',
+      data: {
+        return: returnRequest
+      }
+    });
+  } catch (error) {
+    handleReturnError(res, error, 'Failed to reject return');
+  }
+});
+
+/**
+ * POST /api/orders/:orderId/returns/:returnId/receive
+ * Confirm a return reached the warehouse: restocks the items and refunds a return
+ * (Shiprocket does this when the reverse pickup is delivered; calling it again retries the refund)
+ * Access: admin
+ */
+router.post('/:orderId/returns/:returnId/receive', authMiddleware, requirePermission(PERMISSIONS.RETURNS_MANAGE), async (req, res) => {
+  try {
+    const returnRequest = await returnService.receive(req.params.orderId, req.params.returnId, {
+      actor: `user:${req.user.id}`
+    });
+
+    res.status(200).json({
+      success: !returnRequest.error,
+      message: returnRequest.error
+        ? `Return received but the refund failed: ${returnRequest.error}`
+        : returnRequest.returnStatus === 'refunded' ? 'Return received and refunded' : 'Exchange received',
+      data: {
+        return: returnRequest
+      }
+    });
+  } catch (error) {
+    handleReturnError(res, error, 'Failed to receive return');
+  }
+});
+
+/**
+ * GET /api/orders/check-balance/:tokensRequired
+ * Check if user has sufficient shop tokens for an order
+ * 
+ * Useful for frontend validation before placing order
+ */
+router.get('/check-balance/:tokensRequired', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const tokensRequired = parseInt(req.params.tokensRequired);
+
+    if (isNaN(tokensRequired) || tokensRequired < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Valid token amount is required'
+      });
+    }
+
+    const balanceCheck = await orderService.checkShopTokenBalance(userId, tokensRequired);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sufficient: balanceCheck.sufficient,
+        currentBalance: balanceCheck.currentBalance,
+        requiredTokens: balanceCheck.requiredTokens,
+        shortfall: balanceCheck.shortfall || 0
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error checking balance:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'Failed to check balance'
+    });
+  }
+});
+
+/**
+ * POST /api/orders/validate
+ * Validate order items before placing
+ * 
+ * Request Body:
+ * {
+ *   "items": [...],
+ *   "shippingAddressId": "address_hygraph_id",  // Optional - default address if omitted
+ *   "pincode": "560001"                         // Optional - checked instead of an address
+ * }
+ *
+ * `serviceability` is null when there is no address to check, and has
+ * `serviceable: null` when the check itself failed.
+ */
+router.post('/validate', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { items, totalAmount, totalShopTokens, shippingAddressId, pincode } = req.body;
 
     if (!items || !Array.isArray(items)) {
       return res.status(400).json({
@@ -321,13 +1223,13 @@ router.post('/validate', authMiddleware, async (req, res) => {
       });
     }
 
-    // Validate items
-    const validation = orderService.validateOrderItems(items);
+    // Validate items and price them from the catalog
+    const validation = await orderService.validateOrderItems(items, { totalAmount, totalShopTokens });
 
     if (!validation.valid) {
-      return res.status(400).json({
+      return res.status(validation.priceMismatch ? 409 : 400).json({
         success: false,
-        error: 'Validation Error',
+        error: validation.priceMismatch ? 'Price Mismatch' : 'Validation Error',
         message: validation.error
       });
     }
@@ -338,10 +1240,29 @@ router.post('/validate', authMiddleware, async (req, res) => {
       balanceCheck = await orderService.checkShopTokenBalance(userId, validation.totalShopTokens);
     }
 
+    // Per-item stock availability (warn before checkout)
+    const availability = await inventoryService.getAvailability(validation.items);
+
+    // Delivery to the chosen address (or pincode)
+    let deliveryPincode = pincode || null;
+    if (!deliveryPincode) {
+      const address = shippingAddressId
+        ? await addressService.getAddress(shippingAddressId, userId)
+        : await addressService.getDefaultAddress(userId);
+      deliveryPincode = address?.pincode || null;
+    }
+    const serviceability = deliveryPincode
+      ? await serviceabilityService.checkSafely(String(deliveryPincode))
+      : null;
+
     res.status(200).json({
       success: true,
       data: {
         valid: true,
+        items: validation.items,
+        availability,
+        allInStock: availability.every(item => item.inStock),
+        serviceability,
         itemCount: validation.itemCount,
         totalAmount: validation.totalAmount,
         totalShopTokens: validation.totalShopTokens,
@@ -356,6 +1277,14 @@ router.post('/validate', authMiddleware, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error validating order:', error.message);
+
+    if (error.message.includes('Address not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
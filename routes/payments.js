@@ -2,14 +2,31 @@ const express = require('express');
 const router = express.Router();
 const razorpayService = require('../services/razorpayService');
 const hygraphService = require('../services/hygraphService');
+const webhookInboxService = require('../services/webhookInboxService');
+const paymentReconciliationService = require('../services/paymentReconciliationService');
+const refundService = require('../services/refundService');
+const { OUTCOMES } = paymentReconciliationService;
+const authMiddleware = require('../middlewares/auth');
 
 /**
  * POST /api/payments/create-order
  * Create Razorpay order
+ * Access: authenticated user (payment is always created for the caller)
  */
-router.post('/create-order', async (req, res) => {
+router.post('/create-order', authMiddleware, async (req, res) => {
   try {
-    const { amount, currency = 'INR', receipt, notes, userId, orderNumber, shippingAddressId } = req.body;
+    const { amount, currency = 'INR', receipt, orderNumber, shippingAddressId } = req.body;
+    const userId = req.user.id;
+
+    // The paying user always comes from the token - never from the body
+    const requestedUserId = req.body.userId || req.body.notes?.userId;
+    if (requestedUserId && requestedUserId !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot create a payment for another user'
+      });
+    }
+    const notes = { ...(req.body.notes || {}), userId };
 
     // Validation
     if (!amount || amount <= 0) {
@@ -19,24 +36,12 @@ router.post('/create-order', async (req, res) => {
       });
     }
 
-    // userId is required for Hygraph integration
     // Check if Hygraph is configured (only endpoint is required, token is optional)
-    // Support userId from root level or from notes object (for wallet top-ups)
-    const userIdForHygraph = userId || notes?.userId;
     const isHygraphConfigured = process.env.HYGRAPH_ENDPOINT;
     console.log('🔍 Hygraph Configuration Check:');
     console.log('  HYGRAPH_ENDPOINT:', process.env.HYGRAPH_ENDPOINT || 'NOT SET');
     console.log('  isHygraphConfigured:', isHygraphConfigured ? 'YES' : 'NO');
-    console.log('  userId provided (root):', userId ? 'YES' : 'NO');
-    console.log('  userId provided (notes):', notes?.userId ? 'YES' : 'NO');
-    console.log('  userId for Hygraph:', userIdForHygraph ? userIdForHygraph : 'NOT FOUND');
-    
-    if (isHygraphConfigured && !userIdForHygraph) {
-      return res.status(400).json({
-        success: false,
-        message: 'userId is required for Hygraph integration (provide in body or notes.userId)'
-      });
-    }
+    console.log('  userId for Hygraph:', userId);
 
     // Convert amount to paise (Razorpay expects amount in smallest currency unit)
     const amountInPaise = Math.round(amount * 100);
@@ -46,18 +51,18 @@ router.post('/create-order', async (req, res) => {
       amount: amountInPaise,
       currency: currency.toUpperCase(),
       receipt: receipt || `receipt_${Date.now()}`,
-      notes: notes || {}
+      notes
     });
 
     // Check if this is a wallet top-up (don't create Order for wallet top-ups)
-    const isWalletTopup = notes?.type === 'wallet_topup' || req.body.notes?.type === 'wallet_topup';
+    const isWalletTopup = notes.type === 'wallet_topup';
 
     // Create payment record in Hygraph (payment is created before order is paid)
     let hygraphPayment = null;
-    if (userIdForHygraph && isHygraphConfigured) {
+    if (userId && isHygraphConfigured) {
       try {
         hygraphPayment = await hygraphService.createPayment({
-          userId: userIdForHygraph,
+          userId,
           razorpayOrderId: order.id,
           amount: amountInPaise, // Amount in paise (service converts to rupees)
           currency: currency.toUpperCase(),
@@ -73,10 +78,10 @@ router.post('/create-order', async (req, res) => {
 
     // Create order in Hygraph ONLY if NOT a wallet top-up and orderNumber is provided
     let hygraphOrder = null;
-    if (!isWalletTopup && userIdForHygraph && orderNumber && isHygraphConfigured) {
+    if (!isWalletTopup && userId && orderNumber && isHygraphConfigured) {
       try {
         hygraphOrder = await hygraphService.createOrder({
-          userId: userIdForHygraph,
+          userId,
           orderNumber,
           totalAmount: amountInPaise, // Amount in paise (service converts to rupees)
           orderStatus: 'pending', // OrderStatus enum: lowercase
@@ -153,6 +158,7 @@ router.post('/create-order', async (req, res) => {
 /**
  * POST /api/payments/verify-signature
  * Verify Razorpay payment signature
+ * Access: public (authorized by the Razorpay signature)
  */
 router.post('/verify-signature', async (req, res) => {
   try {
@@ -170,60 +176,31 @@ router.post('/verify-signature', async (req, res) => {
     const isValid = razorpayService.verifySignature(orderId, paymentId, signature);
 
     if (isValid) {
-      // Update Hygraph after successful verification (if configured)
+      // Reconcile payment in Hygraph after successful verification (if configured)
+      let reconciliation = null;
       const isHygraphConfigured = process.env.HYGRAPH_ENDPOINT;
       if (isHygraphConfigured) {
         try {
-          // Get payment details from Razorpay to get status
           const razorpayPayment = await razorpayService.getPayment(paymentId);
-          const hygraphPaymentStatus = hygraphService.mapRazorpayStatusToHygraph(razorpayPayment.status);
-
-          // Get Razorpay order to check if it's wallet top-up
-          const razorpayOrder = await razorpayService.getOrder(orderId);
-          const isWalletTopup = razorpayOrder?.notes?.type === 'wallet_topup';
-
-          // Update payment status in Hygraph
-          await hygraphService.updatePaymentStatus(orderId, hygraphPaymentStatus, {
-            razorpayPaymentId: paymentId,
-            method: razorpayPayment.method || null
+          reconciliation = await paymentReconciliationService.reconcile({
+            razorpayOrderId: orderId,
+            razorpayPayment,
+            source: 'verify-signature'
           });
-          console.log('✅ Payment status updated in Hygraph:', hygraphPaymentStatus);
-
-          // Handle wallet top-up or regular order
-          if (hygraphPaymentStatus === 'confirmed') {
-            try {
-              const payment = await hygraphService.findPaymentByRazorpayOrderId(orderId);
-              
-              if (isWalletTopup && payment) {
-                // Wallet top-up: Update wallet balance
-                const userId = payment.userDetail?.id || razorpayOrder?.notes?.userId;
-                const amountInRupees = razorpayPayment.amount / 100; // Convert from paise to rupees
-                
-                if (userId) {
-                  await hygraphService.updateWalletBalance(userId, amountInRupees);
-                  console.log(`✅ Wallet balance updated: +₹${amountInRupees} for user ${userId}`);
-                } else {
-                  console.warn('⚠️  userId not found for wallet top-up');
-                }
-              } else if (payment && payment.order?.id) {
-                // Regular order: Update order status
-                await hygraphService.updateOrderStatus(payment.order.id, 'confirmed');
-                console.log('✅ Order status updated to confirmed in Hygraph');
-              }
-            } catch (updateError) {
-              console.error('⚠️  Failed to update order/wallet:', updateError.message);
-            }
-          }
-        } catch (hygraphError) {
-          console.error('⚠️  Failed to update Hygraph:', hygraphError.message);
-          // Continue even if Hygraph update fails - signature verification succeeded
+          console.log(`✅ Payment reconciled: ${reconciliation.outcome}`);
+        } catch (reconcileError) {
+          console.error('⚠️  Failed to reconcile payment:', reconcileError.message);
+          // Continue even if reconciliation fails - signature verification succeeded
+          // (the webhook will retry reconciliation)
+          reconciliation = { outcome: OUTCOMES.FAILED, message: reconcileError.message };
         }
       }
       
       res.json({
         success: true,
         verified: true,
-        message: 'Payment signature verified successfully'
+        message: 'Payment signature verified successfully',
+        reconciliation
       });
     } else {
       res.status(400).json({
@@ -242,28 +219,107 @@ router.post('/verify-signature', async (req, res) => {
   }
 });
 
+/**
+ * Process a Razorpay webhook event
+ * Throws on failure so the webhook inbox can retry the event.
+ * @param {Object} event - Parsed Razorpay webhook event
+ */
+async function handleRazorpayEvent(event) {
+  // Nothing to update without Hygraph
+  const isHygraphConfigured = process.env.HYGRAPH_ENDPOINT;
+
+  switch (event.event) {
+    case 'payment.captured':
+    case 'order.paid': {
+      // Payment successful (order.paid carries the payment entity as well)
+      const paymentEntity = event.payload.payment?.entity;
+      const razorpayOrderId = paymentEntity?.order_id || event.payload.order?.entity?.id;
+
+      console.log(`${event.event}:`, paymentEntity?.id, 'for order:', razorpayOrderId);
+
+      if (!isHygraphConfigured) break;
+
+      if (!paymentEntity) {
+        console.warn(`⚠️  ${event.event} without payment entity - nothing to reconcile`);
+        break;
+      }
+
+      const result = await paymentReconciliationService.reconcile({
+        razorpayOrderId,
+        razorpayPayment: paymentEntity,
+        source: 'webhook'
+      });
+      console.log(`✅ Payment reconciled: ${result.outcome}`);
+      break;
+    }
+    case 'payment.failed': {
+      // Payment failed
+      const paymentEntity = event.payload.payment.entity;
+
+      console.log('Payment failed:', paymentEntity.id, 'for order:', paymentEntity.order_id);
+
+      if (!isHygraphConfigured) break;
+
+      await paymentReconciliationService.handleFailure({
+        razorpayOrderId: paymentEntity.order_id,
+        razorpayPaymentId: paymentEntity.id,
+        method: paymentEntity.method,
+        source: 'webhook'
+      });
+      break;
+    }
+    case 'refund.processed':
+    case 'refund.failed': {
+      // Refund finished at Razorpay (processed: money returned)
+      const refundEntity = event.payload.refund.entity;
+
+      console.log(`${event.event}:`, refundEntity.id, 'for payment:', refundEntity.payment_id);
+
+      if (!isHygraphConfigured) break;
+
+      await refundService.handleRefundEvent(refundEntity, event.event === 'refund.processed' ? 'processed' : 'failed');
+      break;
+    }
+    default:
+      console.log('Unhandled webhook event:', event.event);
+  }
+}
+
+webhookInboxService.registerHandler('razorpay', handleRazorpayEvent);
+
 /**
  * POST /api/payments/webhook
  * Handle Razorpay webhooks (optional but recommended)
+ * Access: public (called by Razorpay, authorized by the webhook signature)
  * Note: Webhook secret verification is optional but recommended for security
+ *
+ * Events are stored in the webhook inbox by Razorpay event id
+ * (x-razorpay-event-id) and processed at most once. A failed event returns
+ * 500 so Razorpay redelivers it; the inbox also retries it in the background.
+ * An event that exhausted its retries (dead) also returns 500.
  */
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+router.post('/webhook', async (req, res) => {
   try {
     const webhookSignature = req.headers['x-razorpay-signature'];
     const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
 
-    // Parse event first
-    const event = JSON.parse(req.body.toString());
+    // Signature must be computed over the exact bytes Razorpay sent
+    const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body));
+    const event = req.body;
 
     // Verify webhook signature if secret is configured
     if (webhookSecret) {
       const crypto = require('crypto');
       const expectedSignature = crypto
         .createHmac('sha256', webhookSecret)
-        .update(JSON.stringify(req.body))
+        .update(rawBody)
         .digest('hex');
 
-      if (webhookSignature !== expectedSignature) {
+      const isValid = typeof webhookSignature === 'string' &&
+        webhookSignature.length === expectedSignature.length &&
+        crypto.timingSafeEqual(Buffer.from(webhookSignature), Buffer.from(expectedSignature));
+
+      if (!isValid) {
         console.warn('⚠️  Invalid webhook signature - potential security risk');
         return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
       }
@@ -271,109 +327,45 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
       console.warn('⚠️  Webhook secret not configured - webhook accepted without verification (less secure)');
     }
 
-    console.log('Webhook received:', event.event, event.payload);
-
-    // Handle different webhook events
-    switch (event.event) {
-      case 'payment.captured': {
-        // Payment successful
-        const paymentEntity = event.payload.payment.entity;
-        const razorpayOrderId = paymentEntity.order_id;
-        const razorpayPaymentId = paymentEntity.id;
-        
-        console.log('Payment captured:', razorpayPaymentId, 'for order:', razorpayOrderId);
-        
-        // Update Hygraph if configured
-        const isHygraphConfigured = process.env.HYGRAPH_ENDPOINT;
-        if (isHygraphConfigured) {
-          try {
-            // Get Razorpay order to check if wallet top-up
-            const razorpayOrder = await razorpayService.getOrder(razorpayOrderId);
-            const isWalletTopup = razorpayOrder?.notes?.type === 'wallet_topup';
-
-            // Update payment status in Hygraph
-            await hygraphService.updatePaymentStatus(razorpayOrderId, 'confirmed', {
-              razorpayPaymentId: razorpayPaymentId,
-              method: paymentEntity.method || null
-            });
-            console.log('✅ Payment status updated to confirmed in Hygraph');
-
-            // Handle wallet top-up or regular order
-            const payment = await hygraphService.findPaymentByRazorpayOrderId(razorpayOrderId);
-            
-            if (isWalletTopup && payment) {
-              // Wallet top-up: Update wallet balance
-              const userId = payment.userDetail?.id || razorpayOrder?.notes?.userId;
-              const amountInRupees = paymentEntity.amount / 100; // Convert from paise to rupees
-              
-              if (userId) {
-                await hygraphService.updateWalletBalance(userId, amountInRupees);
-                console.log(`✅ Wallet balance updated: +₹${amountInRupees} for user ${userId}`);
-              } else {
-                console.warn('⚠️  userId not found for wallet top-up');
-              }
-            } else if (payment && payment.order?.id) {
-              // Regular order: Update order status
-              await hygraphService.updateOrderStatus(payment.order.id, 'confirmed');
-              console.log('✅ Order status updated to confirmed in Hygraph');
-            }
-          } catch (hygraphError) {
-            console.error('⚠️  Failed to update Hygraph in webhook:', hygraphError.message);
-          }
-        }
-        break;
-      }
-      case 'payment.failed': {
-        // Payment failed
-        const paymentEntity = event.payload.payment.entity;
-        const razorpayOrderId = paymentEntity.order_id;
-        const razorpayPaymentId = paymentEntity.id;
-        
-        console.log('Payment failed:', razorpayPaymentId, 'for order:', razorpayOrderId);
-        
-        // Update Hygraph if configured
-        const isHygraphConfigured = process.env.HYGRAPH_ENDPOINT;
-        if (isHygraphConfigured) {
-          try {
-            await hygraphService.updatePaymentStatus(razorpayOrderId, 'cancelled', {
-              razorpayPaymentId: razorpayPaymentId,
-              method: paymentEntity.method || null
-            });
-            console.log('✅ Payment status updated to cancelled in Hygraph');
-          } catch (hygraphError) {
-            console.error('⚠️  Failed to update Hygraph in webhook:', hygraphError.message);
-          }
-        }
-        break;
-      }
-      case 'order.paid': {
-        // Order paid
-        const orderEntity = event.payload.order.entity;
-        const razorpayOrderId = orderEntity.id;
-        
-        console.log('Order paid:', razorpayOrderId);
-        
-        // Update Hygraph if configured (order.paid event - typically for regular orders, not wallet top-ups)
-        const isHygraphConfigured = process.env.HYGRAPH_ENDPOINT;
-        if (isHygraphConfigured) {
-          try {
-            const payment = await hygraphService.findPaymentByRazorpayOrderId(razorpayOrderId);
-            // Only update order status if it's a regular order (has order)
-            if (payment && payment.order?.id) {
-              await hygraphService.updateOrderStatus(payment.order.id, 'confirmed');
-              console.log('✅ Order status updated to confirmed in Hygraph');
-            }
-          } catch (hygraphError) {
-            console.error('⚠️  Failed to update order in Hygraph:', hygraphError.message);
-          }
-        }
-        break;
-      }
-      default:
-        console.log('Unhandled webhook event:', event.event);
+    if (!event || !event.event) {
+      return res.status(400).json({ success: false, message: 'Invalid webhook payload' });
     }
 
-    res.json({ success: true, message: 'Webhook processed' });
+    // Razorpay sends a unique id per event (same id on redelivery)
+    const eventId = req.headers['x-razorpay-event-id'] ||
+      require('crypto').createHash('sha256').update(rawBody).digest('hex');
+
+    console.log('Webhook received:', event.event, eventId);
+
+    const { isNew, record } = await webhookInboxService.receive('razorpay', eventId, event);
+
+    if (!isNew && record?.status === 'processed') {
+      console.log(`♻️  Webhook ${eventId} already processed - skipping`);
+      return res.json({ success: true, message: 'Webhook already processed', duplicate: true });
+    }
+
+    const result = await webhookInboxService.process('razorpay', eventId);
+
+    if (result.status === 'failed') {
+      // Let Razorpay redeliver as well
+      return res.status(500).json({ success: false, message: 'Webhook processing failed' });
+    }
+
+    if (result.status === 'dead') {
+      // Our retries are exhausted - keep Razorpay redelivering (each redelivery is
+      // one more attempt) so the failure shows up in its webhook alerts
+      return res.status(500).json({
+        success: false,
+        message: 'Webhook processing failed after all retries',
+        dead: true
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.status === 'busy' ? 'Webhook is being processed' : 'Webhook processed',
+      duplicate: result.status === 'duplicate'
+    });
   } catch (error) {
     console.error('Error in webhook:', error);
     res.status(500).json({ success: false, message: 'Webhook processing failed' });
@@ -384,6 +376,7 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
  * GET /api/payments/verify-payment
  * Verify payment and redirect to frontend with status
  * This endpoint is called by Razorpay after payment completion
+ * Access: public (browser redirect, authorized by the Razorpay signature)
  * Redirect URL format: ?payment_id=pay_xxx&order_id=order_xxx&razorpay_signature=xxx
  */
 router.get('/verify-payment', async (req, res) => {
@@ -418,51 +411,21 @@ router.get('/verify-payment', async (req, res) => {
       );
     }
 
-    // Update Hygraph if payment is successful and Hygraph is configured
+    // Reconcile payment in Hygraph if payment is successful and Hygraph is configured
+    let reconciliation = null;
     const isHygraphConfigured = process.env.HYGRAPH_ENDPOINT;
     if (isSuccess && order_id && isHygraphConfigured) {
       try {
-        // Get Razorpay order to check if wallet top-up
-        const razorpayOrder = await razorpayService.getOrder(order_id);
-        const isWalletTopup = razorpayOrder?.notes?.type === 'wallet_topup';
-        
-        const hygraphPaymentStatus = hygraphService.mapRazorpayStatusToHygraph(payment.status);
-        
-        // Update payment status in Hygraph
-        await hygraphService.updatePaymentStatus(order_id, hygraphPaymentStatus, {
-          razorpayPaymentId: payment_id,
-          method: payment.method || null
+        reconciliation = await paymentReconciliationService.reconcile({
+          razorpayOrderId: order_id,
+          razorpayPayment: payment,
+          source: 'verify-payment'
         });
-        console.log('✅ Payment status updated in Hygraph:', hygraphPaymentStatus);
-
-        // Handle wallet top-up or regular order
-        if (hygraphPaymentStatus === 'confirmed') {
-          try {
-            const hygraphPayment = await hygraphService.findPaymentByRazorpayOrderId(order_id);
-            
-            if (isWalletTopup && hygraphPayment) {
-              // Wallet top-up: Update wallet balance
-              const userId = hygraphPayment.userDetail?.id || razorpayOrder?.notes?.userId;
-              const amountInRupees = payment.amount / 100; // Convert from paise to rupees
-              
-              if (userId) {
-                await hygraphService.updateWalletBalance(userId, amountInRupees);
-                console.log(`✅ Wallet balance updated: +₹${amountInRupees} for user ${userId}`);
-              } else {
-                console.warn('⚠️  userId not found for wallet top-up');
-              }
-            } else if (hygraphPayment && hygraphPayment.order?.id) {
-              // Regular order: Update order status
-              await hygraphService.updateOrderStatus(hygraphPayment.order.id, 'confirmed');
-              console.log('✅ Order status updated to confirmed in Hygraph');
-            }
-          } catch (updateError) {
-            console.error('⚠️  Failed to update order/wallet:', updateError.message);
-          }
-        }
-      } catch (hygraphError) {
-        console.error('⚠️  Failed to update Hygraph:', hygraphError.message);
-        // Continue - payment verification succeeded even if Hygraph update fails
+        console.log(`✅ Payment reconciled: ${reconciliation.outcome}`);
+      } catch (reconcileError) {
+        console.error('⚠️  Failed to reconcile payment:', reconcileError.message);
+        // Continue - payment verification succeeded even if reconciliation fails
+        reconciliation = { outcome: OUTCOMES.FAILED };
       }
     }
     
@@ -476,6 +439,10 @@ router.get('/verify-payment', async (req, res) => {
       signature_verified: signatureValid.toString()
     });
 
+    if (reconciliation) {
+      params.append('payment_outcome', reconciliation.outcome);
+    }
+
     if (!isSuccess) {
       params.append('message', encodeURIComponent('Payment verification failed'));
     }
@@ -1,12 +1,20 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const shiprocketService = require('../services/shiprocketService');
+const shipmentTrackingService = require('../services/shipmentTrackingService');
+const webhookInboxService = require('../services/webhookInboxService');
+const serviceabilityService = require('../services/serviceabilityService');
+const authMiddleware = require('../middlewares/auth');
+const { requireRole, requirePermission } = require('../middlewares/authorize');
+const { ROLES, PERMISSIONS } = require('../config/roles');
 
 /**
  * GET /api/shiprocket/track/:orderId
  * Get order tracking details by Shiprocket Order ID
+ * Access: support, ops, admin
  */
-router.get('/track/:orderId', async (req, res) => {
+router.get('/track/:orderId', authMiddleware, requirePermission(PERMISSIONS.SHIPMENTS_TRACK), async (req, res) => {
   try {
     const { orderId } = req.params;
 
@@ -42,8 +50,9 @@ router.get('/track/:orderId', async (req, res) => {
 /**
  * GET /api/shiprocket/track-awb/:awbCode
  * Get tracking details by AWB (Airway Bill) code
+ * Access: support, ops, admin
  */
-router.get('/track-awb/:awbCode', async (req, res) => {
+router.get('/track-awb/:awbCode', authMiddleware, requirePermission(PERMISSIONS.SHIPMENTS_TRACK), async (req, res) => {
   try {
     const { awbCode } = req.params;
 
@@ -76,11 +85,42 @@ router.get('/track-awb/:awbCode', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/shiprocket/serviceability/:pincode
+ * Check delivery to a pincode before checkout: prepaid / COD availability,
+ * estimated delivery date and shipping charge (cached per pincode)
+ * Access: public
+ */
+router.get('/serviceability/:pincode', async (req, res) => {
+  try {
+    const result = await serviceabilityService.check(req.params.pincode);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.message.includes('Invalid pincode')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error in serviceability check:', error.message);
+    res.status(503).json({
+      success: false,
+      message: error.message || 'Serviceability check failed'
+    });
+  }
+});
+
 /**
  * POST /api/shiprocket/create-shipment
  * Create a shipment order in Shiprocket
+ * Access: ops, admin
  */
-router.post('/create-shipment', async (req, res) => {
+router.post('/create-shipment', authMiddleware, requirePermission(PERMISSIONS.SHIPMENTS_CREATE), async (req, res) => {
   try {
     const shipmentData = req.body;
 
@@ -117,8 +157,9 @@ router.post('/create-shipment', async (req, res) => {
 /**
  * POST /api/shiprocket/verify-credentials
  * Verify Shiprocket API credentials
+ * Access: admin
  */
-router.post('/verify-credentials', async (req, res) => {
+router.post('/verify-credentials', authMiddleware, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const isValid = await shiprocketService.verifyCredentials();
 
@@ -139,8 +180,9 @@ router.post('/verify-credentials', async (req, res) => {
 /**
  * POST /api/shiprocket/reset-auth
  * Reset authentication failure flag (allows retry)
+ * Access: admin
  */
-router.post('/reset-auth', async (req, res) => {
+router.post('/reset-auth', authMiddleware, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     shiprocketService.resetAuthFailure();
     res.json({
@@ -156,130 +198,102 @@ router.post('/reset-auth', async (req, res) => {
   }
 });
 
+/**
+ * Process a Shiprocket webhook update
+ * Throws on failure so the webhook inbox can retry the update.
+ * @param {Object} payload - Shiprocket webhook payload
+ */
+async function handleShiprocketUpdate(payload) {
+  // Nothing to update without Hygraph
+  if (!process.env.HYGRAPH_ENDPOINT) return;
+
+  await shipmentTrackingService.applyUpdate(payload);
+}
+
+webhookInboxService.registerHandler('shiprocket', handleShiprocketUpdate);
+
+/**
+ * Check the token Shiprocket sends in the x-api-key header
+ * Without a configured token every update is rejected, unless
+ * SHIPROCKET_WEBHOOK_ALLOW_UNVERIFIED=true (local testing only).
+ * @param {Object} req - Express request
+ * @returns {boolean} True if valid
+ */
+function isValidWebhookToken(req) {
+  const webhookToken = process.env.SHIPROCKET_WEBHOOK_TOKEN;
+
+  if (!webhookToken) {
+    if (process.env.SHIPROCKET_WEBHOOK_ALLOW_UNVERIFIED === 'true') {
+      console.warn('⚠️  Shiprocket webhook token not configured - webhook accepted without verification (SHIPROCKET_WEBHOOK_ALLOW_UNVERIFIED)');
+      return true;
+    }
+    console.error('❌ SHIPROCKET_WEBHOOK_TOKEN not configured - Shiprocket webhook rejected');
+    return false;
+  }
+
+  const receivedToken = req.headers['x-api-key'];
+  return typeof receivedToken === 'string' &&
+    receivedToken.length === webhookToken.length &&
+    crypto.timingSafeEqual(Buffer.from(receivedToken), Buffer.from(webhookToken));
+}
+
 /**
  * POST /api/shiprocket/webhook
  * Receive order status updates from Shiprocket
+ * Access: public (called by Shiprocket, authorized by the x-api-key token)
  * 
  * Configure this webhook URL in Shiprocket Dashboard:
  * Settings → Webhooks → Add Webhook
  * URL: https://your-domain.com/api/shiprocket/webhook
+ * Token: the value of SHIPROCKET_WEBHOOK_TOKEN (sent as x-api-key)
  * 
- * Shiprocket sends updates for:
- * - Order Placed
- * - Pickup Scheduled
- * - Pickup Generated
- * - In Transit
- * - Out for Delivery
- * - Delivered
- * - RTO Initiated
- * - RTO Delivered
- * - Cancelled
+ * The order is found by channel_order_id (our orderNumber) and moved along
+ * the order lifecycle; every scan is stored as a ShipmentEvent.
+ * Updates are stored in the webhook inbox (keyed by a hash of the body) so a
+ * redelivered update is applied once. Processing errors still return 200
+ * (Shiprocket disables webhooks that keep failing); the inbox retries them.
  */
 router.post('/webhook', async (req, res) => {
   try {
-    const webhookData = req.body;
-    
-    // Log the webhook for debugging
-    console.log('📦 Shiprocket Webhook Received:', JSON.stringify(webhookData, null, 2));
-    
-    // Extract key information from webhook payload
-    const {
-      order_id,
-      awb,
-      current_status,
-      current_status_id,
-      shipment_status,
-      shipment_status_id,
-      courier_name,
-      etd, // Estimated Time of Delivery
-      scans, // Array of tracking scans
-      delivered_date,
-      rto_initiated_date,
-      pod, // Proof of Delivery (image URL)
-      channel_order_id, // Your original order ID
-    } = webhookData;
-    
-    // Map status IDs to readable names
-    const statusMap = {
-      1: 'AWB Assigned',
-      2: 'Label Generated',
-      3: 'Pickup Scheduled',
-      4: 'Pickup Queued',
-      5: 'Manifest Generated',
-      6: 'Shipped',
-      7: 'Delivered',
-      8: 'Cancelled',
-      9: 'RTO Initiated',
-      10: 'RTO Delivered',
-      11: 'Pending',
-      12: 'Lost',
-      13: 'Pickup Error',
-      14: 'RTO Acknowledged',
-      15: 'Pickup Rescheduled',
-      16: 'Cancellation Requested',
-      17: 'Out for Delivery',
-      18: 'In Transit',
-      19: 'Out for Pickup',
-      20: 'Pickup Exception',
-      21: 'Undelivered',
-      22: 'Delayed',
-      23: 'Partial Delivered',
-      24: 'Destroyed',
-      25: 'Damaged',
-      26: 'Fulfilled',
-      38: 'Reached Destination Hub',
-      39: 'Misrouted',
-      40: 'RTO NDR',
-      41: 'RTO OFD',
-      42: 'Picked Up',
-      43: 'Self Fulfilled',
-      44: 'Disposed Off',
-      45: 'Cancelled Before Dispatched',
-      46: 'RTO In Transit',
-      47: 'QC Failed',
-      48: 'Reached Warehouse',
-      49: 'Custom Cleared',
-      50: 'In Flight',
-      51: 'Handover to Courier',
-      52: 'Shipment Booked',
-      53: 'In Transit Overseas',
-      54: 'Connection Aligned',
-      55: 'Reached Overseas Warehouse',
-      56: 'Custom Broker Notified',
-      57: 'Payment Confirmation Pending',
-      58: 'Custom Cleared Overseas',
-      59: 'Box Packing'
-    };
-    
-    const statusName = statusMap[current_status_id] || current_status || 'Unknown';
-    
-    console.log(`📦 Order Update: ${order_id || channel_order_id}`);
-    console.log(`   Status: ${statusName} (ID: ${current_status_id})`);
-    console.log(`   AWB: ${awb}`);
-    console.log(`   Courier: ${courier_name}`);
-    if (etd) console.log(`   ETA: ${etd}`);
-    if (delivered_date) console.log(`   Delivered: ${delivered_date}`);
-    
-    // TODO: Update order status in your database (Hygraph)
-    // Example: await orderService.updateOrderStatus(channel_order_id, statusName);
-    
-    // TODO: Send push notification to user
-    // Example: await notificationService.sendOrderUpdate(userId, statusName, order_id);
-    
-    // TODO: Store tracking history
-    // Example: await orderService.addTrackingEvent(order_id, webhookData);
-    
-    // Respond to Shiprocket (IMPORTANT: Must return 200 quickly)
+    if (!isValidWebhookToken(req)) {
+      console.warn('⚠️  Invalid Shiprocket webhook token - potential security risk');
+      return res.status(401).json({ success: false, message: 'Invalid webhook token' });
+    }
+
+    const payload = req.body;
+
+    if (!payload || typeof payload !== 'object' || (!payload.awb && !payload.channel_order_id)) {
+      return res.status(400).json({ success: false, message: 'Invalid webhook payload' });
+    }
+
+    const statusName = shipmentTrackingService.getStatusLabel(payload.current_status_id) ||
+      payload.current_status || 'Unknown';
+
+    console.log(`📦 Shiprocket Webhook: ${payload.channel_order_id || payload.order_id} - ${statusName} (AWB: ${payload.awb})`);
+
+    // Shiprocket sends no event id - an identical body is the same update
+    const rawBody = req.rawBody || Buffer.from(JSON.stringify(payload));
+    const eventId = crypto.createHash('sha256').update(rawBody).digest('hex');
+
+    const { isNew, record } = await webhookInboxService.receive('shiprocket', eventId, payload);
+
+    if (!isNew && record?.status === 'processed') {
+      console.log(`♻️  Shiprocket webhook ${eventId} already processed - skipping`);
+      return res.status(200).json({ success: true, message: 'Webhook already processed', duplicate: true });
+    }
+
+    const result = await webhookInboxService.process('shiprocket', eventId);
+
     res.status(200).json({
-      success: true,
-      message: 'Webhook received',
-      order_id: order_id || channel_order_id,
+      success: result.status !== 'failed',
+      message: result.status === 'failed' ? 'Webhook processing failed - will be retried' : 'Webhook received',
+      duplicate: result.status === 'duplicate',
+      order_id: payload.channel_order_id || payload.order_id,
       status: statusName
     });
-    
   } catch (error) {
     console.error('❌ Shiprocket Webhook Error:', error);
-    // Still return 200 to prevent Shiprocket from retrying
+    // Still return 200 to prevent Shiprocket from disabling the webhook
     res.status(200).json({
       success: false,
       message: 'Webhook processing error',
@@ -291,6 +305,7 @@ router.post('/webhook', async (req, res) => {
 /**
  * GET /api/shiprocket/webhook/test
  * Test endpoint to verify webhook URL is accessible
+ * Access: public
  */
 router.get('/webhook/test', (req, res) => {
   res.json({
@@ -305,6 +320,7 @@ router.get('/webhook/test', (req, res) => {
 /**
  * GET /api/shiprocket/order-statuses
  * Get all possible order status codes and their meanings
+ * Access: public
  */
 router.get('/order-statuses', (req, res) => {
   const statuses = [
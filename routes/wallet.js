@@ -1,8 +1,128 @@
 const express = require('express');
 const hygraphService = require('../services/hygraphUserService');
+const shopTokenLedgerService = require('../services/shopTokenLedgerService');
+const { LEDGER_REASONS } = shopTokenLedgerService;
+const idempotencyService = require('../services/idempotencyService');
 const authMiddleware = require('../middlewares/auth');
+const internalAuth = require('../middlewares/internalAuth');
 const router = express.Router();
 
+const TOPUP_IDEMPOTENCY_SCOPE = 'fantasy-topup';
+
+/**
+ * Credit a Fantasy wallet top-up to the user's shop token ledger
+ * @param {Object} topup - hygraph_user_id, shop_tokens, transaction_id, timestamp
+ * @returns {Promise<Object>} { success, statusCode?, alreadyApplied?, body }
+ */
+async function applyFantasyTopup({ hygraph_user_id, shop_tokens, transaction_id, timestamp }) {
+  // Find user in Hygraph
+  console.log(`🔍 Looking up user with hygraph_user_id: ${hygraph_user_id}`);
+  const user = await hygraphService.findUserById(hygraph_user_id);
+
+  if (!user) {
+    console.warn(`❌ User not found: ${hygraph_user_id}`);
+    return {
+      success: false,
+      statusCode: 400,
+      body: {
+        success: false,
+        error: 'Not Found',
+        message: `User not found with id: ${hygraph_user_id}`
+      }
+    };
+  }
+
+  console.log(`✅ User found: ${user.id} (${user.firstName} ${user.lastName})`);
+
+  // transaction_id is unique across users - checked against the ledger, which
+  // outlives the Redis idempotency record
+  const existing = await shopTokenLedgerService.findEntryByReference(
+    'credit',
+    LEDGER_REASONS.FANTASY_TOPUP,
+    String(transaction_id)
+  );
+
+  if (existing && (existing.userDetail?.id !== hygraph_user_id || existing.amount !== shop_tokens)) {
+    console.warn(`❌ transaction_id ${transaction_id} already credited ${existing.amount} tokens to user ${existing.userDetail?.id}`);
+    return {
+      success: false,
+      statusCode: 409,
+      body: {
+        success: false,
+        error: 'Conflict',
+        message: `transaction_id ${transaction_id} was already used with a different user or amount`
+      }
+    };
+  }
+
+  // Credit shop tokens through the ledger (transaction_id as reference)
+  console.log(`💰 Crediting ${shop_tokens} shopTokens for transaction ${transaction_id}`);
+
+  let maxRetries = 3;
+  let retryCount = 0;
+  let ledgerResult = null;
+
+  while (retryCount < maxRetries && !ledgerResult) {
+    try {
+      // Safe to retry: the ledger ignores a second credit with the same reference
+      ledgerResult = await shopTokenLedgerService.credit(hygraph_user_id, shop_tokens, {
+        reason: LEDGER_REASONS.FANTASY_TOPUP,
+        reference: String(transaction_id)
+      });
+      console.log(`✅ shopTokens updated successfully: ${ledgerResult.newBalance}`);
+    } catch (error) {
+      retryCount++;
+      console.warn(`⚠️  Ledger credit attempt ${retryCount} failed:`, error.message);
+      
+      if (retryCount < maxRetries) {
+        // Wait before retry (exponential backoff)
+        await new Promise(resolve => setTimeout(resolve, 1000 * retryCount));
+      }
+    }
+  }
+
+  if (!ledgerResult) {
+    console.error(`❌ Failed to update shopTokens after ${maxRetries} attempts`);
+    return {
+      success: false,
+      statusCode: 500,
+      body: {
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to update shop tokens in database after multiple attempts'
+      }
+    };
+  }
+
+  console.log('📝 Transaction recorded in ledger:', {
+    transaction_id,
+    hygraph_user_id,
+    shop_tokens_added: shop_tokens,
+    previous_total: ledgerResult.previousBalance,
+    new_total: ledgerResult.newBalance,
+    timestamp: timestamp || new Date().toISOString(),
+    source: 'fantasy_wallet_topup'
+  });
+
+  return {
+    success: true,
+    // Past the idempotency record TTL, the ledger still refuses a second credit
+    alreadyApplied: ledgerResult.duplicate,
+    body: {
+      success: true,
+      message: 'Shop tokens updated successfully',
+      data: {
+        transaction_id,
+        user_id: hygraph_user_id,
+        user_name: `${user.firstName} ${user.lastName}`,
+        shop_tokens_added: shop_tokens,
+        updated_total: ledgerResult.newBalance,
+        updated_at: new Date().toISOString()
+      }
+    }
+  };
+}
+
 // GET /api/wallet/shop-tokens-only
 // Returns only the shopTokens balance for quick display in app header
 // Used by: Shop app header for quick display
@@ -19,7 +139,7 @@ router.get('/shop-tokens-only', authMiddleware, async (req, res) => {
       });
     }
 
-    const shopTokens = req.user.shopTokens || 0;
+    const shopTokens = await shopTokenLedgerService.getBalance(req.user.id);
 
     console.log(`📱 Fetching shopTokens for user: ${req.user.id} (${req.user.firstName} ${req.user.lastName}) -> ${shopTokens}`);
 
@@ -42,23 +162,46 @@ router.get('/shop-tokens-only', authMiddleware, async (req, res) => {
   }
 });
 
-// POST /api/wallet/receive-shop-tokens-from-fantasy
-// Receives shop tokens from Fantasy app wallet topup
-router.post('/receive-shop-tokens-from-fantasy', async (req, res) => {
+// GET /api/wallet/shop-tokens-history
+// Returns the user's shop token ledger entries (newest first)
+// Query: limit (default 20), skip (default 0)
+router.get('/shop-tokens-history', authMiddleware, async (req, res) => {
   try {
-    // Verify internal secret header
-    const internalSecret = req.headers['x-internal-secret'];
-    const expectedSecret = process.env.INTERNAL_SECRET || process.env.FANTASY_INTERNAL_SECRET;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = parseInt(req.query.skip) || 0;
 
-    if (!internalSecret || internalSecret !== expectedSecret) {
-      console.warn('❌ Unauthorized wallet token request: Invalid or missing x-internal-secret header');
-      return res.status(403).json({
-        success: false,
-        error: 'Forbidden',
-        message: 'Invalid or missing x-internal-secret header'
-      });
-    }
+    const [balance, entries] = await Promise.all([
+      shopTokenLedgerService.getBalance(req.user.id),
+      shopTokenLedgerService.getEntries(req.user.id, { limit, skip })
+    ]);
 
+    res.status(200).json({
+      success: true,
+      data: {
+        shopTokens: balance,
+        transactions: entries,
+        pagination: {
+          limit,
+          skip
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error in shop-tokens-history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+// POST /api/wallet/receive-shop-tokens-from-fantasy
+// Receives shop tokens from Fantasy app wallet topup
+// Internal only: Fantasy backend (service principal)
+router.post('/receive-shop-tokens-from-fantasy', internalAuth('fantasy'), async (req, res) => {
+  try {
     // Validate required fields
     const { hygraph_user_id, shop_tokens, transaction_id, timestamp } = req.body;
 
@@ -78,11 +221,11 @@ router.post('/receive-shop-tokens-from-fantasy', async (req, res) => {
       });
     }
 
-    if (typeof shop_tokens !== 'number' || shop_tokens < 0) {
+    if (!Number.isInteger(shop_tokens) || shop_tokens <= 0) {
       return res.status(400).json({
         success: false,
         error: 'Bad Request',
-        message: 'Invalid shop_tokens: must be a non-negative number'
+        message: 'Invalid shop_tokens: must be a positive integer'
       });
     }
 
@@ -94,111 +237,59 @@ router.post('/receive-shop-tokens-from-fantasy', async (req, res) => {
       });
     }
 
-    // Find user in Hygraph
-    console.log(`🔍 Looking up user with hygraph_user_id: ${hygraph_user_id}`);
-    const user = await hygraphService.findUserById(hygraph_user_id);
+    // Idempotency: one credit per transaction_id, replays get the original response
+    const idempotencyKey = String(transaction_id);
+    const fingerprint = idempotencyService.fingerprint({
+      hygraph_user_id,
+      shop_tokens
+    });
+
+    const claim = await idempotencyService.begin(TOPUP_IDEMPOTENCY_SCOPE, idempotencyKey, fingerprint);
 
-    if (!user) {
-      console.warn(`❌ User not found: ${hygraph_user_id}`);
-      return res.status(400).json({
-        success: false,
-        error: 'Not Found',
-        message: `User not found with id: ${hygraph_user_id}`
+    if (claim.status === 'completed') {
+      console.log(`♻️  Replay of transaction ${transaction_id} - returning original response`);
+      return res.status(200).json({
+        ...claim.response,
+        already_applied: true
       });
     }
 
-    console.log(`✅ User found: ${user.id} (${user.firstName} ${user.lastName})`);
-
-    // Update shopTokens in Hygraph
-    // Since updateUserById expects specific fields, we'll need to use a custom mutation
-    const updateMutation = `
-      mutation UpdateShopTokens($id: ID!, $shopTokens: Int!) {
-        updateUserDetail(
-          where: { id: $id }
-          data: { shopTokens: $shopTokens }
-        ) {
-          id
-          mobileNumber
-          firstName
-          lastName
-          shopTokens
-          fantasyUserId
-          shopEnabled
-        }
-      }
-    `;
-
-    const hygraphClient = require('../config/hygraph');
-    
-    // Calculate new shop tokens amount
-    const currentShopTokens = user.shopTokens || 0;
-    const newShopTokens = currentShopTokens + shop_tokens;
-
-    console.log(`💰 Updating shopTokens: ${currentShopTokens} + ${shop_tokens} = ${newShopTokens}`);
-
-    let maxRetries = 3;
-    let retryCount = 0;
-    let updateSuccess = false;
-    let updatedUser = null;
-
-    while (retryCount < maxRetries && !updateSuccess) {
-      try {
-        updatedUser = await hygraphClient.mutate(updateMutation, {
-          id: hygraph_user_id,
-          shopTokens: newShopTokens
-        });
-        
-        if (updatedUser && updatedUser.updateUserDetail) {
-          updateSuccess = true;
-          console.log(`✅ shopTokens updated successfully: ${updatedUser.updateUserDetail.shopTokens}`);
-        }
-      } catch (error) {
-        retryCount++;
-        console.warn(`⚠️  Hygraph update attempt ${retryCount} failed:`, error.message);
-        
-        if (retryCount < maxRetries) {
-          // Wait before retry (exponential backoff)
-          await new Promise(resolve => setTimeout(resolve, 1000 * retryCount));
-        }
-      }
+    if (claim.status === 'conflict') {
+      console.warn(`❌ Conflicting replay of transaction ${transaction_id} (different user or amount)`);
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `transaction_id ${transaction_id} was already used with a different user or amount`
+      });
     }
 
-    if (!updateSuccess) {
-      console.error(`❌ Failed to update shopTokens after ${maxRetries} attempts`);
-      return res.status(500).json({
+    if (claim.status === 'in_progress') {
+      return res.status(409).json({
         success: false,
-        error: 'Internal Server Error',
-        message: 'Failed to update shop tokens in database after multiple attempts'
+        error: 'Conflict',
+        message: `transaction_id ${transaction_id} is already being processed. Retry later.`
       });
     }
 
-    // Log transaction (in-memory for now, could be extended to Hygraph)
-    const transactionLog = {
-      transaction_id,
-      hygraph_user_id,
-      user_name: `${user.firstName} ${user.lastName}`,
-      shop_tokens_added: shop_tokens,
-      new_total: newShopTokens,
-      previous_total: currentShopTokens,
-      timestamp: timestamp || new Date().toISOString(),
-      status: 'completed',
-      source: 'fantasy_wallet_topup'
-    };
+    let responseBody;
+    try {
+      responseBody = await applyFantasyTopup({ hygraph_user_id, shop_tokens, transaction_id, timestamp });
+    } catch (error) {
+      await idempotencyService.release(TOPUP_IDEMPOTENCY_SCOPE, idempotencyKey);
+      throw error;
+    }
+
+    if (!responseBody.success) {
+      // Nothing was credited - allow the fantasy backend to retry
+      await idempotencyService.release(TOPUP_IDEMPOTENCY_SCOPE, idempotencyKey);
+      return res.status(responseBody.statusCode).json(responseBody.body);
+    }
 
-    console.log('📝 Transaction logged:', transactionLog);
+    await idempotencyService.complete(TOPUP_IDEMPOTENCY_SCOPE, idempotencyKey, fingerprint, responseBody.body);
 
-    // Return success response
     res.status(200).json({
-      success: true,
-      message: 'Shop tokens updated successfully',
-      data: {
-        transaction_id,
-        user_id: hygraph_user_id,
-        user_name: `${updatedUser.updateUserDetail.firstName} ${updatedUser.updateUserDetail.lastName}`,
-        shop_tokens_added: shop_tokens,
-        updated_total: updatedUser.updateUserDetail.shopTokens,
-        updated_at: new Date().toISOString()
-      }
+      ...responseBody.body,
+      already_applied: responseBody.alreadyApplied
     });
 
   } catch (error) {
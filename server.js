@@ -47,7 +47,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH', 'HEAD'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Internal-Secret'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Internal-Secret', 'X-Guest-Cart-Id'],
   exposedHeaders: ['Content-Length', 'X-JSON-Response'],
   maxAge: 86400,
   optionsSuccessStatus: 200 // Some legacy browsers (IE11) choke on 204
@@ -72,7 +72,13 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body around for signature verification (Razorpay webhooks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting
@@ -83,8 +89,8 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skip: (req, res) => {
-    // Skip rate limiting for health checks
-    return req.path === '/health' || req.path === '/';
+    // Skip rate limiting for health checks and scheduled jobs (authenticated, called every minute)
+    return req.path === '/health' || req.path === '/' || req.path.startsWith('/jobs/');
   }
 });
 
@@ -117,12 +123,20 @@ const paymentRoutes = require('./routes/payments');
 const shiprocketRoutes = require('./routes/shiprocket');
 const walletRoutes = require('./routes/wallet');
 const orderRoutes = require('./routes/orders');
+const inventoryRoutes = require('./routes/inventory');
+const cartRoutes = require('./routes/cart');
+const addressRoutes = require('./routes/addresses');
+const jobRoutes = require('./routes/jobs');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/shiprocket', shiprocketRoutes);
 app.use('/api/wallet', walletRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/addresses', addressRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // 404 handler
 app.use((req, res) => {
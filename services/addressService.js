@@ -0,0 +1,391 @@
+const hygraphService = require('./hygraphService');
+const { withLock } = require('./lockService');
+
+// States and union territories (canonical names stored on addresses)
+const INDIAN_STATES = [
+  'Andaman and Nicobar Islands', 'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar',
+  'Chandigarh', 'Chhattisgarh', 'Dadra and Nagar Haveli and Daman and Diu', 'Delhi', 'Goa',
+  'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jammu and Kashmir', 'Jharkhand', 'Karnataka',
+  'Kerala', 'Ladakh', 'Lakshadweep', 'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya',
+  'Mizoram', 'Nagaland', 'Odisha', 'Puducherry', 'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu',
+  'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal'
+];
+
+// Old and short names people still type
+const STATE_ALIASES = {
+  'orissa': 'Odisha',
+  'pondicherry': 'Puducherry',
+  'uttaranchal': 'Uttarakhand',
+  'new delhi': 'Delhi',
+  'nct of delhi': 'Delhi',
+  'j&k': 'Jammu and Kashmir',
+  'jammu & kashmir': 'Jammu and Kashmir',
+  'andaman & nicobar islands': 'Andaman and Nicobar Islands',
+  'dadra and nagar haveli': 'Dadra and Nagar Haveli and Daman and Diu',
+  'daman and diu': 'Dadra and Nagar Haveli and Daman and Diu'
+};
+
+// 6 digits, first digit 1-9
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+// 10 digit Indian mobile number (optional +91 / 0 prefix)
+const MOBILE_PATTERN = /^(?:\+?91|0)?([6-9][0-9]{9})$/;
+
+const MAX_ADDRESSES_PER_USER = 20;
+
+const ADDRESS_FIELDS = `
+  id
+  fullName
+  mobileNumber
+  addressLine1
+  addressLine2
+  landmark
+  city
+  state
+  pincode
+  isDefault
+  createdAt
+  updatedAt
+`;
+
+/**
+ * Address Book
+ * Shipping addresses of a user (Hygraph Address, connected to UserDetail).
+ * A user has at most one default address, used at checkout when no
+ * shippingAddressId is sent.
+ *
+ * Orders keep their own snapshot of the address (Order.shippingAddress), so
+ * editing or deleting an address never changes an order placed with it.
+ */
+class AddressService {
+  /**
+   * Normalize a state name to its canonical form
+   * @param {string} state - State name as entered
+   * @returns {string|null} Canonical name or null if not an Indian state/UT
+   */
+  normalizeState(state) {
+    if (typeof state !== 'string') {
+      return null;
+    }
+
+    const key = state.trim().replace(/\s+/g, ' ').toLowerCase();
+    return INDIAN_STATES.find(name => name.toLowerCase() === key) || STATE_ALIASES[key] || null;
+  }
+
+  /**
+   * Validate and normalize address input
+   * @param {Object} input - Address fields
+   * @param {Object} options - partial: only validate fields that are present (updates)
+   * @returns {Object} Normalized fields
+   */
+  validate(input, { partial = false } = {}) {
+    const data = {};
+    const has = field => input[field] !== undefined;
+    const text = (field, { required = false, max = 200 } = {}) => {
+      if (!has(field)) {
+        if (required && !partial) {
+          throw new Error(`Invalid address: ${field} is required`);
+        }
+        return;
+      }
+
+      const value = input[field] === null ? '' : String(input[field]).trim();
+      if (required && !value) {
+        throw new Error(`Invalid address: ${field} is required`);
+      }
+      if (value.length > max) {
+        throw new Error(`Invalid address: ${field} must be at most ${max} characters`);
+      }
+      data[field] = value || null;
+    };
+
+    text('fullName', { required: true, max: 100 });
+    text('addressLine1', { required: true });
+    text('addressLine2');
+    text('landmark', { max: 100 });
+    text('city', { required: true, max: 100 });
+
+    if (has('mobileNumber') || !partial) {
+      const match = String(input.mobileNumber || '').replace(/[\s-]/g, '').match(MOBILE_PATTERN);
+      if (!match) {
+        throw new Error('Invalid address: mobileNumber must be a 10 digit Indian mobile number');
+      }
+      data.mobileNumber = match[1];
+    }
+
+    if (has('pincode') || !partial) {
+      const pincode = String(input.pincode || '').trim();
+      if (!PINCODE_PATTERN.test(pincode)) {
+        throw new Error('Invalid address: pincode must be a 6 digit Indian pincode');
+      }
+      data.pincode = pincode;
+    }
+
+    if (has('state') || !partial) {
+      const state = this.normalizeState(input.state);
+      if (!state) {
+        throw new Error(`Invalid address: unknown state "${input.state || ''}"`);
+      }
+      data.state = state;
+    }
+
+    if (has('isDefault')) {
+      data.isDefault = input.isDefault === true;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a user's addresses (default first, then newest)
+   * @param {string} userId - UserDetail ID
+   * @returns {Promise<Array>} Addresses
+   */
+  async listAddresses(userId) {
+    const query = `
+      query GetUserAddresses($userId: ID!) {
+        addresses(where: {userDetail: {id: $userId}}, stage: DRAFT, orderBy: createdAt_DESC, first: 100) {
+          ${ADDRESS_FIELDS}
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { userId });
+    const addresses = result.addresses || [];
+    return [...addresses.filter(address => address.isDefault), ...addresses.filter(address => !address.isDefault)];
+  }
+
+  /**
+   * Get one of a user's addresses
+   * Another user's address is reported as not found.
+   * @param {string} addressId - Address ID
+   * @param {string} userId - UserDetail ID
+   * @returns {Promise<Object>} Address
+   */
+  async getAddress(addressId, userId) {
+    const query = `
+      query GetAddress($addressId: ID!) {
+        address(where: {id: $addressId}, stage: DRAFT) {
+          ${ADDRESS_FIELDS}
+          userDetail {
+            id
+          }
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { addressId });
+    const address = result.address;
+
+    if (!address || address.userDetail?.id !== userId) {
+      throw new Error('Address not found');
+    }
+
+    delete address.userDetail;
+    return address;
+  }
+
+  /**
+   * Get the user's default address
+   * @param {string} userId - UserDetail ID
+   * @returns {Promise<Object|null>} Address or null
+   */
+  async getDefaultAddress(userId) {
+    const addresses = await this.listAddresses(userId);
+    return addresses.find(address => address.isDefault) || null;
+  }
+
+  /**
+   * Add an address (the first address becomes the default)
+   * @param {string} userId - UserDetail ID
+   * @param {Object} input - Address fields
+   * @returns {Promise<Object>} Created address
+   */
+  async createAddress(userId, input) {
+    const data = this.validate(input);
+
+    return withLock(`addresses:${userId}`, async () => {
+      const addresses = await this.listAddresses(userId);
+
+      if (addresses.length >= MAX_ADDRESSES_PER_USER) {
+        throw new Error(`Invalid address: at most ${MAX_ADDRESSES_PER_USER} addresses per user`);
+      }
+
+      const isDefault = addresses.length === 0 || data.isDefault === true;
+      if (isDefault) {
+        await this.clearDefault(addresses);
+      }
+
+      const mutation = `
+        mutation CreateAddress($data: AddressCreateInput!) {
+          createAddress(data: $data) {
+            ${ADDRESS_FIELDS}
+          }
+        }
+      `;
+
+      const result = await hygraphService.execute(mutation, {
+        data: {
+          ...data,
+          isDefault,
+          userDetail: { connect: { id: userId } }
+        }
+      });
+
+      await this.publish(result.createAddress.id);
+      console.log(`🏠 Address ${result.createAddress.id} added for user ${userId}`);
+      return result.createAddress;
+    });
+  }
+
+  /**
+   * Update an address
+   * @param {string} addressId - Address ID
+   * @param {string} userId - UserDetail ID
+   * @param {Object} input - Fields to change
+   * @returns {Promise<Object>} Updated address
+   */
+  async updateAddress(addressId, userId, input) {
+    const data = this.validate(input, { partial: true });
+
+    return withLock(`addresses:${userId}`, async () => {
+      const address = await this.getAddress(addressId, userId);
+
+      // Unsetting the default is done by making another address the default
+      if (data.isDefault === false && address.isDefault) {
+        delete data.isDefault;
+      }
+
+      if (data.isDefault === true && !address.isDefault) {
+        await this.clearDefault(await this.listAddresses(userId));
+      }
+
+      if (Object.keys(data).length === 0) {
+        return address;
+      }
+
+      const updated = await this.update(addressId, data);
+      await this.publish(addressId);
+      return updated;
+    });
+  }
+
+  /**
+   * Make an address the default
+   * @param {string} addressId - Address ID
+   * @param {string} userId - UserDetail ID
+   * @returns {Promise<Object>} Updated address
+   */
+  async setDefault(addressId, userId) {
+    return this.updateAddress(addressId, userId, { isDefault: true });
+  }
+
+  /**
+   * Delete an address (the newest remaining address becomes the default)
+   * Orders placed with it keep their address snapshot.
+   * @param {string} addressId - Address ID
+   * @param {string} userId - UserDetail ID
+   */
+  async deleteAddress(addressId, userId) {
+    return withLock(`addresses:${userId}`, async () => {
+      const address = await this.getAddress(addressId, userId);
+
+      const mutation = `
+        mutation DeleteAddress($addressId: ID!) {
+          deleteAddress(where: {id: $addressId}) {
+            id
+          }
+        }
+      `;
+
+      await hygraphService.execute(mutation, { addressId });
+
+      if (address.isDefault) {
+        const [next] = await this.listAddresses(userId);
+        if (next) {
+          await this.update(next.id, { isDefault: true });
+          await this.publish(next.id);
+        }
+      }
+
+      console.log(`🏠 Address ${addressId} deleted for user ${userId}`);
+    });
+  }
+
+  /**
+   * Unset the default flag on addresses
+   * @param {Array} addresses - User's addresses
+   */
+  async clearDefault(addresses) {
+    for (const address of addresses.filter(address => address.isDefault)) {
+      await this.update(address.id, { isDefault: false });
+      await this.publish(address.id);
+    }
+  }
+
+  async update(addressId, data) {
+    const mutation = `
+      mutation UpdateAddress($addressId: ID!, $data: AddressUpdateInput!) {
+        updateAddress(where: {id: $addressId}, data: $data) {
+          ${ADDRESS_FIELDS}
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(mutation, { addressId, data });
+    return result.updateAddress;
+  }
+
+  async publish(addressId) {
+    const mutation = `
+      mutation PublishAddress($addressId: ID!) {
+        publishAddress(where: {id: $addressId}, to: PUBLISHED) {
+          id
+        }
+      }
+    `;
+
+    await hygraphService.execute(mutation, { addressId });
+  }
+
+  /**
+   * Resolve the shipping address for a new order
+   * @param {string} userId - UserDetail ID
+   * @param {string} shippingAddressId - Address ID (optional - the default address is used)
+   * @returns {Promise<Object>} Address
+   */
+  async resolveShippingAddress(userId, shippingAddressId = null) {
+    if (shippingAddressId) {
+      return this.getAddress(shippingAddressId, userId);
+    }
+
+    const address = await this.getDefaultAddress(userId);
+    if (!address) {
+      throw new Error('Shipping address is required - add one with POST /api/addresses');
+    }
+    return address;
+  }
+
+  /**
+   * Copy of an address stored on the order (never changes afterwards)
+   * @param {Object} address - Address
+   * @returns {Object} Snapshot
+   */
+  toSnapshot(address) {
+    return {
+      addressId: address.id,
+      fullName: address.fullName,
+      mobileNumber: address.mobileNumber,
+      addressLine1: address.addressLine1,
+      addressLine2: address.addressLine2 || null,
+      landmark: address.landmark || null,
+      city: address.city,
+      state: address.state,
+      pincode: address.pincode,
+      country: 'India'
+    };
+  }
+}
+
+module.exports = new AddressService();
+module.exports.INDIAN_STATES = INDIAN_STATES;
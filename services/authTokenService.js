@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { getClient } = require('../config/redis');
+const sessionService = require('./sessionService');
+
+// Access token lifetime (jose duration string, e.g. '15m', '1h')
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Refresh token lifetime
+const REFRESH_TOKEN_TTL_SECONDS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60;
+
+// Initialize crypto and get jose
+async function getJose() {
+  const nodeCrypto = await import('node:crypto');
+  if (!globalThis.crypto) {
+    globalThis.crypto = nodeCrypto.webcrypto;
+  }
+  return import('jose');
+}
+
+function getSecret() {
+  return Buffer.from(process.env.SECRET_TOKEN || 'your-secret-key-here');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Auth Tokens
+ * Short-lived HS256 access JWTs (shared SECRET_TOKEN with the fantasy
+ * backend, claims unchanged) plus opaque rotating refresh tokens in Redis.
+ *
+ * Every login creates a session (services/sessionService.js); its id is the
+ * access token `jti` and the refresh token family. Each refresh consumes the
+ * presented refresh token and issues a new one for the same session.
+ * Presenting an already-used refresh token means it was stolen or replayed,
+ * so the whole session is revoked.
+ *
+ * Keys:
+ * - refresh:token:{sha256(token)} - JSON { userId, sessionId, createdAt }
+ * - refresh:token:{sha256(token)}:used - set once the token has been rotated
+ */
+class AuthTokenService {
+  tokenKey(tokenHash) {
+    return `refresh:token:${tokenHash}`;
+  }
+
+  /**
+   * Build access token claims for a user
+   * Claims must stay compatible with the fantasy backend (userId, _id, modules)
+   * @param {Object} user - Hygraph UserDetail
+   * @param {string} fantasyUserId - Fantasy user ID (optional)
+   * @returns {Object} JWT claims
+   */
+  buildClaims(user, fantasyUserId = null) {
+    return {
+      userId: user.id,
+      _id: fantasyUserId || user.fantasyUserId || user.id, // For compatibility with fantasy backend
+      mobile: user.mobileNumber,
+      modules: ['shop', 'fantasy'],
+      shop_enabled: true,
+      fantasy_enabled: true
+    };
+  }
+
+  /**
+   * Sign a short-lived access token
+   * @param {Object} claims - JWT claims
+   * @param {string} sessionId - Session ID (set as jti)
+   * @returns {Promise<Object>} { accessToken, expiresAt }
+   */
+  async signAccessToken(claims, sessionId) {
+    const { SignJWT, decodeJwt } = await getJose();
+
+    const accessToken = await new SignJWT(claims)
+      .setProtectedHeader({ alg: 'HS256' })
+      .setJti(sessionId)
+      .setExpirationTime(ACCESS_TOKEN_TTL)
+      .setIssuedAt()
+      .sign(getSecret());
+
+    const { exp } = decodeJwt(accessToken);
+    return { accessToken, expiresAt: exp };
+  }
+
+  /**
+   * Issue an access/refresh token pair for a session
+   * @param {Object} claims - Access token claims (must include userId)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn, refreshExpiresIn, sessionId }
+   */
+  async issueTokenPair(claims, sessionId) {
+    const redisClient = await getClient();
+
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    await redisClient.set(this.tokenKey(hashToken(refreshToken)), JSON.stringify({
+      userId: claims.userId,
+      sessionId,
+      createdAt: new Date().toISOString()
+    }), { EX: REFRESH_TOKEN_TTL_SECONDS });
+
+    const { accessToken, expiresAt } = await this.signAccessToken(claims, sessionId);
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn: expiresAt - Math.floor(Date.now() / 1000),
+      refreshExpiresIn: REFRESH_TOKEN_TTL_SECONDS,
+      sessionId
+    };
+  }
+
+  /**
+   * Consume a refresh token and return its session
+   * Throws on invalid/expired tokens; revokes the session on reuse.
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @returns {Promise<Object>} { userId, sessionId }
+   */
+  async consumeRefreshToken(refreshToken) {
+    const redisClient = await getClient();
+    const tokenHash = hashToken(refreshToken);
+
+    const recordJson = await redisClient.get(this.tokenKey(tokenHash));
+    if (!recordJson) {
+      throw new Error('Invalid or expired refresh token');
+    }
+    const record = JSON.parse(recordJson);
+
+    if (!(await sessionService.isActive(record.sessionId, record.userId))) {
+      throw new Error('Refresh token has been revoked');
+    }
+
+    // Mark as used atomically - only one request can rotate a given token
+    const firstUse = await redisClient.set(`${this.tokenKey(tokenHash)}:used`, '1', {
+      NX: true,
+      EX: REFRESH_TOKEN_TTL_SECONDS
+    });
+
+    if (!firstUse) {
+      console.warn(`🚨 Refresh token reuse detected for user ${record.userId} - revoking session ${record.sessionId}`);
+      await sessionService.revokeSession(record.userId, record.sessionId);
+      throw new Error('Refresh token reuse detected. Please log in again.');
+    }
+
+    return {
+      userId: record.userId,
+      sessionId: record.sessionId
+    };
+  }
+}
+
+module.exports = new AuthTokenService();
@@ -0,0 +1,356 @@
+const { getClient } = require('../config/redis');
+const { withLock } = require('./lockService');
+const productCatalogService = require('./productCatalogService');
+const { roundRupees } = productCatalogService;
+const inventoryService = require('./inventoryService');
+const orderService = require('./orderService');
+
+// Cart lifetimes (refreshed on every change)
+const USER_CART_TTL_SECONDS = 30 * 24 * 60 * 60;
+const GUEST_CART_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Guest cart IDs are generated by the app (e.g. a UUID)
+const GUEST_CART_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+/**
+ * Shopping Cart (Redis)
+ * Carts only store what the user picked (product, variant, quantity).
+ * Prices, token prices and stock are resolved from the product catalog and
+ * inventory every time the cart is read, so totals are always current.
+ *
+ * A cart belongs to a user, or to a guest (app-generated guest cart id).
+ * A guest cart is merged into the user's cart on login.
+ *
+ * Keys:
+ * - cart:user:{userId} / cart:guest:{guestCartId} - hash of sku → JSON line
+ */
+class CartService {
+  /**
+   * Resolve the cart owner for a request
+   * @param {Object} req - Express request (req.user set by auth, or x-guest-cart-id header)
+   * @returns {Object|null} { type: 'user' | 'guest', id } or null
+   */
+  getOwner(req) {
+    if (req.user) {
+      return { type: 'user', id: req.user.id };
+    }
+
+    const guestCartId = req.headers['x-guest-cart-id'];
+    if (this.isValidGuestCartId(guestCartId)) {
+      return { type: 'guest', id: guestCartId };
+    }
+
+    return null;
+  }
+
+  isValidGuestCartId(guestCartId) {
+    return typeof guestCartId === 'string' && GUEST_CART_ID_PATTERN.test(guestCartId);
+  }
+
+  cartKey(owner) {
+    return `cart:${owner.type}:${owner.id}`;
+  }
+
+  cartTtl(owner) {
+    return owner.type === 'user' ? USER_CART_TTL_SECONDS : GUEST_CART_TTL_SECONDS;
+  }
+
+  async getLines(owner) {
+    const redisClient = await getClient();
+    const hash = await redisClient.hGetAll(this.cartKey(owner));
+    return Object.values(hash || {})
+      .map(json => JSON.parse(json))
+      .sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt));
+  }
+
+  async saveLine(owner, line) {
+    const redisClient = await getClient();
+    const sku = inventoryService.skuFor(line.productId, line.variantId);
+    await redisClient.hSet(this.cartKey(owner), sku, JSON.stringify(line));
+    await redisClient.expire(this.cartKey(owner), this.cartTtl(owner));
+  }
+
+  /**
+   * Check that a quantity of a product can be bought
+   * @param {string} productId - Product ID
+   * @param {string} variantId - Variant ID (optional)
+   * @param {number} quantity - Total quantity wanted
+   * @returns {Promise<Object>} Product
+   */
+  async assertPurchasable(productId, variantId, quantity) {
+    const products = await productCatalogService.getProducts([productId]);
+    const product = products.get(productId);
+
+    if (!product) {
+      throw new Error(`Product not found: ${productId}`);
+    }
+
+    const pricing = productCatalogService.getUnitPricing(product, variantId);
+    if (!pricing) {
+      throw new Error(`Variant not found for ${product.name}: ${variantId}`);
+    }
+
+    if (!pricing.isActive) {
+      throw new Error(`Product is not available: ${pricing.name}`);
+    }
+
+    if (product.maxQuantityPerOrder && quantity > product.maxQuantityPerOrder) {
+      throw new Error(`Maximum ${product.maxQuantityPerOrder} per order for ${product.name}`);
+    }
+
+    const stock = await inventoryService.getStock(inventoryService.skuFor(productId, variantId));
+    if (stock.tracked && stock.sellable < quantity) {
+      throw new Error(`Out of stock: ${product.name} (requested ${quantity}, available ${stock.sellable})`);
+    }
+
+    return product;
+  }
+
+  /**
+   * Add a product to the cart (adds to the quantity already in the cart)
+   * @param {Object} owner - Cart owner
+   * @param {Object} item - productId, variantId (optional), quantity
+   * @returns {Promise<Object>} Cart
+   */
+  async addItem(owner, { productId, variantId = null, quantity = 1 }) {
+    const sku = inventoryService.skuFor(productId, variantId);
+    const existing = (await this.getLines(owner)).find(line =>
+      inventoryService.skuFor(line.productId, line.variantId) === sku
+    );
+
+    const newQuantity = (existing?.quantity || 0) + quantity;
+    await this.assertPurchasable(productId, variantId, newQuantity);
+
+    await this.saveLine(owner, {
+      productId,
+      variantId,
+      quantity: newQuantity,
+      addedAt: existing?.addedAt || new Date().toISOString()
+    });
+
+    return this.getCart(owner);
+  }
+
+  /**
+   * Set the quantity of a cart line (0 removes it)
+   * @param {Object} owner - Cart owner
+   * @param {Object} item - productId, variantId (optional), quantity
+   * @returns {Promise<Object>} Cart
+   */
+  async updateQuantity(owner, { productId, variantId = null, quantity }) {
+    const sku = inventoryService.skuFor(productId, variantId);
+    const existing = (await this.getLines(owner)).find(line =>
+      inventoryService.skuFor(line.productId, line.variantId) === sku
+    );
+
+    if (!existing) {
+      throw new Error('Item not in cart');
+    }
+
+    if (quantity === 0) {
+      return this.removeItem(owner, { productId, variantId });
+    }
+
+    await this.assertPurchasable(productId, variantId, quantity);
+    await this.saveLine(owner, { ...existing, quantity });
+
+    return this.getCart(owner);
+  }
+
+  /**
+   * Remove a product from the cart
+   * @param {Object} owner - Cart owner
+   * @param {Object} item - productId, variantId (optional)
+   * @returns {Promise<Object>} Cart
+   */
+  async removeItem(owner, { productId, variantId = null }) {
+    const redisClient = await getClient();
+    const removed = await redisClient.hDel(this.cartKey(owner), inventoryService.skuFor(productId, variantId));
+
+    if (!removed) {
+      throw new Error('Item not in cart');
+    }
+
+    return this.getCart(owner);
+  }
+
+  /**
+   * Empty the cart
+   * @param {Object} owner - Cart owner
+   */
+  async clear(owner) {
+    const redisClient = await getClient();
+    await redisClient.del(this.cartKey(owner));
+  }
+
+  /**
+   * Get the cart with current prices, stock and totals
+   * Lines that can't be bought right now are returned with a status and
+   * left out of the totals.
+   * @param {Object} owner - Cart owner
+   * @returns {Promise<Object>} { items, totalAmount, totalShopTokens, itemCount, checkoutReady }
+   */
+  async getCart(owner) {
+    const lines = await this.getLines(owner);
+    const products = lines.length > 0
+      ? await productCatalogService.getProducts(lines.map(line => line.productId))
+      : new Map();
+
+    const items = [];
+    let totalAmount = 0;
+    let totalShopTokens = 0;
+
+    for (const line of lines) {
+      const product = products.get(line.productId);
+      const pricing = product ? productCatalogService.getUnitPricing(product, line.variantId) : null;
+      const stock = await inventoryService.getStock(inventoryService.skuFor(line.productId, line.variantId));
+
+      let status = 'ok';
+      if (!pricing || !pricing.isActive) {
+        status = 'unavailable';
+      } else if (product.maxQuantityPerOrder && line.quantity > product.maxQuantityPerOrder) {
+        status = 'quantity_limit';
+      } else if (stock.tracked && stock.sellable < line.quantity) {
+        status = 'out_of_stock';
+      }
+
+      const price = pricing?.price || 0;
+      const shopTokensPrice = pricing?.shopTokensPrice || 0;
+      const lineTotal = roundRupees(price * line.quantity);
+
+      items.push({
+        productId: line.productId,
+        variantId: line.variantId || null,
+        productName: pricing?.name || product?.name || null,
+        quantity: line.quantity,
+        price,
+        shopTokensPrice,
+        lineTotal,
+        lineShopTokens: shopTokensPrice * line.quantity,
+        available: stock.tracked ? stock.sellable : null,
+        maxQuantityPerOrder: product?.maxQuantityPerOrder || null,
+        status
+      });
+
+      if (status === 'ok') {
+        totalAmount = roundRupees(totalAmount + lineTotal);
+        totalShopTokens += shopTokensPrice * line.quantity;
+      }
+    }
+
+    return {
+      items,
+      totalAmount,
+      totalShopTokens,
+      itemCount: items.length,
+      checkoutReady: items.length > 0 && items.every(item => item.status === 'ok')
+    };
+  }
+
+  /**
+   * Merge a guest cart into a user's cart (on login)
+   * Quantities are added and capped at the per-order limit; the guest cart is deleted.
+   * @param {string} guestCartId - Guest cart ID
+   * @param {string} userId - UserDetail ID
+   * @returns {Promise<number>} Number of lines merged
+   */
+  async mergeGuestCart(guestCartId, userId) {
+    if (!this.isValidGuestCartId(guestCartId)) {
+      return 0;
+    }
+
+    const guest = { type: 'guest', id: guestCartId };
+    const user = { type: 'user', id: userId };
+
+    const guestLines = await this.getLines(guest);
+    if (guestLines.length === 0) {
+      return 0;
+    }
+
+    const userLines = await this.getLines(user);
+    const products = await productCatalogService.getProducts(guestLines.map(line => line.productId));
+
+    let merged = 0;
+    for (const line of guestLines) {
+      const product = products.get(line.productId);
+      const pricing = product ? productCatalogService.getUnitPricing(product, line.variantId) : null;
+      if (!pricing || !pricing.isActive) {
+        continue;
+      }
+
+      const sku = inventoryService.skuFor(line.productId, line.variantId);
+      const existing = userLines.find(userLine =>
+        inventoryService.skuFor(userLine.productId, userLine.variantId) === sku
+      );
+
+      let quantity = (existing?.quantity || 0) + line.quantity;
+      if (product.maxQuantityPerOrder) {
+        quantity = Math.min(quantity, product.maxQuantityPerOrder);
+      }
+
+      await this.saveLine(user, {
+        productId: line.productId,
+        variantId: line.variantId || null,
+        quantity,
+        addedAt: existing?.addedAt || line.addedAt
+      });
+      merged++;
+    }
+
+    await this.clear(guest);
+    console.log(`🛒 Merged ${merged} guest cart lines into cart of user ${userId}`);
+    return merged;
+  }
+
+  /**
+   * Turn the user's cart into an order (cart is emptied on success)
+   * @param {string} userId - UserDetail ID
+   * @param {Object} options - shippingAddressId, notes, expectedTotals, and the payment split
+   *   (paymentMethod, shopTokensToUse, rupeesAmount - see placeOrder)
+   * @returns {Promise<Object>} Order result from placeOrder
+   */
+  async checkout(userId, {
+    shippingAddressId = null,
+    notes = '',
+    expectedTotals = {},
+    paymentMethod,
+    shopTokensToUse,
+    rupeesAmount
+  } = {}) {
+    const owner = { type: 'user', id: userId };
+
+    try {
+      return await withLock(`cart:${userId}`, async () => {
+        const lines = await this.getLines(owner);
+        if (lines.length === 0) {
+          throw new Error('Cart is empty');
+        }
+
+        const result = await orderService.placeOrder({
+          userId,
+          items: lines.map(line => ({
+            productId: line.productId,
+            variantId: line.variantId || null,
+            quantity: line.quantity
+          })),
+          shippingAddressId,
+          notes,
+          paymentMethod,
+          shopTokensToUse,
+          rupeesAmount,
+          expectedTotals
+        });
+
+        await this.clear(owner);
+        return result;
+      }, { ttlMs: 60000, waitMs: 0 });
+    } catch (error) {
+      if (error.code === 'LOCK_NOT_ACQUIRED') {
+        throw new Error('Checkout already in progress for this cart');
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new CartService();
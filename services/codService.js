@@ -0,0 +1,114 @@
+const hygraphService = require('./hygraphService');
+const serviceabilityService = require('./serviceabilityService');
+
+// Fee added to cash on delivery orders (rupees)
+const COD_FEE = parseFloat(process.env.COD_FEE) || 0;
+
+// Largest amount (items + fee) we collect in cash
+const COD_MAX_ORDER_VALUE = parseFloat(process.env.COD_MAX_ORDER_VALUE) || 5000;
+
+// Order.codStatus values
+const COD_STATUS = {
+  PENDING: 'pending',             // Confirmed, cash not collected yet
+  COLLECTED: 'collected',         // Delivered - courier collected the cash
+  NOT_COLLECTED: 'not_collected'  // Never delivered (cancelled or RTO)
+};
+
+/**
+ * Cash on Delivery
+ * COD orders are paid in cash to the courier: they are confirmed without a
+ * payment, shipped with Shiprocket payment_method COD, and marked paid when
+ * Shiprocket reports delivery. Availability depends on the pincode (a courier
+ * that collects cash must serve it) and on COD_MAX_ORDER_VALUE.
+ */
+class CodService {
+  /**
+   * COD terms shown to the app
+   * @returns {Object} { fee, maxOrderValue }
+   */
+  getTerms() {
+    return { fee: COD_FEE, maxOrderValue: COD_MAX_ORDER_VALUE };
+  }
+
+  /**
+   * Check that an order can be paid on delivery
+   * Fails closed: if the pincode can't be checked, COD isn't offered.
+   * @param {number} amount - Order amount in rupees (without the fee)
+   * @param {string} pincode - Delivery pincode
+   * @returns {Promise<Object>} { fee, amountToCollect }
+   */
+  async assertAvailable(amount, pincode) {
+    const amountToCollect = Math.round((amount + COD_FEE) * 100) / 100;
+
+    if (amountToCollect > COD_MAX_ORDER_VALUE) {
+      throw new Error(`Invalid payment method: cash on delivery is available for orders up to ₹${COD_MAX_ORDER_VALUE}`);
+    }
+
+    const serviceability = await serviceabilityService.checkSafely(pincode);
+    if (serviceability.serviceable === null) {
+      throw new Error(`Invalid payment method: cash on delivery can't be confirmed for pincode ${pincode} right now`);
+    }
+    if (!serviceability.codAvailable) {
+      throw new Error(`Invalid payment method: cash on delivery is not available for pincode ${pincode}`);
+    }
+
+    return { fee: COD_FEE, amountToCollect };
+  }
+
+  /**
+   * Set the COD status of an order (no-op if it already has it)
+   * @param {Object} order - Order (id, orderNumber, codStatus)
+   * @param {string} codStatus - New status
+   * @returns {Promise<boolean>} True if changed
+   */
+  async setStatus(order, codStatus) {
+    if (order.codStatus === codStatus) {
+      return false;
+    }
+
+    const mutation = `
+      mutation UpdateOrderCodStatus($orderId: ID!, $codStatus: String!, $codCollectedAt: DateTime) {
+        updateOrder(
+          where: {id: $orderId}
+          data: {codStatus: $codStatus, codCollectedAt: $codCollectedAt}
+        ) {
+          id
+        }
+      }
+    `;
+
+    await hygraphService.execute(mutation, {
+      orderId: order.id,
+      codStatus,
+      codCollectedAt: codStatus === COD_STATUS.COLLECTED ? new Date().toISOString() : null
+    });
+    await hygraphService.publishOrder(order.id);
+
+    console.log(`💵 COD order ${order.orderNumber}: ${order.codStatus || 'none'} → ${codStatus}`);
+    return true;
+  }
+
+  /**
+   * Mark a delivered COD order as paid
+   * @param {Object} order - Order (id, orderNumber, codStatus)
+   * @returns {Promise<boolean>} True if changed
+   */
+  async markCollected(order) {
+    return this.setStatus(order, COD_STATUS.COLLECTED);
+  }
+
+  /**
+   * Mark a COD order that won't be delivered (cancelled or RTO)
+   * @param {Object} order - Order (id, orderNumber, codStatus)
+   * @returns {Promise<boolean>} True if changed
+   */
+  async markNotCollected(order) {
+    if (order.codStatus === COD_STATUS.COLLECTED) {
+      return false;
+    }
+    return this.setStatus(order, COD_STATUS.NOT_COLLECTED);
+  }
+}
+
+module.exports = new CodService();
+module.exports.COD_STATUS = COD_STATUS;
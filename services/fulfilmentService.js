@@ -0,0 +1,424 @@
+const { getClient } = require('../config/redis');
+const { withLock } = require('./lockService');
+const hygraphService = require('./hygraphService');
+const shiprocketService = require('./shiprocketService');
+const orderLifecycleService = require('./orderLifecycleService');
+const { ORDER_STATUS } = orderLifecycleService;
+
+// Shiprocket pickup location name (Settings → Pickup Addresses)
+const PICKUP_LOCATION = process.env.SHIPROCKET_PICKUP_LOCATION || 'Primary';
+
+// Package defaults (our products carry no weight/dimensions)
+const PACKAGE_WEIGHT_KG = parseFloat(process.env.SHIPROCKET_PACKAGE_WEIGHT_KG) || 0.5;
+const PACKAGE_DIMENSIONS_CM = {
+  length: parseFloat(process.env.SHIPROCKET_PACKAGE_LENGTH_CM) || 20,
+  breadth: parseFloat(process.env.SHIPROCKET_PACKAGE_BREADTH_CM) || 15,
+  height: parseFloat(process.env.SHIPROCKET_PACKAGE_HEIGHT_CM) || 10
+};
+
+// Shiprocket requires a billing email; UserDetail has none
+const BILLING_EMAIL = process.env.SHIPROCKET_BILLING_EMAIL || 'orders@example.com';
+
+// Give up (status 'failed') after this many attempts
+const MAX_ATTEMPTS = 8;
+
+// Jobs are kept this long after they finish
+const FINISHED_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Queue worker interval
+const QUEUE_INTERVAL_MS = 30 * 1000;
+
+const JOB_STATUS = {
+  QUEUED: 'queued',       // Waiting for (another) attempt
+  CREATED: 'created',     // Shipment created and stored on the order
+  SKIPPED: 'skipped',     // Order is no longer shippable (e.g. cancelled)
+  FAILED: 'failed'        // Gave up after MAX_ATTEMPTS - needs manual attention
+};
+
+/**
+ * Fulfilment (Redis queue)
+ * Confirmed orders are queued here and turned into Shiprocket shipments built
+ * from the Order, its line items, the UserDetail and the order's address snapshot.
+ * The Shiprocket order id, shipment id and AWB are stored on the Order and
+ * the order moves to 'processing'. Failed attempts are retried with backoff.
+ *
+ * The Shiprocket response is saved on the job before the Order is updated,
+ * so a retry after a partial failure never creates a second shipment.
+ *
+ * Keys:
+ * - fulfilment:job:{orderId} - JSON job (status, attempts, lastError, shipment, ...)
+ * - fulfilment:queue - sorted set of orderIds scored by next attempt time
+ * - fulfilment:failed - sorted set of orderIds that gave up, scored by time
+ */
+class FulfilmentService {
+  jobKey(orderId) {
+    return `fulfilment:job:${orderId}`;
+  }
+
+  /**
+   * Get a fulfilment job
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} Job or null
+   */
+  async getJob(orderId) {
+    const redisClient = await getClient();
+    const json = await redisClient.get(this.jobKey(orderId));
+    return json ? JSON.parse(json) : null;
+  }
+
+  async saveJob(job) {
+    const redisClient = await getClient();
+    const finished = job.status !== JOB_STATUS.QUEUED;
+    await redisClient.set(this.jobKey(job.orderId), JSON.stringify(job),
+      finished ? { EX: FINISHED_TTL_SECONDS } : {});
+  }
+
+  /**
+   * Queue an order for shipment creation (no-op if already queued or done)
+   * @param {string} orderId - Order ID
+   * @param {string} orderNumber - Order number (for logs)
+   * @returns {Promise<Object>} Job
+   */
+  async enqueue(orderId, orderNumber = null) {
+    const redisClient = await getClient();
+
+    const job = {
+      orderId,
+      orderNumber,
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      lastError: null,
+      shipment: null,
+      createdAt: new Date().toISOString()
+    };
+
+    const stored = await redisClient.set(this.jobKey(orderId), JSON.stringify(job), { NX: true });
+    if (!stored) {
+      return this.getJob(orderId);
+    }
+
+    await redisClient.zAdd('fulfilment:queue', { score: Date.now(), value: orderId });
+    console.log(`📦 Order ${orderNumber || orderId} queued for shipment creation`);
+    return job;
+  }
+
+  /**
+   * Queue a failed (or skipped) job again for an immediate attempt
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Job
+   */
+  async requeue(orderId) {
+    const redisClient = await getClient();
+    const job = await this.getJob(orderId);
+
+    if (!job) {
+      return this.enqueue(orderId);
+    }
+
+    if (job.status === JOB_STATUS.CREATED) {
+      return job;
+    }
+
+    job.status = JOB_STATUS.QUEUED;
+    job.attempts = 0;
+    job.nextAttemptAt = new Date().toISOString();
+    await this.saveJob(job);
+    await redisClient.zRem('fulfilment:failed', orderId);
+    await redisClient.zAdd('fulfilment:queue', { score: Date.now(), value: orderId });
+    return job;
+  }
+
+  /**
+   * Load everything needed for the shipment (includes unpublished changes)
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} Order or null
+   */
+  async getOrder(orderId) {
+    const query = `
+      query GetOrderForFulfilment($orderId: ID!) {
+        order(where: {id: $orderId}, stage: DRAFT) {
+          id
+          orderNumber
+          orderStatus
+          totalAmount
+          paymentMethod
+          codFee
+          createdAt
+          shiprocketOrderId
+          shipmentId
+          awbCode
+          shippingAddress
+          orderItems {
+            id
+            productName
+            variantId
+            quantity
+            unitPrice
+            product {
+              id
+            }
+          }
+          userDetail {
+            id
+            firstName
+            lastName
+            mobileNumber
+          }
+          address {
+            addressLine1
+            addressLine2
+            city
+            state
+            pincode
+            landmark
+          }
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { orderId });
+    return result.order || null;
+  }
+
+  /**
+   * Format a date for Shiprocket ("YYYY-MM-DD HH:mm", IST)
+   * @param {string} isoDate - ISO timestamp
+   * @returns {string} Shiprocket date
+   */
+  formatOrderDate(isoDate) {
+    const ist = new Date(new Date(isoDate || Date.now()).getTime() + 5.5 * 60 * 60 * 1000);
+    return ist.toISOString().slice(0, 16).replace('T', ' ');
+  }
+
+  /**
+   * Build the Shiprocket adhoc order payload
+   * @param {Object} order - Order from getOrder
+   * @returns {Object} Shiprocket create order payload
+   */
+  buildShipmentPayload(order) {
+    const customer = order.userDetail;
+    // Address snapshot taken at checkout (older orders only have the Address relation)
+    const address = order.shippingAddress || order.address;
+
+    if (!address) {
+      throw new Error(`Order ${order.orderNumber} has no shipping address`);
+    }
+
+    if (!order.orderItems || order.orderItems.length === 0) {
+      throw new Error(`Order ${order.orderNumber} has no line items`);
+    }
+
+    const mobile = String(address.mobileNumber || customer?.mobileNumber || '').replace(/\D/g, '').slice(-10);
+    const [firstName, ...lastName] = (address.fullName || '').split(' ');
+    const orderItems = order.orderItems.map(item => ({
+      name: item.productName,
+      sku: item.variantId ? `${item.product?.id}:${item.variantId}` : item.product?.id || item.id,
+      units: item.quantity,
+      selling_price: item.unitPrice
+    }));
+
+    return {
+      order_id: order.orderNumber,
+      order_date: this.formatOrderDate(order.createdAt),
+      pickup_location: PICKUP_LOCATION,
+      billing_customer_name: address.fullName ? firstName : customer?.firstName || 'Customer',
+      billing_last_name: address.fullName ? lastName.join(' ') : customer?.lastName || '',
+      billing_address: address.addressLine1,
+      billing_address_2: [address.addressLine2, address.landmark].filter(Boolean).join(', '),
+      billing_city: address.city,
+      billing_pincode: address.pincode,
+      billing_state: address.state,
+      billing_country: 'India',
+      billing_email: BILLING_EMAIL,
+      billing_phone: mobile,
+      shipping_is_billing: true,
+      order_items: orderItems,
+      // COD: the courier collects sub_total plus the COD fee
+      payment_method: order.paymentMethod === 'cod' ? 'COD' : 'Prepaid',
+      transaction_charges: order.paymentMethod === 'cod' ? order.codFee || 0 : 0,
+      sub_total: orderItems.reduce((sum, item) => sum + item.selling_price * item.units, 0),
+      length: PACKAGE_DIMENSIONS_CM.length,
+      breadth: PACKAGE_DIMENSIONS_CM.breadth,
+      height: PACKAGE_DIMENSIONS_CM.height,
+      weight: PACKAGE_WEIGHT_KG
+    };
+  }
+
+  /**
+   * Store Shiprocket ids on the order and publish it (missing ids are left as they are)
+   * @param {string} orderId - Order ID
+   * @param {Object} shipment - shiprocketOrderId, shipmentId, awbCode
+   */
+  async saveShipment(orderId, { shiprocketOrderId, shipmentId, awbCode }) {
+    const mutation = `
+      mutation UpdateOrderShipment($orderId: ID!, $data: OrderUpdateInput!) {
+        updateOrder(where: {id: $orderId}, data: $data) {
+          id
+        }
+      }
+    `;
+
+    const data = {};
+    if (shiprocketOrderId) data.shiprocketOrderId = shiprocketOrderId;
+    if (shipmentId) data.shipmentId = shipmentId;
+    if (awbCode) data.awbCode = awbCode;
+
+    await hygraphService.execute(mutation, { orderId, data });
+    await hygraphService.publishOrder(orderId);
+  }
+
+  /**
+   * Create the Shiprocket shipment for a queued order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Job
+   */
+  async fulfil(orderId) {
+    return withLock(`fulfilment:${orderId}`, async () => {
+      const redisClient = await getClient();
+      const job = await this.getJob(orderId) || await this.enqueue(orderId);
+
+      if (job.status === JOB_STATUS.CREATED) {
+        await redisClient.zRem('fulfilment:queue', orderId);
+        return job;
+      }
+
+      job.attempts++;
+      job.lastAttemptAt = new Date().toISOString();
+
+      try {
+        const order = await this.getOrder(orderId);
+        if (!order) {
+          throw new Error('Order not found');
+        }
+        job.orderNumber = order.orderNumber;
+
+        if (!order.shiprocketOrderId) {
+          if (order.orderStatus !== ORDER_STATUS.CONFIRMED && !job.shipment) {
+            job.status = JOB_STATUS.SKIPPED;
+            job.lastError = `Order is ${order.orderStatus}`;
+            await this.saveJob(job);
+            await redisClient.zRem('fulfilment:queue', orderId);
+            console.warn(`⚠️  Shipment not created for ${order.orderNumber}: order is ${order.orderStatus}`);
+            return job;
+          }
+
+          if (!job.shipment) {
+            const result = await shiprocketService.createShipment(this.buildShipmentPayload(order));
+            if (!result || !result.order_id) {
+              throw new Error('Shiprocket shipment creation failed');
+            }
+
+            job.shipment = {
+              shiprocketOrderId: String(result.order_id),
+              shipmentId: result.shipment_id ? String(result.shipment_id) : null,
+              awbCode: result.awb_code || null
+            };
+            await this.saveJob(job);
+          }
+
+          await this.saveShipment(orderId, job.shipment);
+        }
+
+        // Handed to the courier (a webhook update may have moved it already)
+        if (orderLifecycleService.canTransition(order.orderStatus, ORDER_STATUS.PROCESSING)) {
+          await orderLifecycleService.transition(orderId, ORDER_STATUS.PROCESSING, {
+            actor: 'system',
+            source: 'fulfilment',
+            reason: `Shiprocket order ${job.shipment?.shiprocketOrderId || order.shiprocketOrderId} created`
+          });
+        }
+
+        job.status = JOB_STATUS.CREATED;
+        job.lastError = null;
+        job.completedAt = new Date().toISOString();
+        await this.saveJob(job);
+        await redisClient.zRem('fulfilment:queue', orderId);
+
+        console.log(`✅ Shiprocket shipment created for ${order.orderNumber}`);
+        return job;
+      } catch (error) {
+        job.lastError = error.message;
+
+        if (job.attempts >= MAX_ATTEMPTS) {
+          job.status = JOB_STATUS.FAILED;
+          await this.saveJob(job);
+          await redisClient.zRem('fulfilment:queue', orderId);
+          await redisClient.zAdd('fulfilment:failed', { score: Date.now(), value: orderId });
+          console.error(`❌ Shipment creation for ${job.orderNumber || orderId} failed after ${job.attempts} attempts:`, error.message);
+          return job;
+        }
+
+        // Backoff: 1, 2, 4, ... minutes (max 1 hour)
+        const delayMs = Math.min(Math.pow(2, job.attempts - 1), 60) * 60 * 1000;
+        job.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+        await this.saveJob(job);
+        await redisClient.zAdd('fulfilment:queue', { score: Date.now() + delayMs, value: orderId });
+        console.warn(`⚠️  Shipment creation for ${job.orderNumber || orderId} failed (attempt ${job.attempts}), retrying:`, error.message);
+        return job;
+      }
+    }, { ttlMs: 60000, waitMs: 0 });
+  }
+
+  /**
+   * Process queued orders that are due
+   * @param {number} limit - Max orders per run
+   * @returns {Promise<Array>} Jobs processed
+   */
+  async processDue(limit = 20) {
+    const redisClient = await getClient();
+    const orderIds = await redisClient.zRangeByScore('fulfilment:queue', 0, Date.now(), {
+      LIMIT: { offset: 0, count: limit }
+    });
+
+    const jobs = [];
+    for (const orderId of orderIds) {
+      try {
+        jobs.push(await this.fulfil(orderId));
+      } catch (error) {
+        // Another worker has it
+        if (error.code !== 'LOCK_NOT_ACQUIRED') {
+          console.error(`❌ Fulfilment run failed for order ${orderId}:`, error.message);
+        }
+      }
+    }
+
+    return jobs;
+  }
+
+  /**
+   * List fulfilment jobs
+   * @param {string} status - 'queued' or 'failed'
+   * @param {number} limit - Max jobs
+   * @returns {Promise<Array>} Jobs
+   */
+  async listJobs(status = JOB_STATUS.QUEUED, limit = 50) {
+    const redisClient = await getClient();
+    const key = status === JOB_STATUS.FAILED ? 'fulfilment:failed' : 'fulfilment:queue';
+    const orderIds = await redisClient.zRange(key, 0, limit - 1);
+
+    const jobs = [];
+    for (const orderId of orderIds) {
+      const job = await this.getJob(orderId);
+      if (job) {
+        jobs.push(job);
+      }
+    }
+
+    return jobs;
+  }
+}
+
+const fulfilmentService = new FulfilmentService();
+
+// Create shipments for queued orders
+const queueTimer = setInterval(async () => {
+  try {
+    await fulfilmentService.processDue();
+  } catch (error) {
+    console.error('⚠️  Fulfilment queue run failed:', error.message);
+  }
+}, QUEUE_INTERVAL_MS);
+if (queueTimer.unref) queueTimer.unref();
+
+module.exports = fulfilmentService;
+module.exports.JOB_STATUS = JOB_STATUS;
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { withLock } = require('./lockService');
 
 class HygraphService {
   constructor() {
@@ -317,6 +318,7 @@ class HygraphService {
           }
           order {
             id
+            orderNumber
           }
         }
       }
@@ -437,8 +439,27 @@ class HygraphService {
     await this.execute(mutation, { orderId });
   }
 
+  /**
+   * Publish all OrderItems of an order
+   * @param {string} orderId - Order ID
+   */
+  async publishOrderItems(orderId) {
+    const mutation = `
+      mutation PublishOrderItems($orderId: ID!) {
+        publishManyOrderItemsConnection(where: {order: {id: $orderId}}, to: PUBLISHED) {
+          aggregate {
+            count
+          }
+        }
+      }
+    `;
+
+    await this.execute(mutation, { orderId });
+  }
+
   /**
    * Update Order Status
+   * Raw write - order status changes go through orderLifecycleService.transition
    * @param {string} orderId - Order ID
    * @param {string} orderStatus - New order status (OrderStatus enum)
    * @returns {Promise<Object>} Updated order
@@ -530,55 +551,156 @@ class HygraphService {
    * @returns {Promise<Object>} Updated userDetail
    */
   async updateWalletBalance(userId, amountToAdd) {
-    // First, get current wallet balance
+    // Serialize read-modify-write per user so concurrent credits aren't lost
+    return withLock(`wallet:${userId}`, async () => {
+      // First, get current wallet balance
+      const query = `
+        query GetUserDetail($userId: ID!) {
+          userDetail(where: {id: $userId}) {
+            id
+            walletBalance
+          }
+        }
+      `;
+
+      const userData = await this.execute(query, { userId });
+    
+      if (!userData.userDetail) {
+        throw new Error(`UserDetail not found for ID: ${userId}`);
+      }
+
+      const currentBalance = userData.userDetail.walletBalance || 0;
+      const newBalance = currentBalance + amountToAdd;
+
+      const mutation = `
+        mutation UpdateWalletBalance($userId: ID!, $walletBalance: Float!) {
+          updateUserDetail(
+            where: {id: $userId}
+            data: {walletBalance: $walletBalance}
+          ) {
+            id
+            walletBalance
+          }
+        }
+      `;
+
+      const result = await this.execute(mutation, { 
+        userId, 
+        walletBalance: newBalance 
+      });
+
+      // Publish the updated userDetail
+      if (result.updateUserDetail) {
+        const publishMutation = `
+          mutation PublishUserDetail($userId: ID!) {
+            publishUserDetail(where: {id: $userId}, to: PUBLISHED) {
+              id
+            }
+          }
+        `;
+        await this.execute(publishMutation, { userId });
+      }
+
+      return result.updateUserDetail;
+    });
+  }
+
+  /**
+   * Find the wallet transaction recorded for a reference
+   * @param {string} reference - Razorpay payment ID
+   * @returns {Promise<Object|null>} Wallet transaction (with userDetail id) or null
+   */
+  async findWalletTransaction(reference) {
     const query = `
-      query GetUserDetail($userId: ID!) {
-        userDetail(where: {id: $userId}) {
+      query FindWalletTransaction($reference: String!) {
+        walletTransactions(where: {reference: $reference}, stage: DRAFT, first: 1) {
           id
-          walletBalance
+          amount
+          balanceAfter
+          reference
+          createdAt
+          userDetail {
+            id
+          }
         }
       }
     `;
 
-    const userData = await this.execute(query, { userId });
-    
-    if (!userData.userDetail) {
-      throw new Error(`UserDetail not found for ID: ${userId}`);
-    }
+    const data = await this.execute(query, { reference });
+    return data.walletTransactions?.[0] || null;
+  }
 
-    const currentBalance = userData.userDetail.walletBalance || 0;
-    const newBalance = currentBalance + amountToAdd;
+  /**
+   * Credit the wallet once per reference
+   * The balance update and the WalletTransaction record are one mutation, so a
+   * credit is never applied without its record. A reference that already has
+   * a transaction is not credited again (duplicate: true).
+   * @param {string} userId - UserDetail ID
+   * @param {number} amount - Amount to add in rupees (Float)
+   * @param {string} reference - Razorpay payment ID
+   * @returns {Promise<Object>} { duplicate, transaction, walletBalance }
+   */
+  async creditWallet(userId, amount, reference) {
+    return withLock(`wallet:${userId}`, async () => {
+      const existing = await this.findWalletTransaction(reference);
+      if (existing) {
+        console.log(`♻️  Wallet credit already recorded for ${reference} - skipping`);
+        return { duplicate: true, transaction: existing, walletBalance: existing.balanceAfter };
+      }
 
-    const mutation = `
-      mutation UpdateWalletBalance($userId: ID!, $walletBalance: Float!) {
-        updateUserDetail(
-          where: {id: $userId}
-          data: {walletBalance: $walletBalance}
-        ) {
-          id
-          walletBalance
+      const query = `
+        query GetUserDetail($userId: ID!) {
+          userDetail(where: {id: $userId}) {
+            id
+            walletBalance
+          }
         }
+      `;
+
+      const userData = await this.execute(query, { userId });
+
+      if (!userData.userDetail) {
+        throw new Error(`UserDetail not found for ID: ${userId}`);
       }
-    `;
 
-    const result = await this.execute(mutation, { 
-      userId, 
-      walletBalance: newBalance 
-    });
+      const walletBalance = (userData.userDetail.walletBalance || 0) + amount;
 
-    // Publish the updated userDetail
-    if (result.updateUserDetail) {
-      const publishMutation = `
-        mutation PublishUserDetail($userId: ID!) {
-          publishUserDetail(where: {id: $userId}, to: PUBLISHED) {
+      const mutation = `
+        mutation CreditWallet($userId: ID!, $walletBalance: Float!, $amount: Float!, $reference: String!) {
+          updateUserDetail(
+            where: {id: $userId}
+            data: {
+              walletBalance: $walletBalance
+              walletTransactions: {
+                create: {amount: $amount, balanceAfter: $walletBalance, reference: $reference}
+              }
+            }
+          ) {
             id
+            walletBalance
           }
         }
       `;
-      await this.execute(publishMutation, { userId });
-    }
 
-    return result.updateUserDetail;
+      const result = await this.execute(mutation, { userId, walletBalance, amount, reference });
+
+      if (result.updateUserDetail) {
+        const publishMutation = `
+          mutation PublishUserDetail($userId: ID!) {
+            publishUserDetail(where: {id: $userId}, to: PUBLISHED) {
+              id
+            }
+          }
+        `;
+        await this.execute(publishMutation, { userId });
+      }
+
+      return {
+        duplicate: false,
+        transaction: { amount, balanceAfter: walletBalance, reference, userDetail: { id: userId } },
+        walletBalance
+      };
+    });
   }
 }
 
@@ -297,6 +297,7 @@ class HygraphUserService {
           fantasyEnabled
           shopTokens
           fantasyUserId
+          role
         }
       }
     `;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { getClient } = require('../config/redis');
+
+// How long completed records are kept (replays within this window get the original response)
+const RECORD_TTL_SECONDS = (parseInt(process.env.IDEMPOTENCY_TTL_DAYS) || 30) * 24 * 60 * 60;
+
+// How long an in-progress claim is held before another request may take over
+// (protects against a crash between begin() and complete())
+const LEASE_TTL_SECONDS = 5 * 60;
+
+/**
+ * Idempotency records (Redis)
+ * A caller claims a key with begin(), does the work, then stores the
+ * response with complete(). Replays get the stored response back, and a
+ * replay with a different request fingerprint is reported as a conflict.
+ *
+ * Key: idempotency:{scope}:{key}
+ */
+class IdempotencyService {
+  recordKey(scope, key) {
+    return `idempotency:${scope}:${key}`;
+  }
+
+  /**
+   * Build a stable fingerprint of the request fields that must match on replay
+   * @param {Object} fields - Request fields (e.g. { userId, amount })
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint(fields) {
+    const canonical = JSON.stringify(
+      Object.keys(fields).sort().map(name => [name, fields[name]])
+    );
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  /**
+   * Claim an idempotency key
+   * @param {string} scope - Record scope (e.g. 'fantasy-topup')
+   * @param {string} key - Idempotency key (e.g. transaction_id)
+   * @param {string} fingerprint - Request fingerprint
+   * @returns {Promise<Object>} { status: 'started' | 'completed' | 'in_progress' | 'conflict', response? }
+   */
+  async begin(scope, key, fingerprint) {
+    const redisClient = await getClient();
+    const recordKey = this.recordKey(scope, key);
+
+    const record = {
+      state: 'in_progress',
+      fingerprint,
+      createdAt: new Date().toISOString()
+    };
+
+    const claimed = await redisClient.set(recordKey, JSON.stringify(record), {
+      NX: true,
+      EX: LEASE_TTL_SECONDS
+    });
+
+    if (claimed) {
+      return { status: 'started' };
+    }
+
+    const existingJson = await redisClient.get(recordKey);
+    if (!existingJson) {
+      // Lease expired between SET and GET - try once more
+      return this.begin(scope, key, fingerprint);
+    }
+
+    const existing = JSON.parse(existingJson);
+
+    if (existing.fingerprint !== fingerprint) {
+      return { status: 'conflict', record: existing };
+    }
+
+    if (existing.state === 'completed') {
+      return { status: 'completed', response: existing.response, record: existing };
+    }
+
+    return { status: 'in_progress', record: existing };
+  }
+
+  /**
+   * Store the final response for a claimed key
+   * @param {string} scope - Record scope
+   * @param {string} key - Idempotency key
+   * @param {string} fingerprint - Request fingerprint
+   * @param {Object} response - Response to return on replay
+   */
+  async complete(scope, key, fingerprint, response) {
+    const redisClient = await getClient();
+
+    const record = {
+      state: 'completed',
+      fingerprint,
+      response,
+      completedAt: new Date().toISOString()
+    };
+
+    await redisClient.set(this.recordKey(scope, key), JSON.stringify(record), {
+      EX: RECORD_TTL_SECONDS
+    });
+  }
+
+  /**
+   * Release a claim after a failure so the request can be retried
+   * @param {string} scope - Record scope
+   * @param {string} key - Idempotency key
+   */
+  async release(scope, key) {
+    try {
+      const redisClient = await getClient();
+      await redisClient.del(this.recordKey(scope, key));
+    } catch (error) {
+      // The lease expires on its own
+      console.error(`⚠️  Failed to release idempotency key ${scope}:${key}:`, error.message);
+    }
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getClient } = require('../config/redis');
+
+// Requests signed more than this far from our clock are rejected
+const SIGNATURE_WINDOW_SECONDS = parseInt(process.env.INTERNAL_AUTH_WINDOW_SECONDS) || 300;
+
+const HEADERS = {
+  KEY_ID: 'x-internal-key-id',
+  TIMESTAMP: 'x-internal-timestamp',
+  NONCE: 'x-internal-nonce',
+  SIGNATURE: 'x-internal-signature'
+};
+
+// Static secret headers read by Fantasy endpoints that predate signing
+// (X-Internal-Key: user sync, X-Internal-Secret: logout)
+const LEGACY_HEADERS = ['x-internal-key', 'x-internal-secret'];
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Internal API Authentication (Shop ⇄ Fantasy)
+ * Backend-to-backend requests are signed with HMAC-SHA256 over
+ *
+ *   METHOD \n PATH(+query) \n TIMESTAMP \n NONCE \n SHA256(BODY)
+ *
+ * and sent with X-Internal-Key-Id, X-Internal-Timestamp (unix seconds),
+ * X-Internal-Nonce and X-Internal-Signature (hex). The receiver rejects
+ * requests outside the time window and nonces it has already seen.
+ *
+ * Keys:
+ * - INTERNAL_API_KEYS="kid1:secret1,kid2:secret2" - all keys accepted inbound
+ * - INTERNAL_API_KEY_ID=kid2 - key used to sign outbound requests
+ * Rotate by adding the new key on both sides, switching INTERNAL_API_KEY_ID,
+ * then removing the old key.
+ * Without INTERNAL_API_KEYS the legacy INTERNAL_API_SECRET is used as key id `default`.
+ *
+ * Legacy static secrets are accepted inbound and sent outbound (alongside the
+ * signature) while INTERNAL_API_KEYS is unset or INTERNAL_AUTH_ALLOW_LEGACY=true,
+ * so both backends keep working until each side verifies signatures. A request
+ * that can be neither signed nor authenticated with the legacy secret fails.
+ *
+ * Redis keys:
+ * - internal:nonce:{keyId}:{nonce} - seen nonces (expire after the window)
+ */
+class InternalAuthService {
+  /**
+   * Configured keys by key id
+   * @returns {Map<string, string>} keyId → secret
+   */
+  getKeys() {
+    const keys = new Map();
+
+    (process.env.INTERNAL_API_KEYS || '').split(',').forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator > 0) {
+        const keyId = entry.slice(0, separator).trim();
+        const secret = entry.slice(separator + 1).trim();
+        if (keyId && secret) {
+          keys.set(keyId, secret);
+        }
+      }
+    });
+
+    if (keys.size === 0 && process.env.INTERNAL_API_SECRET) {
+      keys.set('default', process.env.INTERNAL_API_SECRET);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Key used to sign outbound requests
+   * @returns {Object} { keyId, secret }
+   */
+  getSigningKey() {
+    const keys = this.getKeys();
+    const keyId = process.env.INTERNAL_API_KEY_ID || keys.keys().next().value;
+
+    if (!keyId || !keys.has(keyId)) {
+      throw new Error('Internal API signing key not configured (INTERNAL_API_KEYS / INTERNAL_API_KEY_ID)');
+    }
+
+    return { keyId, secret: keys.get(keyId) };
+  }
+
+  /**
+   * Whether the static secret headers are still accepted inbound and sent outbound
+   * @returns {boolean} True during the migration to signed requests
+   */
+  isLegacyEnabled() {
+    return !process.env.INTERNAL_API_KEYS || process.env.INTERNAL_AUTH_ALLOW_LEGACY === 'true';
+  }
+
+  /**
+   * Static secret headers for Fantasy endpoints that predate signing
+   * @returns {Object} Headers to send (empty once the migration is done or no secret is set)
+   */
+  getLegacyHeaders() {
+    const secret = process.env.INTERNAL_API_SECRET || process.env.INTERNAL_SECRET;
+
+    if (!this.isLegacyEnabled() || !secret) {
+      return {};
+    }
+
+    return Object.fromEntries(LEGACY_HEADERS.map(name => [name, secret]));
+  }
+
+  /**
+   * Compute the request signature
+   * @param {string} secret - Shared secret
+   * @param {Object} parts - method, path, timestamp, nonce, body (string/Buffer)
+   * @returns {string} Hex HMAC
+   */
+  computeSignature(secret, { method, path, timestamp, nonce, body }) {
+    const canonical = [
+      method.toUpperCase(),
+      path,
+      String(timestamp),
+      nonce,
+      sha256Hex(body || '')
+    ].join('\n');
+
+    return crypto.createHmac('sha256', secret).update(canonical).digest('hex');
+  }
+
+  /**
+   * Build signature headers for an outbound request
+   * @param {Object} request - method, path (with query string), body (serialized)
+   * @returns {Object} Headers to send
+   */
+  sign({ method, path, body = '' }) {
+    const { keyId, secret } = this.getSigningKey();
+    const timestamp = Math.floor(Date.now() / 1000);
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    return {
+      [HEADERS.KEY_ID]: keyId,
+      [HEADERS.TIMESTAMP]: String(timestamp),
+      [HEADERS.NONCE]: nonce,
+      [HEADERS.SIGNATURE]: this.computeSignature(secret, { method, path, timestamp, nonce, body })
+    };
+  }
+
+  /**
+   * Verify a signed inbound request
+   * @param {Object} request - method, path, body (raw), headers (lower-case names)
+   * @returns {Promise<Object>} { valid: true, keyId } or { valid: false, error }
+   */
+  async verify({ method, path, body, headers }) {
+    const keyId = headers[HEADERS.KEY_ID];
+    const timestamp = headers[HEADERS.TIMESTAMP];
+    const nonce = headers[HEADERS.NONCE];
+    const signature = headers[HEADERS.SIGNATURE];
+
+    if (!keyId || !timestamp || !nonce || !signature) {
+      return { valid: false, error: 'Missing internal signature headers' };
+    }
+
+    const secret = this.getKeys().get(keyId);
+    if (!secret) {
+      return { valid: false, error: `Unknown internal key id: ${keyId}` };
+    }
+
+    const timestampSeconds = parseInt(timestamp, 10);
+    if (!Number.isFinite(timestampSeconds) ||
+        Math.abs(Math.floor(Date.now() / 1000) - timestampSeconds) > SIGNATURE_WINDOW_SECONDS) {
+      return { valid: false, error: 'Request timestamp outside the allowed window' };
+    }
+
+    const expected = this.computeSignature(secret, { method, path, timestamp, nonce, body });
+    if (!safeEqual(expected, signature)) {
+      return { valid: false, error: 'Invalid internal signature' };
+    }
+
+    // Reject replays: each nonce is accepted once within the window
+    const redisClient = await getClient();
+    const firstUse = await redisClient.set(`internal:nonce:${keyId}:${nonce}`, '1', {
+      NX: true,
+      EX: SIGNATURE_WINDOW_SECONDS * 2
+    });
+
+    if (!firstUse) {
+      return { valid: false, error: 'Replayed internal request' };
+    }
+
+    return { valid: true, keyId };
+  }
+
+  /**
+   * Create an axios instance that signs every request
+   * JSON bodies are serialized here so the signature covers the exact bytes sent.
+   * @param {string} baseURL - Base URL of the internal service
+   * @param {Object} options - Extra axios options (timeout, ...)
+   * @returns {Object} axios instance
+   */
+  createClient(baseURL, options = {}) {
+    const client = axios.create({ baseURL, ...options });
+
+    client.interceptors.request.use(config => {
+      let body = '';
+      if (config.data !== undefined && config.data !== null) {
+        body = typeof config.data === 'string' ? config.data : JSON.stringify(config.data);
+        config.data = body;
+        config.headers['Content-Type'] = 'application/json';
+      }
+
+      const url = new URL(client.getUri(config));
+      const legacyHeaders = this.getLegacyHeaders();
+
+      // Unsigned requests still work against a Fantasy backend that only knows the legacy secret
+      let signatureHeaders = {};
+      try {
+        signatureHeaders = this.sign({
+          method: config.method || 'get',
+          path: `${url.pathname}${url.search}`,
+          body
+        });
+      } catch (error) {
+        if (Object.keys(legacyHeaders).length === 0) {
+          throw error;
+        }
+        console.warn(`⚠️  ${error.message} - ${url.pathname} sent with the legacy secret only`);
+      }
+
+      Object.entries({ ...legacyHeaders, ...signatureHeaders }).forEach(([name, value]) => {
+        config.headers[name] = value;
+      });
+
+      return config;
+    });
+
+    return client;
+  }
+}
+
+module.exports = new InternalAuthService();
+module.exports.HEADERS = HEADERS;
@@ -0,0 +1,346 @@
+const { getClient } = require('../config/redis');
+
+// Reservations not committed within this time are released (abandoned checkouts)
+const RESERVATION_HOLD_MINUTES = parseInt(process.env.INVENTORY_HOLD_MINUTES) || 30;
+
+// Released/committed reservation records are kept this long
+const RESERVATION_RECORD_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Expiry worker interval
+const EXPIRY_INTERVAL_MS = 60 * 1000;
+
+const EXPIRING_KEY = 'inventory:reservations:expiring';
+
+// Reserve all lines or none. Untracked SKUs (no stock hash) are unlimited;
+// whether a line is tracked is decided here, atomically with the reservation.
+// KEYS[1] = reservation key, KEYS[2] = expiring zset, KEYS[3..] = stock hashes
+// ARGV[1] = reservation JSON (items in KEYS order), ARGV[2] = expiresAt (ms), ARGV[3] = reservation id,
+// ARGV[4..] = quantities
+// Returns { 'ok' | 'exists' | 'insufficient', index, available, stored reservation JSON }
+const RESERVE_SCRIPT = `
+  if redis.call('EXISTS', KEYS[1]) == 1 then
+    return { 'exists', 0, 0, '' }
+  end
+  for i = 3, #KEYS do
+    if redis.call('EXISTS', KEYS[i]) == 1 then
+      local onHand = tonumber(redis.call('HGET', KEYS[i], 'available') or '0')
+      local reserved = tonumber(redis.call('HGET', KEYS[i], 'reserved') or '0')
+      local wanted = tonumber(ARGV[i + 1])
+      if onHand - reserved < wanted then
+        return { 'insufficient', i - 2, onHand - reserved, '' }
+      end
+    end
+  end
+  local reservation = cjson.decode(ARGV[1])
+  for i = 3, #KEYS do
+    local tracked = redis.call('EXISTS', KEYS[i]) == 1
+    if tracked then
+      redis.call('HINCRBY', KEYS[i], 'reserved', tonumber(ARGV[i + 1]))
+    end
+    reservation.items[i - 2].tracked = tracked
+  end
+  local json = cjson.encode(reservation)
+  redis.call('SET', KEYS[1], json)
+  redis.call('ZADD', KEYS[2], tonumber(ARGV[2]), ARGV[3])
+  return { 'ok', 0, 0, json }
+`;
+
+// Change a reservation's status and apply the stock movement
+// KEYS[1] = reservation key, KEYS[2] = expiring zset, KEYS[3..] = stock hashes of its lines
+// ARGV[1] = action ('commit' | 'release'), ARGV[2] = reservation id, ARGV[3] = now (ISO), ARGV[4] = record TTL
+// commit:  reserved → sold (available and reserved both decrease)
+// release: reserved → free (reserved decreases); committed → restocked (available increases)
+// Stock hashes deleted since the reservation (SKU untracked) are left alone, never recreated.
+// Returns the resulting status, or 'missing'
+const TRANSITION_SCRIPT = `
+  local json = redis.call('GET', KEYS[1])
+  if not json then
+    return 'missing'
+  end
+  local reservation = cjson.decode(json)
+  local action = ARGV[1]
+
+  if action == 'commit' then
+    if reservation.status ~= 'reserved' then
+      return reservation.status
+    end
+    for _, line in ipairs(reservation.items) do
+      if line.tracked and redis.call('EXISTS', line.key) == 1 then
+        redis.call('HINCRBY', line.key, 'available', -line.quantity)
+        redis.call('HINCRBY', line.key, 'reserved', -line.quantity)
+      end
+    end
+    reservation.status = 'committed'
+    reservation.committedAt = ARGV[3]
+  else
+    if reservation.status == 'released' then
+      return 'released'
+    end
+    for _, line in ipairs(reservation.items) do
+      if line.tracked and redis.call('EXISTS', line.key) == 1 then
+        if reservation.status == 'reserved' then
+          redis.call('HINCRBY', line.key, 'reserved', -line.quantity)
+        else
+          redis.call('HINCRBY', line.key, 'available', line.quantity)
+        end
+      end
+    end
+    reservation.releasedFrom = reservation.status
+    reservation.status = 'released'
+    reservation.releasedAt = ARGV[3]
+  end
+
+  redis.call('ZREM', KEYS[2], ARGV[2])
+  redis.call('SET', KEYS[1], cjson.encode(reservation), 'EX', tonumber(ARGV[4]))
+  return reservation.status
+`;
+
+/**
+ * Inventory (Redis)
+ * Stock per SKU (a product, or product:variant) with on-hand and reserved
+ * quantities. Orders reserve stock when they are placed; the reservation is
+ * committed when the order is paid and released when the order is cancelled,
+ * its payment fails, or it is not paid within INVENTORY_HOLD_MINUTES.
+ *
+ * Products without a stock record are not tracked (unlimited stock).
+ *
+ * Keys:
+ * - inventory:stock:{sku} - hash { available (on hand), reserved }
+ * - inventory:reservation:{reservationId} - JSON { items, status, expiresAt } (id = order number)
+ * - inventory:reservations:expiring - sorted set of reserved ids by expiry time
+ */
+class InventoryService {
+  skuFor(productId, variantId = null) {
+    return variantId ? `${productId}:${variantId}` : productId;
+  }
+
+  stockKey(sku) {
+    return `inventory:stock:${sku}`;
+  }
+
+  reservationKey(reservationId) {
+    return `inventory:reservation:${reservationId}`;
+  }
+
+  /**
+   * Get stock for a SKU
+   * @param {string} sku - SKU (productId or productId:variantId)
+   * @returns {Promise<Object>} { sku, tracked, available, reserved, sellable }
+   */
+  async getStock(sku) {
+    const redisClient = await getClient();
+    const stock = await redisClient.hGetAll(this.stockKey(sku));
+
+    if (!stock || Object.keys(stock).length === 0) {
+      return { sku, tracked: false, available: null, reserved: 0, sellable: null };
+    }
+
+    const available = parseInt(stock.available) || 0;
+    const reserved = parseInt(stock.reserved) || 0;
+    return { sku, tracked: true, available, reserved, sellable: Math.max(available - reserved, 0) };
+  }
+
+  /**
+   * Set on-hand stock for a SKU (reserved quantity is kept)
+   * @param {string} sku - SKU
+   * @param {number} available - On-hand quantity
+   * @returns {Promise<Object>} Updated stock
+   */
+  async setStock(sku, available) {
+    const redisClient = await getClient();
+    await redisClient.hSet(this.stockKey(sku), 'available', available);
+    await redisClient.hSetNX(this.stockKey(sku), 'reserved', '0');
+    return this.getStock(sku);
+  }
+
+  /**
+   * Adjust on-hand stock for a SKU (e.g. +50 received, -2 damaged)
+   * @param {string} sku - SKU
+   * @param {number} delta - Quantity change
+   * @returns {Promise<Object>} Updated stock
+   */
+  async adjustStock(sku, delta) {
+    const redisClient = await getClient();
+    await redisClient.hIncrBy(this.stockKey(sku), 'available', delta);
+    await redisClient.hSetNX(this.stockKey(sku), 'reserved', '0');
+    return this.getStock(sku);
+  }
+
+  /**
+   * Stop tracking stock for a SKU (unlimited again)
+   * @param {string} sku - SKU
+   */
+  async untrack(sku) {
+    const redisClient = await getClient();
+    await redisClient.del(this.stockKey(sku));
+  }
+
+  /**
+   * Per-item availability (for /api/orders/validate)
+   * @param {Array} items - Items with productId, variantId (optional), quantity, productName (optional)
+   * @returns {Promise<Array>} [{ productId, variantId, requested, tracked, available, inStock }]
+   */
+  async getAvailability(items) {
+    const requestedBySku = this.groupBySku(items);
+    const availability = [];
+
+    for (const item of items) {
+      const sku = this.skuFor(item.productId, item.variantId);
+      const stock = await this.getStock(sku);
+
+      availability.push({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        requested: item.quantity,
+        tracked: stock.tracked,
+        available: stock.sellable,
+        inStock: !stock.tracked || stock.sellable >= requestedBySku.get(sku)
+      });
+    }
+
+    return availability;
+  }
+
+  groupBySku(items) {
+    const quantities = new Map();
+    for (const item of items) {
+      const sku = this.skuFor(item.productId, item.variantId);
+      quantities.set(sku, (quantities.get(sku) || 0) + item.quantity);
+    }
+    return quantities;
+  }
+
+  /**
+   * Reserve stock for an order (all items or none)
+   * Reserving again with the same id is a no-op.
+   * @param {string} reservationId - Order number
+   * @param {Array} items - Items with productId, variantId (optional), quantity, productName (optional)
+   * @returns {Promise<Object>} Reservation record
+   */
+  async reserve(reservationId, items) {
+    const redisClient = await getClient();
+    const quantities = this.groupBySku(items);
+    const skus = [...quantities.keys()];
+
+    // Untracked SKUs are recorded too (the script sets `tracked`), so stock added
+    // later isn't released by mistake
+    const lines = skus.map(sku => ({ sku, key: this.stockKey(sku), quantity: quantities.get(sku), tracked: false }));
+
+    const expiresAt = Date.now() + RESERVATION_HOLD_MINUTES * 60 * 1000;
+    const reservation = {
+      reservationId,
+      status: 'reserved',
+      items: lines,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+
+    const [result, index, sellable, stored] = await redisClient.eval(RESERVE_SCRIPT, {
+      keys: [this.reservationKey(reservationId), EXPIRING_KEY, ...lines.map(line => line.key)],
+      arguments: [
+        JSON.stringify(reservation),
+        String(expiresAt),
+        reservationId,
+        ...lines.map(line => String(line.quantity))
+      ]
+    });
+
+    if (result === 'exists') {
+      return this.getReservation(reservationId);
+    }
+
+    if (result === 'insufficient') {
+      const line = lines[index - 1];
+      const item = items.find(i => this.skuFor(i.productId, i.variantId) === line.sku);
+      const name = item?.productName || line.sku;
+      throw new Error(`Out of stock: ${name} (requested ${line.quantity}, available ${Math.max(sellable, 0)})`);
+    }
+
+    console.log(`📦 Stock reserved for ${reservationId}: ${lines.map(l => `${l.sku} x${l.quantity}`).join(', ')}`);
+    return JSON.parse(stored);
+  }
+
+  /**
+   * Get reservation record
+   * @param {string} reservationId - Order number
+   * @returns {Promise<Object|null>} Reservation or null
+   */
+  async getReservation(reservationId) {
+    const redisClient = await getClient();
+    const json = await redisClient.get(this.reservationKey(reservationId));
+    return json ? JSON.parse(json) : null;
+  }
+
+  async transition(action, reservationId) {
+    const reservation = await this.getReservation(reservationId);
+    if (!reservation) {
+      return 'missing';
+    }
+
+    const redisClient = await getClient();
+    return redisClient.eval(TRANSITION_SCRIPT, {
+      keys: [this.reservationKey(reservationId), EXPIRING_KEY, ...reservation.items.map(line => line.key)],
+      arguments: [action, reservationId, new Date().toISOString(), String(RESERVATION_RECORD_TTL_SECONDS)]
+    });
+  }
+
+  /**
+   * Commit a reservation (order paid - stock leaves inventory)
+   * @param {string} reservationId - Order number
+   * @returns {Promise<string>} Resulting status ('committed', 'released', 'missing')
+   */
+  async commit(reservationId) {
+    const status = await this.transition('commit', reservationId);
+    if (status === 'committed') {
+      console.log(`📦 Stock committed for ${reservationId}`);
+    }
+    return status;
+  }
+
+  /**
+   * Release a reservation (cancelled, payment failed or expired)
+   * Committed stock is returned to inventory.
+   * @param {string} reservationId - Order number
+   * @returns {Promise<string>} Resulting status ('released', 'missing')
+   */
+  async release(reservationId) {
+    const status = await this.transition('release', reservationId);
+    if (status === 'released') {
+      console.log(`📦 Stock released for ${reservationId}`);
+    }
+    return status;
+  }
+
+  /**
+   * Release reservations past their hold time
+   * @param {number} limit - Maximum reservations to release in one run
+   * @returns {Promise<number>} Number released
+   */
+  async releaseExpired(limit = 50) {
+    const redisClient = await getClient();
+    const reservationIds = await redisClient.zRangeByScore(EXPIRING_KEY, 0, Date.now(), {
+      LIMIT: { offset: 0, count: limit }
+    });
+
+    for (const reservationId of reservationIds) {
+      await this.release(reservationId);
+      console.log(`⌛ Stock reservation expired: ${reservationId}`);
+    }
+
+    return reservationIds.length;
+  }
+}
+
+const inventoryService = new InventoryService();
+
+// Release abandoned reservations every minute
+const expiryTimer = setInterval(async () => {
+  try {
+    await inventoryService.releaseExpired();
+  } catch (error) {
+    console.error('⚠️  Stock reservation expiry run failed:', error.message);
+  }
+}, EXPIRY_INTERVAL_MS);
+if (expiryTimer.unref) expiryTimer.unref();
+
+module.exports = inventoryService;
@@ -0,0 +1,557 @@
+const PDFDocument = require('pdfkit');
+const { getClient } = require('../config/redis');
+const { withLock } = require('./lockService');
+const hygraphService = require('./hygraphService');
+const addressService = require('./addressService');
+const { ORDER_STATUS } = require('./orderLifecycleService');
+
+// Seller printed on every invoice (state decides CGST/SGST vs IGST)
+const SELLER = {
+  name: process.env.SELLER_NAME,
+  gstin: process.env.SELLER_GSTIN,
+  address: process.env.SELLER_ADDRESS,
+  state: addressService.normalizeState(process.env.SELLER_STATE || '')
+};
+
+// Invoice numbers are {prefix}/{YY-YY}/{00001} - GST allows at most 16 characters
+const INVOICE_PREFIX = (process.env.INVOICE_PREFIX || 'INV').slice(0, 4);
+
+// GST rate (%) and HSN code for products that don't set their own
+const DEFAULT_GST_RATE = parseFloat(process.env.DEFAULT_GST_RATE) || 18;
+const DEFAULT_HSN_CODE = process.env.DEFAULT_HSN_CODE || null;
+
+// SAC of the cash on delivery charge (courier services)
+const COD_CHARGES_SAC = '9968';
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Goods were supplied (or are being) - an invoice can be issued
+const INVOICEABLE_STATUSES = [
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.DELIVERED,
+  ORDER_STATUS.RETURNED
+];
+
+// Allocated numbers are kept until the Invoice record exists
+const NUMBER_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const INVOICE_FIELDS = `
+  id
+  invoiceNumber
+  invoiceDate
+  financialYear
+  data
+  createdAt
+`;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * GST Invoices
+ * Tax invoices for orders, built from the persisted Order, its line items and
+ * its shipping address snapshot. Catalog prices include GST: each line's
+ * taxable value and tax are worked out backwards from what was charged.
+ * Shop tokens are shown as a discount (their rupee value at the order's own
+ * token/rupee ratio) and lower the taxable value. Shipping to the seller's
+ * state is taxed CGST + SGST, anywhere else IGST.
+ *
+ * An invoice is generated once and stored as a Hygraph Invoice (number and
+ * everything printed on it); the PDF is rendered from that record, so it
+ * never changes when products, addresses or settings do.
+ *
+ * Keys:
+ * - invoice:seq:{YY-YY} - invoice number counter per financial year (April-March), never
+ *   behind the highest number stored in Hygraph (a lost counter can't reissue numbers)
+ * - invoice:number:{orderId} - number allocated to an order until its Invoice is stored
+ */
+class InvoiceService {
+  /**
+   * Financial year label of a date, in IST ("26-27" for Apr 2026 - Mar 2027)
+   * @param {Date} date - Date
+   * @returns {string} Financial year
+   */
+  getFinancialYear(date = new Date()) {
+    const ist = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${String(startYear % 100).padStart(2, '0')}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Check that the seller details needed on an invoice are configured
+   */
+  assertConfigured() {
+    const missing = ['name', 'gstin', 'address', 'state'].find(field => !SELLER[field]);
+    if (missing) {
+      throw new Error(`Invoicing is not configured (SELLER_${missing.toUpperCase()})`);
+    }
+
+    if (!GSTIN_PATTERN.test(SELLER.gstin)) {
+      throw new Error('Invoicing is not configured (SELLER_GSTIN is not a valid GSTIN)');
+    }
+  }
+
+  /**
+   * Load what the invoice is built from (includes unpublished changes)
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} Order or null
+   */
+  async getOrder(orderId) {
+    const query = `
+      query GetOrderForInvoice($orderId: ID!) {
+        order(where: {id: $orderId}, stage: DRAFT) {
+          id
+          orderNumber
+          orderStatus
+          totalAmount
+          shopTokensUsed
+          paymentMethod
+          codFee
+          createdAt
+          shippingAddress
+          orderItems {
+            id
+            productName
+            quantity
+            unitPrice
+            lineTotal
+            lineShopTokens
+            product {
+              id
+              hsnCode
+              gstRate
+            }
+          }
+          userDetail {
+            id
+            firstName
+            lastName
+            mobileNumber
+          }
+          address {
+            addressLine1
+            addressLine2
+            city
+            state
+            pincode
+            landmark
+          }
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { orderId });
+    return result.order || null;
+  }
+
+  /**
+   * Get the stored invoice of an order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} Invoice or null
+   */
+  async findByOrder(orderId) {
+    const query = `
+      query FindInvoiceByOrder($orderId: ID!) {
+        invoices(where: {order: {id: $orderId}}, stage: DRAFT, first: 1) {
+          ${INVOICE_FIELDS}
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { orderId });
+    return result.invoices?.[0] || null;
+  }
+
+  /**
+   * Rupee value of the shop tokens used (the order's token/rupee ratio)
+   * @param {Object} order - Order from getOrder
+   * @returns {Object} { tokensUsed, discount } (discount in rupees)
+   */
+  getTokenDiscount(order) {
+    const items = order.orderItems || [];
+    const itemsTotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+    const lineTokensTotal = items.reduce((sum, item) => sum + (item.lineShopTokens || 0), 0);
+    // Orders from before payment methods were paid with tokens
+    const tokensUsed = order.shopTokensUsed ?? lineTokensTotal;
+
+    if (lineTokensTotal <= 0 || tokensUsed <= 0) {
+      return { tokensUsed: 0, discount: 0 };
+    }
+
+    return { tokensUsed, discount: round2(Math.min(itemsTotal * tokensUsed / lineTokensTotal, itemsTotal)) };
+  }
+
+  /**
+   * Work out the invoice lines and totals
+   * @param {Object} order - Order from getOrder
+   * @returns {Object} { seller, buyer, placeOfSupply, interState, lines, totals, shopTokensUsed }
+   */
+  calculate(order) {
+    // Address snapshot taken at checkout (older orders only have the Address relation)
+    const address = order.shippingAddress || order.address;
+    if (!address) {
+      throw new Error(`Order ${order.orderNumber} has no shipping address`);
+    }
+
+    const placeOfSupply = addressService.normalizeState(address.state) || address.state;
+    const interState = placeOfSupply !== SELLER.state;
+    const items = order.orderItems || [];
+    const itemsTotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+    const { tokensUsed, discount } = this.getTokenDiscount(order);
+
+    const lines = items.map(item => ({
+      description: item.productName,
+      hsnCode: item.product?.hsnCode || DEFAULT_HSN_CODE,
+      gstRate: item.product?.gstRate ?? DEFAULT_GST_RATE,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      amount: item.lineTotal,
+      discount: 0
+    }));
+
+    // Spread the token discount over the items by value (the last line takes the rounding)
+    let discountLeft = discount;
+    lines.forEach((line, index) => {
+      line.discount = index === lines.length - 1
+        ? round2(discountLeft)
+        : round2(itemsTotal > 0 ? discount * line.amount / itemsTotal : 0);
+      discountLeft -= line.discount;
+    });
+
+    if (order.paymentMethod === 'cod' && order.codFee > 0) {
+      lines.push({
+        description: 'Cash on delivery charges',
+        hsnCode: COD_CHARGES_SAC,
+        gstRate: DEFAULT_GST_RATE,
+        quantity: 1,
+        unitPrice: order.codFee,
+        amount: order.codFee,
+        discount: 0
+      });
+    }
+
+    for (const line of lines) {
+      // Prices include GST
+      const total = round2(line.amount - line.discount);
+      const taxableValue = round2(total / (1 + line.gstRate / 100));
+      const tax = round2(total - taxableValue);
+
+      Object.assign(line, {
+        taxableValue,
+        cgst: interState ? 0 : round2(tax / 2),
+        sgst: interState ? 0 : round2(tax - round2(tax / 2)),
+        igst: interState ? tax : 0,
+        total
+      });
+    }
+
+    const sum = field => round2(lines.reduce((total, line) => total + line[field], 0));
+
+    return {
+      seller: { ...SELLER },
+      buyer: {
+        name: address.fullName || [order.userDetail?.firstName, order.userDetail?.lastName].filter(Boolean).join(' '),
+        mobileNumber: address.mobileNumber || order.userDetail?.mobileNumber || null,
+        address: [address.addressLine1, address.addressLine2, address.landmark].filter(Boolean).join(', '),
+        city: address.city,
+        state: placeOfSupply,
+        pincode: address.pincode
+      },
+      orderNumber: order.orderNumber,
+      orderDate: order.createdAt,
+      paymentMethod: order.paymentMethod || 'shop_tokens',
+      placeOfSupply,
+      interState,
+      shopTokensUsed: tokensUsed,
+      lines,
+      totals: {
+        amount: sum('amount'),
+        discount: sum('discount'),
+        taxableValue: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        total: sum('total')
+      }
+    };
+  }
+
+  /**
+   * Allocate the next invoice number (reused if an earlier attempt was interrupted)
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} { invoiceNumber, invoiceDate, financialYear }
+   */
+  async allocateNumber(orderId) {
+    const redisClient = await getClient();
+    const numberKey = `invoice:number:${orderId}`;
+
+    const allocated = await redisClient.get(numberKey);
+    if (allocated) {
+      return JSON.parse(allocated);
+    }
+
+    const invoiceDate = new Date();
+    const financialYear = this.getFinancialYear(invoiceDate);
+    const sequenceKey = `invoice:seq:${financialYear}`;
+
+    const sequence = await withLock(`invoice-seq:${financialYear}`, async () => {
+      const issued = await this.getLastIssuedSequence(financialYear);
+      const current = parseInt(await redisClient.get(sequenceKey), 10) || 0;
+
+      if (current < issued) {
+        console.warn(`⚠️  Invoice counter ${financialYear} was at ${current}, behind issued ${issued} - raised`);
+        await redisClient.set(sequenceKey, String(issued));
+      }
+
+      return redisClient.incr(sequenceKey);
+    });
+
+    const number = {
+      invoiceNumber: `${INVOICE_PREFIX}/${financialYear}/${String(sequence).padStart(5, '0')}`,
+      invoiceDate: invoiceDate.toISOString(),
+      financialYear
+    };
+
+    await redisClient.set(numberKey, JSON.stringify(number), { EX: NUMBER_TTL_SECONDS });
+    return number;
+  }
+
+  /**
+   * Highest invoice sequence stored in Hygraph for a financial year
+   * @param {string} financialYear - Financial year ("26-27")
+   * @returns {Promise<number>} Sequence (0 if none issued)
+   */
+  async getLastIssuedSequence(financialYear) {
+    // Sequences are zero-padded, so the highest number sorts last
+    const query = `
+      query GetLastInvoiceNumber($financialYear: String!) {
+        invoices(where: {financialYear: $financialYear}, stage: DRAFT, orderBy: invoiceNumber_DESC, first: 1) {
+          invoiceNumber
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { financialYear });
+    const last = result.invoices?.[0]?.invoiceNumber;
+    return last ? parseInt(last.split('/').pop(), 10) || 0 : 0;
+  }
+
+  /**
+   * Get the invoice of an order, generating and storing it the first time
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Invoice (data holds everything printed)
+   */
+  async getOrCreateInvoice(orderId) {
+    const existing = await this.findByOrder(orderId);
+    if (existing) {
+      return existing;
+    }
+
+    this.assertConfigured();
+
+    return withLock(`invoice:${orderId}`, async () => {
+      const stored = await this.findByOrder(orderId);
+      if (stored) {
+        return stored;
+      }
+
+      const order = await this.getOrder(orderId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      if (!INVOICEABLE_STATUSES.includes(order.orderStatus)) {
+        throw new Error(`Invoice not available: order is ${order.orderStatus}`);
+      }
+
+      const data = this.calculate(order);
+      const { invoiceNumber, invoiceDate, financialYear } = await this.allocateNumber(orderId);
+
+      const mutation = `
+        mutation CreateInvoice(
+          $orderId: ID!,
+          $invoiceNumber: String!,
+          $invoiceDate: DateTime!,
+          $financialYear: String!,
+          $data: Json!
+        ) {
+          createInvoice(
+            data: {
+              order: {connect: {id: $orderId}}
+              invoiceNumber: $invoiceNumber
+              invoiceDate: $invoiceDate
+              financialYear: $financialYear
+              data: $data
+            }
+          ) {
+            ${INVOICE_FIELDS}
+          }
+        }
+      `;
+
+      const result = await hygraphService.execute(mutation, { orderId, invoiceNumber, invoiceDate, financialYear, data });
+      await this.publish(result.createInvoice.id);
+
+      const redisClient = await getClient();
+      await redisClient.del(`invoice:number:${orderId}`);
+
+      console.log(`🧾 Invoice ${invoiceNumber} generated for order ${order.orderNumber}`);
+      return result.createInvoice;
+    }, { ttlMs: 30000 });
+  }
+
+  async publish(invoiceId) {
+    const mutation = `
+      mutation PublishInvoice($invoiceId: ID!) {
+        publishInvoice(where: {id: $invoiceId}, to: PUBLISHED) {
+          id
+        }
+      }
+    `;
+
+    await hygraphService.execute(mutation, { invoiceId });
+  }
+
+  formatAmount(value) {
+    return Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  formatDate(isoDate) {
+    return new Date(isoDate).toLocaleDateString('en-IN', {
+      timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric'
+    });
+  }
+
+  /**
+   * Render a stored invoice as a PDF (A4)
+   * The built-in fonts have no ₹ sign, so amounts are printed as "Rs.".
+   * @param {Object} invoice - Invoice from getOrCreateInvoice
+   * @returns {Promise<Buffer>} PDF
+   */
+  renderPdf(invoice) {
+    const { data } = invoice;
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Tax Invoice ${invoice.invoiceNumber}` } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+      // Seller and invoice details
+      doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', left, 40, { width, align: 'right' });
+      doc.fontSize(13).text(data.seller.name, left, 40);
+      doc.font('Helvetica').fontSize(9)
+        .text(data.seller.address, { width: width / 2 })
+        .text(`State: ${data.seller.state}`)
+        .text(`GSTIN: ${data.seller.gstin}`);
+
+      doc.text(`Invoice No: ${invoice.invoiceNumber}`, left, 62, { width, align: 'right' })
+        .text(`Invoice Date: ${this.formatDate(invoice.invoiceDate)}`, { width, align: 'right' })
+        .text(`Order No: ${data.orderNumber}`, { width, align: 'right' })
+        .text(`Order Date: ${this.formatDate(data.orderDate)}`, { width, align: 'right' });
+
+      // Buyer
+      let y = Math.max(doc.y, 120) + 15;
+      doc.font('Helvetica-Bold').text('Bill to / Ship to', left, y);
+      doc.font('Helvetica')
+        .text(data.buyer.name || 'Customer', { width: width / 2 })
+        .text(data.buyer.address, { width: width / 2 })
+        .text(`${data.buyer.city}, ${data.buyer.state} - ${data.buyer.pincode}`)
+        .text(data.buyer.mobileNumber ? `Phone: ${data.buyer.mobileNumber}` : '');
+      doc.text(`Place of supply: ${data.placeOfSupply}`, left, y, { width, align: 'right' });
+
+      // Line items
+      const taxColumns = data.interState
+        ? [{ label: 'IGST', field: 'igst', width: 90 }]
+        : [{ label: 'CGST', field: 'cgst', width: 45 }, { label: 'SGST', field: 'sgst', width: 45 }];
+      const columns = [
+        { label: '#', width: 18 },
+        { label: 'Item', width: 124 },
+        { label: 'HSN/SAC', width: 45 },
+        { label: 'Qty', width: 28, align: 'right' },
+        { label: 'Rate', width: 50, align: 'right' },
+        { label: 'Discount', width: 50, align: 'right' },
+        { label: 'Taxable', width: 55, align: 'right' },
+        ...taxColumns.map(column => ({ ...column, align: 'right' })),
+        { label: 'Total', width: 55, align: 'right' }
+      ];
+
+      const drawRow = (cells, rowY, font = 'Helvetica') => {
+        let x = left;
+        doc.font(font).fontSize(8);
+        cells.forEach((cell, index) => {
+          doc.text(cell, x + 2, rowY, { width: columns[index].width - 4, align: columns[index].align || 'left' });
+          x += columns[index].width;
+        });
+      };
+
+      y = Math.max(doc.y, y + 60) + 15;
+      drawRow(columns.map(column => column.label), y, 'Helvetica-Bold');
+      y += 14;
+      doc.moveTo(left, y).lineTo(left + width, y).stroke();
+      y += 4;
+
+      data.lines.forEach((line, index) => {
+        const rate = data.interState ? line.gstRate : line.gstRate / 2;
+        const tax = taxColumns.map(column => `${this.formatAmount(line[column.field])}\n@${rate}%`);
+
+        drawRow([
+          String(index + 1),
+          line.description,
+          line.hsnCode || '-',
+          String(line.quantity),
+          this.formatAmount(line.unitPrice),
+          line.discount > 0 ? this.formatAmount(line.discount) : '-',
+          this.formatAmount(line.taxableValue),
+          ...tax,
+          this.formatAmount(line.total)
+        ], y);
+
+        y = Math.max(doc.y, y + 20) + 6;
+        if (y > doc.page.height - 160) {
+          doc.addPage();
+          y = 40;
+        }
+      });
+
+      doc.moveTo(left, y).lineTo(left + width, y).stroke();
+      y += 8;
+
+      // Totals
+      const totals = [
+        ['Amount', data.totals.amount],
+        data.totals.discount > 0
+          ? [`Shop tokens discount (${data.shopTokensUsed} tokens)`, -data.totals.discount]
+          : null,
+        ['Taxable value', data.totals.taxableValue],
+        ...(data.interState
+          ? [['IGST', data.totals.igst]]
+          : [['CGST', data.totals.cgst], ['SGST', data.totals.sgst]])
+      ].filter(Boolean);
+
+      doc.font('Helvetica').fontSize(9);
+      for (const [label, value] of totals) {
+        doc.text(label, left + width - 250, y, { width: 150, align: 'right' });
+        doc.text(`${value < 0 ? '- ' : ''}Rs. ${this.formatAmount(Math.abs(value))}`, left + width - 100, y, { width: 100, align: 'right' });
+        y += 14;
+      }
+
+      doc.font('Helvetica-Bold').fontSize(10);
+      doc.text('Invoice total', left + width - 250, y + 4, { width: 150, align: 'right' });
+      doc.text(`Rs. ${this.formatAmount(data.totals.total)}`, left + width - 100, y + 4, { width: 100, align: 'right' });
+
+      doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text('Prices include GST. This is a computer generated invoice and does not need a signature.',
+          left, doc.page.height - 70, { width, align: 'center' });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { getClient } = require('../config/redis');
+
+// Release the lock only if we still own it
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+  end
+  return 0
+`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn while holding a distributed Redis lock
+ * Used to serialize read-modify-write sequences across instances
+ * @param {string} name - Lock name (e.g. 'ledger:<userId>')
+ * @param {Function} fn - Async function to run while holding the lock
+ * @param {Object} options - ttlMs (lock expiry), waitMs (max time to wait), retryDelayMs
+ * @returns {Promise<*>} Result of fn
+ */
+async function withLock(name, fn, options = {}) {
+  const { ttlMs = 15000, waitMs = 10000, retryDelayMs = 100 } = options;
+
+  const redisClient = await getClient();
+  const key = `lock:${name}`;
+  const token = crypto.randomBytes(16).toString('hex');
+  const deadline = Date.now() + waitMs;
+
+  while (true) {
+    const acquired = await redisClient.set(key, token, { NX: true, PX: ttlMs });
+    if (acquired) {
+      break;
+    }
+    if (Date.now() >= deadline) {
+      const error = new Error(`Could not acquire lock: ${name}`);
+      error.code = 'LOCK_NOT_ACQUIRED';
+      throw error;
+    }
+    await sleep(retryDelayMs);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    try {
+      await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [key], arguments: [token] });
+    } catch (error) {
+      console.error(`⚠️  Failed to release lock ${name}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  withLock
+};
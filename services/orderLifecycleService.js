@@ -0,0 +1,188 @@
+const hygraphService = require('./hygraphService');
+const { withLock } = require('./lockService');
+
+// Order statuses (Hygraph OrderStatus enum)
+const ORDER_STATUS = {
+  PENDING: 'pending',         // Placed, waiting for payment
+  CONFIRMED: 'confirmed',     // Paid
+  PROCESSING: 'processing',   // Being packed / handed to the courier
+  SHIPPED: 'shipped',         // With the courier
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  RETURNED: 'returned',       // Came back (customer return or RTO)
+  REFUNDED: 'refunded'        // Payment returned in full
+};
+
+// Allowed transitions: from → [to]
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PROCESSING, ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.RETURNED],
+  [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.RETURNED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.RETURNED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.REFUNDED]: []
+};
+
+const STATUS_EVENT_FIELDS = `
+  id
+  fromStatus
+  toStatus
+  actor
+  source
+  reason
+  createdAt
+`;
+
+/**
+ * Order Lifecycle
+ * The only place an order's status changes. Every change is checked against
+ * TRANSITIONS and recorded as an OrderStatusEvent (from, to, who, what, when).
+ *
+ * Actors: 'user:{userId}' for people (customers and staff), 'system' for
+ * background jobs, or the integration ('razorpay', 'shiprocket').
+ * Sources name the code path (e.g. 'order-saga', 'customer-cancel').
+ */
+class OrderLifecycleService {
+  /**
+   * Check whether a status change is allowed
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - New status
+   * @returns {boolean} True if allowed
+   */
+  canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Get current status of an order (includes unpublished changes)
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} { id, orderNumber, orderStatus } or null
+   */
+  async getOrder(orderId) {
+    const query = `
+      query GetOrderStatus($orderId: ID!) {
+        order(where: {id: $orderId}, stage: DRAFT) {
+          id
+          orderNumber
+          orderStatus
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { orderId });
+    return result.order || null;
+  }
+
+  /**
+   * Move an order to a new status
+   * Moving to the status the order already has is a no-op, so callers can retry.
+   * @param {string} orderId - Order ID
+   * @param {string} toStatus - New status
+   * @param {Object} meta - actor, source, reason
+   * @returns {Promise<Object>} { changed, fromStatus, toStatus, orderNumber }
+   */
+  async transition(orderId, toStatus, { actor = 'system', source = null, reason = null } = {}) {
+    if (!TRANSITIONS[toStatus]) {
+      throw new Error(`Invalid order status: ${toStatus}`);
+    }
+
+    return withLock(`order-status:${orderId}`, async () => {
+      const order = await this.getOrder(orderId);
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      const fromStatus = order.orderStatus;
+
+      if (fromStatus === toStatus) {
+        return { changed: false, fromStatus, toStatus, orderNumber: order.orderNumber };
+      }
+
+      if (!this.canTransition(fromStatus, toStatus)) {
+        throw new Error(`Illegal order status transition for ${order.orderNumber}: ${fromStatus} → ${toStatus}`);
+      }
+
+      await hygraphService.updateOrderStatus(orderId, toStatus);
+
+      // The status change stands even if the audit record can't be written
+      try {
+        await this.recordEvent(orderId, { fromStatus, toStatus, actor, source, reason });
+      } catch (error) {
+        console.error(`❌ Failed to record status change ${fromStatus} → ${toStatus} for order ${order.orderNumber}:`, error.message);
+      }
+
+      console.log(`🔄 Order ${order.orderNumber}: ${fromStatus} → ${toStatus} (${actor}${source ? `, ${source}` : ''})`);
+
+      return { changed: true, fromStatus, toStatus, orderNumber: order.orderNumber };
+    });
+  }
+
+  /**
+   * Create and publish an OrderStatusEvent
+   * @param {string} orderId - Order ID
+   * @param {Object} event - fromStatus, toStatus, actor, source, reason
+   * @returns {Promise<Object>} Created event
+   */
+  async recordEvent(orderId, { fromStatus, toStatus, actor, source, reason }) {
+    const mutation = `
+      mutation CreateOrderStatusEvent(
+        $orderId: ID!,
+        $fromStatus: String,
+        $toStatus: String!,
+        $actor: String!,
+        $source: String,
+        $reason: String
+      ) {
+        createOrderStatusEvent(
+          data: {
+            order: {connect: {id: $orderId}}
+            fromStatus: $fromStatus
+            toStatus: $toStatus
+            actor: $actor
+            source: $source
+            reason: $reason
+          }
+        ) {
+          ${STATUS_EVENT_FIELDS}
+        }
+      }
+    `;
+
+    const publishMutation = `
+      mutation PublishOrderStatusEvent($id: ID!) {
+        publishOrderStatusEvent(where: {id: $id}, to: PUBLISHED) {
+          id
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(mutation, { orderId, fromStatus, toStatus, actor, source, reason });
+    await hygraphService.execute(publishMutation, { id: result.createOrderStatusEvent.id });
+    return result.createOrderStatusEvent;
+  }
+
+  /**
+   * Get the status history of an order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} Events (oldest first)
+   */
+  async getHistory(orderId) {
+    const query = `
+      query GetOrderStatusHistory($orderId: ID!) {
+        orderStatusEvents(where: {order: {id: $orderId}}, orderBy: createdAt_ASC, first: 100) {
+          ${STATUS_EVENT_FIELDS}
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { orderId });
+    return result.orderStatusEvents || [];
+  }
+}
+
+module.exports = new OrderLifecycleService();
+module.exports.ORDER_STATUS = ORDER_STATUS;
+module.exports.TRANSITIONS = TRANSITIONS;
@@ -0,0 +1,820 @@
+const { getClient } = require('../config/redis');
+const { withLock } = require('./lockService');
+const hygraphService = require('./hygraphService');
+const razorpayService = require('./razorpayService');
+const orderService = require('./orderService');
+const shopTokenLedgerService = require('./shopTokenLedgerService');
+const inventoryService = require('./inventoryService');
+const orderLifecycleService = require('./orderLifecycleService');
+const fulfilmentService = require('./fulfilmentService');
+const addressService = require('./addressService');
+const serviceabilityService = require('./serviceabilityService');
+const codService = require('./codService');
+const { LEDGER_REASONS } = shopTokenLedgerService;
+
+// Placement steps, executed in this order
+const STEPS = {
+  RESERVE_STOCK: 'reserve_stock',     // Inventory reservation (id: orderNumber)
+  RESERVE_TOKENS: 'reserve_tokens',   // Ledger debit (reference: orderNumber)
+  CREATE_ORDER: 'create_order',       // Draft Order in Hygraph
+  PUBLISH_ORDER: 'publish_order',     // Publish Order
+  CREATE_PAYMENT: 'create_payment',   // Razorpay order + Hygraph Payment for the rupee part
+  CONFIRM_ORDER: 'confirm_order'      // Order fully paid → confirmed
+};
+const STEP_SEQUENCE = Object.values(STEPS);
+
+const SAGA_STATUS = {
+  RUNNING: 'running',
+  COMPENSATING: 'compensating',
+  COMPLETED: 'completed',
+  COMPENSATED: 'compensated',
+  AWAITING_PAYMENT: 'awaiting_payment', // Rupee part not paid yet - waiting for Razorpay
+  FAILED: 'failed'                    // Recovery gave up - needs manual attention
+};
+
+const PAYMENT_METHODS = ['shop_tokens', 'rupees', 'mixed', 'cod'];
+
+// Minimum rupee part of an order (Razorpay minimum is ₹1)
+const MIN_RUPEES_AMOUNT = 1;
+
+// Unpaid rupee/mixed orders are cancelled after this long (keep below INVENTORY_HOLD_MINUTES)
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.CHECKOUT_PAYMENT_TIMEOUT_MINUTES) || 20;
+
+// How long to wait again when an expired order turns out to be paid at Razorpay
+const PAYMENT_EXPIRY_DEFERRAL_MS = 5 * 60 * 1000;
+
+// Running/compensating sagas untouched for this long are picked up by recovery
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+// Recovery attempts before a saga is marked failed
+const MAX_RECOVERY_ATTEMPTS = 10;
+
+// Finished sagas are kept this long for support lookups
+const FINISHED_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Recovery worker interval
+const RECOVERY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Order Placement Saga (Redis)
+ * Placing an order spans the ledger and Hygraph, so every placement is a
+ * persisted saga: reserve stock → reserve tokens → create order → publish →
+ * create payment → confirm. Each
+ * step is recorded as it completes and is safe to run again.
+ *
+ * Orders are paid with shop tokens, rupees (Razorpay), or a mix of both. The
+ * token part is held (debited) during placement. When there is a rupee part
+ * the saga waits in 'awaiting_payment' before confirming: a captured payment
+ * confirms the order (completePayment), a failed payment or no payment
+ * within CHECKOUT_PAYMENT_TIMEOUT_MINUTES compensates it, which returns the
+ * held tokens and stock.
+ *
+ * On failure the saga compensates (cancel the order, refund the ledger debit,
+ * release the stock).
+ * A saga interrupted by a crash is resumed by the recovery worker: if only the
+ * confirm step is missing it is rolled forward, otherwise it is compensated.
+ * Sagas recovery can't resolve are kept as 'failed' and listed for ops via
+ * GET /api/orders/admin/sagas.
+ *
+ * Keys:
+ * - order:saga:{orderNumber} - JSON saga record
+ * - order:saga:active - sorted set of running/compensating sagas by last update
+ * - order:saga:failed - sorted set of sagas that need manual attention
+ * - order:saga:awaiting-payment - sorted set of sagas waiting for payment by payment deadline
+ */
+class OrderSagaService {
+  sagaKey(sagaId) {
+    return `order:saga:${sagaId}`;
+  }
+
+  /**
+   * Get saga record
+   * @param {string} sagaId - Saga ID (order number)
+   * @returns {Promise<Object|null>} Saga or null
+   */
+  async get(sagaId) {
+    const redisClient = await getClient();
+    const json = await redisClient.get(this.sagaKey(sagaId));
+    return json ? JSON.parse(json) : null;
+  }
+
+  async save(saga) {
+    const redisClient = await getClient();
+    saga.updatedAt = new Date().toISOString();
+    const score = Date.now();
+
+    const isActive = saga.status === SAGA_STATUS.RUNNING || saga.status === SAGA_STATUS.COMPENSATING;
+    const multi = redisClient.multi();
+
+    if (isActive || saga.status === SAGA_STATUS.FAILED || saga.status === SAGA_STATUS.AWAITING_PAYMENT) {
+      multi.set(this.sagaKey(saga.sagaId), JSON.stringify(saga));
+    } else {
+      multi.set(this.sagaKey(saga.sagaId), JSON.stringify(saga), { EX: FINISHED_TTL_SECONDS });
+    }
+
+    if (isActive) {
+      multi.zAdd('order:saga:active', { score, value: saga.sagaId });
+    } else {
+      multi.zRem('order:saga:active', saga.sagaId);
+    }
+
+    if (saga.status === SAGA_STATUS.FAILED) {
+      multi.zAdd('order:saga:failed', { score, value: saga.sagaId });
+    } else {
+      multi.zRem('order:saga:failed', saga.sagaId);
+    }
+
+    if (saga.status === SAGA_STATUS.AWAITING_PAYMENT) {
+      multi.zAdd('order:saga:awaiting-payment', {
+        score: new Date(saga.paymentExpiresAt).getTime(),
+        value: saga.sagaId
+      });
+    } else {
+      multi.zRem('order:saga:awaiting-payment', saga.sagaId);
+    }
+
+    await multi.exec();
+  }
+
+  addEvent(saga, event, detail = null) {
+    saga.history.push({ event, detail, at: new Date().toISOString() });
+  }
+
+  /**
+   * Split an order total between shop tokens and rupees
+   * A mixed payment covers part of the order with tokens; the rest is charged
+   * in rupees at the order's own token-to-rupee ratio (from the catalog prices).
+   * @param {Object} totals - totalAmount (₹), totalShopTokens
+   * @param {string} paymentMethod - 'shop_tokens', 'rupees', 'mixed' or 'cod'
+   * @param {number} shopTokensToUse - Tokens to apply (mixed only)
+   * @returns {Object} { shopTokens, rupees } (+ cod, codFee for cash on delivery)
+   */
+  splitPayment({ totalAmount, totalShopTokens }, paymentMethod, shopTokensToUse = null) {
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      throw new Error(`Invalid payment method: ${paymentMethod}`);
+    }
+
+    if (paymentMethod === 'shop_tokens') {
+      // Otherwise a rupee-only cart would be placed for nothing and never confirmed
+      if (totalShopTokens <= 0) {
+        throw new Error('Invalid payment split: these items can\'t be paid with shop tokens');
+      }
+      return { shopTokens: totalShopTokens, rupees: 0 };
+    }
+
+    // Cash on delivery: the courier collects the rupee part plus the COD fee
+    if (paymentMethod === 'cod') {
+      if (totalAmount < MIN_RUPEES_AMOUNT) {
+        throw new Error(`Invalid payment split: cash on delivery orders must be at least ₹${MIN_RUPEES_AMOUNT}`);
+      }
+      return { shopTokens: 0, rupees: totalAmount, cod: true, codFee: codService.getTerms().fee };
+    }
+
+    if (paymentMethod === 'rupees') {
+      if (totalAmount < MIN_RUPEES_AMOUNT) {
+        throw new Error(`Invalid payment split: rupee payments must be at least ₹${MIN_RUPEES_AMOUNT}`);
+      }
+      return { shopTokens: 0, rupees: totalAmount };
+    }
+
+    if (totalShopTokens <= 0) {
+      throw new Error('Invalid payment split: these items can\'t be paid with shop tokens');
+    }
+
+    if (!Number.isInteger(shopTokensToUse) || shopTokensToUse <= 0 || shopTokensToUse >= totalShopTokens) {
+      throw new Error(`Invalid payment split: shopTokensToUse must be between 1 and ${totalShopTokens - 1}`);
+    }
+
+    const rupees = Math.round(totalAmount * (totalShopTokens - shopTokensToUse) / totalShopTokens * 100) / 100;
+    if (rupees < MIN_RUPEES_AMOUNT) {
+      throw new Error(`Invalid payment split: the rupee part must be at least ₹${MIN_RUPEES_AMOUNT}`);
+    }
+
+    return { shopTokens: shopTokensToUse, rupees };
+  }
+
+  /**
+   * Payment split of a saga (sagas from before mixed payments were token-only)
+   * @param {Object} saga - Saga record
+   * @returns {Object} { shopTokens, rupees }
+   */
+  getPaymentSplit(saga) {
+    return saga.payment || { shopTokens: saga.totalShopTokens, rupees: 0 };
+  }
+
+  /**
+   * Place an order
+   * Validates, splits the payment, checks the token balance, then runs the placement saga.
+   * @param {Object} orderData - userId, items, shippingAddressId (default address if omitted), paymentMethod
+   *   ('shop_tokens', 'rupees', 'mixed' or 'cod'),
+   *   shopTokensToUse (mixed), rupeesAmount (expected rupee part, optional), notes, expectedTotals
+   * @returns {Promise<Object>} Order result (with Razorpay payment details when there is a rupee part)
+   */
+  async placeOrder(orderData) {
+    const {
+      userId,
+      items,
+      shippingAddressId = null,
+      paymentMethod = 'shop_tokens', // 'shop_tokens', 'rupees', 'mixed'
+      shopTokensToUse = null,
+      rupeesAmount,
+      notes = '',
+      expectedTotals = {}
+    } = orderData;
+
+    console.log(`🛒 Placing order for user: ${userId}`);
+
+    // Validate order items and price them from the catalog
+    const validation = await orderService.validateOrderItems(items, expectedTotals);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    console.log(`✅ Order validation passed: ${validation.itemCount} items, Total: ₹${validation.totalAmount}, Shop Tokens: ${validation.totalShopTokens}`);
+
+    const payment = this.splitPayment(validation, paymentMethod, shopTokensToUse);
+
+    // For COD the app shows the amount to pay on delivery (fee included)
+    const expectedRupees = Math.round((payment.rupees + (payment.codFee || 0)) * 100) / 100;
+    if (rupeesAmount !== undefined && rupeesAmount !== null &&
+        Math.abs(Number(rupeesAmount) - expectedRupees) > 0.01) {
+      throw new Error(`Price mismatch: rupee amount is ₹${expectedRupees}, got ₹${rupeesAmount}`);
+    }
+
+    // Early balance check for a friendly error (the ledger debit re-checks under lock)
+    if (payment.shopTokens > 0) {
+      const balanceCheck = await orderService.checkShopTokenBalance(userId, payment.shopTokens);
+
+      if (!balanceCheck.sufficient) {
+        throw new Error(`Insufficient shop tokens. Required: ${payment.shopTokens}, Available: ${balanceCheck.currentBalance}, Shortfall: ${balanceCheck.shortfall}`);
+      }
+
+      console.log(`💰 Shop token balance check passed: ${balanceCheck.currentBalance} >= ${payment.shopTokens}`);
+    }
+
+    // The order keeps a copy of the address as it is now
+    const shippingAddress = addressService.toSnapshot(
+      await addressService.resolveShippingAddress(userId, shippingAddressId)
+    );
+
+    // Only a definite "no courier" blocks the order - a failed check doesn't
+    const serviceability = await serviceabilityService.checkSafely(shippingAddress.pincode);
+    if (serviceability.serviceable === false) {
+      throw new Error(`Delivery not available to pincode ${shippingAddress.pincode}`);
+    }
+
+    if (payment.cod) {
+      await codService.assertAvailable(payment.rupees, shippingAddress.pincode);
+    }
+
+    const saga = await this.createSaga({
+      userId,
+      items: validation.items,
+      shippingAddressId: shippingAddress.addressId,
+      shippingAddress,
+      paymentMethod,
+      notes,
+      totalAmount: validation.totalAmount,
+      totalShopTokens: validation.totalShopTokens,
+      payment
+    });
+
+    return withLock(`order-saga:${saga.sagaId}`, async () => {
+      try {
+        await this.runSteps(saga);
+      } catch (error) {
+        console.error(`❌ Order saga ${saga.sagaId} failed at ${saga.currentStep}: ${error.message}`);
+        try {
+          await this.compensate(saga, error);
+        } catch (compensationError) {
+          // Saga stays 'compensating' - the recovery worker retries it
+          console.error(`❌ Compensation for order ${saga.sagaId} failed, recovery will retry: ${compensationError.message}`);
+        }
+        throw error;
+      }
+
+      const awaitingPayment = saga.status === SAGA_STATUS.AWAITING_PAYMENT;
+      console.log(`✅ Order placed successfully: ${saga.orderNumber}${awaitingPayment ? ' (awaiting payment)' : ''}`);
+
+      return {
+        success: true,
+        order: {
+          id: saga.orderId,
+          orderNumber: saga.orderNumber,
+          totalAmount: saga.totalAmount,
+          shopTokensUsed: payment.shopTokens,
+          rupeesAmount: payment.rupees,
+          paymentMethod,
+          codFee: payment.cod ? payment.codFee : null,
+          amountToCollect: payment.cod ? expectedRupees : null,
+          orderStatus: saga.orderStatus,
+          items: saga.items
+        },
+        shopTokens: saga.tokens,
+        payment: awaitingPayment ? {
+          razorpayOrderId: saga.razorpayOrderId,
+          keyId: process.env.RAZORPAY_KEY_ID,
+          amount: Math.round(payment.rupees * 100), // Amount in paise
+          currency: 'INR',
+          expiresAt: saga.paymentExpiresAt
+        } : null,
+        message: awaitingPayment
+          ? 'Order created - complete the payment to confirm it'
+          : payment.cod
+            ? `Order placed - pay ₹${expectedRupees} on delivery`
+            : 'Order placed successfully'
+      };
+    }, { ttlMs: 60000 });
+  }
+
+  /**
+   * Create and persist a new saga with a unique order number
+   * @param {Object} data - Order data and totals
+   * @returns {Promise<Object>} Saga record
+   */
+  async createSaga(data) {
+    const redisClient = await getClient();
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const orderNumber = orderService.generateOrderNumber();
+      const now = new Date().toISOString();
+      const saga = {
+        sagaId: orderNumber,
+        orderNumber,
+        ...data,
+        status: SAGA_STATUS.RUNNING,
+        currentStep: null,
+        completedSteps: [],
+        orderId: null,
+        orderStatus: null,
+        tokens: null,
+        razorpayOrderId: null,
+        paymentId: null,
+        paymentExpiresAt: null,
+        paymentCapturedAt: null,
+        error: null,
+        recoveryAttempts: 0,
+        history: [],
+        createdAt: now,
+        updatedAt: now
+      };
+      this.addEvent(saga, 'started');
+
+      // Claim the order number - retry with a new one on collision
+      const created = await redisClient.set(this.sagaKey(orderNumber), JSON.stringify(saga), { NX: true });
+      if (created) {
+        await this.save(saga);
+        return saga;
+      }
+    }
+
+    throw new Error('Could not allocate a unique order number');
+  }
+
+  /**
+   * Run the remaining saga steps
+   * @param {Object} saga - Saga record (updated in place)
+   */
+  async runSteps(saga) {
+    for (const step of STEP_SEQUENCE) {
+      if (saga.completedSteps.includes(step)) {
+        continue;
+      }
+
+      // Orders with a rupee part are confirmed only once the payment is captured (COD: on delivery)
+      const split = this.getPaymentSplit(saga);
+      if (step === STEPS.CONFIRM_ORDER && split.rupees > 0 && !split.cod && !saga.paymentCapturedAt) {
+        saga.currentStep = null;
+        saga.status = SAGA_STATUS.AWAITING_PAYMENT;
+        saga.paymentExpiresAt = saga.paymentExpiresAt ||
+          new Date(Date.now() + PAYMENT_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+        this.addEvent(saga, 'awaiting_payment', saga.razorpayOrderId);
+        await this.save(saga);
+        return;
+      }
+
+      saga.currentStep = step;
+      await this.save(saga);
+
+      await this.executeStep(saga, step);
+
+      saga.completedSteps.push(step);
+      this.addEvent(saga, `${step}_done`);
+      await this.save(saga);
+    }
+
+    saga.currentStep = null;
+    saga.status = SAGA_STATUS.COMPLETED;
+    this.addEvent(saga, 'completed');
+    await this.save(saga);
+  }
+
+  /**
+   * Execute one step (every step is safe to repeat)
+   * @param {Object} saga - Saga record
+   * @param {string} step - Step name
+   */
+  async executeStep(saga, step) {
+    switch (step) {
+      case STEPS.RESERVE_STOCK:
+        await inventoryService.reserve(saga.orderNumber, saga.items);
+        break;
+
+      case STEPS.RESERVE_TOKENS: {
+        const { shopTokens } = this.getPaymentSplit(saga);
+        if (shopTokens > 0) {
+          // The ledger ignores a second debit with the same reference
+          const result = await orderService.deductShopTokens(saga.userId, shopTokens, saga.orderNumber);
+          saga.tokens = {
+            previousBalance: result.previousBalance,
+            deducted: result.deducted,
+            newBalance: result.newBalance
+          };
+        }
+        break;
+      }
+
+      case STEPS.CREATE_ORDER: {
+        // After a crash the order may already exist
+        const split = this.getPaymentSplit(saga);
+        const existing = await orderService.findOrderByNumber(saga.orderNumber);
+        const order = existing || await orderService.createOrderWithItems({
+          orderNumber: saga.orderNumber,
+          userId: saga.userId,
+          items: saga.items,
+          shippingAddressId: saga.shippingAddressId,
+          shippingAddress: saga.shippingAddress,
+          shopTokensUsed: split.shopTokens,
+          codFee: split.cod ? split.codFee : null,
+          rupeesAmount: saga.totalAmount,
+          paymentMethod: saga.paymentMethod,
+          notes: saga.notes,
+          publish: false
+        });
+        if (!existing) {
+          await orderLifecycleService.recordEvent(order.id, {
+            fromStatus: null,
+            toStatus: order.orderStatus,
+            actor: `user:${saga.userId}`,
+            source: 'order-saga',
+            reason: 'Order placed'
+          });
+        }
+        saga.orderId = order.id;
+        saga.orderStatus = order.orderStatus;
+        break;
+      }
+
+      case STEPS.PUBLISH_ORDER:
+        await hygraphService.publishOrder(saga.orderId);
+        await hygraphService.publishOrderItems(saga.orderId);
+        break;
+
+      case STEPS.CREATE_PAYMENT: {
+        // Nothing to pay online (tokens only, or cash on delivery)
+        const { rupees, cod } = this.getPaymentSplit(saga);
+        if (rupees <= 0 || cod) {
+          break;
+        }
+
+        const amountInPaise = Math.round(rupees * 100);
+
+        if (!saga.razorpayOrderId) {
+          const razorpayOrder = await razorpayService.createOrder({
+            amount: amountInPaise,
+            currency: 'INR',
+            receipt: saga.orderNumber,
+            notes: { type: 'order', userId: saga.userId, orderNumber: saga.orderNumber }
+          });
+          saga.razorpayOrderId = razorpayOrder.id;
+          await this.save(saga);
+        }
+
+        if (!saga.paymentId) {
+          const existing = await hygraphService.findPaymentByRazorpayOrderId(saga.razorpayOrderId);
+          const payment = existing || await hygraphService.createPayment({
+            userId: saga.userId,
+            razorpayOrderId: saga.razorpayOrderId,
+            amount: amountInPaise,
+            currency: 'INR',
+            paymentStatus: 'pending',
+            orderId: saga.orderId
+          });
+          saga.paymentId = payment.id;
+        }
+        break;
+      }
+
+      case STEPS.CONFIRM_ORDER: {
+        // Runs once the order is fully paid: tokens only, or rupee part captured.
+        // COD orders are confirmed right away - the cash is collected on delivery
+        const { shopTokens, rupees, cod } = this.getPaymentSplit(saga);
+        if (rupees > 0 || shopTokens > 0) {
+          await orderLifecycleService.transition(saga.orderId, 'confirmed', {
+            actor: 'system',
+            source: 'order-saga',
+            reason: cod
+              ? 'Cash on delivery'
+              : rupees > 0 ? `Payment ${saga.razorpayPaymentId} captured` : 'Paid with shop tokens'
+          });
+          await inventoryService.commit(saga.orderNumber);
+          await fulfilmentService.enqueue(saga.orderId, saga.orderNumber);
+          saga.orderStatus = 'confirmed';
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown order saga step: ${step}`);
+    }
+  }
+
+  /**
+   * Undo a saga: cancel the order (if created), refund the ledger debit (if any)
+   * and release the stock reservation
+   * The ledger is checked directly, so a debit made just before a crash is refunded too.
+   * @param {Object} saga - Saga record (updated in place)
+   * @param {Error} cause - Error that triggered compensation
+   */
+  async compensate(saga, cause = null) {
+    if (saga.status !== SAGA_STATUS.COMPENSATING) {
+      saga.status = SAGA_STATUS.COMPENSATING;
+      saga.error = cause ? cause.message : saga.error;
+      this.addEvent(saga, 'compensating', saga.error);
+      await this.save(saga);
+    }
+
+    const order = saga.orderId
+      ? { id: saga.orderId }
+      : await orderService.findOrderByNumber(saga.orderNumber);
+
+    if (order) {
+      await orderLifecycleService.transition(order.id, 'cancelled', {
+        actor: 'system',
+        source: 'order-saga',
+        reason: saga.error
+      });
+      saga.orderId = order.id;
+      saga.orderStatus = 'cancelled';
+      this.addEvent(saga, 'order_cancelled');
+      await this.save(saga);
+    }
+
+    const debit = await shopTokenLedgerService.findEntry(
+      saga.userId, 'debit', LEDGER_REASONS.ORDER_PAYMENT, saga.orderNumber
+    );
+
+    if (debit) {
+      // The ledger ignores a second refund with the same reference
+      const refund = await orderService.refundShopTokens(saga.userId, debit.amount, saga.orderNumber);
+      saga.tokens = { refunded: refund.refunded, newBalance: refund.newBalance };
+      this.addEvent(saga, 'tokens_refunded', `${debit.amount}`);
+    }
+
+    if (await inventoryService.release(saga.orderNumber) === 'released') {
+      this.addEvent(saga, 'stock_released');
+    }
+
+    saga.currentStep = null;
+    saga.status = SAGA_STATUS.COMPENSATED;
+    this.addEvent(saga, 'compensated');
+    await this.save(saga);
+
+    console.log(`↩️  Order saga ${saga.sagaId} compensated`);
+  }
+
+  /**
+   * Resolve an unfinished saga (recovery)
+   * Rolls forward when only confirmation is missing, otherwise compensates.
+   * @param {string} sagaId - Saga ID (order number)
+   * @returns {Promise<Object>} { sagaId, status, error? }
+   */
+  async resume(sagaId) {
+    try {
+      return await withLock(`order-saga:${sagaId}`, async () => {
+        const saga = await this.get(sagaId);
+
+        if (!saga) {
+          return { sagaId, status: 'missing' };
+        }
+
+        // Waiting for payment is resolved by completePayment/failPayment/expirePayments
+        if (saga.status === SAGA_STATUS.COMPLETED || saga.status === SAGA_STATUS.COMPENSATED ||
+            saga.status === SAGA_STATUS.AWAITING_PAYMENT) {
+          return { sagaId, status: saga.status };
+        }
+
+        saga.recoveryAttempts = (saga.recoveryAttempts || 0) + 1;
+        this.addEvent(saga, 'recovery_attempt', `${saga.recoveryAttempts}`);
+
+        try {
+          const onlyConfirmLeft = STEP_SEQUENCE
+            .filter(step => step !== STEPS.CONFIRM_ORDER)
+            .every(step => saga.completedSteps.includes(step));
+
+          // A captured payment is never compensated - confirmation is retried instead
+          if (saga.paymentCapturedAt || (saga.status !== SAGA_STATUS.COMPENSATING && onlyConfirmLeft)) {
+            saga.status = SAGA_STATUS.RUNNING;
+            await this.runSteps(saga);
+          } else {
+            await this.compensate(saga, new Error(saga.error || `Interrupted at ${saga.currentStep || 'start'}`));
+          }
+
+          return { sagaId, status: saga.status };
+        } catch (error) {
+          saga.error = error.message;
+          this.addEvent(saga, 'recovery_failed', error.message);
+
+          if (saga.recoveryAttempts >= MAX_RECOVERY_ATTEMPTS) {
+            saga.status = SAGA_STATUS.FAILED;
+            console.error(`❌ Order saga ${sagaId} needs manual attention after ${saga.recoveryAttempts} recovery attempts: ${error.message}`);
+          }
+
+          await this.save(saga);
+          return { sagaId, status: saga.status, error: error.message };
+        }
+      }, { ttlMs: 60000, waitMs: 0 });
+    } catch (error) {
+      if (error.code === 'LOCK_NOT_ACQUIRED') {
+        // Still being placed (or recovered by another instance)
+        return { sagaId, status: 'busy' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm an order whose rupee part was captured (called by payment reconciliation)
+   * @param {string} orderNumber - Order number (saga ID)
+   * @param {Object} payment - razorpayPaymentId
+   * @returns {Promise<string|null>} Saga status after the call ('completed' when confirmed;
+   *   'compensated' means the order was cancelled before the payment arrived), or null if
+   *   the order was not placed through the saga
+   */
+  async completePayment(orderNumber, { razorpayPaymentId = null } = {}) {
+    return withLock(`order-saga:${orderNumber}`, async () => {
+      const saga = await this.get(orderNumber);
+
+      if (!saga) {
+        return null;
+      }
+
+      if (saga.status !== SAGA_STATUS.AWAITING_PAYMENT && saga.status !== SAGA_STATUS.RUNNING) {
+        if (saga.status !== SAGA_STATUS.COMPLETED) {
+          console.warn(`⚠️  Payment ${razorpayPaymentId} captured for order ${orderNumber} in status ${saga.status}`);
+        }
+        return saga.status;
+      }
+
+      saga.status = SAGA_STATUS.RUNNING;
+      saga.paymentCapturedAt = saga.paymentCapturedAt || new Date().toISOString();
+      saga.razorpayPaymentId = razorpayPaymentId;
+      this.addEvent(saga, 'payment_captured', razorpayPaymentId);
+      await this.save(saga);
+
+      // On failure the saga stays running with the payment recorded - recovery confirms it
+      await this.runSteps(saga);
+
+      console.log(`✅ Order ${orderNumber} paid and confirmed`);
+      return saga.status;
+    }, { ttlMs: 60000 });
+  }
+
+  /**
+   * Cancel an order waiting for payment (payment failed or timed out)
+   * Releases the held tokens and stock.
+   * @param {string} orderNumber - Order number (saga ID)
+   * @param {string} reason - Why the payment didn't complete
+   * @returns {Promise<string|null>} Saga status after the call, or null if
+   *   the order was not placed through the saga
+   */
+  async failPayment(orderNumber, reason) {
+    return withLock(`order-saga:${orderNumber}`, async () => {
+      const saga = await this.get(orderNumber);
+
+      if (!saga) {
+        return null;
+      }
+
+      if (saga.status !== SAGA_STATUS.AWAITING_PAYMENT) {
+        return saga.status;
+      }
+
+      await this.compensate(saga, new Error(reason));
+      return saga.status;
+    }, { ttlMs: 60000 });
+  }
+
+  /**
+   * Cancel orders whose payment deadline has passed
+   * Orders Razorpay reports as paid are left for reconciliation (the webhook
+   * may just be late); if Razorpay can't be reached the order is retried next run.
+   * @param {number} limit - Maximum orders to expire in one run
+   * @returns {Promise<Array>} { sagaId, status } per order
+   */
+  async expirePayments(limit = 20) {
+    const redisClient = await getClient();
+    const sagaIds = await redisClient.zRangeByScore('order:saga:awaiting-payment', 0, Date.now(), {
+      LIMIT: { offset: 0, count: limit }
+    });
+
+    const results = [];
+    for (const sagaId of sagaIds) {
+      try {
+        const status = await withLock(`order-saga:${sagaId}`, async () => {
+          const saga = await this.get(sagaId);
+          if (!saga || saga.status !== SAGA_STATUS.AWAITING_PAYMENT) {
+            return saga ? saga.status : 'missing';
+          }
+
+          const razorpayOrder = await razorpayService.getOrder(saga.razorpayOrderId);
+          if (razorpayOrder.status === 'paid') {
+            saga.paymentExpiresAt = new Date(Date.now() + PAYMENT_EXPIRY_DEFERRAL_MS).toISOString();
+            this.addEvent(saga, 'payment_expiry_deferred', 'Razorpay order is paid');
+            await this.save(saga);
+            return saga.status;
+          }
+
+          await hygraphService.updatePaymentStatus(saga.paymentId, 'cancelled');
+          await this.compensate(saga, new Error('Payment not completed in time'));
+          return saga.status;
+        }, { ttlMs: 60000, waitMs: 0 });
+
+        console.log(`⌛ Order payment expiry ${sagaId}: ${status}`);
+        results.push({ sagaId, status });
+      } catch (error) {
+        if (error.code !== 'LOCK_NOT_ACQUIRED') {
+          console.error(`⚠️  Order payment expiry ${sagaId} failed, will retry: ${error.message}`);
+        }
+        results.push({ sagaId, status: 'busy', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Resume sagas that have been running/compensating for too long
+   * @param {number} limit - Maximum sagas to resume in one run
+   * @returns {Promise<Array>} Resume results
+   */
+  async recoverStale(limit = 20) {
+    const redisClient = await getClient();
+    const sagaIds = await redisClient.zRangeByScore('order:saga:active', 0, Date.now() - STALE_AFTER_MS, {
+      LIMIT: { offset: 0, count: limit }
+    });
+
+    const results = [];
+    for (const sagaId of sagaIds) {
+      const result = await this.resume(sagaId);
+      console.log(`🔁 Order saga recovery ${sagaId}: ${result.status}`);
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  /**
+   * List unfinished sagas for ops
+   * @param {string} status - 'active', 'failed' or 'awaiting_payment'
+   * @param {number} limit - Maximum sagas to return
+   * @returns {Promise<Array>} Saga records (oldest first)
+   */
+  async listSagas(status = 'active', limit = 50) {
+    const redisClient = await getClient();
+    const indexKeys = {
+      [SAGA_STATUS.FAILED]: 'order:saga:failed',
+      [SAGA_STATUS.AWAITING_PAYMENT]: 'order:saga:awaiting-payment'
+    };
+    const indexKey = indexKeys[status] || 'order:saga:active';
+    const sagaIds = await redisClient.zRange(indexKey, 0, limit - 1);
+
+    const sagas = [];
+    for (const sagaId of sagaIds) {
+      const saga = await this.get(sagaId);
+      if (saga) {
+        sagas.push(saga);
+      }
+    }
+
+    return sagas;
+  }
+}
+
+const orderSagaService = new OrderSagaService();
+
+// Resume stale order placements and cancel unpaid orders every minute
+const recoveryTimer = setInterval(async () => {
+  try {
+    await orderSagaService.recoverStale();
+    await orderSagaService.expirePayments();
+  } catch (error) {
+    console.error('⚠️  Order saga recovery run failed:', error.message);
+  }
+}, RECOVERY_INTERVAL_MS);
+if (recoveryTimer.unref) recoveryTimer.unref();
+
+module.exports = orderSagaService;
+module.exports.STEPS = STEPS;
+module.exports.SAGA_STATUS = SAGA_STATUS;
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
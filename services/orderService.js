@@ -1,6 +1,29 @@
-const hygraphClient = require('../config/hygraph');
 const hygraphService = require('./hygraphService');
-const hygraphUserService = require('./hygraphUserService');
+const shopTokenLedgerService = require('./shopTokenLedgerService');
+const productCatalogService = require('./productCatalogService');
+const inventoryService = require('./inventoryService');
+const refundService = require('./refundService');
+const orderLifecycleService = require('./orderLifecycleService');
+const codService = require('./codService');
+const { LEDGER_REASONS } = shopTokenLedgerService;
+const { roundRupees } = productCatalogService;
+
+// OrderItem fields returned with orders (product snapshot at order time)
+const ORDER_ITEM_FIELDS = `
+  orderItems {
+    id
+    productName
+    variantId
+    quantity
+    unitPrice
+    shopTokensPrice
+    lineTotal
+    lineShopTokens
+    product {
+      id
+    }
+  }
+`;
 
 class OrderService {
   /**
@@ -15,11 +38,13 @@ class OrderService {
   }
 
   /**
-   * Validate order items and calculate total
-   * @param {Array} items - Array of order items with productId, quantity, price, shopTokensPrice
-   * @returns {Object} Validation result with totals
+   * Validate order items and calculate totals from the product catalog
+   * Client-supplied price/shopTokensPrice are only compared, never trusted.
+   * @param {Array} items - Array of order items with productId, quantity (price, shopTokensPrice optional)
+   * @param {Object} expectedTotals - Client totals to check (totalAmount, totalShopTokens - optional)
+   * @returns {Promise<Object>} Validation result with priced items and totals
    */
-  validateOrderItems(items) {
+  async validateOrderItems(items, expectedTotals = {}) {
     if (!items || !Array.isArray(items) || items.length === 0) {
       return {
         valid: false,
@@ -27,34 +52,26 @@ class OrderService {
       };
     }
 
-    let totalAmount = 0;
-    let totalShopTokens = 0;
-
     for (const item of items) {
       if (!item.productId) {
         return { valid: false, error: 'Each item must have a productId' };
       }
-      if (!item.quantity || item.quantity < 1) {
+      if (!Number.isInteger(item.quantity) || item.quantity < 1) {
         return { valid: false, error: 'Each item must have a valid quantity (minimum 1)' };
       }
-      if (item.price === undefined || item.price < 0) {
-        return { valid: false, error: 'Each item must have a valid price' };
-      }
+    }
 
-      // Calculate totals
-      totalAmount += item.price * item.quantity;
-      
-      // Shop tokens are optional - some products may use only rupees
-      if (item.shopTokensPrice && item.shopTokensPrice > 0) {
-        totalShopTokens += item.shopTokensPrice * item.quantity;
-      }
+    const pricing = await productCatalogService.priceItems(items, expectedTotals);
+    if (!pricing.valid) {
+      return pricing;
     }
 
     return {
       valid: true,
-      totalAmount,
-      totalShopTokens,
-      itemCount: items.length
+      items: pricing.items,
+      totalAmount: pricing.totalAmount,
+      totalShopTokens: pricing.totalShopTokens,
+      itemCount: pricing.items.length
     };
   }
 
@@ -66,18 +83,21 @@ class OrderService {
    */
   async checkShopTokenBalance(userId, requiredTokens) {
     try {
-      const user = await hygraphUserService.findUserById(userId);
-      
-      if (!user) {
-        return {
-          sufficient: false,
-          error: 'User not found',
-          currentBalance: 0,
-          requiredTokens
-        };
+      let currentBalance;
+      try {
+        currentBalance = await shopTokenLedgerService.getBalance(userId);
+      } catch (error) {
+        if (error.message === 'User not found') {
+          return {
+            sufficient: false,
+            error: 'User not found',
+            currentBalance: 0,
+            requiredTokens
+          };
+        }
+        throw error;
       }
 
-      const currentBalance = user.shopTokens || 0;
       const sufficient = currentBalance >= requiredTokens;
 
       return {
@@ -93,68 +113,27 @@ class OrderService {
   }
 
   /**
-   * Deduct shop tokens from user's balance
+   * Deduct shop tokens from user's balance (ledger debit)
    * @param {string} userId - User ID
    * @param {number} tokensToDeduct - Tokens to deduct
-   * @param {string} orderId - Order ID for reference
-   * @returns {Promise<Object>} Updated user with new balance
+   * @param {string} orderId - Order ID/number for reference
+   * @returns {Promise<Object>} Ledger result with new balance
    */
   async deductShopTokens(userId, tokensToDeduct, orderId) {
     try {
-      // First verify user has sufficient balance
-      const balanceCheck = await this.checkShopTokenBalance(userId, tokensToDeduct);
-      
-      if (!balanceCheck.sufficient) {
-        throw new Error(`Insufficient shop tokens. Required: ${tokensToDeduct}, Available: ${balanceCheck.currentBalance}`);
-      }
-
-      const newBalance = balanceCheck.currentBalance - tokensToDeduct;
-
-      const updateMutation = `
-        mutation DeductShopTokens($id: ID!, $shopTokens: Int!) {
-          updateUserDetail(
-            where: { id: $id }
-            data: { shopTokens: $shopTokens }
-          ) {
-            id
-            mobileNumber
-            firstName
-            lastName
-            shopTokens
-          }
-        }
-      `;
-
-      const publishMutation = `
-        mutation PublishUserDetail($id: ID!) {
-          publishUserDetail(where: { id: $id }, to: PUBLISHED) {
-            id
-            shopTokens
-          }
-        }
-      `;
-
-      // Update shop tokens
-      const updateResult = await hygraphClient.mutate(updateMutation, {
-        id: userId,
-        shopTokens: newBalance
+      const result = await shopTokenLedgerService.debit(userId, tokensToDeduct, {
+        reason: LEDGER_REASONS.ORDER_PAYMENT,
+        reference: orderId
       });
 
-      if (!updateResult.updateUserDetail) {
-        throw new Error('Failed to update shop tokens');
-      }
-
-      // Publish the changes
-      await hygraphClient.mutate(publishMutation, { id: userId });
-
-      console.log(`💰 Shop tokens deducted for order ${orderId}: ${tokensToDeduct} tokens (${balanceCheck.currentBalance} -> ${newBalance})`);
+      console.log(`💰 Shop tokens deducted for order ${orderId}: ${tokensToDeduct} tokens (${result.previousBalance} -> ${result.newBalance})`);
 
       return {
         success: true,
-        previousBalance: balanceCheck.currentBalance,
-        deducted: tokensToDeduct,
-        newBalance: newBalance,
-        user: updateResult.updateUserDetail
+        previousBalance: result.previousBalance,
+        deducted: result.amount,
+        newBalance: result.newBalance,
+        entry: result.entry
       };
     } catch (error) {
       console.error('❌ Error deducting shop tokens:', error.message);
@@ -163,68 +142,27 @@ class OrderService {
   }
 
   /**
-   * Refund shop tokens to user's balance (for cancelled orders)
+   * Refund shop tokens to user's balance (ledger credit, for cancelled orders)
    * @param {string} userId - User ID
    * @param {number} tokensToRefund - Tokens to refund
-   * @param {string} orderId - Order ID for reference
-   * @returns {Promise<Object>} Updated user with new balance
+   * @param {string} orderId - Order ID/number for reference
+   * @returns {Promise<Object>} Ledger result with new balance
    */
   async refundShopTokens(userId, tokensToRefund, orderId) {
     try {
-      const user = await hygraphUserService.findUserById(userId);
-      
-      if (!user) {
-        throw new Error('User not found');
-      }
-
-      const currentBalance = user.shopTokens || 0;
-      const newBalance = currentBalance + tokensToRefund;
-
-      const updateMutation = `
-        mutation RefundShopTokens($id: ID!, $shopTokens: Int!) {
-          updateUserDetail(
-            where: { id: $id }
-            data: { shopTokens: $shopTokens }
-          ) {
-            id
-            mobileNumber
-            firstName
-            lastName
-            shopTokens
-          }
-        }
-      `;
-
-      const publishMutation = `
-        mutation PublishUserDetail($id: ID!) {
-          publishUserDetail(where: { id: $id }, to: PUBLISHED) {
-            id
-            shopTokens
-          }
-        }
-      `;
-
-      // Update shop tokens
-      const updateResult = await hygraphClient.mutate(updateMutation, {
-        id: userId,
-        shopTokens: newBalance
+      const result = await shopTokenLedgerService.credit(userId, tokensToRefund, {
+        reason: LEDGER_REASONS.ORDER_REFUND,
+        reference: orderId
       });
 
-      if (!updateResult.updateUserDetail) {
-        throw new Error('Failed to refund shop tokens');
-      }
-
-      // Publish the changes
-      await hygraphClient.mutate(publishMutation, { id: userId });
-
-      console.log(`💸 Shop tokens refunded for order ${orderId}: ${tokensToRefund} tokens (${currentBalance} -> ${newBalance})`);
+      console.log(`💸 Shop tokens refunded for order ${orderId}: ${tokensToRefund} tokens (${result.previousBalance} -> ${result.newBalance})`);
 
       return {
         success: true,
-        previousBalance: currentBalance,
-        refunded: tokensToRefund,
-        newBalance: newBalance,
-        user: updateResult.updateUserDetail
+        previousBalance: result.previousBalance,
+        refunded: result.amount,
+        newBalance: result.newBalance,
+        entry: result.entry
       };
     } catch (error) {
       console.error('❌ Error refunding shop tokens:', error.message);
@@ -233,21 +171,70 @@ class OrderService {
   }
 
   /**
-   * Create order with order items in Hygraph
-   * @param {Object} orderData - Order data
-   * @returns {Promise<Object>} Created order
+   * Find order by order number (includes unpublished drafts)
+   * @param {string} orderNumber - Order number
+   * @returns {Promise<Object|null>} Order or null
+   */
+  async findOrderByNumber(orderNumber) {
+    const query = `
+      query FindOrderByNumber($orderNumber: String!) {
+        orders(where: {orderNumber: $orderNumber}, stage: DRAFT, first: 1) {
+          id
+          orderNumber
+          totalAmount
+          orderStatus
+          shopTokensUsed
+          notes
+          awbCode
+          paymentMethod
+          codStatus
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { orderNumber });
+    return result.orders?.[0] || null;
+  }
+
+  /**
+   * Build OrderItem create inputs (snapshot of the priced items)
+   * @param {Array} items - Priced items (productId, variantId, productName, quantity, price, shopTokensPrice)
+   * @returns {Array} OrderItemCreateInput list
+   */
+  buildOrderItemInputs(items) {
+    return items.map(item => ({
+      product: { connect: { id: item.productId } },
+      productName: item.productName,
+      variantId: item.variantId || null,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      shopTokensPrice: item.shopTokensPrice || 0,
+      lineTotal: roundRupees(item.price * item.quantity),
+      lineShopTokens: (item.shopTokensPrice || 0) * item.quantity
+    }));
+  }
+
+  /**
+   * Create order with its OrderItem records in Hygraph
+   * @param {Object} orderData - Order data (orderNumber optional, shippingAddress = address snapshot,
+   *   publish defaults to true)
+   * @returns {Promise<Object>} Created order (with orderItems)
    */
   async createOrderWithItems(orderData) {
     const {
       userId,
       items,
       shippingAddressId,
+      shippingAddress = null,
       shopTokensUsed = 0,
       rupeesAmount = 0,
-      notes = ''
+      paymentMethod = 'shop_tokens',
+      codFee = null,
+      notes = '',
+      publish = true
     } = orderData;
 
-    const orderNumber = this.generateOrderNumber();
+    const orderNumber = orderData.orderNumber || this.generateOrderNumber();
     const totalAmount = rupeesAmount; // Amount in rupees
 
     try {
@@ -259,7 +246,12 @@ class OrderService {
           $totalAmount: Float!,
           $orderStatus: OrderStatus!,
           $shopTokensUsed: Int,
-          $notes: String
+          $paymentMethod: String,
+          $codFee: Float,
+          $codStatus: String,
+          $notes: String,
+          $orderItems: [OrderItemCreateInput!],
+          $shippingAddress: Json
           ${shippingAddressId ? ', $shippingAddressId: ID' : ''}
         ) {
           createOrder(
@@ -269,7 +261,12 @@ class OrderService {
               totalAmount: $totalAmount
               orderStatus: $orderStatus
               shopTokensUsed: $shopTokensUsed
+              paymentMethod: $paymentMethod
+              codFee: $codFee
+              codStatus: $codStatus
               notes: $notes
+              orderItems: {create: $orderItems}
+              shippingAddress: $shippingAddress
               ${shippingAddressId ? 'address: {connect: {id: $shippingAddressId}}' : ''}
             }
           ) {
@@ -278,7 +275,11 @@ class OrderService {
             totalAmount
             orderStatus
             shopTokensUsed
+            paymentMethod
+            codFee
+            codStatus
             notes
+            ${ORDER_ITEM_FIELDS}
           }
         }
       `;
@@ -289,7 +290,12 @@ class OrderService {
         totalAmount,
         orderStatus: 'pending',
         shopTokensUsed,
-        notes
+        paymentMethod,
+        codFee,
+        codStatus: paymentMethod === 'cod' ? 'pending' : null,
+        notes,
+        orderItems: this.buildOrderItemInputs(items),
+        shippingAddress
       };
 
       if (shippingAddressId) {
@@ -299,15 +305,15 @@ class OrderService {
       const orderResult = await hygraphService.execute(createOrderMutation, orderVariables);
       const orderId = orderResult.createOrder.id;
 
-      // Publish the order
-      await hygraphService.publishOrder(orderId);
+      // Publish the order and its items
+      if (publish) {
+        await hygraphService.publishOrder(orderId);
+        await hygraphService.publishOrderItems(orderId);
+      }
 
-      console.log(`📦 Order created: ${orderNumber} (ID: ${orderId})`);
+      console.log(`📦 Order created: ${orderNumber} (ID: ${orderId}, ${items.length} items)`);
 
-      return {
-        ...orderResult.createOrder,
-        items
-      };
+      return orderResult.createOrder;
     } catch (error) {
       console.error('❌ Error creating order:', error.message);
       throw error;
@@ -315,110 +321,19 @@ class OrderService {
   }
 
   /**
-   * Place order - main method that handles the complete order flow
-   * 1. Validates order items
-   * 2. Checks shop token balance
-   * 3. Deducts shop tokens
-   * 4. Creates the order
-   * @param {Object} orderData - Complete order data
-   * @returns {Promise<Object>} Order result
+   * Place an order (runs the persisted placement saga, see orderSagaService)
+   * @param {Object} orderData - userId, items, shippingAddressId, paymentMethod, shopTokensToUse,
+   *   rupeesAmount, notes, expectedTotals
+   * @returns {Promise<Object>} Order result (with Razorpay payment details when there is a rupee part)
    */
   async placeOrder(orderData) {
-    const {
-      userId,
-      items,
-      shippingAddressId,
-      paymentMethod = 'shop_tokens', // 'shop_tokens', 'rupees', 'mixed'
-      rupeesAmount = 0,
-      notes = ''
-    } = orderData;
-
-    console.log(`🛒 Placing order for user: ${userId}`);
-
-    // Step 1: Validate order items
-    const validation = this.validateOrderItems(items);
-    if (!validation.valid) {
-      throw new Error(validation.error);
-    }
-
-    console.log(`✅ Order validation passed: ${validation.itemCount} items, Total: ₹${validation.totalAmount}, Shop Tokens: ${validation.totalShopTokens}`);
-
-    // Step 2: Check if user has sufficient shop tokens
-    let shopTokensToDeduct = 0;
-    let tokensDeductionResult = null;
-
-    if (validation.totalShopTokens > 0) {
-      shopTokensToDeduct = validation.totalShopTokens;
-      
-      const balanceCheck = await this.checkShopTokenBalance(userId, shopTokensToDeduct);
-      
-      if (!balanceCheck.sufficient) {
-        throw new Error(`Insufficient shop tokens. Required: ${shopTokensToDeduct}, Available: ${balanceCheck.currentBalance}, Shortfall: ${balanceCheck.shortfall}`);
-      }
-
-      console.log(`💰 Shop token balance check passed: ${balanceCheck.currentBalance} >= ${shopTokensToDeduct}`);
-    }
-
-    // Generate order number for tracking
-    const orderNumber = this.generateOrderNumber();
-
-    try {
-      // Step 3: Deduct shop tokens BEFORE creating order (atomic operation)
-      if (shopTokensToDeduct > 0) {
-        tokensDeductionResult = await this.deductShopTokens(userId, shopTokensToDeduct, orderNumber);
-        console.log(`💰 Shop tokens deducted: ${shopTokensToDeduct}`);
-      }
-
-      // Step 4: Create the order in Hygraph
-      const order = await this.createOrderWithItems({
-        userId,
-        items,
-        shippingAddressId,
-        shopTokensUsed: shopTokensToDeduct,
-        rupeesAmount: validation.totalAmount,
-        notes
-      });
-
-      console.log(`✅ Order placed successfully: ${order.orderNumber}`);
-
-      return {
-        success: true,
-        order: {
-          id: order.id,
-          orderNumber: order.orderNumber,
-          totalAmount: order.totalAmount,
-          shopTokensUsed: order.shopTokensUsed,
-          orderStatus: order.orderStatus,
-          items: items
-        },
-        shopTokens: tokensDeductionResult ? {
-          previousBalance: tokensDeductionResult.previousBalance,
-          deducted: tokensDeductionResult.deducted,
-          newBalance: tokensDeductionResult.newBalance
-        } : null,
-        message: 'Order placed successfully'
-      };
-
-    } catch (error) {
-      // If order creation fails after token deduction, refund the tokens
-      if (tokensDeductionResult && tokensDeductionResult.success) {
-        console.log(`⚠️ Order creation failed, refunding ${shopTokensToDeduct} shop tokens...`);
-        try {
-          await this.refundShopTokens(userId, shopTokensToDeduct, orderNumber);
-          console.log(`✅ Shop tokens refunded successfully`);
-        } catch (refundError) {
-          console.error(`❌ CRITICAL: Failed to refund shop tokens: ${refundError.message}`);
-          // Log this for manual intervention
-          console.error(`MANUAL_REFUND_NEEDED: User ${userId}, Tokens: ${shopTokensToDeduct}, OrderNumber: ${orderNumber}`);
-        }
-      }
-
-      throw error;
-    }
+    // Required here: orderSagaService requires this module
+    const orderSagaService = require('./orderSagaService');
+    return orderSagaService.placeOrder(orderData);
   }
 
   /**
-   * Cancel order and refund shop tokens
+   * Cancel order and refund what was paid (shop tokens and Razorpay payment)
    * @param {string} orderId - Order ID
    * @param {string} userId - User ID (for authorization)
    * @param {string} reason - Cancellation reason
@@ -434,6 +349,9 @@ class OrderService {
             orderNumber
             orderStatus
             shopTokensUsed
+            paymentMethod
+            codStatus
+            ${ORDER_ITEM_FIELDS}
             userDetail {
               id
             }
@@ -454,18 +372,51 @@ class OrderService {
       }
 
       // Check if order can be cancelled
-      const nonCancellableStatuses = ['delivered', 'shipped', 'cancelled', 'refunded'];
-      if (nonCancellableStatuses.includes(order.orderStatus)) {
+      if (!orderLifecycleService.canTransition(order.orderStatus, 'cancelled')) {
         throw new Error(`Order cannot be cancelled. Current status: ${order.orderStatus}`);
       }
 
-      // Update order status to cancelled
-      await hygraphService.updateOrderStatus(orderId, 'cancelled');
-
-      // Refund shop tokens if any were used
+      let shopTokensRefund = null;
       let refundResult = null;
-      if (order.shopTokensUsed && order.shopTokensUsed > 0) {
-        refundResult = await this.refundShopTokens(userId, order.shopTokensUsed, order.orderNumber);
+
+      // An order still waiting for its rupee payment is cancelled through its
+      // placement saga (tokens and stock released there), so a payment captured
+      // later is refunded instead of confirming the order
+      let cancelledBySaga = false;
+      if (order.orderStatus === 'pending' && ['rupees', 'mixed'].includes(order.paymentMethod)) {
+        // Required here: orderSagaService requires this module
+        const orderSagaService = require('./orderSagaService');
+        const sagaStatus = await orderSagaService.failPayment(
+          order.orderNumber,
+          reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer'
+        );
+
+        cancelledBySaga = sagaStatus === orderSagaService.SAGA_STATUS.COMPENSATED;
+        if (cancelledBySaga) {
+          const saga = await orderSagaService.get(order.orderNumber);
+          shopTokensRefund = saga?.tokens || null;
+        }
+      }
+
+      if (!cancelledBySaga) {
+        await orderLifecycleService.transition(orderId, 'cancelled', {
+          actor: `user:${userId}`,
+          source: 'customer-cancel',
+          reason: reason || null
+        });
+
+        // Refund everything not refunded yet (tokens now, rupees via Razorpay)
+        refundResult = await refundService.refundOrder(orderId, {
+          reason: reason || 'Order cancelled'
+        });
+        shopTokensRefund = refundResult?.shopTokensRefund || null;
+
+        // Return reserved/committed stock
+        await inventoryService.release(order.orderNumber);
+
+        if (order.paymentMethod === 'cod') {
+          await codService.markNotCollected(order);
+        }
       }
 
       console.log(`❌ Order ${order.orderNumber} cancelled. Reason: ${reason || 'Not specified'}`);
@@ -477,11 +428,14 @@ class OrderService {
           orderNumber: order.orderNumber,
           previousStatus: order.orderStatus,
           newStatus: 'cancelled',
-          reason
+          reason,
+          items: order.orderItems || []
         },
-        shopTokensRefund: refundResult ? {
-          refunded: refundResult.refunded,
-          newBalance: refundResult.newBalance
+        shopTokensRefund,
+        refund: refundResult && refundResult.rupees > 0 ? {
+          id: refundResult.refund.id,
+          amount: refundResult.rupees,
+          status: refundResult.refund.refundStatus
         } : null,
         message: 'Order cancelled successfully'
       };
@@ -519,10 +473,14 @@ class OrderService {
             orderNumber
             totalAmount
             shopTokensUsed
+            paymentMethod
+            codFee
+            codStatus
             orderStatus
             notes
             createdAt
             updatedAt
+            ${ORDER_ITEM_FIELDS}
           }
         }
       `;
@@ -561,10 +519,26 @@ class OrderService {
             orderNumber
             totalAmount
             shopTokensUsed
+            paymentMethod
+            codFee
+            codStatus
             orderStatus
             notes
+            shiprocketOrderId
+            shipmentId
+            awbCode
+            shippingAddress
             createdAt
             updatedAt
+            ${ORDER_ITEM_FIELDS}
+            statusHistory: orderStatusEvents(orderBy: createdAt_ASC, first: 100) {
+              fromStatus
+              toStatus
+              actor
+              source
+              reason
+              createdAt
+            }
             userDetail {
               id
               firstName
@@ -1,12 +1,20 @@
 const crypto = require('crypto');
-
-// In-memory storage (use Redis in production)
-const otpStorage = new Map();
+const { createOtpStore } = require('./otpStore');
 
 // OTP expiry time (10 minutes)
 const OTP_EXPIRY_MS = 10 * 60 * 1000;
 
+// Maximum verification attempts per OTP session
+const MAX_ATTEMPTS = 5;
+
 class OtpService {
+  /**
+   * @param {Object} store - OTP store (see services/otpStore.js)
+   */
+  constructor(store = createOtpStore()) {
+    this.store = store;
+  }
+
   /**
    * Generate 6-digit OTP
    * @returns {string} 6-digit OTP
@@ -25,17 +33,12 @@ class OtpService {
     const sessionId = crypto.randomBytes(16).toString('hex');
     const timestamp = Date.now();
 
-    otpStorage.set(sessionId, {
+    await this.store.save(sessionId, {
       mobileNumber,
       otp,
       timestamp,
       attempts: 0,
-      maxAttempts: 5
-    });
-
-    // Auto-delete after expiry
-    setTimeout(() => {
-      otpStorage.delete(sessionId);
+      maxAttempts: MAX_ATTEMPTS
     }, OTP_EXPIRY_MS);
 
     return sessionId;
@@ -53,15 +56,12 @@ class OtpService {
     let otpEntry = null;
 
     if (sessionId) {
-      otpEntry = otpStorage.get(sessionId);
+      otpEntry = await this.store.get(sessionId);
     } else {
       // Find by mobile number (less secure, but fallback)
-      for (const [sid, entry] of otpStorage.entries()) {
-        if (entry.mobileNumber === mobileNumber) {
-          otpEntry = entry;
-          sessionId = sid;
-          break;
-        }
+      otpEntry = await this.store.getLatestForMobile(mobileNumber);
+      if (otpEntry) {
+        sessionId = otpEntry.sessionId;
       }
     }
 
@@ -75,16 +75,25 @@ class OtpService {
     // Check expiry
     const age = Date.now() - otpEntry.timestamp;
     if (age > OTP_EXPIRY_MS) {
-      otpStorage.delete(sessionId);
+      await this.store.delete(sessionId);
       return {
         verified: false,
         message: 'OTP has expired. Please request a new one.'
       };
     }
 
-    // Check attempts
-    if (otpEntry.attempts >= otpEntry.maxAttempts) {
-      otpStorage.delete(sessionId);
+    // Count this attempt atomically before comparing, so concurrent
+    // requests can't exceed maxAttempts
+    const attempts = await this.store.incrementAttempts(sessionId);
+    if (attempts === null) {
+      return {
+        verified: false,
+        message: 'OTP session not found or expired'
+      };
+    }
+
+    if (attempts > otpEntry.maxAttempts) {
+      await this.store.delete(sessionId);
       return {
         verified: false,
         message: 'Too many verification attempts. Please request a new OTP.'
@@ -93,7 +102,6 @@ class OtpService {
 
     // Verify OTP
     if (otpEntry.mobileNumber !== mobileNumber) {
-      otpEntry.attempts++;
       return {
         verified: false,
         message: 'Mobile number mismatch'
@@ -101,7 +109,6 @@ class OtpService {
     }
 
     if (otpEntry.otp !== otp) {
-      otpEntry.attempts++;
       return {
         verified: false,
         message: 'Invalid OTP'
@@ -121,15 +128,7 @@ class OtpService {
    * @returns {Object|null} OTP entry or null
    */
   async getRecentOtp(mobileNumber) {
-    for (const [sid, entry] of otpStorage.entries()) {
-      if (entry.mobileNumber === mobileNumber) {
-        return {
-          ...entry,
-          sessionId: sid
-        };
-      }
-    }
-    return null;
+    return this.store.getLatestForMobile(mobileNumber);
   }
 
   /**
@@ -137,26 +136,27 @@ class OtpService {
    * @param {string} sessionId - Session ID
    */
   async deleteOtp(sessionId) {
-    otpStorage.delete(sessionId);
+    await this.store.delete(sessionId);
   }
 
   /**
    * Clean expired OTPs (cleanup function)
+   * Only needed for the in-memory store - Redis expires keys natively
    */
   cleanup() {
-    const now = Date.now();
-    for (const [sid, entry] of otpStorage.entries()) {
-      if (now - entry.timestamp > OTP_EXPIRY_MS) {
-        otpStorage.delete(sid);
-      }
+    if (typeof this.store.cleanup === 'function') {
+      this.store.cleanup(OTP_EXPIRY_MS);
     }
   }
 }
 
+const otpService = new OtpService();
+
 // Run cleanup every 5 minutes
-setInterval(() => {
-  const service = new OtpService();
-  service.cleanup();
+const cleanupTimer = setInterval(() => {
+  otpService.cleanup();
 }, 5 * 60 * 1000);
+if (cleanupTimer.unref) cleanupTimer.unref();
 
-module.exports = new OtpService();
+module.exports = otpService;
+module.exports.OtpService = OtpService;
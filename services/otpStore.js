@@ -0,0 +1,228 @@
+const { getClient } = require('../config/redis');
+
+/**
+ * In-memory OTP store
+ * Used for local development and tests. Sessions are lost on restart and
+ * are not shared between instances, so don't use it behind a load balancer.
+ */
+class MemoryOtpStore {
+  constructor() {
+    this.sessions = new Map();
+    this.mobileIndex = new Map(); // mobileNumber -> latest sessionId
+    this.timers = new Map();
+  }
+
+  /**
+   * Save OTP session
+   * @param {string} sessionId - Session ID
+   * @param {Object} entry - OTP entry (mobileNumber, otp, timestamp, attempts, maxAttempts)
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  async save(sessionId, entry, ttlMs) {
+    this.sessions.set(sessionId, { ...entry });
+    this.mobileIndex.set(entry.mobileNumber, sessionId);
+
+    // Auto-delete after expiry
+    const timer = setTimeout(() => {
+      this.delete(sessionId);
+    }, ttlMs);
+    if (timer.unref) timer.unref();
+    this.timers.set(sessionId, timer);
+  }
+
+  /**
+   * Get OTP session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} OTP entry or null
+   */
+  async get(sessionId) {
+    const entry = this.sessions.get(sessionId);
+    return entry ? { ...entry, sessionId } : null;
+  }
+
+  /**
+   * Get latest OTP session for a mobile number
+   * @param {string} mobileNumber - Mobile number
+   * @returns {Promise<Object|null>} OTP entry (with sessionId) or null
+   */
+  async getLatestForMobile(mobileNumber) {
+    const sessionId = this.mobileIndex.get(mobileNumber);
+    return sessionId ? this.get(sessionId) : null;
+  }
+
+  /**
+   * Increment verification attempts
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<number|null>} New attempt count, or null if session doesn't exist
+   */
+  async incrementAttempts(sessionId) {
+    const entry = this.sessions.get(sessionId);
+    if (!entry) {
+      return null;
+    }
+    entry.attempts++;
+    return entry.attempts;
+  }
+
+  /**
+   * Delete OTP session
+   * @param {string} sessionId - Session ID
+   */
+  async delete(sessionId) {
+    const entry = this.sessions.get(sessionId);
+    if (entry && this.mobileIndex.get(entry.mobileNumber) === sessionId) {
+      this.mobileIndex.delete(entry.mobileNumber);
+    }
+    this.sessions.delete(sessionId);
+
+    const timer = this.timers.get(sessionId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(sessionId);
+    }
+  }
+
+  /**
+   * Remove sessions older than maxAgeMs
+   * @param {number} maxAgeMs - Maximum session age in milliseconds
+   */
+  cleanup(maxAgeMs) {
+    const now = Date.now();
+    for (const [sid, entry] of this.sessions.entries()) {
+      if (now - entry.timestamp > maxAgeMs) {
+        this.delete(sid);
+      }
+    }
+  }
+}
+
+// Increment attempts only if the session still exists (HINCRBY would
+// otherwise recreate an expired session without a TTL)
+const INCREMENT_ATTEMPTS_SCRIPT = `
+  if redis.call('EXISTS', KEYS[1]) == 0 then
+    return -1
+  end
+  return redis.call('HINCRBY', KEYS[1], 'attempts', 1)
+`;
+
+// Remove the mobile index only if it still points at this session
+const DELETE_SESSION_SCRIPT = `
+  if KEYS[2] and redis.call('GET', KEYS[2]) == ARGV[1] then
+    redis.call('DEL', KEYS[2])
+  end
+  return redis.call('DEL', KEYS[1])
+`;
+
+/**
+ * Redis OTP store
+ * Shared across instances (required on Vercel, where send-otp and verify-otp
+ * can hit different instances). Expiry uses native Redis TTLs.
+ *
+ * Keys:
+ * - otp:session:{sessionId} - hash with the OTP entry
+ * - otp:mobile:{mobileNumber} - latest sessionId for the mobile number
+ */
+class RedisOtpStore {
+  constructor(prefix = 'otp') {
+    this.prefix = prefix;
+  }
+
+  sessionKey(sessionId) {
+    return `${this.prefix}:session:${sessionId}`;
+  }
+
+  mobileKey(mobileNumber) {
+    return `${this.prefix}:mobile:${mobileNumber}`;
+  }
+
+  async save(sessionId, entry, ttlMs) {
+    const redisClient = await getClient();
+    const key = this.sessionKey(sessionId);
+
+    await redisClient
+      .multi()
+      .hSet(key, {
+        mobileNumber: entry.mobileNumber,
+        otp: entry.otp,
+        timestamp: String(entry.timestamp),
+        attempts: String(entry.attempts),
+        maxAttempts: String(entry.maxAttempts)
+      })
+      .pExpire(key, ttlMs)
+      .set(this.mobileKey(entry.mobileNumber), sessionId, { PX: ttlMs })
+      .exec();
+  }
+
+  async get(sessionId) {
+    const redisClient = await getClient();
+    const data = await redisClient.hGetAll(this.sessionKey(sessionId));
+
+    if (!data || !data.mobileNumber) {
+      return null;
+    }
+
+    return {
+      sessionId,
+      mobileNumber: data.mobileNumber,
+      otp: data.otp,
+      timestamp: parseInt(data.timestamp, 10),
+      attempts: parseInt(data.attempts, 10) || 0,
+      maxAttempts: parseInt(data.maxAttempts, 10)
+    };
+  }
+
+  async getLatestForMobile(mobileNumber) {
+    const redisClient = await getClient();
+    const sessionId = await redisClient.get(this.mobileKey(mobileNumber));
+    return sessionId ? this.get(sessionId) : null;
+  }
+
+  async incrementAttempts(sessionId) {
+    const redisClient = await getClient();
+    const attempts = await redisClient.eval(INCREMENT_ATTEMPTS_SCRIPT, {
+      keys: [this.sessionKey(sessionId)]
+    });
+    return attempts < 0 ? null : attempts;
+  }
+
+  async delete(sessionId) {
+    const redisClient = await getClient();
+    const key = this.sessionKey(sessionId);
+    const mobileNumber = await redisClient.hGet(key, 'mobileNumber');
+
+    const keys = [key];
+    if (mobileNumber) {
+      keys.push(this.mobileKey(mobileNumber));
+    }
+
+    await redisClient.eval(DELETE_SESSION_SCRIPT, {
+      keys,
+      arguments: [sessionId]
+    });
+  }
+}
+
+/**
+ * Create OTP store based on configuration
+ * OTP_STORE=redis|memory (defaults to redis when REDIS_URL is set)
+ * @returns {MemoryOtpStore|RedisOtpStore} OTP store
+ */
+function createOtpStore() {
+  const driver = (process.env.OTP_STORE || (process.env.REDIS_URL ? 'redis' : 'memory')).toLowerCase();
+
+  if (driver === 'redis') {
+    console.log('🔐 OTP store: Redis');
+    return new RedisOtpStore();
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    console.warn('⚠️  OTP store: in-memory - OTPs will not survive restarts or be shared across instances');
+  }
+  return new MemoryOtpStore();
+}
+
+module.exports = {
+  MemoryOtpStore,
+  RedisOtpStore,
+  createOtpStore
+};
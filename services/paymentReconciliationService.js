@@ -0,0 +1,308 @@
+const razorpayService = require('./razorpayService');
+const hygraphService = require('./hygraphService');
+const idempotencyService = require('./idempotencyService');
+const { withLock } = require('./lockService');
+const inventoryService = require('./inventoryService');
+const orderSagaService = require('./orderSagaService');
+const refundService = require('./refundService');
+const orderLifecycleService = require('./orderLifecycleService');
+const fulfilmentService = require('./fulfilmentService');
+const { SAGA_STATUS } = orderSagaService;
+
+// Reconciliation outcomes returned to the payment routes
+const OUTCOMES = {
+  CREDITED: 'credited',                   // Wallet top-up credited
+  ORDER_CONFIRMED: 'order_confirmed',     // Linked order confirmed
+  ORDER_CANCELLED: 'order_cancelled',     // Captured after the order was cancelled (failed/timed out) - refunded
+  ALREADY_PROCESSED: 'already_processed', // Payment was reconciled earlier
+  PENDING: 'pending',                     // Authorized but not captured yet
+  FAILED: 'failed',                       // Payment failed at Razorpay
+  NO_ACTION: 'no_action'                  // Captured, but nothing to credit or confirm
+};
+
+const RECONCILIATION_SCOPE = 'payment-reconciliation';
+const WALLET_CREDIT_SCOPE = 'wallet-topup-credit';
+
+/**
+ * Payment Reconciliation
+ * Single place that turns a Razorpay order + payment into its effect:
+ * update the Hygraph Payment, then credit the wallet (wallet top-ups) or
+ * confirm the linked Order. Used by /verify-signature, /verify-payment and
+ * the webhook so they can't drift apart.
+ *
+ * Reconciliation of one Razorpay order is serialized with a lock and
+ * recorded per payment id, so whichever entry point gets there first applies
+ * the effect and the others get ALREADY_PROCESSED. Every step is idempotent,
+ * so a reconciliation that fails half-way can simply be run again.
+ */
+class PaymentReconciliationService {
+  /**
+   * Reconcile a Razorpay payment
+   * @param {Object} params
+   * @param {string} params.razorpayOrderId - Razorpay order ID
+   * @param {Object} params.razorpayPayment - Razorpay payment entity (id, status, amount, method)
+   * @param {Object} params.razorpayOrder - Razorpay order entity (optional, fetched if missing)
+   * @param {string} params.source - Entry point ('verify-signature', 'verify-payment', 'webhook')
+   * @returns {Promise<Object>} Structured result ({ outcome, ... })
+   */
+  async reconcile({ razorpayOrderId, razorpayPayment, razorpayOrder = null, source = 'unknown' }) {
+    const razorpayPaymentId = razorpayPayment.id;
+
+    const baseResult = {
+      razorpayOrderId,
+      razorpayPaymentId,
+      source
+    };
+
+    if (razorpayPayment.status === 'failed') {
+      return this.handleFailure({
+        razorpayOrderId,
+        razorpayPaymentId,
+        method: razorpayPayment.method,
+        source
+      });
+    }
+
+    const paymentStatus = hygraphService.mapRazorpayStatusToHygraph(razorpayPayment.status);
+
+    if (paymentStatus !== 'confirmed') {
+      // Authorized (or still pending) - record status, nothing to apply yet
+      await hygraphService.updatePaymentStatus(razorpayOrderId, paymentStatus, {
+        razorpayPaymentId,
+        method: razorpayPayment.method || null
+      });
+      return {
+        ...baseResult,
+        outcome: OUTCOMES.PENDING,
+        paymentStatus,
+        message: `Payment is ${razorpayPayment.status}`
+      };
+    }
+
+    return withLock(`payment:${razorpayOrderId}`, async () => {
+      const fingerprint = idempotencyService.fingerprint({ razorpayOrderId, razorpayPaymentId });
+      const claim = await idempotencyService.begin(RECONCILIATION_SCOPE, razorpayPaymentId, fingerprint);
+
+      if (claim.status === 'completed') {
+        console.log(`♻️  Payment ${razorpayPaymentId} already reconciled (${claim.response.outcome}) - skipping`);
+        return {
+          ...baseResult,
+          outcome: OUTCOMES.ALREADY_PROCESSED,
+          paymentStatus,
+          previousOutcome: claim.response.outcome,
+          message: 'Payment already processed'
+        };
+      }
+
+      if (claim.status === 'conflict') {
+        throw new Error(`Payment ${razorpayPaymentId} was already reconciled against a different order`);
+      }
+
+      try {
+        const result = await this.applyCapturedPayment({
+          razorpayOrderId,
+          razorpayPayment,
+          razorpayOrder,
+          paymentStatus
+        });
+
+        const finalResult = { ...baseResult, paymentStatus, ...result };
+        await idempotencyService.complete(RECONCILIATION_SCOPE, razorpayPaymentId, fingerprint, finalResult);
+        return finalResult;
+      } catch (error) {
+        await idempotencyService.release(RECONCILIATION_SCOPE, razorpayPaymentId);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Apply a captured payment (called with the reconciliation lock held)
+   * @returns {Promise<Object>} Outcome fields
+   */
+  async applyCapturedPayment({ razorpayOrderId, razorpayPayment, razorpayOrder, paymentStatus }) {
+    const razorpayPaymentId = razorpayPayment.id;
+
+    // Get Razorpay order to check if it's a wallet top-up
+    const order = razorpayOrder || await razorpayService.getOrder(razorpayOrderId);
+    const isWalletTopup = order?.notes?.type === 'wallet_topup';
+
+    // Update payment status in Hygraph
+    await hygraphService.updatePaymentStatus(razorpayOrderId, paymentStatus, {
+      razorpayPaymentId,
+      method: razorpayPayment.method || null
+    });
+    console.log('✅ Payment status updated in Hygraph:', paymentStatus);
+
+    const payment = await hygraphService.findPaymentByRazorpayOrderId(razorpayOrderId);
+
+    if (isWalletTopup && payment) {
+      // Wallet top-up: Update wallet balance
+      const userId = payment.userDetail?.id || order?.notes?.userId;
+      const amountInRupees = razorpayPayment.amount / 100; // Convert from paise to rupees
+
+      if (!userId) {
+        console.warn('⚠️  userId not found for wallet top-up');
+        return { outcome: OUTCOMES.NO_ACTION, type: 'wallet_topup', message: 'userId not found for wallet top-up' };
+      }
+
+      await this.creditWalletOnce(razorpayPaymentId, userId, amountInRupees);
+
+      return {
+        outcome: OUTCOMES.CREDITED,
+        type: 'wallet_topup',
+        userId,
+        amount: amountInRupees,
+        message: `Wallet credited with ₹${amountInRupees}`
+      };
+    }
+
+    if (payment && payment.order?.orderNumber) {
+      // Order placed through checkout: confirming it also finalizes the held tokens and stock
+      const sagaStatus = await orderSagaService.completePayment(payment.order.orderNumber, { razorpayPaymentId });
+
+      if (sagaStatus === SAGA_STATUS.COMPLETED) {
+        return {
+          outcome: OUTCOMES.ORDER_CONFIRMED,
+          type: 'order',
+          orderId: payment.order.id,
+          message: 'Order confirmed'
+        };
+      }
+
+      if (sagaStatus === SAGA_STATUS.COMPENSATED || sagaStatus === SAGA_STATUS.COMPENSATING) {
+        console.warn(`⚠️  Payment ${razorpayPaymentId} captured for cancelled order ${payment.order.orderNumber} - refunding`);
+        const refundResult = await refundService.refundOrder(payment.order.id, {
+          reason: 'Payment captured after the order was cancelled'
+        });
+        return {
+          outcome: OUTCOMES.ORDER_CANCELLED,
+          type: 'order',
+          orderId: payment.order.id,
+          refundId: refundResult?.refund.id || null,
+          message: 'Order was cancelled before the payment was captured - payment refunded'
+        };
+      }
+
+      if (sagaStatus) {
+        throw new Error(`Order ${payment.order.orderNumber} can't be confirmed in saga status ${sagaStatus}`);
+      }
+    }
+
+    if (payment && payment.order?.id) {
+      // Regular order: Update order status
+      await orderLifecycleService.transition(payment.order.id, 'confirmed', {
+        actor: 'razorpay',
+        source: 'payment-reconciliation',
+        reason: `Payment ${razorpayPaymentId} captured`
+      });
+      console.log('✅ Order status updated to confirmed in Hygraph');
+
+      // Paid - reserved stock leaves inventory
+      if (payment.order.orderNumber) {
+        await inventoryService.commit(payment.order.orderNumber);
+      }
+
+      await fulfilmentService.enqueue(payment.order.id, payment.order.orderNumber);
+
+      return {
+        outcome: OUTCOMES.ORDER_CONFIRMED,
+        type: 'order',
+        orderId: payment.order.id,
+        message: 'Order confirmed'
+      };
+    }
+
+    return {
+      outcome: OUTCOMES.NO_ACTION,
+      type: isWalletTopup ? 'wallet_topup' : 'order',
+      message: 'No Hygraph payment or order linked to this Razorpay order'
+    };
+  }
+
+  /**
+   * Credit a wallet top-up exactly once per Razorpay payment
+   * The credit is recorded in Hygraph as a WalletTransaction referencing the
+   * payment id, so a reconciliation re-run after a lost response or a crash
+   * finds it instead of crediting again. The Redis claim only keeps concurrent
+   * runs apart.
+   * @param {string} razorpayPaymentId - Razorpay payment ID
+   * @param {string} userId - UserDetail ID
+   * @param {number} amountInRupees - Amount to credit
+   * @returns {Promise<boolean>} True if this call credited the wallet
+   */
+  async creditWalletOnce(razorpayPaymentId, userId, amountInRupees) {
+    const fingerprint = idempotencyService.fingerprint({ userId, amountInRupees });
+    const claim = await idempotencyService.begin(WALLET_CREDIT_SCOPE, razorpayPaymentId, fingerprint);
+
+    if (claim.status === 'completed') {
+      console.log(`♻️  Wallet top-up for payment ${razorpayPaymentId} already credited - skipping`);
+      return false;
+    }
+
+    if (claim.status === 'in_progress') {
+      throw new Error(`Wallet top-up for payment ${razorpayPaymentId} is already being credited`);
+    }
+
+    if (claim.status === 'conflict') {
+      throw new Error(`Wallet top-up for payment ${razorpayPaymentId} was already recorded with a different user or amount`);
+    }
+
+    // On error the claim is kept until it expires: the credit may have been
+    // applied, and the next run checks the WalletTransaction record first
+    const { duplicate, transaction } = await hygraphService.creditWallet(userId, amountInRupees, razorpayPaymentId);
+
+    if (duplicate && (transaction.userDetail?.id !== userId || transaction.amount !== amountInRupees)) {
+      throw new Error(`Wallet top-up for payment ${razorpayPaymentId} was already recorded with a different user or amount`);
+    }
+
+    await idempotencyService.complete(WALLET_CREDIT_SCOPE, razorpayPaymentId, fingerprint, {
+      userId,
+      amountInRupees,
+      creditedAt: transaction.createdAt || new Date().toISOString()
+    });
+
+    if (duplicate) {
+      console.log(`♻️  Wallet top-up for payment ${razorpayPaymentId} already credited - skipping`);
+      return false;
+    }
+
+    console.log(`✅ Wallet balance updated: +₹${amountInRupees} for user ${userId}`);
+    return true;
+  }
+
+  /**
+   * Record a failed payment
+   * @param {Object} params - razorpayOrderId, razorpayPaymentId, method, source
+   * @returns {Promise<Object>} Structured result
+   */
+  async handleFailure({ razorpayOrderId, razorpayPaymentId, method = null, source = 'unknown' }) {
+    await hygraphService.updatePaymentStatus(razorpayOrderId, 'cancelled', {
+      razorpayPaymentId,
+      method: method || null
+    });
+    console.log('✅ Payment status updated to cancelled in Hygraph');
+
+    // Payment failed - cancel a checkout order (returns held tokens and stock),
+    // or just free the reserved stock of other orders
+    const payment = await hygraphService.findPaymentByRazorpayOrderId(razorpayOrderId);
+    if (payment?.order?.orderNumber) {
+      const sagaStatus = await orderSagaService.failPayment(payment.order.orderNumber, 'Payment failed');
+      if (!sagaStatus) {
+        await inventoryService.release(payment.order.orderNumber);
+      }
+    }
+
+    return {
+      outcome: OUTCOMES.FAILED,
+      razorpayOrderId,
+      razorpayPaymentId,
+      source,
+      paymentStatus: 'cancelled',
+      message: 'Payment failed'
+    };
+  }
+}
+
+module.exports = new PaymentReconciliationService();
+module.exports.OUTCOMES = OUTCOMES;
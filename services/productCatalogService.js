@@ -0,0 +1,186 @@
+const hygraphService = require('./hygraphService');
+
+const PRODUCT_FIELDS = `
+  id
+  name
+  price
+  shopTokensPrice
+  isActive
+  maxQuantityPerOrder
+  variants {
+    id
+    name
+    price
+    shopTokensPrice
+    isActive
+  }
+`;
+
+// Client prices may differ from the catalog by rounding only
+const PRICE_TOLERANCE = 0.01;
+
+const roundRupees = amount => Math.round(amount * 100) / 100;
+
+// Client prices/totals are optional: an absent (or null) value isn't checked
+const isSent = value => value !== undefined && value !== null && value !== '';
+
+/**
+ * Product Catalog
+ * Authoritative product data from the Hygraph Product model. Order totals
+ * are always computed from here - prices sent by the client are only
+ * compared against the catalog, never used. A variant's price and token
+ * price override its product's when set. Rupee amounts are rounded to paise.
+ */
+class ProductCatalogService {
+  /**
+   * Get products by ID
+   * @param {Array<string>} productIds - Product IDs
+   * @returns {Promise<Map<string, Object>>} productId → product
+   */
+  async getProducts(productIds) {
+    const ids = [...new Set(productIds)];
+
+    const query = `
+      query GetProductsForOrder($ids: [ID!]!, $first: Int!) {
+        products(where: {id_in: $ids}, first: $first) {
+          ${PRODUCT_FIELDS}
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { ids, first: ids.length });
+    return new Map((result.products || []).map(product => [product.id, product]));
+  }
+
+  /**
+   * Unit prices of a product or one of its variants
+   * @param {Object} product - Product (from getProducts)
+   * @param {string} variantId - Variant ID (optional)
+   * @returns {Object|null} { name, price, shopTokensPrice, isActive }, or null for an unknown variant
+   */
+  getUnitPricing(product, variantId = null) {
+    if (!variantId) {
+      return {
+        name: product.name,
+        price: product.price || 0,
+        shopTokensPrice: product.shopTokensPrice || 0,
+        isActive: product.isActive
+      };
+    }
+
+    const variant = (product.variants || []).find(v => v.id === variantId);
+    if (!variant) {
+      return null;
+    }
+
+    return {
+      name: variant.name ? `${product.name} (${variant.name})` : product.name,
+      price: variant.price ?? product.price ?? 0,
+      shopTokensPrice: variant.shopTokensPrice ?? product.shopTokensPrice ?? 0,
+      isActive: product.isActive && variant.isActive !== false
+    };
+  }
+
+  /**
+   * Price order items from the catalog
+   * Rejects unknown/inactive products and variants, quantities over the
+   * per-order limit, and client prices or totals that disagree with the catalog.
+   * @param {Array} items - Items with productId, variantId (optional), quantity
+   *   (price/shopTokensPrice optional, checked only)
+   * @param {Object} expectedTotals - Client totals to check (totalAmount, totalShopTokens - optional)
+   * @returns {Promise<Object>} { valid, error?, priceMismatch?, items, totalAmount, totalShopTokens }
+   */
+  async priceItems(items, expectedTotals = {}) {
+    const products = await this.getProducts(items.map(item => item.productId));
+
+    // Limits apply per product, even when it appears on several lines
+    const quantityByProduct = new Map();
+    for (const item of items) {
+      quantityByProduct.set(item.productId, (quantityByProduct.get(item.productId) || 0) + item.quantity);
+    }
+
+    const pricedItems = [];
+    let totalAmount = 0;
+    let totalShopTokens = 0;
+
+    for (const item of items) {
+      const product = products.get(item.productId);
+
+      if (!product) {
+        return { valid: false, error: `Product not found: ${item.productId}` };
+      }
+
+      const pricing = this.getUnitPricing(product, item.variantId);
+      if (!pricing) {
+        return { valid: false, error: `Variant not found for ${product.name}: ${item.variantId}` };
+      }
+
+      if (!pricing.isActive) {
+        return { valid: false, error: `Product is not available: ${pricing.name}` };
+      }
+
+      const maxQuantity = product.maxQuantityPerOrder;
+      if (maxQuantity && quantityByProduct.get(product.id) > maxQuantity) {
+        return { valid: false, error: `Maximum ${maxQuantity} per order for ${product.name}` };
+      }
+
+      const { price, shopTokensPrice } = pricing;
+
+      if (isSent(item.price) && !(Math.abs(Number(item.price) - price) <= PRICE_TOLERANCE)) {
+        return {
+          valid: false,
+          priceMismatch: true,
+          error: `Price mismatch for ${pricing.name}: expected ₹${price}, got ₹${item.price}`
+        };
+      }
+
+      if (isSent(item.shopTokensPrice) && Number(item.shopTokensPrice) !== shopTokensPrice) {
+        return {
+          valid: false,
+          priceMismatch: true,
+          error: `Price mismatch for ${pricing.name}: expected ${shopTokensPrice} shop tokens, got ${item.shopTokensPrice}`
+        };
+      }
+
+      pricedItems.push({
+        productId: product.id,
+        variantId: item.variantId || null,
+        productName: pricing.name,
+        quantity: item.quantity,
+        price,
+        shopTokensPrice
+      });
+
+      totalAmount = roundRupees(totalAmount + roundRupees(price * item.quantity));
+      totalShopTokens += shopTokensPrice * item.quantity;
+    }
+
+    if (isSent(expectedTotals.totalAmount) &&
+        !(Math.abs(Number(expectedTotals.totalAmount) - totalAmount) <= PRICE_TOLERANCE)) {
+      return {
+        valid: false,
+        priceMismatch: true,
+        error: `Price mismatch: order total is ₹${totalAmount}, got ₹${expectedTotals.totalAmount}`
+      };
+    }
+
+    if (isSent(expectedTotals.totalShopTokens) &&
+        Number(expectedTotals.totalShopTokens) !== totalShopTokens) {
+      return {
+        valid: false,
+        priceMismatch: true,
+        error: `Price mismatch: order total is ${totalShopTokens} shop tokens, got ${expectedTotals.totalShopTokens}`
+      };
+    }
+
+    return {
+      valid: true,
+      items: pricedItems,
+      totalAmount,
+      totalShopTokens
+    };
+  }
+}
+
+module.exports = new ProductCatalogService();
+module.exports.roundRupees = roundRupees;
@@ -130,9 +130,10 @@ class RazorpayService {
    * Refund payment
    * @param {string} paymentId - Razorpay payment ID
    * @param {number} amount - Refund amount in paise (optional, full refund if not provided)
+   * @param {Object} notes - Notes stored on the refund (optional, returned in refund webhooks)
    * @returns {Promise<Object>} Refund details
    */
-  async refundPayment(paymentId, amount = null) {
+  async refundPayment(paymentId, amount = null, notes = null) {
     try {
       if (!this.razorpay) {
         throw new Error('Razorpay not initialized');
@@ -146,6 +147,10 @@ class RazorpayService {
         refundOptions.amount = amount;
       }
 
+      if (notes) {
+        refundOptions.notes = notes;
+      }
+
       const refund = await this.razorpay.payments.refund(paymentId, refundOptions);
       return refund;
     } catch (error) {
@@ -0,0 +1,655 @@
+const hygraphService = require('./hygraphService');
+const razorpayService = require('./razorpayService');
+const shopTokenLedgerService = require('./shopTokenLedgerService');
+const orderLifecycleService = require('./orderLifecycleService');
+const { withLock } = require('./lockService');
+const { COD_STATUS } = require('./codService');
+const { LEDGER_REASONS } = shopTokenLedgerService;
+
+const REFUND_FIELDS = `
+  id
+  razorpayRefundId
+  amount
+  shopTokens
+  refundStatus
+  reason
+  items
+  error
+  createdAt
+`;
+
+// Refund status (Refund.refundStatus)
+const REFUND_STATUS = {
+  INITIATED: 'initiated',   // Recorded, Razorpay refund not requested yet (or request interrupted)
+  PENDING: 'pending',       // Requested at Razorpay, waiting for refund.processed
+  PROCESSED: 'processed',   // Money returned
+  FAILED: 'failed',         // Razorpay refund failed - retry it (retryRefund)
+  MANUAL: 'manual'          // COD cash to pay back outside Razorpay - ops mark it paid (markManualRefundPaid)
+};
+
+// Rupee amounts are compared with this tolerance (paise rounding)
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Refunds
+ * Returns what a customer paid for an order, in full (cancellation) or for
+ * some line items (returns, goodwill). The rupee part goes back through a
+ * Razorpay refund, the token part through a ledger credit. Mixed orders are
+ * refunded in the same token/rupee proportion they were paid in. Cash
+ * collected for a COD order (totalAmount plus the COD fee) can't go back
+ * through Razorpay: its refund is recorded as 'manual' and the order is
+ * flagged refundDue until ops pay it back and mark it paid.
+ *
+ * Every refund is a Hygraph Refund record, written before Razorpay is called,
+ * so a refund interrupted half-way still counts against what can be refunded
+ * and shows up for ops. A failed Razorpay refund keeps its record (its items
+ * stay refunded) and is retried with retryRefund. Refund status follows the
+ * refund.processed / refund.failed webhooks; once the whole payment is
+ * refunded the Payment and Order move to 'refunded'.
+ *
+ * Orders owed a refund nobody has made yet (prepaid shipments returned to
+ * origin, COD cash to pay back) carry Order.refundDue until they are
+ * refunded in full and no manual refund is outstanding.
+ */
+class RefundService {
+  /**
+   * Get an order with what was paid and refunded so far
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} { order, payment, refunds } or null
+   */
+  async getRefundContext(orderId) {
+    const query = `
+      query GetOrderForRefund($orderId: ID!) {
+        order(where: {id: $orderId}, stage: DRAFT) {
+          id
+          orderNumber
+          orderStatus
+          totalAmount
+          shopTokensUsed
+          paymentMethod
+          codStatus
+          codFee
+          refundDue
+          userDetail {
+            id
+          }
+          orderItems {
+            id
+            productName
+            quantity
+            unitPrice
+            shopTokensPrice
+            lineTotal
+            lineShopTokens
+          }
+        }
+        payments(where: {order: {id: $orderId}}, stage: DRAFT) {
+          id
+          razorpayOrderId
+          razorpayPaymentId
+          amount
+          paymentStatus
+          method
+        }
+        refunds(where: {order: {id: $orderId}}, stage: DRAFT, orderBy: createdAt_ASC) {
+          ${REFUND_FIELDS}
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { orderId });
+    if (!result.order) {
+      return null;
+    }
+
+    // Only a captured payment can be refunded
+    const payment = (result.payments || []).find(p =>
+      p.razorpayPaymentId && ['confirmed', 'refunded'].includes(p.paymentStatus)
+    ) || null;
+
+    return { order: result.order, payment, refunds: result.refunds || [] };
+  }
+
+  /**
+   * List refunds of an order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} Refunds (oldest first)
+   */
+  async listRefunds(orderId) {
+    const context = await this.getRefundContext(orderId);
+    return context ? context.refunds : [];
+  }
+
+  /**
+   * Cash the courier collected for a COD order (0 for other orders)
+   * @param {Object} order - Order (paymentMethod, codStatus, totalAmount, codFee)
+   * @returns {number} Rupees
+   */
+  getCashCollected(order) {
+    if (order.paymentMethod !== 'cod' || order.codStatus !== COD_STATUS.COLLECTED) {
+      return 0;
+    }
+    return Math.round((order.totalAmount + (order.codFee || 0)) * 100) / 100;
+  }
+
+  /**
+   * Totals already refunded (failed refunds count too - they are retried, not redone)
+   * @param {Array} refunds - Refund records
+   * @returns {Object} { rupees, shopTokens, quantities: Map<orderItemId, quantity> }
+   */
+  getRefundedTotals(refunds) {
+    const totals = { rupees: 0, shopTokens: 0, quantities: new Map() };
+
+    for (const refund of refunds) {
+      totals.rupees += refund.amount || 0;
+      totals.shopTokens += refund.shopTokens || 0;
+      for (const line of refund.items || []) {
+        totals.quantities.set(line.orderItemId, (totals.quantities.get(line.orderItemId) || 0) + line.quantity);
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Work out the lines and amounts to refund
+   * @param {Object} context - From getRefundContext
+   * @param {Array|null} items - [{ orderItemId, quantity }], or null for everything not yet refunded
+   * @returns {Object} { lines, rupees, shopTokens, full }
+   */
+  calculate({ order, payment, refunds }, items) {
+    const refunded = this.getRefundedTotals(refunds);
+    const orderItems = order.orderItems || [];
+    const lineTokensTotal = orderItems.reduce((sum, item) => sum + (item.lineShopTokens || 0), 0);
+    // Collected COD cash counts as the rupee payment (the COD fee goes back on a full refund)
+    const paidRupees = payment ? payment.amount : this.getCashCollected(order);
+    const paidTokens = order.shopTokensUsed ?? lineTokensTotal;
+
+    // Share of each line paid in rupees / tokens (1 and 0 unless the order was mixed)
+    const rupeeShare = order.totalAmount > 0 ? Math.min(paidRupees / order.totalAmount, 1) : 0;
+    const tokenShare = lineTokensTotal > 0 ? Math.min(paidTokens / lineTokensTotal, 1) : 0;
+
+    const remainingQuantity = item => item.quantity - (refunded.quantities.get(item.id) || 0);
+
+    const requested = items || orderItems
+      .filter(item => remainingQuantity(item) > 0)
+      .map(item => ({ orderItemId: item.id, quantity: remainingQuantity(item) }));
+
+    const lines = [];
+    let rupees = 0;
+    let shopTokens = 0;
+
+    for (const { orderItemId, quantity } of requested) {
+      const item = orderItems.find(i => i.id === orderItemId);
+
+      if (!item) {
+        throw new Error(`Order item not found: ${orderItemId}`);
+      }
+
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > remainingQuantity(item)) {
+        throw new Error(`Cannot refund ${quantity} of ${item.productName}: ${remainingQuantity(item)} refundable`);
+      }
+
+      lines.push({ orderItemId, productName: item.productName, quantity });
+      rupees += item.unitPrice * quantity * rupeeShare;
+      shopTokens += Math.floor((item.shopTokensPrice || 0) * quantity * tokenShare);
+    }
+
+    // A refund of everything left returns exactly what remains (no rounding leftovers)
+    const full = lines.length > 0 && orderItems.every(item =>
+      remainingQuantity(item) === (lines.find(line => line.orderItemId === item.id)?.quantity || 0)
+    );
+
+    if (full || orderItems.length === 0) {
+      rupees = paidRupees - refunded.rupees;
+      shopTokens = paidTokens - refunded.shopTokens;
+    }
+
+    return {
+      lines,
+      rupees: Math.max(Math.round(rupees * 100) / 100, 0),
+      shopTokens: Math.max(shopTokens, 0),
+      full: full || orderItems.length === 0
+    };
+  }
+
+  /**
+   * Refund an order, in full or for some line items
+   * @param {string} orderId - Order ID
+   * @param {Object} options
+   * @param {Array} options.items - [{ orderItemId, quantity }] (omit for everything not yet refunded)
+   * @param {string} options.reason - Refund reason
+   * @param {string} options.userId - Only refund if the order belongs to this user (optional)
+   * @returns {Promise<Object|null>} { refund, rupees, shopTokens, shopTokensRefund } or null if nothing was paid
+   */
+  async refundOrder(orderId, { items = null, reason = '', userId = null } = {}) {
+    return withLock(`refund:${orderId}`, async () => {
+      const context = await this.getRefundContext(orderId);
+
+      if (!context) {
+        throw new Error('Order not found');
+      }
+
+      if (userId && context.order.userDetail?.id !== userId) {
+        throw new Error('Unauthorized: You can only refund your own orders');
+      }
+
+      const { lines, rupees, shopTokens, full } = this.calculate(context, items);
+
+      if (rupees <= 0 && shopTokens <= 0) {
+        if (items) {
+          throw new Error('Nothing to refund for these items');
+        }
+        return null;
+      }
+
+      const { order, payment } = context;
+      // Rupees without a captured payment are collected COD cash, paid back by ops
+      const manual = rupees > 0 && !payment;
+      const refund = await this.createRecord({
+        orderId,
+        paymentId: rupees > 0 && !manual ? payment.id : null,
+        amount: rupees,
+        shopTokens,
+        refundStatus: manual
+          ? REFUND_STATUS.MANUAL
+          : rupees > 0 ? REFUND_STATUS.INITIATED : REFUND_STATUS.PROCESSED,
+        reason,
+        items: lines
+      });
+
+      // A full refund uses the order number as ledger reference, like the
+      // saga compensation, so the two can never both return the tokens
+      let shopTokensRefund = null;
+      if (shopTokens > 0) {
+        const result = await shopTokenLedgerService.credit(order.userDetail.id, shopTokens, {
+          reason: LEDGER_REASONS.ORDER_REFUND,
+          reference: full ? order.orderNumber : `${order.orderNumber}:${refund.id}`
+        });
+        shopTokensRefund = { refunded: result.amount, newBalance: result.newBalance };
+      }
+
+      if (manual) {
+        if (!order.refundDue) {
+          await this.setRefundDue(order, true);
+        }
+        console.warn(`⚠️  Order ${order.orderNumber} is due a manual COD refund of ₹${rupees}`);
+      } else if (rupees > 0) {
+        await this.requestRazorpayRefund(refund, payment, order);
+      }
+
+      if (full && !manual && order.refundDue && !this.hasManualRefundDue(context.refunds)) {
+        await this.setRefundDue(order, false);
+      }
+
+      console.log(`💸 Refund ${refund.id} for order ${order.orderNumber}: ₹${rupees}, ${shopTokens} tokens (${refund.refundStatus})`);
+
+      return { refund, rupees, shopTokens, shopTokensRefund };
+    }, { ttlMs: 60000 });
+  }
+
+  /**
+   * Record a manual (COD cash) refund as paid back
+   * Clears Order.refundDue once nothing is left to refund.
+   * @param {string} orderId - Order ID
+   * @param {string} refundId - Refund ID
+   * @returns {Promise<Object>} Refund record
+   */
+  async markManualRefundPaid(orderId, refundId) {
+    return withLock(`refund:${orderId}`, async () => {
+      const context = await this.getRefundContext(orderId);
+      const refund = context?.refunds.find(r => r.id === refundId);
+
+      if (!refund) {
+        throw new Error('Refund not found');
+      }
+
+      if (refund.refundStatus !== REFUND_STATUS.MANUAL) {
+        throw new Error(`Refund cannot be marked paid. Current status: ${refund.refundStatus}`);
+      }
+
+      const updated = await this.updateRecord(refund.id, {
+        refundStatus: REFUND_STATUS.PROCESSED,
+        error: null
+      });
+
+      const refunds = context.refunds.map(r => (r.id === refund.id ? updated : r));
+      const { rupees, shopTokens } = this.calculate({ ...context, refunds }, null);
+      if (context.order.refundDue && !this.hasManualRefundDue(refunds) && rupees <= 0 && shopTokens <= 0) {
+        await this.setRefundDue(context.order, false);
+      }
+
+      console.log(`✅ Manual refund ${refund.id} for order ${context.order.orderNumber} paid back (₹${refund.amount})`);
+
+      await this.markRefundedIfComplete(orderId);
+      return updated;
+    }, { ttlMs: 60000 });
+  }
+
+  hasManualRefundDue(refunds) {
+    return refunds.some(refund => refund.refundStatus === REFUND_STATUS.MANUAL);
+  }
+
+  /**
+   * Flag an order as owed a refund, for ops to make (see listRefundsDue)
+   * Orders with nothing left to refund are not flagged.
+   * @param {string} orderId - Order ID
+   * @returns {Promise<boolean>} True if the order is flagged
+   */
+  async flagRefundDue(orderId) {
+    return withLock(`refund:${orderId}`, async () => {
+      const context = await this.getRefundContext(orderId);
+
+      if (!context) {
+        throw new Error('Order not found');
+      }
+
+      const { rupees, shopTokens } = this.calculate(context, null);
+      if (rupees <= 0 && shopTokens <= 0) {
+        return false;
+      }
+
+      if (!context.order.refundDue) {
+        await this.setRefundDue(context.order, true);
+        console.warn(`⚠️  Order ${context.order.orderNumber} is due a refund (₹${rupees}, ${shopTokens} tokens)`);
+      }
+      return true;
+    }, { ttlMs: 60000 });
+  }
+
+  /**
+   * List orders flagged as owed a refund (ops queue)
+   * @param {number} limit - Max orders
+   * @returns {Promise<Array>} Orders (oldest update first)
+   */
+  async listRefundsDue(limit = 50) {
+    const query = `
+      query ListOrdersRefundDue($limit: Int!) {
+        orders(where: {refundDue: true}, stage: DRAFT, orderBy: updatedAt_ASC, first: $limit) {
+          id
+          orderNumber
+          orderStatus
+          totalAmount
+          shopTokensUsed
+          paymentMethod
+          updatedAt
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { limit });
+    return result.orders || [];
+  }
+
+  async setRefundDue(order, refundDue) {
+    const mutation = `
+      mutation UpdateOrderRefundDue($orderId: ID!, $refundDue: Boolean!) {
+        updateOrder(where: {id: $orderId}, data: {refundDue: $refundDue}) {
+          id
+        }
+      }
+    `;
+
+    await hygraphService.execute(mutation, { orderId: order.id, refundDue });
+    await hygraphService.publishOrder(order.id);
+  }
+
+  /**
+   * Request the Razorpay refund for a recorded refund
+   * A failed request leaves the record 'failed' (with the error) for retryRefund.
+   * @param {Object} refund - Refund record (updated in place)
+   * @param {Object} payment - Captured Hygraph Payment
+   * @param {Object} order - Order
+   */
+  async requestRazorpayRefund(refund, payment, order) {
+    let razorpayRefund;
+    try {
+      razorpayRefund = await razorpayService.refundPayment(
+        payment.razorpayPaymentId,
+        Math.round(refund.amount * 100),
+        { refundId: refund.id, orderNumber: order.orderNumber }
+      );
+    } catch (error) {
+      console.error(`❌ Razorpay refund for order ${order.orderNumber} failed:`, error.message);
+      Object.assign(refund, await this.updateRecord(refund.id, {
+        refundStatus: REFUND_STATUS.FAILED,
+        error: error.message
+      }));
+      return;
+    }
+
+    Object.assign(refund, await this.updateRecord(refund.id, {
+      razorpayRefundId: razorpayRefund.id,
+      refundStatus: razorpayRefund.status === 'processed' ? REFUND_STATUS.PROCESSED : REFUND_STATUS.PENDING,
+      error: null
+    }));
+
+    if (refund.refundStatus === REFUND_STATUS.PROCESSED) {
+      await this.markRefundedIfComplete(order.id);
+    }
+  }
+
+  /**
+   * Request a failed (or interrupted) Razorpay refund again
+   * @param {string} orderId - Order ID
+   * @param {string} refundId - Refund ID
+   * @returns {Promise<Object>} Refund record
+   */
+  async retryRefund(orderId, refundId) {
+    return withLock(`refund:${orderId}`, async () => {
+      const context = await this.getRefundContext(orderId);
+      const refund = context?.refunds.find(r => r.id === refundId);
+
+      if (!refund) {
+        throw new Error('Refund not found');
+      }
+
+      if (![REFUND_STATUS.FAILED, REFUND_STATUS.INITIATED].includes(refund.refundStatus) || !(refund.amount > 0)) {
+        throw new Error(`Refund cannot be retried. Current status: ${refund.refundStatus}`);
+      }
+
+      await this.requestRazorpayRefund(refund, context.payment, context.order);
+      return refund;
+    }, { ttlMs: 60000 });
+  }
+
+  /**
+   * Apply a refund.processed / refund.failed webhook
+   * @param {Object} refundEntity - Razorpay refund entity (id, payment_id, amount, status, notes)
+   * @param {string} status - 'processed' or 'failed'
+   * @returns {Promise<Object|null>} Updated refund record, or null for refunds not made by us
+   */
+  async handleRefundEvent(refundEntity, status) {
+    const found = await this.findByRazorpayRefundId(refundEntity.id) ||
+      (refundEntity.notes?.refundId ? await this.findById(refundEntity.notes.refundId) : null);
+
+    if (!found) {
+      console.warn(`⚠️  Unknown Razorpay refund ${refundEntity.id} (payment ${refundEntity.payment_id}) - not tracked`);
+      return null;
+    }
+
+    // Waits for a refund request still in flight, so its result can't overwrite this one
+    return withLock(`refund:${found.order.id}`, async () => {
+      const refund = await this.findById(found.id);
+      const refundStatus = status === 'processed' ? REFUND_STATUS.PROCESSED : REFUND_STATUS.FAILED;
+
+      if (refund.refundStatus === refundStatus) {
+        return refund;
+      }
+
+      const updated = await this.updateRecord(refund.id, {
+        razorpayRefundId: refundEntity.id,
+        refundStatus,
+        error: refundStatus === REFUND_STATUS.FAILED
+          ? (refundEntity.error_description || 'Refund failed at Razorpay')
+          : null
+      });
+
+      if (refundStatus === REFUND_STATUS.PROCESSED) {
+        await this.markRefundedIfComplete(refund.order.id);
+      } else {
+        console.error(`❌ Razorpay refund ${refundEntity.id} failed for order ${refund.order.orderNumber}: ${updated.error}`);
+      }
+
+      return updated;
+    }, { ttlMs: 60000 });
+  }
+
+  /**
+   * Move Payment and Order to 'refunded' once the whole payment (or collected COD cash) is refunded
+   * @param {string} orderId - Order ID
+   * @returns {Promise<boolean>} True if the order is fully refunded
+   */
+  async markRefundedIfComplete(orderId) {
+    const context = await this.getRefundContext(orderId);
+    if (!context) {
+      return false;
+    }
+
+    const { order, payment, refunds } = context;
+    const paidRupees = payment ? payment.amount : this.getCashCollected(order);
+    if (!(paidRupees > 0)) {
+      return false;
+    }
+
+    const processedRupees = refunds
+      .filter(refund => refund.refundStatus === REFUND_STATUS.PROCESSED)
+      .reduce((sum, refund) => sum + (refund.amount || 0), 0);
+
+    if (processedRupees < paidRupees - AMOUNT_TOLERANCE) {
+      return false;
+    }
+
+    if (payment && payment.paymentStatus !== 'refunded') {
+      await hygraphService.updatePaymentStatus(payment.id, 'refunded', {
+        razorpayPaymentId: payment.razorpayPaymentId,
+        method: payment.method
+      });
+    }
+
+    // Orders refunded without being cancelled/returned first keep their status
+    if (orderLifecycleService.canTransition(order.orderStatus, 'refunded')) {
+      await orderLifecycleService.transition(order.id, 'refunded', {
+        actor: payment ? 'razorpay' : 'system',
+        source: 'refund',
+        reason: 'Payment refunded in full'
+      });
+    } else if (order.orderStatus !== 'refunded') {
+      console.warn(`⚠️  Order ${order.orderNumber} fully refunded but stays ${order.orderStatus}`);
+    }
+
+    console.log(`✅ Order ${order.orderNumber} fully refunded`);
+    return true;
+  }
+
+  async findById(refundId) {
+    const query = `
+      query FindRefund($refundId: ID!) {
+        refund(where: {id: $refundId}, stage: DRAFT) {
+          ${REFUND_FIELDS}
+          order {
+            id
+            orderNumber
+          }
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { refundId });
+    return result.refund || null;
+  }
+
+  async findByRazorpayRefundId(razorpayRefundId) {
+    const query = `
+      query FindRefundByRazorpayId($razorpayRefundId: String!) {
+        refunds(where: {razorpayRefundId: $razorpayRefundId}, stage: DRAFT, first: 1) {
+          ${REFUND_FIELDS}
+          order {
+            id
+            orderNumber
+          }
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { razorpayRefundId });
+    return result.refunds?.[0] || null;
+  }
+
+  /**
+   * Create and publish a Refund record
+   * @param {Object} data - orderId, paymentId, amount, shopTokens, refundStatus, reason, items
+   * @returns {Promise<Object>} Created refund
+   */
+  async createRecord({ orderId, paymentId, amount, shopTokens, refundStatus, reason, items }) {
+    const mutation = `
+      mutation CreateRefund(
+        $orderId: ID!,
+        $amount: Float!,
+        $shopTokens: Int!,
+        $refundStatus: String!,
+        $reason: String,
+        $items: Json
+        ${paymentId ? ', $paymentId: ID!' : ''}
+      ) {
+        createRefund(
+          data: {
+            order: {connect: {id: $orderId}}
+            amount: $amount
+            shopTokens: $shopTokens
+            refundStatus: $refundStatus
+            reason: $reason
+            items: $items
+            ${paymentId ? 'payment: {connect: {id: $paymentId}}' : ''}
+          }
+        ) {
+          ${REFUND_FIELDS}
+        }
+      }
+    `;
+
+    const variables = { orderId, amount, shopTokens, refundStatus, reason, items };
+    if (paymentId) {
+      variables.paymentId = paymentId;
+    }
+
+    const result = await hygraphService.execute(mutation, variables);
+    await this.publish(result.createRefund.id);
+    return result.createRefund;
+  }
+
+  /**
+   * Update and publish a Refund record
+   * @param {string} refundId - Refund ID
+   * @param {Object} data - razorpayRefundId, refundStatus, error
+   * @returns {Promise<Object>} Updated refund
+   */
+  async updateRecord(refundId, data) {
+    const mutation = `
+      mutation UpdateRefund($refundId: ID!, $data: RefundUpdateInput!) {
+        updateRefund(where: {id: $refundId}, data: $data) {
+          ${REFUND_FIELDS}
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(mutation, { refundId, data });
+    await this.publish(refundId);
+    return result.updateRefund;
+  }
+
+  async publish(refundId) {
+    const mutation = `
+      mutation PublishRefund($refundId: ID!) {
+        publishRefund(where: {id: $refundId}, to: PUBLISHED) {
+          id
+        }
+      }
+    `;
+
+    await hygraphService.execute(mutation, { refundId });
+  }
+}
+
+module.exports = new RefundService();
+module.exports.REFUND_STATUS = REFUND_STATUS;
@@ -0,0 +1,703 @@
+const hygraphService = require('./hygraphService');
+const shiprocketService = require('./shiprocketService');
+const refundService = require('./refundService');
+const inventoryService = require('./inventoryService');
+const orderLifecycleService = require('./orderLifecycleService');
+const { withLock } = require('./lockService');
+const { ORDER_STATUS } = orderLifecycleService;
+
+// Returns are accepted this many days after delivery
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Warehouse the reverse pickup is delivered to
+const RETURN_WAREHOUSE = {
+  name: process.env.SHIPROCKET_RETURN_NAME,
+  address: process.env.SHIPROCKET_RETURN_ADDRESS,
+  city: process.env.SHIPROCKET_RETURN_CITY,
+  state: process.env.SHIPROCKET_RETURN_STATE,
+  pincode: process.env.SHIPROCKET_RETURN_PINCODE || process.env.SHIPROCKET_PICKUP_PINCODE,
+  phone: process.env.SHIPROCKET_RETURN_PHONE
+};
+
+// Same package defaults fulfilment declares
+const PACKAGE_WEIGHT_KG = parseFloat(process.env.SHIPROCKET_PACKAGE_WEIGHT_KG) || 0.5;
+const PACKAGE_DIMENSIONS_CM = {
+  length: parseFloat(process.env.SHIPROCKET_PACKAGE_LENGTH_CM) || 20,
+  breadth: parseFloat(process.env.SHIPROCKET_PACKAGE_BREADTH_CM) || 15,
+  height: parseFloat(process.env.SHIPROCKET_PACKAGE_HEIGHT_CM) || 10
+};
+
+const BILLING_EMAIL = process.env.SHIPROCKET_BILLING_EMAIL || 'orders@example.com';
+
+// ReturnRequest.returnStatus values
+const RETURN_STATUS = {
+  REQUESTED: 'requested',   // Waiting for review
+  REJECTED: 'rejected',
+  APPROVED: 'approved',     // Reverse pickup scheduled (pickupError set if Shiprocket failed - approve again)
+  RECEIVED: 'received',     // Back at the warehouse (exchange: replacement shipped by ops)
+  REFUNDED: 'refunded'      // Return received and refunded
+};
+
+const RETURN_TYPES = ['return', 'exchange'];
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'size_issue', 'not_as_described', 'changed_mind', 'other'];
+
+// Reasons that need photos of the item
+const PHOTO_REQUIRED_REASONS = ['damaged', 'defective', 'wrong_item'];
+
+const MAX_PHOTOS_PER_ITEM = 5;
+
+// Shiprocket status of a reverse shipment that reached the warehouse
+const SHIPROCKET_DELIVERED = 7;
+
+const RETURN_FIELDS = `
+  id
+  returnNumber
+  type
+  returnStatus
+  items
+  reviewNote
+  reviewedBy
+  reviewedAt
+  shiprocketOrderId
+  shipmentId
+  awbCode
+  pickupError
+  receivedAt
+  error
+  createdAt
+  refund {
+    id
+    amount
+    shopTokens
+    refundStatus
+  }
+  order {
+    id
+    orderNumber
+  }
+`;
+
+/**
+ * Returns & Exchanges
+ * Customers ask to return (refund) or exchange items of a delivered order
+ * within RETURN_WINDOW_DAYS, with a reason and photos per item. Admins
+ * approve or reject the request; approval schedules a Shiprocket reverse
+ * pickup (a return order numbered {orderNumber}-R{n}).
+ *
+ * When the pickup reaches the warehouse (Shiprocket webhook, or confirmed by
+ * an admin) the items are restocked and a return is refunded through
+ * refundService for its line items - rupees via Razorpay, tokens via the
+ * ledger, collected COD cash as shop tokens. Once every item of the order has
+ * come back, the order moves to 'returned'.
+ *
+ * Items in open (not rejected) requests can't be requested again.
+ */
+class ReturnService {
+  /**
+   * Check whether a Shiprocket channel order id is one of our return orders
+   * @param {string} channelOrderId - Shiprocket channel_order_id
+   * @returns {boolean} True for return numbers
+   */
+  isReturnNumber(channelOrderId) {
+    return /-R\d+$/.test(String(channelOrderId || ''));
+  }
+
+  /**
+   * Load an order with what a return needs (includes unpublished changes)
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} Order or null
+   */
+  async getOrder(orderId) {
+    const query = `
+      query GetOrderForReturn($orderId: ID!) {
+        order(where: {id: $orderId}, stage: DRAFT) {
+          id
+          orderNumber
+          orderStatus
+          createdAt
+          updatedAt
+          shippingAddress
+          orderItems {
+            id
+            productName
+            variantId
+            quantity
+            unitPrice
+            product {
+              id
+            }
+          }
+          deliveries: orderStatusEvents(where: {toStatus: "delivered"}, orderBy: createdAt_DESC, first: 1) {
+            createdAt
+          }
+          userDetail {
+            id
+            firstName
+            lastName
+            mobileNumber
+          }
+          address {
+            addressLine1
+            addressLine2
+            city
+            state
+            pincode
+            landmark
+          }
+        }
+        returnRequests(where: {order: {id: $orderId}}, stage: DRAFT, orderBy: createdAt_ASC) {
+          ${RETURN_FIELDS}
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { orderId });
+    if (!result.order) {
+      return null;
+    }
+
+    return { ...result.order, returns: result.returnRequests || [] };
+  }
+
+  /**
+   * List return requests of an order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} Return requests (oldest first)
+   */
+  async listReturns(orderId) {
+    const order = await this.getOrder(orderId);
+    return order ? order.returns : [];
+  }
+
+  /**
+   * List return requests by status (admin review queue)
+   * @param {string} status - Return status
+   * @param {number} limit - Max requests
+   * @returns {Promise<Array>} Return requests (oldest first)
+   */
+  async listByStatus(status, limit = 50) {
+    const query = `
+      query ListReturnRequests($status: String!, $limit: Int!) {
+        returnRequests(where: {returnStatus: $status}, stage: DRAFT, orderBy: createdAt_ASC, first: $limit) {
+          ${RETURN_FIELDS}
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { status, limit });
+    return result.returnRequests || [];
+  }
+
+  async findById(returnId) {
+    const query = `
+      query FindReturnRequest($returnId: ID!) {
+        returnRequest(where: {id: $returnId}, stage: DRAFT) {
+          ${RETURN_FIELDS}
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { returnId });
+    return result.returnRequest || null;
+  }
+
+  async findByReturnNumber(returnNumber) {
+    const query = `
+      query FindReturnRequestByNumber($returnNumber: String!) {
+        returnRequests(where: {returnNumber: $returnNumber}, stage: DRAFT, first: 1) {
+          ${RETURN_FIELDS}
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(query, { returnNumber });
+    return result.returnRequests?.[0] || null;
+  }
+
+  /**
+   * Get a return request of an order
+   * @param {string} orderId - Order ID
+   * @param {string} returnId - ReturnRequest ID
+   * @returns {Promise<Object>} Return request
+   */
+  async getReturn(orderId, returnId) {
+    const returnRequest = await this.findById(returnId);
+
+    if (!returnRequest || returnRequest.order?.id !== orderId) {
+      throw new Error('Return not found');
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * When the order was delivered (last 'delivered' status change)
+   * @param {Object} order - Order from getOrder
+   * @returns {Date} Delivery time
+   */
+  getDeliveredAt(order) {
+    return new Date(order.deliveries?.[0]?.createdAt || order.updatedAt);
+  }
+
+  /**
+   * Quantities already in returns that weren't rejected
+   * @param {Array} returns - Return requests of the order
+   * @param {Array} statuses - Only count returns with these statuses (default: all but rejected)
+   * @returns {Map<string, number>} orderItemId → quantity
+   */
+  getReturnedQuantities(returns, statuses = null) {
+    const quantities = new Map();
+
+    for (const returnRequest of returns) {
+      const counted = statuses
+        ? statuses.includes(returnRequest.returnStatus)
+        : returnRequest.returnStatus !== RETURN_STATUS.REJECTED;
+
+      if (!counted) {
+        continue;
+      }
+
+      for (const line of returnRequest.items || []) {
+        quantities.set(line.orderItemId, (quantities.get(line.orderItemId) || 0) + line.quantity);
+      }
+    }
+
+    return quantities;
+  }
+
+  /**
+   * Validate the requested items against the order
+   * @param {Object} order - Order from getOrder
+   * @param {Array} items - [{ orderItemId, quantity, reason, comment, photos }]
+   * @returns {Array} Normalized lines
+   */
+  validateItems(order, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Invalid return: items must be a non-empty array of { orderItemId, quantity, reason }');
+    }
+
+    const alreadyReturned = this.getReturnedQuantities(order.returns);
+    const requested = new Map();
+    const lines = [];
+
+    for (const { orderItemId, quantity, reason, comment, photos = [] } of items) {
+      const item = (order.orderItems || []).find(i => i.id === orderItemId);
+
+      if (!item) {
+        throw new Error(`Invalid return: order item not found: ${orderItemId}`);
+      }
+
+      const returnable = item.quantity - (alreadyReturned.get(item.id) || 0) - (requested.get(item.id) || 0);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+        throw new Error(`Invalid return: cannot return ${quantity} of ${item.productName}: ${returnable} returnable`);
+      }
+
+      if (!RETURN_REASONS.includes(reason)) {
+        throw new Error(`Invalid return: reason for ${item.productName} must be one of: ${RETURN_REASONS.join(', ')}`);
+      }
+
+      if (!Array.isArray(photos) || photos.length > MAX_PHOTOS_PER_ITEM ||
+          !photos.every(url => typeof url === 'string' && /^https:\/\/\S+$/.test(url))) {
+        throw new Error(`Invalid return: photos must be up to ${MAX_PHOTOS_PER_ITEM} https URLs per item`);
+      }
+
+      if (PHOTO_REQUIRED_REASONS.includes(reason) && photos.length === 0) {
+        throw new Error(`Invalid return: photos of ${item.productName} are required for reason '${reason}'`);
+      }
+
+      requested.set(item.id, (requested.get(item.id) || 0) + quantity);
+      lines.push({
+        orderItemId,
+        productName: item.productName,
+        quantity,
+        reason,
+        comment: comment ? String(comment).trim().slice(0, 500) : null,
+        photos
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Request a return or exchange
+   * @param {string} orderId - Order ID
+   * @param {string} userId - User ID (must own the order)
+   * @param {Object} request - type ('return' or 'exchange'), items
+   * @returns {Promise<Object>} Created return request
+   */
+  async createReturn(orderId, userId, { type = 'return', items } = {}) {
+    if (!RETURN_TYPES.includes(type)) {
+      throw new Error(`Invalid return: type must be one of: ${RETURN_TYPES.join(', ')}`);
+    }
+
+    return withLock(`returns:${orderId}`, async () => {
+      const order = await this.getOrder(orderId);
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      if (order.userDetail?.id !== userId) {
+        throw new Error('Unauthorized: You can only return your own orders');
+      }
+
+      if (order.orderStatus !== ORDER_STATUS.DELIVERED) {
+        throw new Error(`Order cannot be returned. Current status: ${order.orderStatus}`);
+      }
+
+      const windowEndsAt = this.getDeliveredAt(order).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+      if (Date.now() > windowEndsAt) {
+        throw new Error(`Return window closed: returns are accepted within ${RETURN_WINDOW_DAYS} days of delivery`);
+      }
+
+      const lines = this.validateItems(order, items);
+
+      const mutation = `
+        mutation CreateReturnRequest(
+          $orderId: ID!,
+          $userId: ID!,
+          $returnNumber: String!,
+          $type: String!,
+          $returnStatus: String!,
+          $items: Json!
+        ) {
+          createReturnRequest(
+            data: {
+              order: {connect: {id: $orderId}}
+              userDetail: {connect: {id: $userId}}
+              returnNumber: $returnNumber
+              type: $type
+              returnStatus: $returnStatus
+              items: $items
+            }
+          ) {
+            ${RETURN_FIELDS}
+          }
+        }
+      `;
+
+      const result = await hygraphService.execute(mutation, {
+        orderId,
+        userId,
+        returnNumber: `${order.orderNumber}-R${order.returns.length + 1}`,
+        type,
+        returnStatus: RETURN_STATUS.REQUESTED,
+        items: lines
+      });
+
+      await this.publish(result.createReturnRequest.id);
+      console.log(`↩️  ${type === 'exchange' ? 'Exchange' : 'Return'} ${result.createReturnRequest.returnNumber} requested for order ${order.orderNumber}`);
+      return result.createReturnRequest;
+    });
+  }
+
+  /**
+   * Approve a return and schedule the reverse pickup
+   * Approving again retries a pickup Shiprocket didn't accept.
+   * @param {string} orderId - Order ID
+   * @param {string} returnId - ReturnRequest ID
+   * @param {Object} review - reviewerId, note
+   * @returns {Promise<Object>} Return request
+   */
+  async approve(orderId, returnId, { reviewerId, note = null } = {}) {
+    return withLock(`return:${returnId}`, async () => {
+      let returnRequest = await this.getReturn(orderId, returnId);
+
+      if (returnRequest.returnStatus === RETURN_STATUS.REQUESTED) {
+        returnRequest = await this.update(returnId, {
+          returnStatus: RETURN_STATUS.APPROVED,
+          reviewNote: note,
+          reviewedBy: `user:${reviewerId}`,
+          reviewedAt: new Date().toISOString()
+        });
+        console.log(`✅ Return ${returnRequest.returnNumber} approved by ${reviewerId}`);
+      } else if (returnRequest.returnStatus !== RETURN_STATUS.APPROVED || returnRequest.shiprocketOrderId) {
+        throw new Error(`Return cannot be approved. Current status: ${returnRequest.returnStatus}`);
+      }
+
+      return this.schedulePickup(returnRequest);
+    }, { ttlMs: 60000 });
+  }
+
+  /**
+   * Reject a return request
+   * @param {string} orderId - Order ID
+   * @param {string} returnId - ReturnRequest ID
+   * @param {Object} review - reviewerId, note (required - shown to the customer)
+   * @returns {Promise<Object>} Return request
+   */
+  async reject(orderId, returnId, { reviewerId, note } = {}) {
+    if (!note || !String(note).trim()) {
+      throw new Error('Invalid return: a note is required to reject a return');
+    }
+
+    return withLock(`return:${returnId}`, async () => {
+      const returnRequest = await this.getReturn(orderId, returnId);
+
+      if (returnRequest.returnStatus !== RETURN_STATUS.REQUESTED) {
+        throw new Error(`Return cannot be rejected. Current status: ${returnRequest.returnStatus}`);
+      }
+
+      const updated = await this.update(returnId, {
+        returnStatus: RETURN_STATUS.REJECTED,
+        reviewNote: String(note).trim(),
+        reviewedBy: `user:${reviewerId}`,
+        reviewedAt: new Date().toISOString()
+      });
+
+      console.log(`🚫 Return ${updated.returnNumber} rejected by ${reviewerId}`);
+      return updated;
+    });
+  }
+
+  /**
+   * Build the Shiprocket return order payload (customer → warehouse)
+   * @param {Object} returnRequest - Return request
+   * @param {Object} order - Order from getOrder
+   * @returns {Object} Shiprocket create return payload
+   */
+  buildReturnPayload(returnRequest, order) {
+    const missing = ['name', 'address', 'city', 'state', 'pincode', 'phone'].filter(field => !RETURN_WAREHOUSE[field]);
+    if (missing.length > 0) {
+      throw new Error(`Reverse pickup is not configured (SHIPROCKET_RETURN_${missing[0].toUpperCase()})`);
+    }
+
+    // Address snapshot taken at checkout (older orders only have the Address relation)
+    const address = order.shippingAddress || order.address;
+    if (!address) {
+      throw new Error(`Order ${order.orderNumber} has no shipping address`);
+    }
+
+    const customer = order.userDetail;
+    const mobile = String(address.mobileNumber || customer?.mobileNumber || '').replace(/\D/g, '').slice(-10);
+    const [firstName, ...lastName] = (address.fullName || '').split(' ');
+    const orderItems = returnRequest.items.map(line => {
+      const item = order.orderItems.find(i => i.id === line.orderItemId);
+      return {
+        name: line.productName,
+        sku: item?.variantId ? `${item.product?.id}:${item.variantId}` : item?.product?.id || line.orderItemId,
+        units: line.quantity,
+        selling_price: item?.unitPrice || 0
+      };
+    });
+
+    return {
+      order_id: returnRequest.returnNumber,
+      order_date: new Date(Date.now() + 5.5 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      pickup_customer_name: address.fullName ? firstName : customer?.firstName || 'Customer',
+      pickup_last_name: address.fullName ? lastName.join(' ') : customer?.lastName || '',
+      pickup_address: address.addressLine1,
+      pickup_address_2: [address.addressLine2, address.landmark].filter(Boolean).join(', '),
+      pickup_city: address.city,
+      pickup_state: address.state,
+      pickup_country: 'India',
+      pickup_pincode: address.pincode,
+      pickup_email: BILLING_EMAIL,
+      pickup_phone: mobile,
+      shipping_customer_name: RETURN_WAREHOUSE.name,
+      shipping_address: RETURN_WAREHOUSE.address,
+      shipping_city: RETURN_WAREHOUSE.city,
+      shipping_state: RETURN_WAREHOUSE.state,
+      shipping_country: 'India',
+      shipping_pincode: RETURN_WAREHOUSE.pincode,
+      shipping_phone: RETURN_WAREHOUSE.phone,
+      order_items: orderItems,
+      payment_method: 'Prepaid',
+      sub_total: orderItems.reduce((sum, item) => sum + item.selling_price * item.units, 0),
+      length: PACKAGE_DIMENSIONS_CM.length,
+      breadth: PACKAGE_DIMENSIONS_CM.breadth,
+      height: PACKAGE_DIMENSIONS_CM.height,
+      weight: PACKAGE_WEIGHT_KG
+    };
+  }
+
+  /**
+   * Create the reverse pickup in Shiprocket
+   * A failure is stored as pickupError (the return stays approved) instead of thrown.
+   * @param {Object} returnRequest - Approved return request
+   * @returns {Promise<Object>} Return request
+   */
+  async schedulePickup(returnRequest) {
+    try {
+      const order = await this.getOrder(returnRequest.order.id);
+      const result = await shiprocketService.createReturnOrder(this.buildReturnPayload(returnRequest, order));
+
+      if (!result || !result.order_id) {
+        throw new Error('Shiprocket return order creation failed');
+      }
+
+      const updated = await this.update(returnRequest.id, {
+        shiprocketOrderId: String(result.order_id),
+        shipmentId: result.shipment_id ? String(result.shipment_id) : null,
+        awbCode: result.awb_code || null,
+        pickupError: null
+      });
+
+      console.log(`🚚 Reverse pickup scheduled for return ${returnRequest.returnNumber} (Shiprocket order ${result.order_id})`);
+      return updated;
+    } catch (error) {
+      console.error(`❌ Reverse pickup for return ${returnRequest.returnNumber} failed:`, error.message);
+      return this.update(returnRequest.id, { pickupError: error.message });
+    }
+  }
+
+  /**
+   * Apply a Shiprocket update for a reverse shipment
+   * Throws on Hygraph errors so the webhook inbox can retry the update.
+   * @param {Object} payload - Shiprocket webhook payload (channel_order_id is the return number)
+   * @returns {Promise<Object>} { returnNumber, received, skipped? }
+   */
+  async applyShipmentUpdate(payload) {
+    const returnNumber = String(payload.channel_order_id);
+    const returnRequest = await this.findByReturnNumber(returnNumber);
+
+    if (!returnRequest) {
+      console.warn(`⚠️  Shiprocket update for unknown return ${returnNumber} - ignored`);
+      return { returnNumber, received: false, skipped: 'return_not_found' };
+    }
+
+    if (payload.awb && String(payload.awb) !== returnRequest.awbCode) {
+      await this.update(returnRequest.id, { awbCode: String(payload.awb) });
+    }
+
+    const statusId = parseInt(payload.current_status_id ?? payload.shipment_status_id, 10);
+    if (statusId !== SHIPROCKET_DELIVERED || returnRequest.returnStatus !== RETURN_STATUS.APPROVED) {
+      return { returnNumber, received: false };
+    }
+
+    await this.receive(returnRequest.order.id, returnRequest.id, { actor: 'shiprocket' });
+    return { returnNumber, received: true };
+  }
+
+  /**
+   * Mark a return as received: restock, then refund a return
+   * Calling it again for a received return retries a refund that didn't go through.
+   * @param {string} orderId - Order ID
+   * @param {string} returnId - ReturnRequest ID
+   * @param {Object} meta - actor ('shiprocket' or 'user:{id}')
+   * @returns {Promise<Object>} Return request
+   */
+  async receive(orderId, returnId, { actor = 'system' } = {}) {
+    return withLock(`return:${returnId}`, async () => {
+      let returnRequest = await this.getReturn(orderId, returnId);
+
+      if (returnRequest.returnStatus === RETURN_STATUS.APPROVED) {
+        // Status first: a crash before restocking leaves stock short, never oversold
+        returnRequest = await this.update(returnId, {
+          returnStatus: RETURN_STATUS.RECEIVED,
+          receivedAt: new Date().toISOString()
+        });
+        await this.restock(returnRequest);
+        await this.markOrderReturnedIfComplete(orderId, actor);
+        console.log(`📥 Return ${returnRequest.returnNumber} received (${actor})`);
+      } else if (returnRequest.returnStatus !== RETURN_STATUS.RECEIVED) {
+        throw new Error(`Return cannot be received. Current status: ${returnRequest.returnStatus}`);
+      }
+
+      if (returnRequest.type !== 'return') {
+        return returnRequest;
+      }
+
+      return this.refund(returnRequest);
+    }, { ttlMs: 60000 });
+  }
+
+  /**
+   * Put returned items back in stock (only SKUs whose stock is tracked)
+   * @param {Object} returnRequest - Received return request
+   */
+  async restock(returnRequest) {
+    const order = await this.getOrder(returnRequest.order.id);
+
+    for (const line of returnRequest.items) {
+      const item = order.orderItems.find(i => i.id === line.orderItemId);
+      if (!item?.product?.id) {
+        continue;
+      }
+
+      const sku = inventoryService.skuFor(item.product.id, item.variantId);
+      const stock = await inventoryService.getStock(sku);
+      if (stock.tracked) {
+        await inventoryService.adjustStock(sku, line.quantity);
+      }
+    }
+  }
+
+  /**
+   * Move the order to 'returned' once every item has come back
+   * @param {string} orderId - Order ID
+   * @param {string} actor - Who confirmed the receipt
+   */
+  async markOrderReturnedIfComplete(orderId, actor) {
+    const order = await this.getOrder(orderId);
+    const received = this.getReturnedQuantities(order.returns, [RETURN_STATUS.RECEIVED, RETURN_STATUS.REFUNDED]);
+    const complete = order.orderItems.every(item => (received.get(item.id) || 0) >= item.quantity);
+
+    if (complete && orderLifecycleService.canTransition(order.orderStatus, ORDER_STATUS.RETURNED)) {
+      await orderLifecycleService.transition(orderId, ORDER_STATUS.RETURNED, {
+        actor,
+        source: 'returns',
+        reason: 'All items returned'
+      });
+    }
+  }
+
+  /**
+   * Refund the items of a received return
+   * A refund that can't be issued is stored as error (the return stays received).
+   * @param {Object} returnRequest - Received return request
+   * @returns {Promise<Object>} Return request
+   */
+  async refund(returnRequest) {
+    try {
+      const result = await refundService.refundOrder(returnRequest.order.id, {
+        items: returnRequest.items.map(({ orderItemId, quantity }) => ({ orderItemId, quantity })),
+        reason: `Return ${returnRequest.returnNumber}`
+      });
+
+      const updated = await this.update(returnRequest.id, {
+        returnStatus: RETURN_STATUS.REFUNDED,
+        error: null,
+        ...(result ? { refund: { connect: { id: result.refund.id } } } : {})
+      });
+
+      console.log(`💸 Return ${returnRequest.returnNumber} refunded: ₹${result?.rupees || 0}, ${result?.shopTokens || 0} tokens`);
+      return updated;
+    } catch (error) {
+      console.error(`❌ Refund for return ${returnRequest.returnNumber} failed:`, error.message);
+      return this.update(returnRequest.id, { error: error.message });
+    }
+  }
+
+  async update(returnId, data) {
+    const mutation = `
+      mutation UpdateReturnRequest($returnId: ID!, $data: ReturnRequestUpdateInput!) {
+        updateReturnRequest(where: {id: $returnId}, data: $data) {
+          ${RETURN_FIELDS}
+        }
+      }
+    `;
+
+    const result = await hygraphService.execute(mutation, { returnId, data });
+    await this.publish(returnId);
+    return result.updateReturnRequest;
+  }
+
+  async publish(returnId) {
+    const mutation = `
+      mutation PublishReturnRequest($returnId: ID!) {
+        publishReturnRequest(where: {id: $returnId}, to: PUBLISHED) {
+          id
+        }
+      }
+    `;
+
+    await hygraphService.execute(mutation, { returnId });
+  }
+}
+
+module.exports = new ReturnService();
+module.exports.RETURN_STATUS = RETURN_STATUS;
+module.exports.RETURN_REASONS = RETURN_REASONS;
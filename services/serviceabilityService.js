@@ -0,0 +1,148 @@
+const { getClient } = require('../config/redis');
+const shiprocketService = require('./shiprocketService');
+
+// Pincode shipments are picked up from (Shiprocket pickup location)
+const PICKUP_PINCODE = process.env.SHIPROCKET_PICKUP_PINCODE;
+
+// Same package weight fulfilment declares
+const PACKAGE_WEIGHT_KG = parseFloat(process.env.SHIPROCKET_PACKAGE_WEIGHT_KG) || 0.5;
+
+// Courier coverage rarely changes; rates and ETAs are fine for a few hours
+const CACHE_TTL_SECONDS = parseInt(process.env.SERVICEABILITY_CACHE_SECONDS) || 6 * 60 * 60;
+
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+/**
+ * Pincode Serviceability
+ * Checks with Shiprocket whether we can deliver to a pincode before checkout:
+ * prepaid / COD availability, estimated delivery date and shipping charge of
+ * the recommended (or cheapest) courier.
+ *
+ * Keys:
+ * - serviceability:{pickupPincode}:{deliveryPincode} - JSON result (TTL CACHE_TTL_SECONDS)
+ */
+class ServiceabilityService {
+  isValidPincode(pincode) {
+    return typeof pincode === 'string' && PINCODE_PATTERN.test(pincode);
+  }
+
+  /**
+   * Parse a courier ETD ("Oct 23, 2026" or "2026-10-23 18:00:00")
+   * @param {string} etd - Courier ETD
+   * @returns {string|null} Date (YYYY-MM-DD) or null
+   */
+  parseEtd(etd) {
+    if (!etd) {
+      return null;
+    }
+
+    // Parsed as a local date - read it back the same way
+    const date = new Date(etd);
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+
+  /**
+   * Summarize Shiprocket serviceability data
+   * @param {Object} data - checkServiceability response data
+   * @returns {Object} Result without cache metadata
+   */
+  summarize(data) {
+    const couriers = Array.isArray(data.available_courier_companies) ? data.available_courier_companies : [];
+
+    if (couriers.length === 0) {
+      return {
+        serviceable: false,
+        prepaidAvailable: false,
+        codAvailable: false,
+        courierName: null,
+        estimatedDeliveryDays: null,
+        estimatedDeliveryDate: null,
+        shippingCharge: null
+      };
+    }
+
+    const recommendedId = data.recommended_courier_company_id || data.shiprocket_recommended_courier_id;
+    const courier = couriers.find(option => option.courier_company_id === recommendedId) ||
+      [...couriers].sort((a, b) => Number(a.rate) - Number(b.rate))[0];
+
+    const days = parseInt(courier.estimated_delivery_days, 10);
+    const estimatedDeliveryDate = this.parseEtd(courier.etd) ||
+      (Number.isInteger(days) ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10) : null);
+
+    return {
+      serviceable: true,
+      prepaidAvailable: true,
+      codAvailable: couriers.some(option => Number(option.cod) === 1),
+      courierName: courier.courier_name || null,
+      estimatedDeliveryDays: Number.isInteger(days) ? days : null,
+      estimatedDeliveryDate,
+      shippingCharge: courier.rate !== undefined ? Number(courier.rate) : null
+    };
+  }
+
+  /**
+   * Check whether we deliver to a pincode (cached per pincode pair)
+   * @param {string} deliveryPincode - Delivery pincode
+   * @returns {Promise<Object>} { pincode, serviceable, prepaidAvailable, codAvailable,
+   *   courierName, estimatedDeliveryDays, estimatedDeliveryDate, shippingCharge, checkedAt, cached }
+   */
+  async check(deliveryPincode) {
+    if (!this.isValidPincode(deliveryPincode)) {
+      throw new Error('Invalid pincode: must be a 6 digit Indian pincode');
+    }
+
+    if (!PICKUP_PINCODE) {
+      throw new Error('Serviceability check is not configured (SHIPROCKET_PICKUP_PINCODE)');
+    }
+
+    const redisClient = await getClient();
+    const cacheKey = `serviceability:${PICKUP_PINCODE}:${deliveryPincode}`;
+
+    const cached = await redisClient.get(cacheKey);
+    if (cached) {
+      return { ...JSON.parse(cached), cached: true };
+    }
+
+    const data = await shiprocketService.checkServiceability({
+      pickupPincode: PICKUP_PINCODE,
+      deliveryPincode,
+      weight: PACKAGE_WEIGHT_KG
+    });
+
+    if (!data) {
+      throw new Error('Serviceability check failed - Shiprocket is unavailable');
+    }
+
+    const result = {
+      pincode: deliveryPincode,
+      ...this.summarize(data),
+      checkedAt: new Date().toISOString()
+    };
+
+    await redisClient.set(cacheKey, JSON.stringify(result), { EX: CACHE_TTL_SECONDS });
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Check a pincode without failing the caller
+   * @param {string} deliveryPincode - Delivery pincode
+   * @returns {Promise<Object>} Result from check, or { pincode, serviceable: null, error } if the check failed
+   */
+  async checkSafely(deliveryPincode) {
+    try {
+      return await this.check(deliveryPincode);
+    } catch (error) {
+      console.warn(`⚠️  Serviceability check for ${deliveryPincode} failed:`, error.message);
+      return { pincode: deliveryPincode, serviceable: null, error: error.message };
+    }
+  }
+}
+
+module.exports = new ServiceabilityService();
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { getClient } = require('../config/redis');
+const tokenBlacklistService = require('./tokenBlacklistService');
+
+// Sessions live as long as their refresh tokens
+const SESSION_TTL_SECONDS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60;
+
+// Only write lastSeenAt when it is older than this (avoid a write per request)
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Login Sessions (Redis)
+ * One session per device login. The session id is the `jti` claim of every
+ * access token issued for it and identifies the refresh token family, so
+ * revoking a session logs that device out everywhere.
+ *
+ * Keys:
+ * - session:{sessionId} - JSON session record
+ * - user:sessions:{userId} - set of the user's session ids
+ * - user:device-session:{userId}:{deviceId} - current session id for a device
+ */
+class SessionService {
+  sessionKey(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  userSessionsKey(userId) {
+    return `user:sessions:${userId}`;
+  }
+
+  deviceKey(userId, deviceId) {
+    return `user:device-session:${userId}:${deviceId}`;
+  }
+
+  /**
+   * Get client IP for session tracking (first X-Forwarded-For hop behind Vercel/proxies)
+   * @param {Object} req - Express request
+   * @returns {string|null} Client IP
+   */
+  getClientIp(req) {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (forwardedFor) {
+      return forwardedFor.split(',')[0].trim();
+    }
+    return req.ip || null;
+  }
+
+  /**
+   * Create a session for a device login
+   * A previous session for the same deviceId is revoked.
+   * @param {string} userId - UserDetail ID
+   * @param {Object} device - deviceId, deviceName, ip, userAgent
+   * @returns {Promise<Object>} Session record
+   */
+  async createSession(userId, device = {}) {
+    const redisClient = await getClient();
+    const { deviceId = null, deviceName = null, ip = null, userAgent = null } = device;
+
+    if (deviceId) {
+      const previousSessionId = await redisClient.get(this.deviceKey(userId, deviceId));
+      if (previousSessionId) {
+        await this.revokeSession(userId, previousSessionId);
+      }
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      sessionId: crypto.randomBytes(16).toString('hex'),
+      userId,
+      deviceId,
+      deviceName: deviceName || userAgent || 'Unknown device',
+      ip,
+      userAgent,
+      createdAt: now,
+      lastSeenAt: now
+    };
+
+    const multi = redisClient
+      .multi()
+      .set(this.sessionKey(session.sessionId), JSON.stringify(session), { EX: SESSION_TTL_SECONDS })
+      .sAdd(this.userSessionsKey(userId), session.sessionId)
+      .expire(this.userSessionsKey(userId), SESSION_TTL_SECONDS);
+
+    if (deviceId) {
+      multi.set(this.deviceKey(userId, deviceId), session.sessionId, { EX: SESSION_TTL_SECONDS });
+    }
+
+    await multi.exec();
+
+    console.log(`📱 Session created for user ${userId}: ${session.sessionId} (${session.deviceName})`);
+    return session;
+  }
+
+  /**
+   * Get session record
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session or null if revoked/expired
+   */
+  async getSession(sessionId) {
+    const redisClient = await getClient();
+    const json = await redisClient.get(this.sessionKey(sessionId));
+    return json ? JSON.parse(json) : null;
+  }
+
+  /**
+   * Check whether a session is active for a user
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - UserDetail ID
+   * @returns {Promise<boolean>} True if active
+   */
+  async isActive(sessionId, userId) {
+    const session = await this.getSession(sessionId);
+    return !!session && session.userId === userId;
+  }
+
+  /**
+   * Check whether an access token has been revoked
+   * Tokens with a session id (jti) are checked against the session; older
+   * tokens without one fall back to the token blacklist.
+   * @param {string} token - Raw JWT
+   * @param {Object} payload - Verified JWT payload
+   * @returns {Promise<boolean>} True if revoked
+   */
+  async isTokenRevoked(token, payload) {
+    if (!payload.jti) {
+      return tokenBlacklistService.isBlacklisted(token);
+    }
+
+    try {
+      return !(await this.isActive(payload.jti, payload.userId));
+    } catch (error) {
+      console.error('Error checking session:', error);
+      return false; // Fail open - don't block if Redis is down
+    }
+  }
+
+  /**
+   * Update last-seen time and IP (throttled)
+   * @param {string} sessionId - Session ID
+   * @param {string} ip - Client IP
+   */
+  async touch(sessionId, ip = null) {
+    try {
+      const session = await this.getSession(sessionId);
+      if (!session) {
+        return;
+      }
+
+      const lastSeen = new Date(session.lastSeenAt).getTime();
+      if (Date.now() - lastSeen < TOUCH_INTERVAL_MS && (!ip || ip === session.ip)) {
+        return;
+      }
+
+      const redisClient = await getClient();
+      await redisClient.set(this.sessionKey(sessionId), JSON.stringify({
+        ...session,
+        ip: ip || session.ip,
+        lastSeenAt: new Date().toISOString()
+      }), { KEEPTTL: true });
+    } catch (error) {
+      console.error('Error updating session last seen:', error.message);
+    }
+  }
+
+  /**
+   * List a user's active sessions (most recently seen first)
+   * @param {string} userId - UserDetail ID
+   * @returns {Promise<Array>} Sessions
+   */
+  async listSessions(userId) {
+    const redisClient = await getClient();
+    const sessionIds = await redisClient.sMembers(this.userSessionsKey(userId));
+
+    const sessions = [];
+    for (const sessionId of sessionIds) {
+      const session = await this.getSession(sessionId);
+      if (session) {
+        sessions.push(session);
+      } else {
+        // Expired - drop from the index
+        await redisClient.sRem(this.userSessionsKey(userId), sessionId);
+      }
+    }
+
+    return sessions.sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+  }
+
+  /**
+   * Revoke a session (logs the device out, invalidates its refresh tokens)
+   * @param {string} userId - UserDetail ID (ownership check)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if a session was revoked
+   */
+  async revokeSession(userId, sessionId) {
+    const redisClient = await getClient();
+    const session = await this.getSession(sessionId);
+
+    if (!session || session.userId !== userId) {
+      return false;
+    }
+
+    const multi = redisClient
+      .multi()
+      .del(this.sessionKey(sessionId))
+      .sRem(this.userSessionsKey(userId), sessionId);
+
+    if (session.deviceId) {
+      const deviceKey = this.deviceKey(userId, session.deviceId);
+      if (await redisClient.get(deviceKey) === sessionId) {
+        multi.del(deviceKey);
+      }
+    }
+
+    await multi.exec();
+
+    console.log(`🔒 Session revoked for user ${userId}: ${sessionId}`);
+    return true;
+  }
+
+  /**
+   * Revoke every session of a user except one
+   * @param {string} userId - UserDetail ID
+   * @param {string} keepSessionId - Session to keep (current device), or null to revoke all
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeOtherSessions(userId, keepSessionId = null) {
+    const sessions = await this.listSessions(userId);
+    let revoked = 0;
+
+    for (const session of sessions) {
+      if (session.sessionId !== keepSessionId && await this.revokeSession(userId, session.sessionId)) {
+        revoked++;
+      }
+    }
+
+    return revoked;
+  }
+}
+
+module.exports = new SessionService();
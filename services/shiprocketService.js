@@ -291,6 +291,109 @@ class ShiprocketService {
     }
   }
 
+  /**
+   * Create a return order in Shiprocket (reverse pickup from the customer)
+   * @param {Object} returnData - Return order data matching Shiprocket API requirements
+   * @returns {Promise<Object|null>} Created return order data or null if failed
+   */
+  async createReturnOrder(returnData) {
+    try {
+      const token = await this.getAuthToken();
+      if (!token) {
+        console.error('Failed to authenticate with Shiprocket');
+        return null;
+      }
+
+      const response = await axios.post(
+        `${this.baseUrl}/orders/create/return`,
+        returnData,
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`,
+          },
+          timeout: 30000,
+        }
+      );
+
+      if (response.status === 200) {
+        console.log(`✅ Shiprocket return order created successfully: ${response.data.order_id}`);
+        return response.data;
+      } else {
+        console.error(`❌ Error creating Shiprocket return order: ${response.status}`);
+        return null;
+      }
+    } catch (error) {
+      console.error('Exception in createReturnOrder:', error.message);
+      if (error.response) {
+        console.error(`   Status: ${error.response.status}`);
+        console.error(`   Response: ${JSON.stringify(error.response.data)}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Check courier serviceability between two pincodes
+   * @param {Object} params - pickupPincode, deliveryPincode, weight (kg), cod (boolean)
+   * @returns {Promise<Object|null>} Serviceability data ({ available_courier_companies: [] } if
+   *   not serviceable) or null if the check failed
+   */
+  async checkServiceability({ pickupPincode, deliveryPincode, weight, cod = false }) {
+    try {
+      const token = await this.getAuthToken();
+      if (!token) {
+        console.error('Failed to authenticate with Shiprocket');
+        return null;
+      }
+
+      const response = await axios.get(
+        `${this.baseUrl}/courier/serviceability/`,
+        {
+          params: {
+            pickup_postcode: pickupPincode,
+            delivery_postcode: deliveryPincode,
+            weight,
+            cod: cod ? 1 : 0
+          },
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`,
+          },
+          timeout: 10000,
+        }
+      );
+
+      if (response.status === 200) {
+        return response.data.data || { available_courier_companies: [] };
+      } else {
+        console.error(`❌ Shiprocket Serviceability Error: ${response.status}`);
+        return null;
+      }
+    } catch (error) {
+      // Shiprocket answers 404 when no courier delivers to the pincode
+      if (error.response?.status === 404) {
+        return { available_courier_companies: [] };
+      }
+
+      console.error('Exception in checkServiceability:', error.message);
+
+      if (error.response) {
+        const statusCode = error.response.status;
+        console.error(`   Status: ${statusCode}`);
+
+        if (statusCode === 403) {
+          console.error('⚠️ 403 Forbidden - Clearing auth token for retry');
+          this.authToken = null;
+          this.tokenExpiry = null;
+          this.authFailed = false;
+        }
+      }
+
+      return null;
+    }
+  }
+
   /**
    * Verify Shiprocket API credentials
    * @returns {Promise<boolean>} True if credentials are valid
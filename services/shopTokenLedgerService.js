@@ -0,0 +1,375 @@
+const hygraphClient = require('../config/hygraph');
+const hygraphUserService = require('./hygraphUserService');
+const { withLock } = require('./lockService');
+
+// Ledger reasons - every shop token mutation must use one of these
+const LEDGER_REASONS = {
+  OPENING_BALANCE: 'opening_balance',   // Balance carried over from UserDetail.shopTokens
+  FANTASY_TOPUP: 'fantasy_topup',       // Tokens received from Fantasy wallet top-up
+  ORDER_PAYMENT: 'order_payment',       // Tokens spent on an order
+  ORDER_REFUND: 'order_refund'          // Tokens returned for a cancelled/failed order
+};
+
+const ENTRY_FIELDS = `
+  id
+  type
+  amount
+  balanceAfter
+  reason
+  reference
+  createdAt
+`;
+
+/**
+ * Shop Token Ledger
+ * Append-only record of every shop token credit and debit (Hygraph model:
+ * ShopTokenTransaction). The balance is the running balance of the latest
+ * entry. UserDetail.shopTokens is kept in sync as a read cache only and must
+ * never be written directly.
+ *
+ * Mutations for a user are serialized with a Redis lock so concurrent
+ * requests can't lose updates.
+ */
+class ShopTokenLedgerService {
+  /**
+   * Get latest ledger entry for a user
+   * @param {string} userId - UserDetail ID
+   * @returns {Promise<Object|null>} Latest entry or null
+   */
+  async getLatestEntry(userId) {
+    const query = `
+      query GetLatestShopTokenTransaction($userId: ID!) {
+        shopTokenTransactions(
+          where: { userDetail: { id: $userId } }
+          orderBy: createdAt_DESC
+          first: 1
+        ) {
+          ${ENTRY_FIELDS}
+        }
+      }
+    `;
+
+    const data = await hygraphClient.query(query, { userId });
+    return data.shopTokenTransactions?.[0] || null;
+  }
+
+  /**
+   * Find an existing entry for the same operation (used to make retries idempotent)
+   * @param {string} userId - UserDetail ID
+   * @param {string} type - 'credit' or 'debit'
+   * @param {string} reason - Ledger reason
+   * @param {string} reference - Order number, transaction ID, etc.
+   * @returns {Promise<Object|null>} Existing entry or null
+   */
+  async findEntry(userId, type, reason, reference) {
+    const query = `
+      query FindShopTokenTransaction(
+        $userId: ID!,
+        $type: ShopTokenTransactionType!,
+        $reason: String!,
+        $reference: String!
+      ) {
+        shopTokenTransactions(
+          where: {
+            userDetail: { id: $userId }
+            type: $type
+            reason: $reason
+            reference: $reference
+          }
+          first: 1
+        ) {
+          ${ENTRY_FIELDS}
+        }
+      }
+    `;
+
+    const data = await hygraphClient.query(query, { userId, type, reason, reference });
+    return data.shopTokenTransactions?.[0] || null;
+  }
+
+  /**
+   * Find an entry by reference across all users
+   * For references that must be unique globally (e.g. Fantasy transaction IDs).
+   * @param {string} type - 'credit' or 'debit'
+   * @param {string} reason - Ledger reason
+   * @param {string} reference - Transaction ID, etc.
+   * @returns {Promise<Object|null>} Existing entry (with userDetail id) or null
+   */
+  async findEntryByReference(type, reason, reference) {
+    const query = `
+      query FindShopTokenTransactionByReference(
+        $type: ShopTokenTransactionType!,
+        $reason: String!,
+        $reference: String!
+      ) {
+        shopTokenTransactions(
+          where: {
+            type: $type
+            reason: $reason
+            reference: $reference
+          }
+          first: 1
+        ) {
+          ${ENTRY_FIELDS}
+          userDetail {
+            id
+          }
+        }
+      }
+    `;
+
+    const data = await hygraphClient.query(query, { type, reason, reference });
+    return data.shopTokenTransactions?.[0] || null;
+  }
+
+  /**
+   * Get ledger entries for a user (newest first)
+   * @param {string} userId - UserDetail ID
+   * @param {Object} options - limit, skip
+   * @returns {Promise<Array>} Ledger entries
+   */
+  async getEntries(userId, options = {}) {
+    const { limit = 20, skip = 0 } = options;
+
+    const query = `
+      query GetShopTokenTransactions($userId: ID!, $first: Int!, $skip: Int!) {
+        shopTokenTransactions(
+          where: { userDetail: { id: $userId } }
+          orderBy: createdAt_DESC
+          first: $first
+          skip: $skip
+        ) {
+          ${ENTRY_FIELDS}
+        }
+      }
+    `;
+
+    const data = await hygraphClient.query(query, { userId, first: limit, skip });
+    return data.shopTokenTransactions || [];
+  }
+
+  /**
+   * Get current balance derived from the ledger
+   * Users without any entries yet fall back to their legacy UserDetail.shopTokens
+   * @param {string} userId - UserDetail ID
+   * @returns {Promise<number>} Current balance
+   */
+  async getBalance(userId) {
+    const latest = await this.getLatestEntry(userId);
+    if (latest) {
+      return latest.balanceAfter;
+    }
+
+    const user = await hygraphUserService.findUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user.shopTokens || 0;
+  }
+
+  /**
+   * Credit shop tokens
+   * @param {string} userId - UserDetail ID
+   * @param {number} amount - Tokens to credit (positive integer)
+   * @param {Object} meta - reason, reference
+   * @returns {Promise<Object>} Ledger result
+   */
+  async credit(userId, amount, meta) {
+    return this.record(userId, 'credit', amount, meta);
+  }
+
+  /**
+   * Debit shop tokens (fails if balance is insufficient)
+   * @param {string} userId - UserDetail ID
+   * @param {number} amount - Tokens to debit (positive integer)
+   * @param {Object} meta - reason, reference
+   * @returns {Promise<Object>} Ledger result
+   */
+  async debit(userId, amount, meta) {
+    return this.record(userId, 'debit', amount, meta);
+  }
+
+  /**
+   * Append a ledger entry and update the cached balance
+   * If an entry with the same type, reason and reference already exists,
+   * it is returned instead (duplicate: true) so retries never double-apply.
+   * @param {string} userId - UserDetail ID
+   * @param {string} type - 'credit' or 'debit'
+   * @param {number} amount - Tokens (positive integer)
+   * @param {Object} meta - reason, reference
+   * @returns {Promise<Object>} { success, duplicate, previousBalance, amount, newBalance, entry }
+   */
+  async record(userId, type, amount, meta = {}) {
+    const { reason, reference = null } = meta;
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error('Ledger amount must be a positive integer');
+    }
+    if (!Object.values(LEDGER_REASONS).includes(reason)) {
+      throw new Error(`Invalid ledger reason: ${reason}`);
+    }
+
+    return withLock(`ledger:${userId}`, async () => {
+      if (reference) {
+        const existing = await this.findEntry(userId, type, reason, reference);
+        if (existing) {
+          console.log(`♻️  Ledger ${type} already recorded for ${reason}/${reference} - skipping`);
+          const previousBalance = type === 'credit'
+            ? existing.balanceAfter - existing.amount
+            : existing.balanceAfter + existing.amount;
+          return {
+            success: true,
+            duplicate: true,
+            previousBalance,
+            amount: existing.amount,
+            newBalance: existing.balanceAfter,
+            entry: existing
+          };
+        }
+      }
+
+      const previousBalance = await this.getBalanceForUpdate(userId);
+      const newBalance = type === 'credit' ? previousBalance + amount : previousBalance - amount;
+
+      if (newBalance < 0) {
+        throw new Error(`Insufficient shop tokens. Required: ${amount}, Available: ${previousBalance}`);
+      }
+
+      const entry = await this.createEntry(userId, { type, amount, balanceAfter: newBalance, reason, reference });
+      await this.syncCachedBalance(userId, newBalance);
+
+      console.log(`📒 Ledger ${type}: ${amount} tokens for user ${userId} (${reason}${reference ? `/${reference}` : ''}) ${previousBalance} -> ${newBalance}`);
+
+      return {
+        success: true,
+        duplicate: false,
+        previousBalance,
+        amount,
+        newBalance,
+        entry
+      };
+    });
+  }
+
+  /**
+   * Get balance while holding the user's ledger lock
+   * Seeds an opening balance entry from UserDetail.shopTokens the first time
+   * a user without ledger history is mutated.
+   * @param {string} userId - UserDetail ID
+   * @returns {Promise<number>} Current balance
+   */
+  async getBalanceForUpdate(userId) {
+    const latest = await this.getLatestEntry(userId);
+    if (latest) {
+      return latest.balanceAfter;
+    }
+
+    const user = await hygraphUserService.findUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const openingBalance = user.shopTokens || 0;
+    if (openingBalance > 0) {
+      await this.createEntry(userId, {
+        type: 'credit',
+        amount: openingBalance,
+        balanceAfter: openingBalance,
+        reason: LEDGER_REASONS.OPENING_BALANCE,
+        reference: null
+      });
+      console.log(`📒 Ledger opening balance for user ${userId}: ${openingBalance}`);
+    }
+
+    return openingBalance;
+  }
+
+  /**
+   * Create and publish a ledger entry
+   * @param {string} userId - UserDetail ID
+   * @param {Object} entryData - type, amount, balanceAfter, reason, reference
+   * @returns {Promise<Object>} Created entry
+   */
+  async createEntry(userId, entryData) {
+    const createMutation = `
+      mutation CreateShopTokenTransaction(
+        $userId: ID!,
+        $type: ShopTokenTransactionType!,
+        $amount: Int!,
+        $balanceAfter: Int!,
+        $reason: String!,
+        $reference: String
+      ) {
+        createShopTokenTransaction(
+          data: {
+            userDetail: { connect: { id: $userId } }
+            type: $type
+            amount: $amount
+            balanceAfter: $balanceAfter
+            reason: $reason
+            reference: $reference
+          }
+        ) {
+          ${ENTRY_FIELDS}
+        }
+      }
+    `;
+
+    const publishMutation = `
+      mutation PublishShopTokenTransaction($id: ID!) {
+        publishShopTokenTransaction(where: { id: $id }, to: PUBLISHED) {
+          id
+        }
+      }
+    `;
+
+    const data = await hygraphClient.mutate(createMutation, { userId, ...entryData });
+    const entry = data.createShopTokenTransaction;
+
+    if (!entry || !entry.id) {
+      throw new Error('Failed to create shop token ledger entry');
+    }
+
+    await hygraphClient.mutate(publishMutation, { id: entry.id });
+    return entry;
+  }
+
+  /**
+   * Mirror the ledger balance to UserDetail.shopTokens (read cache)
+   * @param {string} userId - UserDetail ID
+   * @param {number} balance - Ledger balance
+   */
+  async syncCachedBalance(userId, balance) {
+    const updateMutation = `
+      mutation SyncShopTokens($id: ID!, $shopTokens: Int!) {
+        updateUserDetail(
+          where: { id: $id }
+          data: { shopTokens: $shopTokens }
+        ) {
+          id
+          shopTokens
+        }
+      }
+    `;
+
+    const publishMutation = `
+      mutation PublishUserDetail($id: ID!) {
+        publishUserDetail(where: { id: $id }, to: PUBLISHED) {
+          id
+          shopTokens
+        }
+      }
+    `;
+
+    try {
+      await hygraphClient.mutate(updateMutation, { id: userId, shopTokens: balance });
+      await hygraphClient.mutate(publishMutation, { id: userId });
+    } catch (error) {
+      // The ledger entry is the source of truth - a stale cache is not fatal
+      console.error(`⚠️  Failed to sync cached shopTokens for user ${userId}:`, error.message);
+    }
+  }
+}
+
+module.exports = new ShopTokenLedgerService();
+module.exports.LEDGER_REASONS = LEDGER_REASONS;
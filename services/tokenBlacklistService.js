@@ -1,29 +1,4 @@
-const redis = require('redis');
-
-let client;
-let clientPromise;
-
-async function getClient() {
-  if (client && client.isOpen) {
-    return client;
-  }
-  
-  if (!clientPromise) {
-    clientPromise = (async () => {
-      const newClient = redis.createClient({ 
-        url: process.env.REDIS_URL || 'redis://localhost:6379' 
-      });
-      
-      newClient.on('error', err => console.error('Redis Client Error:', err));
-      
-      await newClient.connect();
-      client = newClient;
-      return client;
-    })();
-  }
-  
-  return clientPromise;
-}
+const { getClient } = require('../config/redis');
 
 async function addToBlacklist(token) {
   try {
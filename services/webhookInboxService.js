@@ -0,0 +1,217 @@
+const { getClient } = require('../config/redis');
+const { withLock } = require('./lockService');
+
+// Processed events are kept this long so redeliveries are recognised
+const EVENT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Give up (status 'dead') after this many failed attempts
+const MAX_ATTEMPTS = 8;
+
+// Retry worker interval
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Webhook inbox (Redis)
+ * Every incoming webhook event is stored by its provider event id before it
+ * is processed. Processing is serialized per event, a processed event is
+ * never handled twice, and failed events are retried with backoff by the
+ * retry worker (and whenever the provider redelivers them).
+ *
+ * Keys:
+ * - webhook:{provider}:event:{eventId} - JSON record (status, payload, attempts, ...)
+ * - webhook:{provider}:retry - sorted set of eventIds scored by next attempt time
+ *
+ * Status: received → processing → processed | failed → ... → dead
+ */
+class WebhookInboxService {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  eventKey(provider, eventId) {
+    return `webhook:${provider}:event:${eventId}`;
+  }
+
+  retryKey(provider) {
+    return `webhook:${provider}:retry`;
+  }
+
+  /**
+   * Register the handler that processes events for a provider
+   * @param {string} provider - Provider name (e.g. 'razorpay')
+   * @param {Function} handler - async (payload) => void, throws on failure
+   */
+  registerHandler(provider, handler) {
+    this.handlers.set(provider, handler);
+  }
+
+  /**
+   * Get stored event record
+   * @param {string} provider - Provider name
+   * @param {string} eventId - Provider event ID
+   * @returns {Promise<Object|null>} Event record or null
+   */
+  async get(provider, eventId) {
+    const redisClient = await getClient();
+    const json = await redisClient.get(this.eventKey(provider, eventId));
+    return json ? JSON.parse(json) : null;
+  }
+
+  async save(provider, eventId, record) {
+    const redisClient = await getClient();
+    await redisClient.set(this.eventKey(provider, eventId), JSON.stringify(record), {
+      EX: EVENT_TTL_SECONDS
+    });
+  }
+
+  /**
+   * Store an incoming event (no-op if it was already received)
+   * @param {string} provider - Provider name
+   * @param {string} eventId - Provider event ID
+   * @param {Object} payload - Event payload
+   * @returns {Promise<Object>} { isNew, record }
+   */
+  async receive(provider, eventId, payload) {
+    const redisClient = await getClient();
+
+    const record = {
+      eventId,
+      status: 'received',
+      payload,
+      attempts: 0,
+      receivedAt: new Date().toISOString()
+    };
+
+    const stored = await redisClient.set(this.eventKey(provider, eventId), JSON.stringify(record), {
+      NX: true,
+      EX: EVENT_TTL_SECONDS
+    });
+
+    if (stored) {
+      return { isNew: true, record };
+    }
+
+    return { isNew: false, record: await this.get(provider, eventId) };
+  }
+
+  /**
+   * Process a stored event with the provider's handler
+   * @param {string} provider - Provider name
+   * @param {string} eventId - Provider event ID
+   * @returns {Promise<Object>} { status: 'processed' | 'duplicate' | 'failed' | 'dead' | 'busy' | 'missing', error? }
+   */
+  async process(provider, eventId) {
+    const handler = this.handlers.get(provider);
+    if (!handler) {
+      throw new Error(`No webhook handler registered for provider: ${provider}`);
+    }
+
+    try {
+      return await withLock(`webhook:${provider}:${eventId}`, async () => {
+        const record = await this.get(provider, eventId);
+
+        if (!record) {
+          return { status: 'missing' };
+        }
+
+        if (record.status === 'processed') {
+          return { status: 'duplicate' };
+        }
+
+        record.status = 'processing';
+        record.attempts = (record.attempts || 0) + 1;
+        record.lastAttemptAt = new Date().toISOString();
+        await this.save(provider, eventId, record);
+
+        const redisClient = await getClient();
+
+        try {
+          await handler(record.payload);
+
+          record.status = 'processed';
+          record.processedAt = new Date().toISOString();
+          delete record.lastError;
+          delete record.nextAttemptAt;
+          await this.save(provider, eventId, record);
+          await redisClient.zRem(this.retryKey(provider), eventId);
+
+          return { status: 'processed' };
+        } catch (error) {
+          record.lastError = error.message;
+
+          if (record.attempts >= MAX_ATTEMPTS) {
+            record.status = 'dead';
+            delete record.nextAttemptAt;
+            await this.save(provider, eventId, record);
+            await redisClient.zRem(this.retryKey(provider), eventId);
+            console.error(`❌ Webhook ${provider}/${eventId} gave up after ${record.attempts} attempts:`, error.message);
+            return { status: 'dead', error };
+          }
+
+          // Exponential backoff: 1, 2, 4, 8... minutes
+          const nextAttemptAt = Date.now() + Math.pow(2, record.attempts - 1) * 60 * 1000;
+          record.status = 'failed';
+          record.nextAttemptAt = new Date(nextAttemptAt).toISOString();
+          await this.save(provider, eventId, record);
+          await redisClient.zAdd(this.retryKey(provider), { score: nextAttemptAt, value: eventId });
+
+          console.error(`⚠️  Webhook ${provider}/${eventId} failed (attempt ${record.attempts}):`, error.message);
+          return { status: 'failed', error };
+        }
+      }, { waitMs: 0 });
+    } catch (error) {
+      if (error.code === 'LOCK_NOT_ACQUIRED') {
+        // Another instance is processing this event right now
+        return { status: 'busy' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Retry failed events whose next attempt time has passed
+   * @param {string} provider - Provider name
+   * @param {number} limit - Maximum events to retry in one run
+   * @returns {Promise<number>} Number of events retried
+   */
+  async retryDue(provider, limit = 20) {
+    const redisClient = await getClient();
+    const eventIds = await redisClient.zRangeByScore(this.retryKey(provider), 0, Date.now(), {
+      LIMIT: { offset: 0, count: limit }
+    });
+
+    for (const eventId of eventIds) {
+      const result = await this.process(provider, eventId);
+      console.log(`🔁 Webhook retry ${provider}/${eventId}: ${result.status}`);
+    }
+
+    return eventIds.length;
+  }
+
+  /**
+   * Retry due events of every provider with a registered handler
+   * @returns {Promise<Object>} Events retried per provider (null if the run failed)
+   */
+  async retryAllDue() {
+    const retried = {};
+
+    for (const provider of this.handlers.keys()) {
+      try {
+        retried[provider] = await this.retryDue(provider);
+      } catch (error) {
+        console.error(`⚠️  Webhook retry run failed for ${provider}:`, error.message);
+        retried[provider] = null;
+      }
+    }
+
+    return retried;
+  }
+}
+
+const webhookInboxService = new WebhookInboxService();
+
+// Retry failed webhook events every minute
+const retryTimer = setInterval(() => webhookInboxService.retryAllDue(), RETRY_INTERVAL_MS);
+if (retryTimer.unref) retryTimer.unref();
+
+module.exports = webhookInboxService;
@@ -0,0 +1,72 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const FakeRedis = require('./helpers/fakeRedis');
+
+process.env.SECRET_TOKEN = 'test-secret';
+
+const redis = new FakeRedis().install();
+const authTokenService = require('../services/authTokenService');
+const sessionService = require('../services/sessionService');
+
+const claims = { userId: 'user-1', _id: 'user-1', modules: ['shop', 'fantasy'] };
+
+describe('authTokenService', () => {
+  let session;
+
+  beforeEach(async () => {
+    redis.reset();
+    session = await sessionService.createSession('user-1', { deviceId: 'phone' });
+  });
+
+  it('issues a short-lived access token bound to the session', async () => {
+    const { jwtVerify } = await import('jose');
+    const pair = await authTokenService.issueTokenPair(claims, session.sessionId);
+
+    const { payload } = await jwtVerify(pair.accessToken, Buffer.from('test-secret'));
+    assert.strictEqual(payload.userId, 'user-1');
+    assert.strictEqual(payload.jti, session.sessionId);
+    assert.ok(pair.expiresIn > 14 * 60 && pair.expiresIn <= 15 * 60);
+    assert.strictEqual(pair.refreshExpiresIn, 30 * 24 * 60 * 60);
+  });
+
+  it('rotates a refresh token within its session', async () => {
+    const pair = await authTokenService.issueTokenPair(claims, session.sessionId);
+
+    const consumed = await authTokenService.consumeRefreshToken(pair.refreshToken);
+    assert.deepStrictEqual(consumed, { userId: 'user-1', sessionId: session.sessionId });
+
+    const rotated = await authTokenService.issueTokenPair(claims, consumed.sessionId);
+    assert.notStrictEqual(rotated.refreshToken, pair.refreshToken);
+    assert.strictEqual((await authTokenService.consumeRefreshToken(rotated.refreshToken)).sessionId, session.sessionId);
+  });
+
+  it('revokes the session when a used refresh token is presented again', async () => {
+    const pair = await authTokenService.issueTokenPair(claims, session.sessionId);
+    await authTokenService.consumeRefreshToken(pair.refreshToken);
+    const rotated = await authTokenService.issueTokenPair(claims, session.sessionId);
+
+    await assert.rejects(authTokenService.consumeRefreshToken(pair.refreshToken), /reuse detected/);
+    assert.strictEqual(await sessionService.isActive(session.sessionId, 'user-1'), false);
+    await assert.rejects(authTokenService.consumeRefreshToken(rotated.refreshToken), /has been revoked/);
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    await assert.rejects(authTokenService.consumeRefreshToken('not-a-token'), /Invalid or expired refresh token/);
+  });
+
+  it('rejects refresh tokens of a revoked session', async () => {
+    const pair = await authTokenService.issueTokenPair(claims, session.sessionId);
+
+    assert.strictEqual(await sessionService.revokeSession('user-1', session.sessionId), true);
+    await assert.rejects(authTokenService.consumeRefreshToken(pair.refreshToken), /has been revoked/);
+  });
+
+  it('replaces the previous session of the same device on login', async () => {
+    const pair = await authTokenService.issueTokenPair(claims, session.sessionId);
+    const next = await sessionService.createSession('user-1', { deviceId: 'phone' });
+
+    assert.strictEqual(await sessionService.isActive(session.sessionId, 'user-1'), false);
+    assert.strictEqual(await sessionService.isActive(next.sessionId, 'user-1'), true);
+    await assert.rejects(authTokenService.consumeRefreshToken(pair.refreshToken), /has been revoked/);
+  });
+});
@@ -0,0 +1,351 @@
+const { lua, lauxlib, lualib, to_luastring, to_jsstring } = require('fengari');
+
+class SortedSet extends Map {}
+
+/**
+ * In-memory Redis for unit tests
+ * Implements the node-redis v4 commands the services use. Lua scripts run
+ * in a Lua VM (fengari) with redis.call and cjson backed by the same data,
+ * so scripts are exercised as written.
+ *
+ * Use install() before requiring a service: it replaces config/redis getClient.
+ */
+class FakeRedis {
+  constructor() {
+    this.data = new Map();
+    this.expiries = new Map();
+  }
+
+  install() {
+    require('../../config/redis').getClient = async () => this;
+    return this;
+  }
+
+  reset() {
+    this.data.clear();
+    this.expiries.clear();
+  }
+
+  // Let a key's TTL run out now
+  expireNow(key) {
+    this.data.delete(key);
+    this.expiries.delete(key);
+  }
+
+  ttl(key) {
+    if (!this.lookup(key)) return -2;
+    const expiresAt = this.expiries.get(key);
+    return expiresAt ? Math.ceil((expiresAt - Date.now()) / 1000) : -1;
+  }
+
+  lookup(key) {
+    const expiresAt = this.expiries.get(key);
+    if (expiresAt && expiresAt <= Date.now()) {
+      this.expireNow(key);
+    }
+    return this.data.get(key);
+  }
+
+  container(key, Type) {
+    let value = this.lookup(key);
+    if (value === undefined) {
+      value = new Type();
+      this.data.set(key, value);
+    }
+    return value;
+  }
+
+  // Synchronous commands (shared by the client methods and redis.call)
+
+  cmdSet(key, value, { NX = false, EX, PX } = {}) {
+    if (NX && this.lookup(key) !== undefined) return null;
+    this.data.set(key, String(value));
+    this.expiries.delete(key);
+    if (EX) this.expiries.set(key, Date.now() + Number(EX) * 1000);
+    if (PX) this.expiries.set(key, Date.now() + Number(PX));
+    return 'OK';
+  }
+
+  cmdDel(keys) {
+    let deleted = 0;
+    for (const key of keys) {
+      if (this.lookup(key) !== undefined) {
+        this.expireNow(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  cmdIncrBy(key, delta) {
+    const value = (parseInt(this.lookup(key), 10) || 0) + Number(delta);
+    this.data.set(key, String(value));
+    return value;
+  }
+
+  cmdHIncrBy(key, field, delta) {
+    const hash = this.container(key, Map);
+    const value = (parseInt(hash.get(field), 10) || 0) + Number(delta);
+    hash.set(field, String(value));
+    return value;
+  }
+
+  cmdZAdd(key, members) {
+    const zset = this.container(key, SortedSet);
+    let added = 0;
+    for (const { score, value } of members) {
+      if (!zset.has(value)) added++;
+      zset.set(String(value), Number(score));
+    }
+    return added;
+  }
+
+  cmdZRem(key, members) {
+    const zset = this.lookup(key);
+    let removed = 0;
+    for (const member of members) {
+      if (zset?.delete(String(member))) removed++;
+    }
+    return removed;
+  }
+
+  call(command, ...args) {
+    switch (command.toUpperCase()) {
+      case 'GET': return this.lookup(args[0]) ?? null;
+      case 'SET': {
+        const options = {};
+        for (let i = 2; i < args.length; i++) {
+          const option = args[i].toUpperCase();
+          if (option === 'NX') options.NX = true;
+          if (option === 'EX' || option === 'PX') options[option] = args[++i];
+        }
+        return this.cmdSet(args[0], args[1], options);
+      }
+      case 'DEL': return this.cmdDel(args);
+      case 'EXISTS': return args.filter(key => this.lookup(key) !== undefined).length;
+      case 'INCR': return this.cmdIncrBy(args[0], 1);
+      case 'HGET': return this.lookup(args[0])?.get(args[1]) ?? null;
+      case 'HINCRBY': return this.cmdHIncrBy(args[0], args[1], args[2]);
+      case 'ZADD': return this.cmdZAdd(args[0], [{ score: args[1], value: args[2] }]);
+      case 'ZREM': return this.cmdZRem(args[0], args.slice(1));
+      default: throw new Error(`FakeRedis: unsupported command ${command}`);
+    }
+  }
+
+  // node-redis client methods
+
+  async get(key) { return this.call('GET', key); }
+  async set(key, value, options) { return this.cmdSet(key, value, options); }
+  async setEx(key, seconds, value) { return this.cmdSet(key, value, { EX: seconds }); }
+  async del(keys) { return this.cmdDel([].concat(keys)); }
+  async exists(key) { return this.call('EXISTS', key); }
+  async incr(key) { return this.cmdIncrBy(key, 1); }
+  async incrBy(key, delta) { return this.cmdIncrBy(key, delta); }
+
+  async expire(key, seconds) {
+    if (this.lookup(key) === undefined) return false;
+    this.expiries.set(key, Date.now() + seconds * 1000);
+    return true;
+  }
+
+  async hGet(key, field) { return this.call('HGET', key, field); }
+  async hGetAll(key) { return Object.fromEntries(this.lookup(key) || []); }
+  async hIncrBy(key, field, delta) { return this.cmdHIncrBy(key, field, delta); }
+
+  async hSet(key, field, value) {
+    const hash = this.container(key, Map);
+    const entries = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+    entries.forEach(([name, item]) => hash.set(name, String(item)));
+    return entries.length;
+  }
+
+  async hSetNX(key, field, value) {
+    const hash = this.container(key, Map);
+    if (hash.has(field)) return false;
+    hash.set(field, String(value));
+    return true;
+  }
+
+  async hDel(key, field) {
+    return this.lookup(key)?.delete(field) ? 1 : 0;
+  }
+
+  async sAdd(key, members) {
+    const set = this.container(key, Set);
+    const before = set.size;
+    [].concat(members).forEach(member => set.add(String(member)));
+    return set.size - before;
+  }
+
+  async sRem(key, members) {
+    const set = this.lookup(key);
+    return [].concat(members).filter(member => set?.delete(String(member))).length;
+  }
+
+  async sMembers(key) { return [...(this.lookup(key) || [])]; }
+
+  async zAdd(key, members) { return this.cmdZAdd(key, [].concat(members)); }
+  async zRem(key, members) { return this.cmdZRem(key, [].concat(members)); }
+
+  sortedMembers(key) {
+    return [...(this.lookup(key) || [])].sort((a, b) => a[1] - b[1]);
+  }
+
+  async zRange(key, start, stop) {
+    const members = this.sortedMembers(key).map(([member]) => member);
+    return members.slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async zRangeByScore(key, min, max, { LIMIT } = {}) {
+    const members = this.sortedMembers(key)
+      .filter(([, score]) => score >= Number(min) && score <= Number(max))
+      .map(([member]) => member);
+    return LIMIT ? members.slice(LIMIT.offset, LIMIT.offset + LIMIT.count) : members;
+  }
+
+  // Queued commands run in order on exec()
+  multi() {
+    const queue = [];
+    const transaction = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => {
+            const results = [];
+            for (const [method, args] of queue) {
+              results.push(await this[method](...args));
+            }
+            return results;
+          };
+        }
+        return (...args) => {
+          queue.push([name, args]);
+          return transaction;
+        };
+      }
+    });
+    return transaction;
+  }
+
+  async eval(script, { keys = [], arguments: args = [] } = {}) {
+    return runScript(this, script, keys, args);
+  }
+}
+
+function pushValue(L, value) {
+  if (value === null || value === undefined) {
+    lua.lua_pushboolean(L, false); // Redis nil
+  } else if (typeof value === 'boolean') {
+    lua.lua_pushboolean(L, value);
+  } else if (typeof value === 'number') {
+    Number.isInteger(value) ? lua.lua_pushinteger(L, value) : lua.lua_pushnumber(L, value);
+  } else if (typeof value === 'string') {
+    lua.lua_pushstring(L, to_luastring(value));
+  } else if (Array.isArray(value)) {
+    lua.lua_createtable(L, value.length, 0);
+    value.forEach((item, index) => {
+      pushValue(L, item);
+      lua.lua_rawseti(L, -2, index + 1);
+    });
+  } else {
+    lua.lua_createtable(L, 0, 0);
+    for (const [key, item] of Object.entries(value)) {
+      pushValue(L, item);
+      lua.lua_setfield(L, -2, to_luastring(key));
+    }
+  }
+}
+
+function toValue(L, index) {
+  switch (lua.lua_type(L, index)) {
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, index);
+    case lua.LUA_TNUMBER:
+      return lua.lua_tonumber(L, index);
+    case lua.LUA_TSTRING:
+      return lua.lua_tojsstring(L, index);
+    case lua.LUA_TTABLE: {
+      const table = lua.lua_absindex(L, index);
+      const length = lua.lua_rawlen(L, table);
+      if (length > 0) {
+        const array = [];
+        for (let i = 1; i <= length; i++) {
+          lua.lua_rawgeti(L, table, i);
+          array.push(toValue(L, -1));
+          lua.lua_pop(L, 1);
+        }
+        return array;
+      }
+      const object = {};
+      lua.lua_pushnil(L);
+      while (lua.lua_next(L, table) !== 0) {
+        object[to_jsstring(lua.lua_tostring(L, -2))] = toValue(L, -1);
+        lua.lua_pop(L, 1);
+      }
+      return object;
+    }
+    default:
+      return null;
+  }
+}
+
+// Lua reply → what node-redis returns (numbers are truncated to integers, false is nil)
+function toReply(value) {
+  if (Array.isArray(value)) return value.map(toReply);
+  if (typeof value === 'number') return Math.trunc(value);
+  if (value === false) return null;
+  if (value === true) return 1;
+  return value;
+}
+
+function setFunctions(L, name, functions) {
+  lua.lua_createtable(L, 0, Object.keys(functions).length);
+  for (const [field, fn] of Object.entries(functions)) {
+    lua.lua_pushjsfunction(L, fn);
+    lua.lua_setfield(L, -2, to_luastring(field));
+  }
+  lua.lua_setglobal(L, to_luastring(name));
+}
+
+function runScript(redis, script, keys, args) {
+  const L = lauxlib.luaL_newstate();
+  lualib.luaL_openlibs(L);
+
+  pushValue(L, keys);
+  lua.lua_setglobal(L, to_luastring('KEYS'));
+  pushValue(L, args);
+  lua.lua_setglobal(L, to_luastring('ARGV'));
+
+  setFunctions(L, 'redis', {
+    call: state => {
+      const callArgs = [];
+      for (let i = 1; i <= lua.lua_gettop(state); i++) {
+        callArgs.push(lua.lua_tojsstring(state, i));
+      }
+      try {
+        pushValue(state, redis.call(...callArgs));
+      } catch (error) {
+        return lauxlib.luaL_error(state, to_luastring(error.message));
+      }
+      return 1;
+    }
+  });
+
+  setFunctions(L, 'cjson', {
+    decode: state => {
+      pushValue(state, JSON.parse(lua.lua_tojsstring(state, 1)));
+      return 1;
+    },
+    encode: state => {
+      lua.lua_pushstring(state, to_luastring(JSON.stringify(toValue(state, 1))));
+      return 1;
+    }
+  });
+
+  if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK ||
+      lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+    throw new Error(lua.lua_tojsstring(L, -1));
+  }
+  return toReply(toValue(L, -1));
+}
+
+module.exports = FakeRedis;
@@ -0,0 +1,59 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const FakeRedis = require('./helpers/fakeRedis');
+
+const redis = new FakeRedis().install();
+const idempotencyService = require('../services/idempotencyService');
+
+const SCOPE = 'fantasy-topup';
+const RECORD_KEY = 'idempotency:fantasy-topup:txn-1';
+
+describe('idempotencyService', () => {
+  const fingerprint = idempotencyService.fingerprint({ hygraph_user_id: 'user-1', shop_tokens: 100 });
+
+  beforeEach(() => redis.reset());
+
+  it('fingerprints the same fields the same way in any order', () => {
+    assert.strictEqual(
+      idempotencyService.fingerprint({ shop_tokens: 100, hygraph_user_id: 'user-1' }),
+      fingerprint
+    );
+    assert.notStrictEqual(
+      idempotencyService.fingerprint({ hygraph_user_id: 'user-1', shop_tokens: 101 }),
+      fingerprint
+    );
+  });
+
+  it('lets the first request claim a key and holds it while in progress', async () => {
+    assert.deepStrictEqual(await idempotencyService.begin(SCOPE, 'txn-1', fingerprint), { status: 'started' });
+
+    const second = await idempotencyService.begin(SCOPE, 'txn-1', fingerprint);
+    assert.strictEqual(second.status, 'in_progress');
+    assert.ok(redis.ttl(RECORD_KEY) <= 5 * 60);
+  });
+
+  it('returns the stored response to replays once completed', async () => {
+    await idempotencyService.begin(SCOPE, 'txn-1', fingerprint);
+    await idempotencyService.complete(SCOPE, 'txn-1', fingerprint, { success: true, data: { updated_total: 100 } });
+
+    const replay = await idempotencyService.begin(SCOPE, 'txn-1', fingerprint);
+    assert.strictEqual(replay.status, 'completed');
+    assert.deepStrictEqual(replay.response, { success: true, data: { updated_total: 100 } });
+    assert.ok(redis.ttl(RECORD_KEY) > 29 * 24 * 60 * 60);
+  });
+
+  it('reports a replay with different fields as a conflict', async () => {
+    await idempotencyService.begin(SCOPE, 'txn-1', fingerprint);
+    await idempotencyService.complete(SCOPE, 'txn-1', fingerprint, { success: true });
+
+    const otherUser = idempotencyService.fingerprint({ hygraph_user_id: 'user-2', shop_tokens: 100 });
+    assert.strictEqual((await idempotencyService.begin(SCOPE, 'txn-1', otherUser)).status, 'conflict');
+  });
+
+  it('frees a released claim for a retry', async () => {
+    await idempotencyService.begin(SCOPE, 'txn-1', fingerprint);
+    await idempotencyService.release(SCOPE, 'txn-1');
+
+    assert.strictEqual((await idempotencyService.begin(SCOPE, 'txn-1', fingerprint)).status, 'started');
+  });
+});
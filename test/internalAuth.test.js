@@ -0,0 +1,69 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const FakeRedis = require('./helpers/fakeRedis');
+
+const redis = new FakeRedis().install();
+const internalAuth = require('../middlewares/internalAuth');
+const internalAuthService = require('../services/internalAuthService');
+
+const body = '{"shop_tokens":100}';
+
+async function authenticate(headers) {
+  const req = { method: 'POST', originalUrl: '/api/wallet', rawBody: body, headers };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  let passed = false;
+
+  await internalAuth('fantasy')(req, res, () => { passed = true; });
+  return { passed, principal: req.principal, statusCode: res.statusCode };
+}
+
+describe('internalAuth middleware', () => {
+  beforeEach(() => {
+    redis.reset();
+    process.env.INTERNAL_SECRET = 'legacy-secret';
+    delete process.env.INTERNAL_API_KEYS;
+    delete process.env.INTERNAL_AUTH_ALLOW_LEGACY;
+    delete process.env.INTERNAL_API_SECRET;
+  });
+
+  it('accepts the legacy secret while INTERNAL_API_KEYS is unset', async () => {
+    const result = await authenticate({ 'x-internal-secret': 'legacy-secret' });
+
+    assert.strictEqual(result.passed, true);
+    assert.deepStrictEqual(result.principal, { type: 'service', service: 'fantasy', keyId: null });
+  });
+
+  it('accepts the legacy secret with INTERNAL_AUTH_ALLOW_LEGACY=true', async () => {
+    process.env.INTERNAL_API_KEYS = 'k1:secret-one';
+    process.env.INTERNAL_AUTH_ALLOW_LEGACY = 'true';
+
+    assert.strictEqual((await authenticate({ 'x-internal-secret': 'legacy-secret' })).passed, true);
+  });
+
+  it('rejects the legacy secret once keys are configured', async () => {
+    process.env.INTERNAL_API_KEYS = 'k1:secret-one';
+
+    const result = await authenticate({ 'x-internal-secret': 'legacy-secret' });
+    assert.strictEqual(result.passed, false);
+    assert.strictEqual(result.statusCode, 403);
+  });
+
+  it('rejects a wrong legacy secret', async () => {
+    const result = await authenticate({ 'x-internal-secret': 'guess' });
+
+    assert.strictEqual(result.passed, false);
+    assert.strictEqual(result.statusCode, 403);
+  });
+
+  it('accepts signed requests', async () => {
+    process.env.INTERNAL_API_KEYS = 'k1:secret-one';
+    const headers = internalAuthService.sign({ method: 'POST', path: '/api/wallet', body });
+
+    const result = await authenticate(headers);
+    assert.strictEqual(result.passed, true);
+    assert.strictEqual(result.principal.keyId, 'k1');
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const FakeRedis = require('./helpers/fakeRedis');
+
+const redis = new FakeRedis().install();
+const internalAuthService = require('../services/internalAuthService');
+const { HEADERS } = internalAuthService;
+
+const request = { method: 'post', path: '/api/wallet?source=fantasy', body: '{"shop_tokens":100}' };
+
+function verify(headers, overrides = {}) {
+  return internalAuthService.verify({ ...request, method: 'POST', headers, ...overrides });
+}
+
+describe('internalAuthService', () => {
+  beforeEach(() => {
+    redis.reset();
+    process.env.INTERNAL_API_KEYS = 'k1:secret-one,k2:secret-two';
+    delete process.env.INTERNAL_API_KEY_ID;
+    delete process.env.INTERNAL_API_SECRET;
+    delete process.env.INTERNAL_AUTH_ALLOW_LEGACY;
+  });
+
+  it('accepts a signed request once', async () => {
+    const headers = internalAuthService.sign(request);
+
+    assert.deepStrictEqual(await verify(headers), { valid: true, keyId: 'k1' });
+    assert.deepStrictEqual(await verify(headers), { valid: false, error: 'Replayed internal request' });
+  });
+
+  it('rejects a tampered body or path', async () => {
+    const headers = internalAuthService.sign(request);
+
+    assert.strictEqual((await verify(headers, { body: '{"shop_tokens":1000}' })).error, 'Invalid internal signature');
+    assert.strictEqual((await verify(headers, { path: '/api/wallet' })).error, 'Invalid internal signature');
+  });
+
+  it('rejects requests outside the time window', async () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 301;
+    const nonce = 'nonce-1';
+    const headers = {
+      [HEADERS.KEY_ID]: 'k1',
+      [HEADERS.TIMESTAMP]: String(timestamp),
+      [HEADERS.NONCE]: nonce,
+      [HEADERS.SIGNATURE]: internalAuthService.computeSignature('secret-one', { ...request, timestamp, nonce })
+    };
+
+    assert.strictEqual((await verify(headers)).error, 'Request timestamp outside the allowed window');
+  });
+
+  it('rejects missing headers and unknown key ids', async () => {
+    const headers = internalAuthService.sign(request);
+
+    assert.strictEqual((await verify({})).error, 'Missing internal signature headers');
+    assert.strictEqual((await verify({ ...headers, [HEADERS.KEY_ID]: 'k3' })).error, 'Unknown internal key id: k3');
+  });
+
+  it('signs with INTERNAL_API_KEY_ID and accepts every listed key during rotation', async () => {
+    const oldHeaders = internalAuthService.sign(request);
+    process.env.INTERNAL_API_KEY_ID = 'k2';
+    const newHeaders = internalAuthService.sign(request);
+
+    assert.strictEqual(newHeaders[HEADERS.KEY_ID], 'k2');
+    assert.deepStrictEqual(await verify(newHeaders), { valid: true, keyId: 'k2' });
+    assert.deepStrictEqual(await verify(oldHeaders), { valid: true, keyId: 'k1' });
+
+    process.env.INTERNAL_API_KEYS = 'k2:secret-two';
+    assert.strictEqual((await verify(internalAuthService.sign({ ...request, body: '{}' }), { body: '{}' })).valid, true);
+    assert.strictEqual((await verify({ ...oldHeaders, [HEADERS.NONCE]: 'other' })).error, 'Unknown internal key id: k1');
+  });
+
+  it('falls back to INTERNAL_API_SECRET as the default key', async () => {
+    delete process.env.INTERNAL_API_KEYS;
+    process.env.INTERNAL_API_SECRET = 'legacy-secret';
+
+    const headers = internalAuthService.sign(request);
+    assert.strictEqual(headers[HEADERS.KEY_ID], 'default');
+    assert.deepStrictEqual(await verify(headers), { valid: true, keyId: 'default' });
+  });
+
+  describe('createClient', () => {
+    // Capture the outgoing request instead of sending it
+    const send = async (client) => {
+      let sent;
+      await client.post('/internal/logout', { userId: 'user-1' }, {
+        adapter: async config => {
+          sent = config;
+          return { data: {}, status: 200, statusText: 'OK', headers: {}, config };
+        }
+      });
+      return sent;
+    };
+
+    it('signs requests and stops sending the legacy secret once keys are configured', async () => {
+      process.env.INTERNAL_API_SECRET = 'legacy-secret';
+      const sent = await send(internalAuthService.createClient('https://fantasy.example.com/api'));
+
+      assert.strictEqual(sent.headers[HEADERS.KEY_ID], 'k1');
+      assert.strictEqual(sent.headers['x-internal-secret'], undefined);
+      assert.strictEqual((await verify(sent.headers, {
+        path: '/api/internal/logout',
+        body: sent.data
+      })).valid, true);
+    });
+
+    it('sends the legacy secret alongside the signature during the migration', async () => {
+      process.env.INTERNAL_API_SECRET = 'legacy-secret';
+      process.env.INTERNAL_AUTH_ALLOW_LEGACY = 'true';
+      const sent = await send(internalAuthService.createClient('https://fantasy.example.com/api'));
+
+      assert.strictEqual(sent.headers['x-internal-secret'], 'legacy-secret');
+      assert.ok(sent.headers[HEADERS.SIGNATURE]);
+    });
+
+    it('fails requests that can be neither signed nor sent with the legacy secret', async () => {
+      process.env.INTERNAL_API_KEY_ID = 'k3';
+
+      await assert.rejects(
+        send(internalAuthService.createClient('https://fantasy.example.com/api')),
+        /signing key not configured/
+      );
+    });
+  });
+});
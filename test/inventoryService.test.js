@@ -0,0 +1,125 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const FakeRedis = require('./helpers/fakeRedis');
+
+const redis = new FakeRedis().install();
+const inventoryService = require('../services/inventoryService');
+
+const STOCK_A = 'inventory:stock:prod-a';
+const STOCK_B = 'inventory:stock:prod-b';
+const EXPIRING_KEY = 'inventory:reservations:expiring';
+
+const stockOf = key => redis.data.has(key) ? Object.fromEntries(redis.data.get(key)) : null;
+const items = [
+  { productId: 'prod-a', quantity: 2, productName: 'Product A' },
+  { productId: 'prod-b', quantity: 1, productName: 'Product B' }
+];
+
+describe('inventoryService reservations', () => {
+  beforeEach(async () => {
+    redis.reset();
+    await inventoryService.setStock('prod-a', 5); // prod-b is untracked
+  });
+
+  it('reserves tracked stock and records which lines are tracked', async () => {
+    const reservation = await inventoryService.reserve('ORD-1', items);
+
+    assert.strictEqual(reservation.status, 'reserved');
+    assert.deepStrictEqual(
+      reservation.items.map(line => [line.sku, line.quantity, line.tracked]),
+      [['prod-a', 2, true], ['prod-b', 1, false]]
+    );
+    assert.deepStrictEqual(await inventoryService.getReservation('ORD-1'), reservation);
+    assert.deepStrictEqual(stockOf(STOCK_A), { available: '5', reserved: '2' });
+    assert.strictEqual(stockOf(STOCK_B), null);
+    assert.deepStrictEqual(await redis.zRange(EXPIRING_KEY, 0, -1), ['ORD-1']);
+  });
+
+  it('reserves nothing when a line is short', async () => {
+    await inventoryService.reserve('ORD-1', [{ productId: 'prod-a', quantity: 4 }]);
+
+    await assert.rejects(
+      inventoryService.reserve('ORD-2', items),
+      /Out of stock: Product A \(requested 2, available 1\)/
+    );
+    assert.strictEqual(await inventoryService.getReservation('ORD-2'), null);
+    assert.deepStrictEqual(stockOf(STOCK_A), { available: '5', reserved: '4' });
+  });
+
+  it('reserves once per id', async () => {
+    const first = await inventoryService.reserve('ORD-1', items);
+    const second = await inventoryService.reserve('ORD-1', items);
+
+    assert.deepStrictEqual(second, first);
+    assert.deepStrictEqual(stockOf(STOCK_A), { available: '5', reserved: '2' });
+  });
+
+  it('commits reserved stock once', async () => {
+    await inventoryService.reserve('ORD-1', items);
+
+    assert.strictEqual(await inventoryService.commit('ORD-1'), 'committed');
+    assert.strictEqual(await inventoryService.commit('ORD-1'), 'committed');
+
+    assert.deepStrictEqual(stockOf(STOCK_A), { available: '3', reserved: '0' });
+    assert.strictEqual(stockOf(STOCK_B), null);
+    assert.deepStrictEqual(await redis.zRange(EXPIRING_KEY, 0, -1), []);
+  });
+
+  it('releases reserved stock once', async () => {
+    await inventoryService.reserve('ORD-1', items);
+
+    assert.strictEqual(await inventoryService.release('ORD-1'), 'released');
+    assert.strictEqual(await inventoryService.release('ORD-1'), 'released');
+
+    assert.deepStrictEqual(stockOf(STOCK_A), { available: '5', reserved: '0' });
+    assert.strictEqual((await inventoryService.getReservation('ORD-1')).releasedFrom, 'reserved');
+  });
+
+  it('restocks committed stock on release', async () => {
+    await inventoryService.reserve('ORD-1', items);
+    await inventoryService.commit('ORD-1');
+
+    assert.strictEqual(await inventoryService.release('ORD-1'), 'released');
+    assert.strictEqual(await inventoryService.commit('ORD-1'), 'released');
+
+    assert.deepStrictEqual(stockOf(STOCK_A), { available: '5', reserved: '0' });
+    assert.strictEqual((await inventoryService.getReservation('ORD-1')).releasedFrom, 'committed');
+  });
+
+  it('leaves SKUs untracked after the reservation alone', async () => {
+    await inventoryService.reserve('ORD-1', items);
+    await inventoryService.reserve('ORD-2', items);
+    await inventoryService.untrack('prod-a');
+
+    assert.strictEqual(await inventoryService.commit('ORD-1'), 'committed');
+    assert.strictEqual(await inventoryService.release('ORD-2'), 'released');
+
+    assert.strictEqual(stockOf(STOCK_A), null);
+  });
+
+  it('leaves SKUs tracked after the reservation alone', async () => {
+    await inventoryService.reserve('ORD-1', items);
+    await inventoryService.setStock('prod-b', 10);
+
+    await inventoryService.release('ORD-1');
+
+    assert.deepStrictEqual(stockOf(STOCK_B), { available: '10', reserved: '0' });
+  });
+
+  it('releases reservations past their hold time', async () => {
+    await inventoryService.reserve('ORD-1', items);
+    await inventoryService.reserve('ORD-2', items);
+    await redis.zAdd(EXPIRING_KEY, { score: Date.now() - 1000, value: 'ORD-1' });
+
+    assert.strictEqual(await inventoryService.releaseExpired(), 1);
+
+    assert.strictEqual((await inventoryService.getReservation('ORD-1')).status, 'released');
+    assert.strictEqual((await inventoryService.getReservation('ORD-2')).status, 'reserved');
+    assert.deepStrictEqual(stockOf(STOCK_A), { available: '5', reserved: '2' });
+  });
+
+  it('reports missing reservations', async () => {
+    assert.strictEqual(await inventoryService.commit('ORD-X'), 'missing');
+    assert.strictEqual(await inventoryService.release('ORD-X'), 'missing');
+  });
+});
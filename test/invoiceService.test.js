@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+// The seller is read when the module loads
+process.env.SELLER_STATE = 'Karnataka';
+process.env.DEFAULT_HSN_CODE = '6109';
+delete process.env.DEFAULT_GST_RATE;
+
+const invoiceService = require('../services/invoiceService');
+
+// A: 2 × ₹500 at the default 18%, B: 1 × ₹500 at 5% (100 tokens per unit)
+const orderItems = [
+  { productName: 'A', quantity: 2, unitPrice: 500, shopTokensPrice: 100, lineTotal: 1000, lineShopTokens: 200 },
+  { productName: 'B', quantity: 1, unitPrice: 500, shopTokensPrice: 100, lineTotal: 500, lineShopTokens: 100, product: { hsnCode: '6403', gstRate: 5 } }
+];
+
+const buildOrder = (state, order = {}) => ({
+  orderNumber: 'ORD-1',
+  orderItems,
+  shippingAddress: {
+    fullName: 'Test Buyer',
+    mobileNumber: '9876543210',
+    addressLine1: '1 MG Road',
+    city: 'City',
+    state,
+    pincode: '560001'
+  },
+  ...order
+});
+
+const taxColumns = line => [line.hsnCode, line.gstRate, line.discount, line.taxableValue, line.cgst, line.sgst, line.igst, line.total];
+
+describe('invoiceService.calculate', () => {
+  it('splits GST into CGST and SGST within the seller\'s state', () => {
+    const invoice = invoiceService.calculate(buildOrder('karnataka', { paymentMethod: 'rupees', shopTokensUsed: 0 }));
+
+    assert.strictEqual(invoice.placeOfSupply, 'Karnataka');
+    assert.strictEqual(invoice.interState, false);
+    assert.deepStrictEqual(invoice.lines.map(taxColumns), [
+      ['6109', 18, 0, 847.46, 76.27, 76.27, 0, 1000],
+      ['6403', 5, 0, 476.19, 11.91, 11.9, 0, 500]
+    ]);
+    assert.deepStrictEqual(invoice.totals, {
+      amount: 1500, discount: 0, taxableValue: 1323.65, cgst: 88.18, sgst: 88.17, igst: 0, total: 1500
+    });
+  });
+
+  it('charges IGST on the amount left after the token discount outside the seller\'s state', () => {
+    // 150 of 300 tokens paid half the order
+    const invoice = invoiceService.calculate(buildOrder('West Bengal', { paymentMethod: 'mixed', shopTokensUsed: 150 }));
+
+    assert.strictEqual(invoice.interState, true);
+    assert.strictEqual(invoice.shopTokensUsed, 150);
+    assert.deepStrictEqual(invoice.lines.map(taxColumns), [
+      ['6109', 18, 500, 423.73, 0, 0, 76.27, 500],
+      ['6403', 5, 250, 238.1, 0, 0, 11.9, 250]
+    ]);
+    assert.deepStrictEqual(invoice.totals, {
+      amount: 1500, discount: 750, taxableValue: 661.83, cgst: 0, sgst: 0, igst: 88.17, total: 750
+    });
+  });
+
+  it('adds the COD fee as a taxed line of its own', () => {
+    const invoice = invoiceService.calculate(buildOrder('Karnataka', { paymentMethod: 'cod', shopTokensUsed: 0, codFee: 49 }));
+
+    assert.strictEqual(invoice.lines.length, 3);
+    assert.strictEqual(invoice.lines[2].description, 'Cash on delivery charges');
+    assert.deepStrictEqual(taxColumns(invoice.lines[2]), ['9968', 18, 0, 41.53, 3.74, 3.73, 0, 49]);
+    assert.strictEqual(invoice.totals.total, 1549);
+  });
+
+  it('discounts orders from before payment methods in full (paid with tokens)', () => {
+    const invoice = invoiceService.calculate(buildOrder('Kerala'));
+
+    assert.strictEqual(invoice.paymentMethod, 'shop_tokens');
+    assert.strictEqual(invoice.shopTokensUsed, 300);
+    assert.deepStrictEqual(invoice.totals, {
+      amount: 1500, discount: 1500, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, total: 0
+    });
+  });
+
+  it('rejects orders without a shipping address', () => {
+    assert.throws(
+      () => invoiceService.calculate({ orderNumber: 'ORD-1', orderItems }),
+      /Order ORD-1 has no shipping address/
+    );
+  });
+});
+
+describe('invoiceService.getFinancialYear', () => {
+  it('starts the financial year on 1 April in IST', () => {
+    assert.strictEqual(invoiceService.getFinancialYear(new Date('2026-03-31T18:29:59Z')), '25-26');
+    assert.strictEqual(invoiceService.getFinancialYear(new Date('2026-03-31T18:30:00Z')), '26-27');
+    assert.strictEqual(invoiceService.getFinancialYear(new Date('2000-01-15T00:00:00Z')), '99-00');
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const FakeRedis = require('./helpers/fakeRedis');
+
+process.env.SECRET_TOKEN = 'test-secret';
+
+const redis = new FakeRedis().install();
+const jobRoutes = require('../routes/jobs');
+const authTokenService = require('../services/authTokenService');
+const sessionService = require('../services/sessionService');
+const hygraphUserService = require('../services/hygraphUserService');
+const orderSagaService = require('../services/orderSagaService');
+const inventoryService = require('../services/inventoryService');
+const fulfilmentService = require('../services/fulfilmentService');
+const webhookInboxService = require('../services/webhookInboxService');
+
+const users = {
+  'ops-1': { id: 'ops-1', role: 'ops' },
+  'customer-1': { id: 'customer-1', role: 'customer' }
+};
+
+describe('scheduled job endpoints', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use('/api/jobs', jobRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/jobs`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    redis.reset();
+    mock.restoreAll();
+    mock.method(console, 'log', () => {}); // keep the job logging out of the test output
+    process.env.CRON_SECRET = 'cron-secret';
+    mock.method(hygraphUserService, 'findUserById', async id => users[id] || null);
+    mock.method(orderSagaService, 'expirePayments', async () => [{ sagaId: 'saga-1', status: 'compensated' }]);
+  });
+
+  const bearerFor = async userId => {
+    const session = await sessionService.createSession(userId);
+    const { accessToken } = await authTokenService.issueTokenPair({ userId }, session.sessionId);
+    return `Bearer ${accessToken}`;
+  };
+
+  const run = async (job, authorization) => {
+    const response = await fetch(`${baseUrl}/${job}`, {
+      headers: authorization ? { Authorization: authorization } : {}
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('runs a job for Vercel Cron with CRON_SECRET', async () => {
+    const result = await run('expire-payments', 'Bearer cron-secret');
+
+    assert.strictEqual(result.status, 200);
+    assert.deepStrictEqual(result.body.data, { results: [{ sagaId: 'saga-1', status: 'compensated' }], count: 1 });
+    assert.strictEqual(orderSagaService.expirePayments.mock.callCount(), 1);
+  });
+
+  it('runs a job for users allowed to run jobs', async () => {
+    const result = await run('expire-payments', await bearerFor('ops-1'));
+
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(orderSagaService.expirePayments.mock.callCount(), 1);
+  });
+
+  it('rejects other callers', async () => {
+    assert.strictEqual((await run('expire-payments')).status, 401);
+    assert.strictEqual((await run('expire-payments', 'Bearer wrong-secret')).status, 401);
+    assert.strictEqual((await run('expire-payments', await bearerFor('customer-1'))).status, 403);
+
+    delete process.env.CRON_SECRET;
+    assert.strictEqual((await run('expire-payments', 'Bearer undefined')).status, 401);
+    assert.strictEqual(orderSagaService.expirePayments.mock.callCount(), 0);
+  });
+
+  it('releases expired stock reservations', async () => {
+    mock.method(inventoryService, 'releaseExpired', async () => 2);
+
+    const result = await run('release-stock', 'Bearer cron-secret');
+    assert.strictEqual(result.status, 200);
+    assert.deepStrictEqual(result.body.data, { count: 2 });
+  });
+
+  it('creates queued shipments', async () => {
+    mock.method(fulfilmentService, 'processDue', async () => [{ orderId: 'order-1', status: 'created' }]);
+
+    const result = await run('create-shipments', 'Bearer cron-secret');
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.data.count, 1);
+  });
+
+  it('retries due webhook events', async () => {
+    mock.method(webhookInboxService, 'retryAllDue', async () => ({ razorpay: 1, shiprocket: 0 }));
+
+    const result = await run('retry-webhooks', 'Bearer cron-secret');
+    assert.strictEqual(result.status, 200);
+    assert.deepStrictEqual(result.body.data, { retried: { razorpay: 1, shiprocket: 0 } });
+  });
+
+  it('reports a failed job', async () => {
+    mock.method(orderSagaService, 'recoverStale', async () => {
+      throw new Error('Redis unavailable');
+    });
+    mock.method(console, 'error', () => {});
+
+    const result = await run('recover-orders', 'Bearer cron-secret');
+    assert.strictEqual(result.status, 500);
+    assert.strictEqual(result.body.message, 'Redis unavailable');
+  });
+});
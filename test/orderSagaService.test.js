@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+process.env.COD_FEE = '49';
+
+const orderSagaService = require('../services/orderSagaService');
+
+describe('orderSagaService.splitPayment', () => {
+  const totals = { totalAmount: 1500, totalShopTokens: 300 };
+
+  it('charges the whole order in tokens for shop_tokens', () => {
+    assert.deepStrictEqual(orderSagaService.splitPayment(totals, 'shop_tokens'), { shopTokens: 300, rupees: 0 });
+  });
+
+  it('rejects shop_tokens for items without a token price', () => {
+    assert.throws(
+      () => orderSagaService.splitPayment({ totalAmount: 1500, totalShopTokens: 0 }, 'shop_tokens'),
+      /can't be paid with shop tokens/
+    );
+  });
+
+  it('charges the whole order in rupees for rupees', () => {
+    assert.deepStrictEqual(orderSagaService.splitPayment(totals, 'rupees'), { shopTokens: 0, rupees: 1500 });
+  });
+
+  it('rejects rupee payments below the Razorpay minimum', () => {
+    assert.throws(
+      () => orderSagaService.splitPayment({ totalAmount: 0.5, totalShopTokens: 300 }, 'rupees'),
+      /at least ₹1/
+    );
+  });
+
+  it('charges cod in rupees and returns the COD fee', () => {
+    assert.deepStrictEqual(
+      orderSagaService.splitPayment(totals, 'cod'),
+      { shopTokens: 0, rupees: 1500, cod: true, codFee: 49 }
+    );
+  });
+
+  it('splits a mixed payment in the order\'s token/rupee ratio', () => {
+    assert.deepStrictEqual(orderSagaService.splitPayment(totals, 'mixed', 120), { shopTokens: 120, rupees: 900 });
+    assert.deepStrictEqual(
+      orderSagaService.splitPayment({ totalAmount: 1000, totalShopTokens: 3 }, 'mixed', 1),
+      { shopTokens: 1, rupees: 666.67 }
+    );
+  });
+
+  it('rejects mixed payments that are all tokens, no tokens or not whole tokens', () => {
+    for (const shopTokensToUse of [0, 300, 301, -5, 12.5, null, '120']) {
+      assert.throws(
+        () => orderSagaService.splitPayment(totals, 'mixed', shopTokensToUse),
+        /shopTokensToUse must be between 1 and 299/
+      );
+    }
+  });
+
+  it('rejects mixed payments whose rupee part is below the minimum', () => {
+    assert.throws(
+      () => orderSagaService.splitPayment({ totalAmount: 100, totalShopTokens: 1000 }, 'mixed', 999),
+      /rupee part must be at least ₹1/
+    );
+  });
+
+  it('rejects mixed payments for items without a token price', () => {
+    assert.throws(
+      () => orderSagaService.splitPayment({ totalAmount: 1500, totalShopTokens: 0 }, 'mixed', 1),
+      /can't be paid with shop tokens/
+    );
+  });
+
+  it('rejects unknown payment methods', () => {
+    assert.throws(() => orderSagaService.splitPayment(totals, 'upi'), /Invalid payment method: upi/);
+  });
+});
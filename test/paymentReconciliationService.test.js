@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const FakeRedis = require('./helpers/fakeRedis');
+
+const redis = new FakeRedis().install();
+const hygraphService = require('../services/hygraphService');
+const paymentReconciliationService = require('../services/paymentReconciliationService');
+
+const CLAIM_KEY = 'idempotency:wallet-topup-credit:pay_1';
+
+describe('paymentReconciliationService.creditWalletOnce', () => {
+  // In-memory Hygraph: wallet balances and WalletTransactions by reference
+  let wallets;
+  let transactions;
+  let loseNextCreditResponse;
+
+  beforeEach(() => {
+    redis.reset();
+    mock.restoreAll();
+    wallets = new Map([['user-1', 100], ['user-2', 0]]);
+    transactions = new Map();
+    loseNextCreditResponse = false;
+
+    mock.method(hygraphService, 'execute', async (query, variables) => {
+      if (query.includes('FindWalletTransaction')) {
+        return { walletTransactions: transactions.has(variables.reference) ? [transactions.get(variables.reference)] : [] };
+      }
+      if (query.includes('GetUserDetail')) {
+        return { userDetail: { id: variables.userId, walletBalance: wallets.get(variables.userId) } };
+      }
+      if (query.includes('CreditWallet')) {
+        wallets.set(variables.userId, variables.walletBalance);
+        transactions.set(variables.reference, {
+          amount: variables.amount,
+          balanceAfter: variables.walletBalance,
+          reference: variables.reference,
+          userDetail: { id: variables.userId }
+        });
+        if (loseNextCreditResponse) {
+          loseNextCreditResponse = false;
+          throw new Error('socket hang up');
+        }
+        return { updateUserDetail: { id: variables.userId, walletBalance: variables.walletBalance } };
+      }
+      return { publishUserDetail: { id: variables.userId } };
+    });
+  });
+
+  it('credits the wallet once per payment', async () => {
+    assert.strictEqual(await paymentReconciliationService.creditWalletOnce('pay_1', 'user-1', 250), true);
+    assert.strictEqual(await paymentReconciliationService.creditWalletOnce('pay_1', 'user-1', 250), false);
+
+    assert.strictEqual(wallets.get('user-1'), 350);
+    assert.strictEqual(transactions.get('pay_1').balanceAfter, 350);
+  });
+
+  it('does not credit again when the process died before completing the claim', async () => {
+    await paymentReconciliationService.creditWalletOnce('pay_1', 'user-1', 250);
+    redis.reset();
+
+    assert.strictEqual(await paymentReconciliationService.creditWalletOnce('pay_1', 'user-1', 250), false);
+    assert.strictEqual(wallets.get('user-1'), 350);
+  });
+
+  it('keeps the claim when the credit response is lost and does not credit again', async () => {
+    loseNextCreditResponse = true;
+
+    await assert.rejects(paymentReconciliationService.creditWalletOnce('pay_1', 'user-1', 250), /socket hang up/);
+    await assert.rejects(paymentReconciliationService.creditWalletOnce('pay_1', 'user-1', 250), /already being credited/);
+
+    redis.expireNow(CLAIM_KEY);
+    assert.strictEqual(await paymentReconciliationService.creditWalletOnce('pay_1', 'user-1', 250), false);
+    assert.strictEqual(wallets.get('user-1'), 350);
+  });
+
+  it('rejects a payment already credited to a different user', async () => {
+    await paymentReconciliationService.creditWalletOnce('pay_1', 'user-1', 250);
+    redis.reset();
+
+    await assert.rejects(
+      paymentReconciliationService.creditWalletOnce('pay_1', 'user-2', 250),
+      /different user or amount/
+    );
+    assert.strictEqual(wallets.get('user-2'), 0);
+  });
+});
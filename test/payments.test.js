@@ -0,0 +1,57 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const FakeRedis = require('./helpers/fakeRedis');
+
+const redis = new FakeRedis().install();
+const paymentRoutes = require('../routes/payments');
+const webhookInboxService = require('../services/webhookInboxService');
+
+describe('POST /api/payments/webhook', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payments', paymentRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/payments`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    redis.reset();
+    mock.restoreAll();
+    mock.method(console, 'log', () => {}); // keep the route's request logging out of the test output
+    delete process.env.RAZORPAY_WEBHOOK_SECRET;
+  });
+
+  const deliver = async () => {
+    const response = await fetch(`${baseUrl}/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-razorpay-event-id': 'evt_1' },
+      body: JSON.stringify({ event: 'payment.captured', payload: {} })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('acknowledges a processed event', async () => {
+    mock.method(webhookInboxService, 'process', async () => ({ status: 'processed' }));
+
+    const result = await deliver();
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.success, true);
+  });
+
+  it('fails an event that exhausted its retries so Razorpay keeps redelivering it', async () => {
+    mock.method(webhookInboxService, 'process', async () => ({ status: 'dead', error: new Error('Hygraph down') }));
+
+    const result = await deliver();
+    assert.strictEqual(result.status, 500);
+    assert.strictEqual(result.body.success, false);
+    assert.strictEqual(result.body.dead, true);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const hygraphService = require('../services/hygraphService');
+const productCatalogService = require('../services/productCatalogService');
+
+const products = [
+  {
+    id: 'prod-1',
+    name: 'T-shirt',
+    price: 19.99,
+    shopTokensPrice: 40,
+    isActive: true,
+    maxQuantityPerOrder: 5,
+    variants: [
+      { id: 'var-xl', name: 'XL', price: 24.99, shopTokensPrice: null, isActive: true },
+      { id: 'var-xs', name: 'XS', price: null, shopTokensPrice: null, isActive: false }
+    ]
+  },
+  { id: 'prod-2', name: 'Sticker', price: 0.1, shopTokensPrice: null, isActive: true, maxQuantityPerOrder: null, variants: [] }
+];
+
+describe('productCatalogService.priceItems', () => {
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.method(hygraphService, 'execute', async (query, variables) => ({
+      products: products.filter(product => variables.ids.includes(product.id))
+    }));
+  });
+
+  it('only checks the prices the client sent', async () => {
+    const result = await productCatalogService.priceItems([
+      { productId: 'prod-1', quantity: 1 },
+      { productId: 'prod-2', quantity: 1, price: null, shopTokensPrice: null }
+    ]);
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.totalAmount, 20.09);
+  });
+
+  it('rejects a client price that disagrees with the catalog', async () => {
+    const result = await productCatalogService.priceItems([{ productId: 'prod-1', quantity: 1, price: 0 }]);
+
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.priceMismatch, true);
+    assert.match(result.error, /Price mismatch for T-shirt: expected ₹19.99, got ₹0/);
+  });
+
+  it('prices variants, falling back to the product for unset prices', async () => {
+    const result = await productCatalogService.priceItems(
+      [{ productId: 'prod-1', variantId: 'var-xl', quantity: 2, price: 24.99 }],
+      { totalAmount: 49.98, totalShopTokens: 80 }
+    );
+
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.items, [{
+      productId: 'prod-1',
+      variantId: 'var-xl',
+      productName: 'T-shirt (XL)',
+      quantity: 2,
+      price: 24.99,
+      shopTokensPrice: 40
+    }]);
+  });
+
+  it('rejects unknown and inactive variants', async () => {
+    const unknown = await productCatalogService.priceItems([{ productId: 'prod-1', variantId: 'var-x', quantity: 1 }]);
+    const inactive = await productCatalogService.priceItems([{ productId: 'prod-1', variantId: 'var-xs', quantity: 1 }]);
+
+    assert.strictEqual(unknown.error, 'Variant not found for T-shirt: var-x');
+    assert.strictEqual(inactive.error, 'Product is not available: T-shirt (XS)');
+  });
+
+  it('rounds totals to paise', async () => {
+    const result = await productCatalogService.priceItems(
+      [{ productId: 'prod-2', quantity: 3 }, { productId: 'prod-1', quantity: 3 }],
+      { totalAmount: 60.27 }
+    );
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.totalAmount, 60.27);
+  });
+});
@@ -0,0 +1,236 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const FakeRedis = require('./helpers/fakeRedis');
+
+const redis = new FakeRedis().install();
+const razorpayService = require('../services/razorpayService');
+const orderLifecycleService = require('../services/orderLifecycleService');
+const refundService = require('../services/refundService');
+
+// 2 × A and 1 × B at ₹500 / 100 tokens each
+const orderItems = [
+  { id: 'item-a', productName: 'A', quantity: 2, unitPrice: 500, shopTokensPrice: 100, lineTotal: 1000, lineShopTokens: 200 },
+  { id: 'item-b', productName: 'B', quantity: 1, unitPrice: 500, shopTokensPrice: 100, lineTotal: 500, lineShopTokens: 100 }
+];
+
+const buildContext = ({ order = {}, payment = null, refunds = [] } = {}) => ({
+  order: { orderNumber: 'ORD-1', totalAmount: 1500, orderItems, ...order },
+  payment,
+  refunds
+});
+
+describe('refundService.calculate', () => {
+  it('refunds a rupee order in rupees', () => {
+    const context = buildContext({
+      order: { paymentMethod: 'rupees', shopTokensUsed: 0 },
+      payment: { id: 'pay-1', amount: 1500 }
+    });
+
+    const result = refundService.calculate(context, [{ orderItemId: 'item-b', quantity: 1 }]);
+
+    assert.deepStrictEqual(result, {
+      lines: [{ orderItemId: 'item-b', productName: 'B', quantity: 1 }],
+      rupees: 500,
+      shopTokens: 0,
+      full: false
+    });
+  });
+
+  it('refunds a token order in tokens', () => {
+    const context = buildContext({ order: { paymentMethod: 'shop_tokens', shopTokensUsed: 300 } });
+
+    const result = refundService.calculate(context, null);
+
+    assert.strictEqual(result.rupees, 0);
+    assert.strictEqual(result.shopTokens, 300);
+    assert.strictEqual(result.full, true);
+    assert.strictEqual(result.lines.length, 2);
+  });
+
+  it('refunds a mixed order in the proportion it was paid', () => {
+    // 120 of 300 tokens, ₹900 of ₹1500
+    const context = buildContext({
+      order: { paymentMethod: 'mixed', shopTokensUsed: 120 },
+      payment: { id: 'pay-1', amount: 900 }
+    });
+
+    const result = refundService.calculate(context, [{ orderItemId: 'item-a', quantity: 1 }]);
+
+    assert.strictEqual(result.rupees, 300);
+    assert.strictEqual(result.shopTokens, 40);
+    assert.strictEqual(result.full, false);
+  });
+
+  it('returns exactly what is left when the rest is refunded', () => {
+    const context = buildContext({
+      order: { paymentMethod: 'mixed', shopTokensUsed: 120 },
+      payment: { id: 'pay-1', amount: 1000 },
+      refunds: [{ amount: 333.33, shopTokens: 40, items: [{ orderItemId: 'item-a', quantity: 1 }] }]
+    });
+
+    const result = refundService.calculate(context, null);
+
+    assert.deepStrictEqual(result.lines, [
+      { orderItemId: 'item-a', productName: 'A', quantity: 1 },
+      { orderItemId: 'item-b', productName: 'B', quantity: 1 }
+    ]);
+    assert.strictEqual(result.rupees, 666.67);
+    assert.strictEqual(result.shopTokens, 80);
+    assert.strictEqual(result.full, true);
+  });
+
+  it('refunds collected COD cash in rupees, even for items without a token price', () => {
+    const context = buildContext({
+      order: {
+        paymentMethod: 'cod',
+        codStatus: 'collected',
+        codFee: 49,
+        shopTokensUsed: 0,
+        orderItems: orderItems.map(item => ({ ...item, shopTokensPrice: null, lineShopTokens: 0 }))
+      }
+    });
+
+    const result = refundService.calculate(context, [{ orderItemId: 'item-a', quantity: 2 }]);
+
+    assert.strictEqual(result.rupees, 1000);
+    assert.strictEqual(result.shopTokens, 0);
+  });
+
+  it('includes the COD fee in a full refund of collected cash', () => {
+    const context = buildContext({
+      order: { paymentMethod: 'cod', codStatus: 'collected', codFee: 49, shopTokensUsed: 0 },
+      refunds: [{ amount: 500, shopTokens: 0, items: [{ orderItemId: 'item-b', quantity: 1 }] }]
+    });
+
+    const result = refundService.calculate(context, null);
+
+    assert.strictEqual(result.rupees, 1049);
+    assert.strictEqual(result.shopTokens, 0);
+    assert.strictEqual(result.full, true);
+  });
+
+  it('refunds nothing for a COD order whose cash was not collected', () => {
+    const context = buildContext({ order: { paymentMethod: 'cod', codStatus: 'not_collected', codFee: 49, shopTokensUsed: 0 } });
+
+    const result = refundService.calculate(context, null);
+
+    assert.strictEqual(result.rupees, 0);
+    assert.strictEqual(result.shopTokens, 0);
+  });
+
+  it('treats orders without shopTokensUsed as paid in tokens', () => {
+    const result = refundService.calculate(buildContext(), null);
+
+    assert.strictEqual(result.rupees, 0);
+    assert.strictEqual(result.shopTokens, 300);
+  });
+
+  it('rejects quantities beyond what is left to refund', () => {
+    const context = buildContext({
+      order: { paymentMethod: 'shop_tokens', shopTokensUsed: 300 },
+      refunds: [{ amount: 0, shopTokens: 100, items: [{ orderItemId: 'item-a', quantity: 1 }] }]
+    });
+
+    assert.throws(
+      () => refundService.calculate(context, [{ orderItemId: 'item-a', quantity: 2 }]),
+      /Cannot refund 2 of A: 1 refundable/
+    );
+    assert.throws(
+      () => refundService.calculate(context, [{ orderItemId: 'item-b', quantity: 0 }]),
+      /Cannot refund 0 of B/
+    );
+  });
+
+  it('rejects unknown order items', () => {
+    assert.throws(
+      () => refundService.calculate(buildContext(), [{ orderItemId: 'item-x', quantity: 1 }]),
+      /Order item not found: item-x/
+    );
+  });
+});
+
+describe('refundService COD manual refunds', () => {
+  // In-memory order: COD cash of ₹1549 (₹1500 + ₹49 fee) collected on delivery
+  let order;
+  let refunds;
+
+  beforeEach(() => {
+    redis.reset();
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    order = {
+      id: 'order-1',
+      orderNumber: 'ORD-1',
+      orderStatus: 'delivered',
+      totalAmount: 1500,
+      paymentMethod: 'cod',
+      codStatus: 'collected',
+      codFee: 49,
+      shopTokensUsed: 0,
+      refundDue: false,
+      userDetail: { id: 'user-1' },
+      orderItems
+    };
+    refunds = [];
+
+    mock.method(refundService, 'getRefundContext', async () => ({ order, payment: null, refunds: [...refunds] }));
+    mock.method(refundService, 'createRecord', async ({ amount, shopTokens, refundStatus, reason, items, paymentId }) => {
+      const refund = { id: `refund-${refunds.length + 1}`, amount, shopTokens, refundStatus, reason, items, paymentId };
+      refunds.push(refund);
+      return refund;
+    });
+    mock.method(refundService, 'updateRecord', async (refundId, data) => {
+      const refund = refunds.find(r => r.id === refundId);
+      Object.assign(refund, data);
+      return { ...refund };
+    });
+    mock.method(refundService, 'setRefundDue', async (target, refundDue) => {
+      order.refundDue = refundDue;
+    });
+    mock.method(razorpayService, 'refundPayment', async () => {
+      throw new Error('Razorpay must not be called for COD cash');
+    });
+    mock.method(orderLifecycleService, 'canTransition', () => true);
+    mock.method(orderLifecycleService, 'transition', async (orderId, toStatus) => {
+      order.orderStatus = toStatus;
+    });
+  });
+
+  it('records collected cash as a manual refund and flags the order', async () => {
+    const result = await refundService.refundOrder('order-1', { items: [{ orderItemId: 'item-b', quantity: 1 }] });
+
+    assert.strictEqual(result.rupees, 500);
+    assert.strictEqual(result.shopTokens, 0);
+    assert.strictEqual(result.refund.refundStatus, 'manual');
+    assert.strictEqual(result.refund.paymentId, null);
+    assert.strictEqual(order.refundDue, true);
+    assert.strictEqual(razorpayService.refundPayment.mock.callCount(), 0);
+  });
+
+  it('clears refundDue and marks the order refunded once all cash is paid back', async () => {
+    await refundService.refundOrder('order-1', { items: [{ orderItemId: 'item-b', quantity: 1 }] });
+    await refundService.refundOrder('order-1', {});
+
+    assert.deepStrictEqual(refunds.map(r => [r.amount, r.refundStatus]), [[500, 'manual'], [1049, 'manual']]);
+
+    await refundService.markManualRefundPaid('order-1', 'refund-1');
+    assert.strictEqual(order.refundDue, true);
+    assert.strictEqual(order.orderStatus, 'delivered');
+
+    const refund = await refundService.markManualRefundPaid('order-1', 'refund-2');
+    assert.strictEqual(refund.refundStatus, 'processed');
+    assert.strictEqual(order.refundDue, false);
+    assert.strictEqual(order.orderStatus, 'refunded');
+  });
+
+  it('only marks manual refunds paid', async () => {
+    refunds.push({ id: 'refund-1', amount: 500, shopTokens: 0, refundStatus: 'processed', items: [] });
+
+    await assert.rejects(
+      refundService.markManualRefundPaid('order-1', 'refund-1'),
+      /Refund cannot be marked paid. Current status: processed/
+    );
+    await assert.rejects(refundService.markManualRefundPaid('order-1', 'refund-9'), /Refund not found/);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const FakeRedis = require('./helpers/fakeRedis');
+
+const redis = new FakeRedis().install();
+const walletRoutes = require('../routes/wallet');
+const hygraphService = require('../services/hygraphUserService');
+const shopTokenLedgerService = require('../services/shopTokenLedgerService');
+
+const users = {
+  'user-1': { id: 'user-1', firstName: 'Asha', lastName: 'Rao' },
+  'user-2': { id: 'user-2', firstName: 'Ravi', lastName: 'Kumar' }
+};
+
+describe('POST /api/wallet/receive-shop-tokens-from-fantasy', () => {
+  let server;
+  let baseUrl;
+  let ledger;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/wallet', walletRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/wallet`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    redis.reset();
+    mock.restoreAll();
+    mock.method(console, 'log', () => {}); // keep the route's request logging out of the test output
+    process.env.INTERNAL_SECRET = 'legacy-secret';
+    delete process.env.INTERNAL_API_KEYS;
+
+    // In-memory ledger of fantasy top-ups: reference → entry
+    ledger = new Map();
+    mock.method(hygraphService, 'findUserById', async id => users[id] || null);
+    mock.method(shopTokenLedgerService, 'findEntryByReference', async (type, reason, reference) =>
+      ledger.get(reference) || null
+    );
+    mock.method(shopTokenLedgerService, 'credit', async (userId, amount, { reference }) => {
+      const existing = ledger.get(reference);
+      if (existing?.userDetail.id === userId) {
+        return { duplicate: true, amount: existing.amount, previousBalance: 0, newBalance: existing.amount };
+      }
+      ledger.set(reference, { amount, userDetail: { id: userId } });
+      return { duplicate: false, amount, previousBalance: 0, newBalance: amount };
+    });
+  });
+
+  const topup = async body => {
+    const response = await fetch(`${baseUrl}/receive-shop-tokens-from-fantasy`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-internal-secret': 'legacy-secret' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('credits a transaction once and replays the original response', async () => {
+    const first = await topup({ hygraph_user_id: 'user-1', shop_tokens: 100, transaction_id: 'txn-1' });
+    const second = await topup({ hygraph_user_id: 'user-1', shop_tokens: 100, transaction_id: 'txn-1' });
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.already_applied, false);
+    assert.strictEqual(second.status, 200);
+    assert.strictEqual(second.body.already_applied, true);
+    assert.strictEqual(shopTokenLedgerService.credit.mock.callCount(), 1);
+  });
+
+  it('rejects a replay for a different user after the idempotency record is gone', async () => {
+    await topup({ hygraph_user_id: 'user-1', shop_tokens: 100, transaction_id: 'txn-1' });
+    redis.reset();
+
+    const replay = await topup({ hygraph_user_id: 'user-2', shop_tokens: 100, transaction_id: 'txn-1' });
+
+    assert.strictEqual(replay.status, 409);
+    assert.match(replay.body.message, /different user or amount/);
+    assert.strictEqual(shopTokenLedgerService.credit.mock.callCount(), 1);
+    assert.strictEqual(ledger.get('txn-1').userDetail.id, 'user-1');
+  });
+
+  it('rejects a replay with a different amount after the idempotency record is gone', async () => {
+    await topup({ hygraph_user_id: 'user-1', shop_tokens: 100, transaction_id: 'txn-1' });
+    redis.reset();
+
+    const replay = await topup({ hygraph_user_id: 'user-1', shop_tokens: 500, transaction_id: 'txn-1' });
+
+    assert.strictEqual(replay.status, 409);
+    assert.strictEqual(shopTokenLedgerService.credit.mock.callCount(), 1);
+  });
+
+  it('answers an identical replay from the ledger after the idempotency record is gone', async () => {
+    await topup({ hygraph_user_id: 'user-1', shop_tokens: 100, transaction_id: 'txn-1' });
+    redis.reset();
+
+    const replay = await topup({ hygraph_user_id: 'user-1', shop_tokens: 100, transaction_id: 'txn-1' });
+
+    assert.strictEqual(replay.status, 200);
+    assert.strictEqual(replay.body.already_applied, true);
+    assert.strictEqual(replay.body.data.updated_total, 100);
+  });
+});
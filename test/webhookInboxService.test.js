@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const FakeRedis = require('./helpers/fakeRedis');
+
+const redis = new FakeRedis().install();
+const webhookInboxService = require('../services/webhookInboxService');
+
+const RETRY_KEY = 'webhook:test:retry';
+
+describe('webhookInboxService', () => {
+  let handled;
+  let failWith;
+
+  beforeEach(() => {
+    redis.reset();
+    handled = [];
+    failWith = null;
+    webhookInboxService.registerHandler('test', async payload => {
+      if (failWith) throw new Error(failWith);
+      handled.push(payload);
+    });
+  });
+
+  it('stores an event once', async () => {
+    const first = await webhookInboxService.receive('test', 'evt-1', { n: 1 });
+    const again = await webhookInboxService.receive('test', 'evt-1', { n: 2 });
+
+    assert.strictEqual(first.isNew, true);
+    assert.strictEqual(again.isNew, false);
+    assert.deepStrictEqual(again.record.payload, { n: 1 });
+  });
+
+  it('processes an event once', async () => {
+    await webhookInboxService.receive('test', 'evt-1', { n: 1 });
+
+    assert.strictEqual((await webhookInboxService.process('test', 'evt-1')).status, 'processed');
+    assert.strictEqual((await webhookInboxService.process('test', 'evt-1')).status, 'duplicate');
+
+    assert.deepStrictEqual(handled, [{ n: 1 }]);
+    assert.strictEqual((await webhookInboxService.get('test', 'evt-1')).status, 'processed');
+  });
+
+  it('schedules a failed event for retry with backoff', async () => {
+    await webhookInboxService.receive('test', 'evt-1', { n: 1 });
+    failWith = 'Hygraph down';
+
+    const before = Date.now();
+    const result = await webhookInboxService.process('test', 'evt-1');
+
+    assert.strictEqual(result.status, 'failed');
+    const record = await webhookInboxService.get('test', 'evt-1');
+    assert.strictEqual(record.attempts, 1);
+    assert.strictEqual(record.lastError, 'Hygraph down');
+    assert.ok(Date.parse(record.nextAttemptAt) >= before + 60 * 1000);
+    assert.deepStrictEqual(await redis.zRange(RETRY_KEY, 0, -1), ['evt-1']);
+  });
+
+  it('retries due events until they are processed', async () => {
+    await webhookInboxService.receive('test', 'evt-1', { n: 1 });
+    failWith = 'Hygraph down';
+    await webhookInboxService.process('test', 'evt-1');
+
+    failWith = null;
+    await redis.zAdd(RETRY_KEY, { score: Date.now() - 1, value: 'evt-1' });
+
+    assert.strictEqual(await webhookInboxService.retryDue('test'), 1);
+    assert.deepStrictEqual(handled, [{ n: 1 }]);
+    assert.deepStrictEqual(await redis.zRange(RETRY_KEY, 0, -1), []);
+  });
+
+  it('retries due events of every registered provider', async () => {
+    await webhookInboxService.receive('test', 'evt-1', { n: 1 });
+    failWith = 'Hygraph down';
+    await webhookInboxService.process('test', 'evt-1');
+
+    failWith = null;
+    await redis.zAdd(RETRY_KEY, { score: Date.now() - 1, value: 'evt-1' });
+
+    const retried = await webhookInboxService.retryAllDue();
+    assert.strictEqual(retried.test, 1);
+    assert.strictEqual((await webhookInboxService.get('test', 'evt-1')).status, 'processed');
+  });
+
+  it('gives up after the maximum attempts', async () => {
+    await webhookInboxService.receive('test', 'evt-1', { n: 1 });
+    failWith = 'Bad payload';
+
+    const statuses = [];
+    for (let i = 0; i < 8; i++) {
+      statuses.push((await webhookInboxService.process('test', 'evt-1')).status);
+    }
+
+    assert.deepStrictEqual(statuses, [...Array(7).fill('failed'), 'dead']);
+    assert.strictEqual((await webhookInboxService.get('test', 'evt-1')).status, 'dead');
+    assert.deepStrictEqual(await redis.zRange(RETRY_KEY, 0, -1), []);
+  });
+
+  it('leaves an event another instance is processing alone', async () => {
+    await webhookInboxService.receive('test', 'evt-1', { n: 1 });
+    await redis.set('lock:webhook:test:evt-1', 'other-instance', { PX: 15000 });
+
+    assert.strictEqual((await webhookInboxService.process('test', 'evt-1')).status, 'busy');
+    assert.deepStrictEqual(handled, []);
+  });
+
+  it('reports events that were never received', async () => {
+    assert.strictEqual((await webhookInboxService.process('test', 'evt-x')).status, 'missing');
+  });
+});